@@ -1,4 +1,5 @@
 const { URL } = require('url');
+const { Readable } = require('stream');
 
 const REMOTE_BASE = process.env.UPSTREAM_API_BASE || 'https://ubuntu.sistemavieira.com.br:8003';
 process.env.NODE_TLS_REJECT_UNAUTHORIZED = process.env.NODE_TLS_REJECT_UNAUTHORIZED || '0';
@@ -48,6 +49,24 @@ module.exports = async (req, res) => {
     res.setHeader(key, value);
   });
 
+  // SSE (/api/status-operadores/stream): repassa em streaming, sem bufferizar
+  const contentType = upstreamResponse.headers.get('content-type') || '';
+  if (contentType.includes('text/event-stream') && upstreamResponse.body) {
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    if (typeof res.flushHeaders === 'function') res.flushHeaders();
+    const stream = Readable.fromWeb(upstreamResponse.body);
+    req.on('close', () => stream.destroy());
+    stream.on('error', () => res.end());
+    stream.pipe(res);
+    return;
+  }
+
+  // 304 (If-None-Match conferiu): repassa ETag/Cache-Control já copiados, sem corpo
+  if (upstreamResponse.status === 304) {
+    res.end();
+    return;
+  }
+
   const buffer = Buffer.from(await upstreamResponse.arrayBuffer());
   res.send(buffer);
 };
@@ -0,0 +1,34 @@
+// argus.js — endereço da API Argus (status dos operadores), compartilhado por statusController e argusService
+// Configuração via .env:
+//   ARGUS_BASE_URL=https://argus.app.br/apiargus   (em dev/testes: http://localhost:4010/apiargus -> mock/argusMock.js)
+//   ARGUS_ENDPOINT_RAMAL=/cmd/statusoperador       (consulta por ramal)
+//   ARGUS_ENDPOINT=/cmd/statusoperadores           (snapshot em lote)
+// Exporta:
+//   config          -> configuração resolvida
+//   argusUrl(path)  -> URL completa (baseUrl + path)
+
+const DEFAULT_BASE_URL = 'https://argus.app.br/apiargus';
+
+const normPath = p => (String(p).startsWith('/') ? String(p) : `/${p}`);
+
+const config = {
+  baseUrl: String(process.env.ARGUS_BASE_URL || DEFAULT_BASE_URL).trim().replace(/\/+$/, ''),
+  pathRamal: normPath(process.env.ARGUS_ENDPOINT_RAMAL || '/cmd/statusoperador'),
+  pathLote: normPath(process.env.ARGUS_ENDPOINT || '/cmd/statusoperadores')
+};
+
+// valida na carga: URL malformada falha na subida, não na primeira consulta
+new URL(config.baseUrl);
+
+if (config.baseUrl !== DEFAULT_BASE_URL) {
+  console.log(`[argus] usando ARGUS_BASE_URL=${config.baseUrl}`);
+}
+
+function argusUrl(path) {
+  return `${config.baseUrl}${normPath(path)}`;
+}
+
+module.exports = {
+  config,
+  argusUrl
+};
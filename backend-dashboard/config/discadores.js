@@ -0,0 +1,74 @@
+// discadores.js — qual discador (fonte de status dos operadores) atende cada empresa
+// Configuração via .env:
+//   DISCADORES_ARQUIVO=config/discadores.json   (relativo ao backend-dashboard; modelo em discadores.example.json)
+//   DISCADORES_JSON={"empresas":{"OUTRA":"novo"},"discadores":{...}}   (inline; tem prioridade sobre o arquivo)
+//   DISCADOR_PADRAO=argus
+// Sem arquivo/JSON todas as empresas usam o Argus (comportamento antigo).
+// Formato:
+//   {
+//     "padrao": "argus",
+//     "discadores": { "novo": { "tipo": "http-json", ... } },   ("argus" já vem definido)
+//     "empresas": { "OUTRA": "novo" }                            (empresa -> nome do discador)
+//   }
+// Exporta:
+//   config                   -> { padrao, discadores: { nome -> definição }, empresas: Map(EMPRESA -> nome), origem }
+//   nomeDoDiscador(empresa)  -> nome do discador da empresa (padrão quando não mapeada)
+
+const fs = require('fs');
+const path = require('path');
+
+const TIPOS = ['argus', 'http-json'];
+
+function carregar() {
+  if (process.env.DISCADORES_JSON) {
+    return { bruto: JSON.parse(process.env.DISCADORES_JSON), origem: 'DISCADORES_JSON' };
+  }
+  const arquivo = process.env.DISCADORES_ARQUIVO
+    ? path.resolve(__dirname, '..', process.env.DISCADORES_ARQUIVO)
+    : path.join(__dirname, 'discadores.json');
+  if (!fs.existsSync(arquivo)) {
+    if (process.env.DISCADORES_ARQUIVO) throw new Error(`DISCADORES_ARQUIVO não encontrado: ${arquivo}`);
+    return { bruto: {}, origem: 'padrão' };
+  }
+  return { bruto: JSON.parse(fs.readFileSync(arquivo, 'utf8')), origem: arquivo };
+}
+
+/**
+ * Valida referências e tipos. Lança erro descritivo (falha cedo na subida do servidor).
+ */
+function montar({ bruto, origem }) {
+  const discadores = { argus: { tipo: 'argus' }, ...(bruto.discadores || {}) };
+  for (const [nome, def] of Object.entries(discadores)) {
+    if (!def || !TIPOS.includes(def.tipo)) {
+      throw new Error(`discador '${nome}': tipo inválido '${def && def.tipo}' (use ${TIPOS.join(', ')})`);
+    }
+  }
+
+  const padrao = process.env.DISCADOR_PADRAO || bruto.padrao || 'argus';
+  if (!discadores[padrao]) throw new Error(`discador padrão '${padrao}' não definido em discadores`);
+
+  const empresas = new Map();
+  for (const [empresa, nome] of Object.entries(bruto.empresas || {})) {
+    if (!discadores[nome]) throw new Error(`empresa '${empresa}': discador '${nome}' não definido em discadores`);
+    empresas.set(String(empresa).trim().toUpperCase(), nome);
+  }
+  return { padrao, discadores, empresas, origem };
+}
+
+// loga antes de lançar: quem importa (server.js) engole erros de require
+let config;
+try {
+  config = montar(carregar());
+} catch (e) {
+  console.error('❌ [discadores] configuração inválida:', e.message);
+  throw e;
+}
+
+function nomeDoDiscador(empresa) {
+  return config.empresas.get(String(empresa || '').trim().toUpperCase()) || config.padrao;
+}
+
+module.exports = {
+  config,
+  nomeDoDiscador
+};
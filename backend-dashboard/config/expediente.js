@@ -0,0 +1,107 @@
+// expediente.js — janela de funcionamento do call center (quando vale a pena consultar o Argus)
+// Configuração via .env:
+//   EXPEDIENTE_ATIVO=true                                  (false = 24x7, comportamento antigo)
+//   EXPEDIENTE_TZ=America/Sao_Paulo
+//   EXPEDIENTE_HORARIOS=seg-sex 08:00-18:00; sab 08:00-12:00 (dias: dom seg ter qua qui sex sab;
+//                                                            vários intervalos no dia: 08:00-12:00,13:00-18:00)
+//   EXPEDIENTE_FERIADOS=2026-12-25,2027-01-01              (YYYY-MM-DD no fuso acima)
+//   EXPEDIENTE_FORA_INTERVAL_MS=900000                     (ritmo dos jobs fora do expediente; 0 = não rodam)
+// Exporta:
+//   config                  -> configuração resolvida
+//   parseHorarios(texto)    -> Map(diaSemana 0-6 -> [{ inicio, fim }] em minutos)
+//   statusExpediente(data)  -> { aberto, motivo, timezone, data, hora }
+
+const DIAS = ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sab'];
+const WEEKDAY_EN = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const HORA_RE = /^(\d{1,2}):(\d{2})$/;
+
+function minutos(hhmm) {
+  const m = HORA_RE.exec(String(hhmm).trim());
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) throw new Error(`horário inválido: '${hhmm}'`);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function diaIdx(nome) {
+  const idx = DIAS.indexOf(String(nome).trim().toLowerCase().slice(0, 3));
+  if (idx < 0) throw new Error(`dia inválido: '${nome}' (use ${DIAS.join(' ')})`);
+  return idx;
+}
+
+/**
+ * "seg-sex 08:00-18:00; sab 08:00-12:00" -> Map(1..5 -> [{480,1080}], 6 -> [{480,720}])
+ * Lança erro em formato inválido (falha cedo na subida do servidor).
+ */
+function parseHorarios(texto) {
+  const out = new Map();
+  for (const bloco of String(texto || '').split(';').map(s => s.trim()).filter(Boolean)) {
+    const [diasTxt, ...resto] = bloco.split(/\s+/);
+    const faixas = resto.join('').split(',').filter(Boolean).map(f => {
+      const [ini, fim] = f.split('-');
+      const inicio = minutos(ini);
+      const fimMin = minutos(fim);
+      if (fimMin <= inicio) throw new Error(`faixa inválida: '${f}'`);
+      return { inicio, fim: fimMin };
+    });
+    if (!faixas.length) throw new Error(`bloco sem horário: '${bloco}'`);
+
+    const dias = [];
+    for (const parte of diasTxt.split(',')) {
+      const [de, ate] = parte.split('-');
+      const a = diaIdx(de);
+      const b = ate ? diaIdx(ate) : a;
+      for (let d = a; ; d = (d + 1) % 7) {
+        dias.push(d);
+        if (d === b) break;
+      }
+    }
+    for (const d of dias) out.set(d, (out.get(d) || []).concat(faixas));
+  }
+  return out;
+}
+
+const config = {
+  ativo: (process.env.EXPEDIENTE_ATIVO || 'true').toLowerCase() !== 'false',
+  timezone: process.env.EXPEDIENTE_TZ || 'America/Sao_Paulo',
+  horarios: parseHorarios(process.env.EXPEDIENTE_HORARIOS || 'seg-sex 08:00-18:00; sab 08:00-12:00'),
+  feriados: new Set(String(process.env.EXPEDIENTE_FERIADOS || '').split(',').map(s => s.trim()).filter(Boolean)),
+  foraIntervalMs: parseInt(process.env.EXPEDIENTE_FORA_INTERVAL_MS || '900000', 10)
+};
+
+// valida o fuso na carga (Intl lança RangeError para timezone desconhecido)
+const fmt = new Intl.DateTimeFormat('en-US', {
+  timeZone: config.timezone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  weekday: 'short',
+  hourCycle: 'h23'
+});
+
+/**
+ * Data/hora local no fuso do expediente e se o call center está aberto.
+ * motivo: 'expediente' | 'fora_horario' | 'feriado' | 'desativado'
+ */
+function statusExpediente(date = new Date()) {
+  const p = {};
+  for (const part of fmt.formatToParts(date)) p[part.type] = part.value;
+  const data = `${p.year}-${p.month}-${p.day}`;
+  const hora = `${p.hour}:${p.minute}`;
+  const base = { timezone: config.timezone, data, hora };
+
+  if (!config.ativo) return { aberto: true, motivo: 'desativado', ...base };
+  if (config.feriados.has(data)) return { aberto: false, motivo: 'feriado', ...base };
+
+  const agora = Number(p.hour) * 60 + Number(p.minute);
+  const faixas = config.horarios.get(WEEKDAY_EN[p.weekday]) || [];
+  const aberto = faixas.some(f => agora >= f.inicio && agora < f.fim);
+  return { aberto, motivo: aberto ? 'expediente' : 'fora_horario', ...base };
+}
+
+module.exports = {
+  config,
+  parseHorarios,
+  statusExpediente
+};
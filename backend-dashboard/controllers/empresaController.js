@@ -3,10 +3,12 @@
 // Exporta:
 //  - getEmpresas(req,res,next)    -> handler Express
 //  - updateEmpresas()             -> força atualização e retorna o array
+//  - listEmpresas()               -> array do cache (atualiza se vencido), para uso interno
 //  - scheduleEmpresasUpdater(ms)  -> inicia setInterval e retorna intervalId
 //  - __internal.*                 -> referências para debugging
 
-const { getLocalPool, sql } = require('../db'); // espera-se db.js CommonJS exportando getLocalPool, sql
+const { getLocalPool, sql } = require('../config/db.js'); // espera-se db.js CommonJS exportando getLocalPool, sql
+const { sendJsonWithEtag } = require('../utils/helpers.js');
 const DEBUG = !!process.env.DEBUG;
 
 const CACHE_MS = parseInt(process.env.EMPRESA_CACHE_MS || '60000', 10); // default 60s
@@ -65,6 +67,22 @@ async function updateEmpresas() {
   }
 }
 
+/* ---------------------- listEmpresas (uso interno) ---------------------- */
+/**
+ * Lista de empresas para outros módulos (ex.: scheduler do ranking).
+ * Mesmo cache/TTL do handler; nunca lança — em erro devolve o último cache ou [].
+ */
+async function listEmpresas() {
+  if (empresasCache.data && (Date.now() - empresasCache.ts) < CACHE_MS) return empresasCache.data;
+  if (empresasCache.isFetching && empresasCache.fetchPromise) {
+    const out = await empresasCache.fetchPromise.catch(() => null);
+    return out || empresasCache.data || [];
+  }
+  empresasCache.isFetching = true;
+  empresasCache.fetchPromise = updateEmpresas();
+  return (await empresasCache.fetchPromise) || [];
+}
+
 /* ---------------------- getEmpresas (Express handler) ---------------------- */
 /**
  * Handler para /api/empresas
@@ -74,13 +92,13 @@ async function getEmpresas(req, res, next) {
   try {
     const now = Date.now();
     if (empresasCache.data && (now - empresasCache.ts) < CACHE_MS) {
-      return res.json(empresasCache.data);
+      return sendJsonWithEtag(req, res, empresasCache.data);
     }
 
     if (empresasCache.isFetching && empresasCache.fetchPromise) {
       // outra requisição já está buscando -> aguardamos
       const out = await empresasCache.fetchPromise.catch(() => null);
-      return res.json(out || empresasCache.data || []);
+      return sendJsonWithEtag(req, res, out || empresasCache.data || []);
     }
 
     // dispara atualização e guarda a promise para concorrentes
@@ -88,13 +106,13 @@ async function getEmpresas(req, res, next) {
     empresasCache.fetchPromise = updateEmpresas();
 
     const payload = await empresasCache.fetchPromise;
-    return res.json(payload);
+    return sendJsonWithEtag(req, res, payload);
   } catch (err) {
     lastError = err;
     console.error('❌ [empresaController] getEmpresas erro:', err && err.message ? err.message : err);
     // fallback: ultimo cache ou array vazio
     if (empresasCache && Array.isArray(empresasCache.data)) {
-      return res.json(empresasCache.data);
+      return sendJsonWithEtag(req, res, empresasCache.data);
     }
     return res.status(200).json([]);
   } finally {
@@ -120,6 +138,7 @@ function scheduleEmpresasUpdater(intervalMs = parseInt(process.env.UPDATE_INTERV
 module.exports = {
   getEmpresas,
   updateEmpresas,
+  listEmpresas,
   scheduleEmpresasUpdater,
   __internal: {
     cacheRef: () => empresasCache,
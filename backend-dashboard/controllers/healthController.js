@@ -21,6 +21,11 @@ try {
   if (empCtrl && empCtrl.__internal) empresaControllerInternal = empCtrl.__internal;
 } catch (e) { /* não crítico */ }
 
+let argusToken = null;
+try {
+  argusToken = require('../services/argusTokenService');
+} catch (e) { /* não crítico */ }
+
 function bytesToMB(n) {
   return Math.round((n / 1024 / 1024) * 100) / 100;
 }
@@ -68,14 +73,17 @@ async function buildHealthPayload() {
   // 4) Debug caches (opcional) - usa __internal dos controllers quando disponível
   let statusSummary = null;
   try {
-    if (statusControllerInternal && typeof statusControllerInternal.statusCacheRef === 'function') {
-      const sRef = statusControllerInternal.statusCacheRef();
+    if (statusControllerInternal && typeof statusControllerInternal.resumoCache === 'function') {
+      const resumo = statusControllerInternal.resumoCache();
       const lastGood = (statusControllerInternal.lastGoodPayloadRef && statusControllerInternal.lastGoodPayloadRef()) || null;
       statusSummary = {
-        cache: !!sRef,
-        cacheTimestamp: sRef && sRef.timestamp ? new Date(sRef.timestamp).toISOString() : null,
+        cache: resumo.size > 0,
+        cacheEntries: resumo.size,
+        cacheTimestamp: lastGood && lastGood.ts ? new Date(lastGood.ts).toISOString() : null,
         hasLastGoodPayload: !!lastGood,
-        operadoresCount: lastGood && Array.isArray(lastGood.operadores) ? lastGood.operadores.length : (sRef && sRef.data && Array.isArray(sRef.data.operadores) ? sRef.data.operadores.length : null)
+        operadoresCount: lastGood ? lastGood.count : null,
+        isFetching: resumo.isFetching,
+        backoff: resumo.backoff
       };
     }
   } catch (e) { statusSummary = { error: String(e && e.message ? e.message : e) }; }
@@ -131,6 +139,7 @@ async function buildHealthPayload() {
       status: statusSummary,
       empresas: empresaSummary
     },
+    argus: argusToken ? argusToken.getSaude() : null,
     lastError: lastError
   };
 
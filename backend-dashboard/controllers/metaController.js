@@ -0,0 +1,319 @@
+// controllers/metaController.js
+// Metas de logados por empresa/equipe e faixa horária (tabela dbo.meta_logados).
+// Exporta:
+//  - listMetas / getMeta / createMeta / updateMeta / deleteMeta  -> handlers Express (/api/metas)
+//  - getMetaVigente(empresa, equipes, ts)                         -> meta aplicável no horário (usada pelo statusController)
+//  - __internal.*                                                 -> referências para debugging
+
+const { getLocalPool, sql } = require('../config/db.js');
+
+const DEBUG = !!process.env.DEBUG;
+const TABELA_META = process.env.TABELA_META || 'dbo.meta_logados';
+const META_TIMEZONE = process.env.META_TIMEZONE || process.env.TZ_EXPEDIENTE || 'America/Sao_Paulo';
+
+let tableReady = false;
+let lastError = null;
+
+/* ---------------------- helpers ---------------------- */
+
+const HORA_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/** Dia da semana (0=domingo) e hora HH:MM:SS no fuso configurado. */
+function partesHorario(ts = Date.now(), timeZone = META_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+  }).formatToParts(new Date(ts));
+  const get = (type) => (parts.find(p => p.type === type) || {}).value;
+  const dias = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return { diaSemana: dias.indexOf(get('weekday')), hora: `${get('hour')}:${get('minute')}:${get('second')}` };
+}
+
+function mapRow(row) {
+  return {
+    id: row.id,
+    empresa: row.empresa,
+    equipe: row.equipe || null,
+    diaSemana: Number(row.dia_semana),
+    horaInicio: row.hora_inicio,
+    horaFim: row.hora_fim,
+    meta: Number(row.meta) || 0,
+    ativo: !!row.ativo,
+    updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : null,
+  };
+}
+
+/**
+ * Valida o corpo de criação/edição. Em edição (parcial) só valida os campos enviados.
+ * Retorna { erro } ou { dados } com os nomes de coluna.
+ */
+function validarMeta(body = {}, parcial = false) {
+  const dados = {};
+  const has = (k) => body[k] !== undefined;
+
+  if (has('empresa') || !parcial) {
+    const empresa = String(body.empresa || '').trim();
+    if (!empresa) return { erro: 'empresa obrigatória' };
+    dados.empresa = empresa;
+  }
+  if (has('equipe')) dados.equipe = String(body.equipe || '').trim() || null;
+  if (has('diaSemana') || !parcial) {
+    const dia = Number(body.diaSemana);
+    if (!Number.isInteger(dia) || dia < 0 || dia > 6) return { erro: 'diaSemana deve ser inteiro de 0 (domingo) a 6 (sábado)' };
+    dados.dia_semana = dia;
+  }
+  if (has('horaInicio') || !parcial) {
+    if (!HORA_RE.test(String(body.horaInicio || ''))) return { erro: 'horaInicio deve estar no formato HH:MM' };
+    dados.hora_inicio = body.horaInicio;
+  }
+  if (has('horaFim') || !parcial) {
+    if (!HORA_RE.test(String(body.horaFim || ''))) return { erro: 'horaFim deve estar no formato HH:MM' };
+    dados.hora_fim = body.horaFim;
+  }
+  if (dados.hora_inicio && dados.hora_fim && dados.hora_inicio >= dados.hora_fim) {
+    return { erro: 'horaInicio deve ser anterior a horaFim' };
+  }
+  if (has('meta') || !parcial) {
+    const meta = Number(body.meta);
+    if (!Number.isInteger(meta) || meta < 0) return { erro: 'meta deve ser inteiro >= 0' };
+    dados.meta = meta;
+  }
+  if (has('ativo')) dados.ativo = body.ativo ? 1 : 0;
+
+  return { dados };
+}
+
+const INPUT_TYPES = {
+  empresa: sql.VarChar(200),
+  equipe: sql.VarChar(200),
+  dia_semana: sql.TinyInt,
+  hora_inicio: sql.VarChar(5),
+  hora_fim: sql.VarChar(5),
+  meta: sql.Int,
+  ativo: sql.Bit,
+};
+// colunas TIME recebem string e convertem no SQL
+const valueSql = (col) => (col === 'hora_inicio' || col === 'hora_fim' ? `CAST(@${col} AS TIME)` : `@${col}`);
+
+const SELECT_COLS = `
+  id, empresa, equipe, dia_semana,
+  CONVERT(VARCHAR(5), hora_inicio, 108) AS hora_inicio,
+  CONVERT(VARCHAR(5), hora_fim, 108) AS hora_fim,
+  meta, ativo, updated_at
+`;
+
+async function ensureMetaTable(pool) {
+  if (tableReady) return;
+  const [schema, table] = TABELA_META.replace(/\[|\]/g, '').split('.');
+  await pool.request().query(`
+    IF OBJECT_ID(N'${schema}.${table}', N'U') IS NULL
+    BEGIN
+      CREATE TABLE ${schema}.${table} (
+        id          INT IDENTITY(1,1) PRIMARY KEY,
+        empresa     VARCHAR(200) NOT NULL,
+        equipe      VARCHAR(200) NULL,   -- NULL = empresa inteira
+        dia_semana  TINYINT NOT NULL,    -- 0 = domingo ... 6 = sábado
+        hora_inicio TIME NOT NULL,
+        hora_fim    TIME NOT NULL,
+        meta        INT NOT NULL,
+        ativo       BIT NOT NULL DEFAULT 1,
+        updated_at  DATETIME NOT NULL DEFAULT GETDATE()
+      );
+      CREATE INDEX IX_${table}_empresa_dia ON ${schema}.${table} (empresa, dia_semana);
+    END
+  `);
+  tableReady = true;
+}
+
+async function getPool() {
+  const pool = await getLocalPool();
+  if (!pool) throw new Error('Pool LOCAL indisponível');
+  await ensureMetaTable(pool);
+  return pool;
+}
+
+function sendError(res, err, where) {
+  lastError = err;
+  console.error(`❌ [metaController] ${where} erro:`, err && err.message ? err.message : err);
+  return res.status(500).json({ error: err && err.message ? err.message : String(err) });
+}
+
+/* ---------------------- meta vigente ---------------------- */
+/**
+ * Meta de logados aplicável em `ts` para a empresa.
+ * - com equipes: soma as metas dessas equipes na faixa
+ * - sem equipes: usa a meta da empresa inteira (equipe NULL); sem ela, soma as metas das equipes
+ * Retorna { meta, horaInicio, horaFim, diaSemana, linhas } ou null quando não há meta cadastrada.
+ */
+async function getMetaVigente(empresa, equipes = [], ts = Date.now()) {
+  const { diaSemana, hora } = partesHorario(ts);
+  const pool = await getPool();
+  const r = await pool.request()
+    .input('empresa', sql.VarChar(200), String(empresa))
+    .input('dia', sql.TinyInt, diaSemana)
+    .input('hora', sql.VarChar(8), hora)
+    .query(`
+      SELECT ${SELECT_COLS}
+      FROM ${TABELA_META}
+      WHERE empresa = @empresa
+        AND dia_semana = @dia
+        AND ativo = 1
+        AND CAST(@hora AS TIME) >= hora_inicio
+        AND CAST(@hora AS TIME) < hora_fim
+    `);
+  const rows = (r.recordset || []).map(mapRow);
+
+  let aplicaveis;
+  if (equipes.length) {
+    aplicaveis = rows.filter(m => m.equipe && equipes.includes(m.equipe));
+  } else {
+    const geral = rows.filter(m => !m.equipe);
+    aplicaveis = geral.length ? geral : rows;
+  }
+  if (!aplicaveis.length) return null;
+
+  return {
+    meta: aplicaveis.reduce((acc, m) => acc + m.meta, 0),
+    diaSemana,
+    horaInicio: aplicaveis.map(m => m.horaInicio).sort()[0],
+    horaFim: aplicaveis.map(m => m.horaFim).sort().slice(-1)[0],
+    linhas: aplicaveis.length,
+  };
+}
+
+/* ---------------------- handlers /api/metas ---------------------- */
+
+// GET /api/metas?empresa=&equipe=&diaSemana=
+async function listMetas(req, res) {
+  let dia = null;
+  if (req.query.diaSemana !== undefined && req.query.diaSemana !== '') {
+    dia = Number(req.query.diaSemana);
+    if (!Number.isInteger(dia) || dia < 0 || dia > 6) {
+      return res.status(400).json({ error: 'diaSemana deve ser inteiro de 0 (domingo) a 6 (sábado)' });
+    }
+  }
+  try {
+    const pool = await getPool();
+    const request = pool.request();
+    const conds = [];
+    if (req.query.empresa) { request.input('empresa', sql.VarChar(200), String(req.query.empresa)); conds.push('empresa = @empresa'); }
+    if (req.query.equipe) { request.input('equipe', sql.VarChar(200), String(req.query.equipe)); conds.push('equipe = @equipe'); }
+    if (dia !== null) {
+      request.input('dia', sql.TinyInt, dia);
+      conds.push('dia_semana = @dia');
+    }
+    const r = await request.query(`
+      SELECT ${SELECT_COLS}
+      FROM ${TABELA_META}
+      ${conds.length ? `WHERE ${conds.join(' AND ')}` : ''}
+      ORDER BY empresa, equipe, dia_semana, hora_inicio
+    `);
+    return res.json((r.recordset || []).map(mapRow));
+  } catch (err) {
+    return sendError(res, err, 'listMetas');
+  }
+}
+
+// GET /api/metas/:id
+async function getMeta(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'id inválido' });
+  try {
+    const pool = await getPool();
+    const r = await pool.request().input('id', sql.Int, id)
+      .query(`SELECT ${SELECT_COLS} FROM ${TABELA_META} WHERE id = @id`);
+    const row = (r.recordset || [])[0];
+    if (!row) return res.status(404).json({ error: 'meta não encontrada' });
+    return res.json(mapRow(row));
+  } catch (err) {
+    return sendError(res, err, 'getMeta');
+  }
+}
+
+// POST /api/metas
+async function createMeta(req, res) {
+  const { erro, dados } = validarMeta(req.body, false);
+  if (erro) return res.status(400).json({ error: erro });
+  try {
+    const pool = await getPool();
+    const request = pool.request();
+    const cols = Object.keys(dados);
+    cols.forEach(c => request.input(c, INPUT_TYPES[c], dados[c]));
+    const r = await request.query(`
+      INSERT INTO ${TABELA_META} (${cols.join(', ')}, updated_at)
+      OUTPUT INSERTED.id
+      VALUES (${cols.map(valueSql).join(', ')}, GETDATE())
+    `);
+    const id = r.recordset && r.recordset[0] && r.recordset[0].id;
+    if (DEBUG) console.log(`[metaController] meta ${id} criada`);
+    req.params.id = String(id);
+    res.status(201);
+    return getMeta(req, res);
+  } catch (err) {
+    return sendError(res, err, 'createMeta');
+  }
+}
+
+// PUT /api/metas/:id (parcial)
+async function updateMeta(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'id inválido' });
+  const { erro, dados } = validarMeta(req.body, true);
+  if (erro) return res.status(400).json({ error: erro });
+  const cols = Object.keys(dados);
+  if (!cols.length) return res.status(400).json({ error: 'nenhum campo para atualizar' });
+  try {
+    const pool = await getPool();
+    const atual = await pool.request().input('id', sql.Int, id)
+      .query(`SELECT ${SELECT_COLS} FROM ${TABELA_META} WHERE id = @id`);
+    const row = (atual.recordset || [])[0];
+    if (!row) return res.status(404).json({ error: 'meta não encontrada' });
+
+    // faixa editada parcialmente não pode ficar invertida
+    const inicio = dados.hora_inicio || row.hora_inicio;
+    const fim = dados.hora_fim || row.hora_fim;
+    if (inicio >= fim) return res.status(400).json({ error: 'horaInicio deve ser anterior a horaFim' });
+
+    const request = pool.request().input('id', sql.Int, id);
+    cols.forEach(c => request.input(c, INPUT_TYPES[c], dados[c]));
+    const r = await request.query(`
+      UPDATE ${TABELA_META}
+      SET ${cols.map(c => `${c} = ${valueSql(c)}`).join(', ')}, updated_at = GETDATE()
+      WHERE id = @id;
+      SELECT ${SELECT_COLS} FROM ${TABELA_META} WHERE id = @id;
+    `);
+    return res.json(mapRow((r.recordset || [])[0] || row));
+  } catch (err) {
+    return sendError(res, err, 'updateMeta');
+  }
+}
+
+// DELETE /api/metas/:id
+async function deleteMeta(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'id inválido' });
+  try {
+    const pool = await getPool();
+    const r = await pool.request().input('id', sql.Int, id)
+      .query(`DELETE FROM ${TABELA_META} WHERE id = @id`);
+    const affected = (r.rowsAffected || []).reduce((a, b) => a + b, 0);
+    if (!affected) return res.status(404).json({ error: 'meta não encontrada' });
+    return res.json({ ok: true, deleted: id });
+  } catch (err) {
+    return sendError(res, err, 'deleteMeta');
+  }
+}
+
+/* ---------------------- Exports / Debug ---------------------- */
+module.exports = {
+  listMetas,
+  getMeta,
+  createMeta,
+  updateMeta,
+  deleteMeta,
+  getMetaVigente,
+  __internal: {
+    partesHorario,
+    validarMeta,
+    lastErrorRef: () => lastError,
+  },
+};
@@ -0,0 +1,290 @@
+// controllers/metaVendaController.js
+// Metas de venda (R$) por vendedor ou padrão por equipe, por período (tabela dbo.meta_vendedor).
+// Exporta:
+//  - listMetasVendas / getMetaVenda / createMetaVenda / updateMetaVenda / deleteMetaVenda -> handlers Express (/api/metas-vendas)
+//  - getMetasVendas(empresa, periodo)   -> { vendedores: Map, equipes: Map } (usada pelo rankingController)
+//  - metaDoVendedor(metas, row)          -> meta do vendedor (própria > padrão da equipe) ou null
+//  - __internal.*                        -> referências para debugging
+
+const { getLocalPool, sql } = require('../config/db.js');
+
+const DEBUG = !!process.env.DEBUG;
+const TABELA_META_VENDA = process.env.TABELA_META_VENDA || 'dbo.meta_vendedor';
+const CACHE_MS = parseInt(process.env.META_VENDA_CACHE_MS || '60000', 10);
+const PERIODOS_META = ['dia', 'semana', 'mes'];
+
+let tableReady = false;
+let lastError = null;
+// cache por `${empresa}|${periodo}`: { data, ts }
+const metasCache = new Map();
+
+/* ---------------------- helpers ---------------------- */
+
+function mapRow(row) {
+  return {
+    id: row.id,
+    empresa: row.empresa,
+    vendedorId: row.vendedor_id || null,
+    equipe: row.equipe || null,
+    periodo: row.periodo,
+    valor: Number(row.valor) || 0,
+    ativo: !!row.ativo,
+    updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : null,
+  };
+}
+
+/**
+ * Valida o corpo de criação/edição. Em edição (parcial) só valida os campos enviados.
+ * Retorna { erro } ou { dados } com os nomes de coluna.
+ */
+function validarMetaVenda(body = {}, parcial = false) {
+  const dados = {};
+  const has = (k) => body[k] !== undefined;
+
+  if (has('empresa') || !parcial) {
+    const empresa = String(body.empresa || '').trim();
+    if (!empresa) return { erro: 'empresa obrigatória' };
+    dados.empresa = empresa;
+  }
+  if (has('vendedorId')) dados.vendedor_id = String(body.vendedorId || '').trim() || null;
+  if (has('equipe')) dados.equipe = String(body.equipe || '').trim() || null;
+  if (!parcial && !dados.vendedor_id && !dados.equipe) {
+    return { erro: 'informe vendedorId (meta individual) ou equipe (padrão da equipe)' };
+  }
+  if (has('periodo') || !parcial) {
+    const periodo = String(body.periodo || '').trim().toLowerCase();
+    if (!PERIODOS_META.includes(periodo)) return { erro: `periodo deve ser ${PERIODOS_META.join('|')}` };
+    dados.periodo = periodo;
+  }
+  if (has('valor') || !parcial) {
+    const valor = Number(body.valor);
+    if (!Number.isFinite(valor) || valor <= 0) return { erro: 'valor deve ser número > 0' };
+    dados.valor = Math.round(valor * 100) / 100;
+  }
+  if (has('ativo')) dados.ativo = body.ativo ? 1 : 0;
+
+  return { dados };
+}
+
+const INPUT_TYPES = {
+  empresa: sql.VarChar(200),
+  vendedor_id: sql.VarChar(50),
+  equipe: sql.VarChar(200),
+  periodo: sql.VarChar(10),
+  valor: sql.Decimal(18, 2),
+  ativo: sql.Bit,
+};
+
+const SELECT_COLS = 'id, empresa, vendedor_id, equipe, periodo, valor, ativo, updated_at';
+
+async function ensureMetaVendaTable(pool) {
+  if (tableReady) return;
+  const [schema, table] = TABELA_META_VENDA.replace(/\[|\]/g, '').split('.');
+  await pool.request().query(`
+    IF OBJECT_ID(N'${schema}.${table}', N'U') IS NULL
+    BEGIN
+      CREATE TABLE ${schema}.${table} (
+        id          INT IDENTITY(1,1) PRIMARY KEY,
+        empresa     VARCHAR(200) NOT NULL,
+        vendedor_id VARCHAR(50) NULL,    -- meta individual
+        equipe      VARCHAR(200) NULL,   -- padrão da equipe (vendedor_id NULL)
+        periodo     VARCHAR(10) NOT NULL, -- dia | semana | mes
+        valor       DECIMAL(18,2) NOT NULL,
+        ativo       BIT NOT NULL DEFAULT 1,
+        updated_at  DATETIME NOT NULL DEFAULT GETDATE()
+      );
+      CREATE INDEX IX_${table}_empresa_periodo ON ${schema}.${table} (empresa, periodo);
+    END
+  `);
+  tableReady = true;
+}
+
+async function getPool() {
+  const pool = await getLocalPool();
+  if (!pool) throw new Error('Pool LOCAL indisponível');
+  await ensureMetaVendaTable(pool);
+  return pool;
+}
+
+function sendError(res, err, where) {
+  lastError = err;
+  console.error(`❌ [metaVendaController] ${where} erro:`, err && err.message ? err.message : err);
+  return res.status(500).json({ error: err && err.message ? err.message : String(err) });
+}
+
+/* ---------------------- metas aplicáveis ---------------------- */
+/**
+ * Metas ativas da empresa no período, indexadas por vendedor e por equipe.
+ * Períodos sem meta (ex.: custom) retornam mapas vazios.
+ */
+async function getMetasVendas(empresa, periodo = 'dia') {
+  const vazio = { vendedores: new Map(), equipes: new Map() };
+  if (!PERIODOS_META.includes(periodo)) return vazio;
+
+  const key = `${empresa}|${periodo}`;
+  const cache = metasCache.get(key);
+  if (cache && (Date.now() - cache.ts) < CACHE_MS) return cache.data;
+
+  const pool = await getPool();
+  const r = await pool.request()
+    .input('empresa', sql.VarChar(200), String(empresa))
+    .input('periodo', sql.VarChar(10), periodo)
+    .query(`
+      SELECT ${SELECT_COLS}
+      FROM ${TABELA_META_VENDA}
+      WHERE empresa = @empresa AND periodo = @periodo AND ativo = 1
+    `);
+
+  const data = { vendedores: new Map(), equipes: new Map() };
+  for (const m of (r.recordset || []).map(mapRow)) {
+    if (m.vendedorId) data.vendedores.set(m.vendedorId, m.valor);
+    else if (m.equipe) data.equipes.set(m.equipe, m.valor);
+  }
+  metasCache.set(key, { data, ts: Date.now() });
+  return data;
+}
+
+/** Meta do vendedor: individual tem prioridade sobre o padrão da equipe. */
+function metaDoVendedor(metas, row = {}) {
+  if (!metas) return null;
+  const id = String(row.id || row.vendedor_id || '');
+  if (id && metas.vendedores.has(id)) return metas.vendedores.get(id);
+  const equipe = String(row.equipe || '').trim();
+  if (equipe && metas.equipes.has(equipe)) return metas.equipes.get(equipe);
+  return null;
+}
+
+/* ---------------------- handlers /api/metas-vendas ---------------------- */
+
+// GET /api/metas-vendas?empresa=&equipe=&vendedorId=&periodo=
+async function listMetasVendas(req, res) {
+  try {
+    const pool = await getPool();
+    const request = pool.request();
+    const conds = [];
+    if (req.query.empresa) { request.input('empresa', sql.VarChar(200), String(req.query.empresa)); conds.push('empresa = @empresa'); }
+    if (req.query.equipe) { request.input('equipe', sql.VarChar(200), String(req.query.equipe)); conds.push('equipe = @equipe'); }
+    if (req.query.vendedorId) { request.input('vendedor_id', sql.VarChar(50), String(req.query.vendedorId)); conds.push('vendedor_id = @vendedor_id'); }
+    if (req.query.periodo) { request.input('periodo', sql.VarChar(10), String(req.query.periodo)); conds.push('periodo = @periodo'); }
+    const r = await request.query(`
+      SELECT ${SELECT_COLS}
+      FROM ${TABELA_META_VENDA}
+      ${conds.length ? `WHERE ${conds.join(' AND ')}` : ''}
+      ORDER BY empresa, periodo, equipe, vendedor_id
+    `);
+    return res.json((r.recordset || []).map(mapRow));
+  } catch (err) {
+    return sendError(res, err, 'listMetasVendas');
+  }
+}
+
+// GET /api/metas-vendas/:id
+async function getMetaVenda(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'id inválido' });
+  try {
+    const pool = await getPool();
+    const r = await pool.request().input('id', sql.Int, id)
+      .query(`SELECT ${SELECT_COLS} FROM ${TABELA_META_VENDA} WHERE id = @id`);
+    const row = (r.recordset || [])[0];
+    if (!row) return res.status(404).json({ error: 'meta não encontrada' });
+    return res.json(mapRow(row));
+  } catch (err) {
+    return sendError(res, err, 'getMetaVenda');
+  }
+}
+
+// POST /api/metas-vendas
+async function createMetaVenda(req, res) {
+  const { erro, dados } = validarMetaVenda(req.body, false);
+  if (erro) return res.status(400).json({ error: erro });
+  try {
+    const pool = await getPool();
+    const request = pool.request();
+    const cols = Object.keys(dados);
+    cols.forEach(c => request.input(c, INPUT_TYPES[c], dados[c]));
+    const r = await request.query(`
+      INSERT INTO ${TABELA_META_VENDA} (${cols.join(', ')}, updated_at)
+      OUTPUT INSERTED.id
+      VALUES (${cols.map(c => `@${c}`).join(', ')}, GETDATE())
+    `);
+    metasCache.clear();
+    const id = r.recordset && r.recordset[0] && r.recordset[0].id;
+    if (DEBUG) console.log(`[metaVendaController] meta ${id} criada`);
+    req.params.id = String(id);
+    res.status(201);
+    return getMetaVenda(req, res);
+  } catch (err) {
+    return sendError(res, err, 'createMetaVenda');
+  }
+}
+
+// PUT /api/metas-vendas/:id (parcial)
+async function updateMetaVenda(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'id inválido' });
+  const { erro, dados } = validarMetaVenda(req.body, true);
+  if (erro) return res.status(400).json({ error: erro });
+  const cols = Object.keys(dados);
+  if (!cols.length) return res.status(400).json({ error: 'nenhum campo para atualizar' });
+  try {
+    const pool = await getPool();
+    const atual = await pool.request().input('id', sql.Int, id)
+      .query(`SELECT ${SELECT_COLS} FROM ${TABELA_META_VENDA} WHERE id = @id`);
+    const row = (atual.recordset || [])[0];
+    if (!row) return res.status(404).json({ error: 'meta não encontrada' });
+
+    // a meta precisa continuar apontando para um vendedor ou uma equipe
+    const vendedor = dados.vendedor_id !== undefined ? dados.vendedor_id : row.vendedor_id;
+    const equipe = dados.equipe !== undefined ? dados.equipe : row.equipe;
+    if (!vendedor && !equipe) {
+      return res.status(400).json({ error: 'informe vendedorId (meta individual) ou equipe (padrão da equipe)' });
+    }
+
+    const request = pool.request().input('id', sql.Int, id);
+    cols.forEach(c => request.input(c, INPUT_TYPES[c], dados[c]));
+    const r = await request.query(`
+      UPDATE ${TABELA_META_VENDA}
+      SET ${cols.map(c => `${c} = @${c}`).join(', ')}, updated_at = GETDATE()
+      WHERE id = @id;
+      SELECT ${SELECT_COLS} FROM ${TABELA_META_VENDA} WHERE id = @id;
+    `);
+    metasCache.clear();
+    return res.json(mapRow((r.recordset || [])[0] || row));
+  } catch (err) {
+    return sendError(res, err, 'updateMetaVenda');
+  }
+}
+
+// DELETE /api/metas-vendas/:id
+async function deleteMetaVenda(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'id inválido' });
+  try {
+    const pool = await getPool();
+    const r = await pool.request().input('id', sql.Int, id)
+      .query(`DELETE FROM ${TABELA_META_VENDA} WHERE id = @id`);
+    const affected = (r.rowsAffected || []).reduce((a, b) => a + b, 0);
+    if (!affected) return res.status(404).json({ error: 'meta não encontrada' });
+    metasCache.clear();
+    return res.json({ ok: true, deleted: id });
+  } catch (err) {
+    return sendError(res, err, 'deleteMetaVenda');
+  }
+}
+
+/* ---------------------- Exports / Debug ---------------------- */
+module.exports = {
+  listMetasVendas,
+  getMetaVenda,
+  createMetaVenda,
+  updateMetaVenda,
+  deleteMetaVenda,
+  getMetasVendas,
+  metaDoVendedor,
+  __internal: {
+    validarMetaVenda,
+    clearCache: () => metasCache.clear(),
+    lastErrorRef: () => lastError,
+  },
+};
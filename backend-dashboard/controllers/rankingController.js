@@ -1,20 +1,74 @@
 // controllers/rankingController.js
 // Controlador do /api/ranking com integração ao services/fotoService
-// Persistência em dbo.ranking_operador (vendedor_id, nome, equipe, foto, valor_vendido, posicao, empresa, updated_at)
+// Persistência em dbo.ranking_operador (vendedor_id, nome, equipe, foto, valor_vendido, posicao, empresa, updated_at,
+//   periodo, periodo_inicio, periodo_fim, posicao_anterior) — um snapshot por empresa/período/dia
+// Troca de líder vira evento em dbo.ranking_ultrapassagem (GET /api/ranking/ultrapassagens)
+// Histórico: snapshots do ranking diário com data/hora em dbo.ranking_historico
+//   (GET /api/ranking/historico?data=, GET /api/ranking/historico/vendedor/:id?inicio=&fim=)
+// Períodos: ?periodo=dia|semana|mes|custom (custom exige ?inicio=&fim= YYYY-MM-DD)
+// Paginação: ?limit=&offset= — o cache guarda a classificação completa (todos com venda no período)
+// Critério: ?criterio=valor|quantidade|ticket_medio — o cache é sempre por valor; os demais reordenam na resposta
+// Filtro: ?produto=&convenio= (colunas de cadastrados, só valores já cadastrados) — entra na chave do cache; rankings filtrados
+//   e de período custom não são persistidos nem geram histórico/ultrapassagem/variação de posição
+// Cache, posições e estado do histórico guardam no máximo RANKING_CACHE_MAX_KEYS chaves cada (sai a menos usada)
+// Fotos: buscadas na resposta, só para as linhas exibidas (página / topVendedor das equipes)
 
 const { getLocalPool, getCloudPool, sql } = require('../config/db.js');
+const { sendJsonWithEtag } = require('../utils/helpers.js');
 
 const DEBUG = !!process.env.DEBUG;
 const DEFAULT_EMPRESA = process.env.DEFAULT_EMPRESA || 'VIEIRACRED';
 const CACHE_MS = parseInt(process.env.RANKING_CACHE_MS || '15000', 10);
+const CACHE_MAX_KEYS = parseInt(process.env.RANKING_CACHE_MAX_KEYS || '200', 10);
 const SALES_BATCH_SIZE = parseInt(process.env.SALES_BATCH_SIZE || '300', 10);
+const CUSTOM_MAX_DIAS = parseInt(process.env.RANKING_CUSTOM_MAX_DIAS || '366', 10);
+const DEFAULT_LIMIT = parseInt(process.env.RANKING_DEFAULT_LIMIT || '5', 10);
+const MAX_LIMIT = parseInt(process.env.RANKING_MAX_LIMIT || '500', 10);
+// por quanto tempo a última subida/descida continua visível depois que o vendedor para de mudar
+const VARIACAO_MS = parseInt(process.env.RANKING_VARIACAO_MS || '600000', 10);
+const TABELA_ULTRAPASSAGEM = process.env.TABELA_ULTRAPASSAGEM || 'dbo.ranking_ultrapassagem';
+const TABELA_HISTORICO = process.env.TABELA_RANKING_HIST || 'dbo.ranking_historico';
+// intervalo mínimo entre snapshots da mesma chave (só grava se o ranking mudou)
+const HIST_INTERVAL_MS = parseInt(process.env.RANKING_HIST_INTERVAL_MS || '300000', 10);
+const HIST_MAX_DIAS = parseInt(process.env.RANKING_HIST_MAX_DIAS || '90', 10);
+// validade da lista de produtos/convênios aceitos em ?produto=&convenio=
+const FILTRO_VALORES_MS = parseInt(process.env.RANKING_FILTRO_VALORES_MS || '600000', 10);
+// fuso dos períodos (dia/semana/mês) e do dia do histórico; o mesmo do expediente por padrão
+const RANKING_TZ = process.env.RANKING_TZ || process.env.EXPEDIENTE_TZ || 'America/Sao_Paulo';
+const PERIODOS = ['dia', 'semana', 'mes', 'custom'];
+// campo de cada linha usado para ordenar conforme ?criterio= (Map: 'constructor' e afins não passam como critério)
+const CRITERIOS = new Map([['valor', 'valorVendido'], ['quantidade', 'quantidade'], ['ticket_medio', 'ticketMedio']]);
+const CRITERIO_INVALIDO = `criterio inválido: use ${[...CRITERIOS.keys()].join('|')}`;
 
 const escapeSqlStr = s => String(s || '').replace(/'/g, "''");
 const toInList = arr => arr.map(id => `'${escapeSqlStr(id)}'`).join(',');
 
-// cache por empresa: { data, ts, isFetching, fetchPromise }
+// cache por empresa+período (`${empresa}|${periodo}|${inicio}|${fim}`): { data, ts, isFetching, fetchPromise }
 const rankingCacheMap = new Map();
 const lastErrorMap = new Map();
+let periodoColsReady = false;
+let ultrapassagemTableReady = false;
+let historicoTableReady = false;
+// último snapshot gravado por chave de período: { assinatura, ts }
+const historicoState = new Map();
+// snapshot do histórico adiado pelo intervalo mínimo: chave -> { empresa, periodo, rows, timer }
+const historicoPendente = new Map();
+// posições da última atualização por chave de período: Map(id -> { posicao, posicaoAnterior, mudouEm })
+const posicoesMap = new Map();
+// valores distintos de produto/convênio em cadastrados: coluna -> { valores: Map(minúsculo -> valor), ts }
+const filtroValoresCache = new Map();
+
+/**
+ * Grava no map por chave de período limitando a CACHE_MAX_KEYS (sai a chave usada há mais tempo).
+ * Períodos custom e filtros geram chaves livres; dias que já passaram também saem por aqui.
+ */
+function guardarCache(map, key, valor) {
+  map.delete(key); // reinsere no fim: a ordem do Map é a de uso
+  while (map.size >= Math.max(1, CACHE_MAX_KEYS)) {
+    map.delete(map.keys().next().value);
+  }
+  map.set(key, valor);
+}
 
 /* ---------------------- fotoService (opcional) ---------------------- */
 let fotoService = null;
@@ -26,6 +80,33 @@ try {
   fotoService = null;
 }
 
+/* ---------------------- metaVendaController (opcional) ---------------------- */
+let metaVendaController = null;
+try {
+  metaVendaController = require('./metaVendaController.js');
+} catch (e) {
+  if (DEBUG) console.log('[rankingController] metaVendaController não encontrado, ranking sem metas.');
+  metaVendaController = null;
+}
+
+/* ---------------------- empresaController (opcional, lista do scheduler) ---------------------- */
+let empresaController = null;
+try {
+  empresaController = require('./empresaController.js');
+} catch (e) {
+  if (DEBUG) console.log('[rankingController] empresaController não encontrado, scheduler só para DEFAULT_EMPRESA.');
+  empresaController = null;
+}
+
+/* ---------------------- vendasController (opcional, colunas de cadastrados) ---------------------- */
+let vendasController = null;
+try {
+  vendasController = require('./vendasController.js');
+} catch (e) {
+  if (DEBUG) console.log('[rankingController] vendasController não encontrado, ranking sem filtro de produto/convênio.');
+  vendasController = null;
+}
+
 /* ---------------------- HELPERS (fallback DB) ---------------------- */
 
 async function fetchFotosMapFromDb(ids = [], useCloud = true) {
@@ -98,9 +179,195 @@ async function getFotosMap(ids = []) {
   return await fetchFotosMapFallback(ids);
 }
 
+/**
+ * Completa `foto` só das linhas que vão na resposta (página do ranking, topVendedor das equipes).
+ * O fotoService tem cache próprio; em erro as linhas seguem com a foto que já tinham.
+ */
+async function comFotos(rows = []) {
+  if (!rows.length) return rows;
+  let fotosMap;
+  try {
+    fotosMap = await getFotosMap(rows.map(r => String(r.id)));
+  } catch (e) {
+    if (DEBUG) console.warn('[rankingController] getFotosMap erro, prosseguindo sem fotos:', e && e.message ? e.message : e);
+    return rows;
+  }
+  return rows.map(r => {
+    if (!fotosMap.has(String(r.id))) return r;
+    const rawFoto = String(fotosMap.get(String(r.id)) || '').trim();
+    const foto = (fotoService && typeof fotoService.sanitizeFotoPath === 'function')
+      ? fotoService.sanitizeFotoPath(rawFoto)
+      : (rawFoto || null);
+    return { ...r, foto };
+  });
+}
+
+/* ---------------------- HELPERS: período ---------------------- */
+
+/**
+ * Data (YYYY-MM-DD) e dia da semana (0=domingo) no fuso RANKING_TZ.
+ * Períodos, histórico e snapshots usam só este relógio — nunca o fuso do processo nem o GETDATE() do banco.
+ */
+function partesData(d = new Date(), timeZone = RANKING_TZ) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'short'
+  }).formatToParts(d);
+  const get = (type) => (parts.find(p => p.type === type) || {}).value;
+  const dias = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return { data: `${get('year')}-${get('month')}-${get('day')}`, diaSemana: dias.indexOf(get('weekday')) };
+}
+
+const dataLocalISO = (d = new Date()) => partesData(d).data;
+
+// soma dias a uma data YYYY-MM-DD (aritmética de calendário, sem fuso)
+function somarDias(iso, dias) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + dias);
+  return d.toISOString().slice(0, 10);
+}
+
+function parseDataISO(v) {
+  if (!v) return null;
+  const s = String(v).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return undefined;
+  const d = new Date(`${s}T00:00:00Z`);
+  return (Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== s) ? undefined : s;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Resolve o período pedido em datas (fim inclusivo).
+ * - dia: hoje | semana: segunda-feira até hoje | mes: dia 1 até hoje | custom: inicio/fim
+ * Lança erro com status 400 para parâmetros inválidos.
+ * @returns {{ periodo: string, inicio: string, fim: string }}
+ */
+function resolvePeriodo(query = {}) {
+  const periodo = String(query.periodo || 'dia').trim().toLowerCase();
+  if (!PERIODOS.includes(periodo)) {
+    throw badRequest(`periodo inválido: use ${PERIODOS.join('|')}`);
+  }
+
+  const { data: fimHoje, diaSemana } = partesData();
+
+  if (periodo === 'dia') return { periodo, inicio: fimHoje, fim: fimHoje };
+
+  if (periodo === 'semana') {
+    return { periodo, inicio: somarDias(fimHoje, -((diaSemana + 6) % 7)), fim: fimHoje };
+  }
+
+  if (periodo === 'mes') {
+    return { periodo, inicio: `${fimHoje.slice(0, 8)}01`, fim: fimHoje };
+  }
+
+  const inicio = parseDataISO(query.inicio);
+  const fim = parseDataISO(query.fim);
+  if (!inicio || !fim) throw badRequest('periodo=custom exige inicio e fim no formato YYYY-MM-DD');
+  if (inicio > fim) throw badRequest('inicio deve ser anterior ou igual a fim');
+  const dias = (Date.parse(`${fim}T00:00:00Z`) - Date.parse(`${inicio}T00:00:00Z`)) / 86400000 + 1;
+  if (dias > CUSTOM_MAX_DIAS) throw badRequest(`intervalo máximo de ${CUSTOM_MAX_DIAS} dias`);
+  return { periodo, inicio, fim };
+}
+
+// filtro vazio mantém a chave antiga (a do ranking geral)
+const periodoKey = (empresa, p, filtro = {}) => {
+  const base = `${empresa}|${p.periodo}|${p.inicio}|${p.fim}`;
+  return temFiltro(filtro) ? `${base}|produto=${filtro.produto || ''}|convenio=${filtro.convenio || ''}` : base;
+};
+
+/* ---------------------- HELPERS: filtro produto/convênio ---------------------- */
+
+const temFiltro = (filtro = {}) => !!(filtro.produto || filtro.convenio);
+
+/**
+ * Lê ?produto=&convenio= (comparação exata com as colunas de cadastrados).
+ * @returns {{ produto: string|null, convenio: string|null }}
+ */
+function resolveFiltro(query = {}) {
+  const limpa = v => {
+    const s = String(v || '').trim();
+    if (s.length > 100) throw badRequest('produto/convenio aceitam no máximo 100 caracteres');
+    return s || null;
+  };
+  return { produto: limpa(query.produto), convenio: limpa(query.convenio) };
+}
+
+/**
+ * Valores distintos da coluna em cadastrados (chave em minúsculas -> valor como gravado),
+ * em cache por RANKING_FILTRO_VALORES_MS.
+ */
+async function valoresDoFiltro(pool, coluna) {
+  const cache = filtroValoresCache.get(coluna);
+  if (cache && (Date.now() - cache.ts) < FILTRO_VALORES_MS) return cache.valores;
+  const r = await pool.request().query(`
+    SELECT DISTINCT LTRIM(RTRIM(${coluna})) AS valor
+    FROM cadastrados
+    WHERE ${coluna} IS NOT NULL AND LTRIM(RTRIM(${coluna})) <> ''
+  `);
+  const valores = new Map((r.recordset || []).map(x => [String(x.valor).toLowerCase(), String(x.valor)]));
+  filtroValoresCache.set(coluna, { valores, ts: Date.now() });
+  return valores;
+}
+
+/**
+ * Confirma que as colunas pedidas no filtro existem em cadastrados e que os valores estão
+ * entre os já cadastrados (400 quando não). Devolve o filtro com a grafia gravada no banco,
+ * para que 'cartao' e 'CARTAO' caiam na mesma chave de cache/posições.
+ * @returns {Promise<{ produto: string|null, convenio: string|null }>}
+ */
+async function validarFiltro(filtro = {}) {
+  if (!temFiltro(filtro)) return filtro;
+  if (!vendasController || typeof vendasController.detectCadastradosCols !== 'function') {
+    throw badRequest('filtro por produto/convenio indisponível');
+  }
+  const pool = await getCloudPool();
+  if (!pool) throw new Error('Pool CLOUD indisponível');
+  const cols = await vendasController.detectCadastradosCols(pool);
+  const out = { ...filtro };
+  for (const campo of ['produto', 'convenio']) {
+    if (!filtro[campo]) continue;
+    if (!cols[campo]) throw badRequest(`cadastrados não tem a coluna ${campo}`);
+    const valor = (await valoresDoFiltro(pool, cols[campo])).get(filtro[campo].toLowerCase());
+    if (!valor) throw badRequest(`${campo} desconhecido: ${filtro[campo]}`);
+    out[campo] = valor;
+  }
+  return out;
+}
+
+/* ---------------------- HELPERS: critério ---------------------- */
+
+function resolveCriterio(query = {}) {
+  const criterio = String(query.criterio || 'valor').trim().toLowerCase();
+  if (!CRITERIOS.has(criterio)) throw badRequest(CRITERIO_INVALIDO);
+  return criterio;
+}
+
+const ticketMedio = (valor, quantidade) => (quantidade > 0 ? Math.round((valor / quantidade) * 100) / 100 : 0);
+
+/**
+ * Reordena a classificação (que vem ordenada por valor) pelo critério pedido e renumera as posições.
+ * Empate desempata pelo valor vendido (persistindo, mantém a ordem recebida). Fora do critério 'valor'
+ * não há posição anterior rastreada, então posicaoAnterior/variacao saem null.
+ * Critério desconhecido lança erro com status 400, como em resolveCriterio.
+ */
+function ordenarPorCriterio(rows = [], criterio = 'valor') {
+  const campo = CRITERIOS.get(criterio);
+  if (!campo) throw badRequest(CRITERIO_INVALIDO);
+  if (criterio === 'valor') return rows;
+  return rows
+    .slice()
+    .sort((a, b) => (Number(b[campo]) || 0) - (Number(a[campo]) || 0) || (b.valorVendido - a.valorVendido))
+    .map((r, idx) => ({ ...r, posicao: idx + 1, posicaoAnterior: null, variacao: null }));
+}
+
 /* ---------------------- HELPERS: vendas ---------------------- */
 
-async function getSalesTodayForVendedorIds(ids = [], batchSize = SALES_BATCH_SIZE) {
+// Map(id -> { valor, quantidade }) com a soma de valor_referencia e o número de contratos no período
+async function getSalesForVendedorIds(ids = [], periodo = resolvePeriodo(), batchSize = SALES_BATCH_SIZE, filtro = {}) {
   const acc = new Map();
   if (!ids || !ids.length) return acc;
   try {
@@ -110,34 +377,125 @@ async function getSalesTodayForVendedorIds(ids = [], batchSize = SALES_BATCH_SIZ
       const chunk = ids.slice(i, i + batchSize);
       const idsList = toInList(chunk);
       const q = `
-        SELECT vendedor_id AS id, SUM(valor_referencia) AS valor
+        SELECT vendedor_id AS id, SUM(valor_referencia) AS valor, COUNT(*) AS quantidade
         FROM cadastrados
         WHERE vendedor_id IN (${idsList})
-          AND CAST(data_cadastro AS DATE) = CAST(GETDATE() AS DATE)
+          AND CAST(data_cadastro AS DATE) BETWEEN CAST(@inicio AS DATE) AND CAST(@fim AS DATE)${
+          filtro.produto ? `
+          AND produto = @produto` : ''}${
+          filtro.convenio ? `
+          AND convenio = @convenio` : ''}
         GROUP BY vendedor_id
       `;
-      const r = await pool.request().query(q);
+      const req = pool.request();
+      req.input('inicio', sql.VarChar(10), periodo.inicio);
+      req.input('fim', sql.VarChar(10), periodo.fim);
+      if (filtro.produto) req.input('produto', sql.VarChar(100), filtro.produto);
+      if (filtro.convenio) req.input('convenio', sql.VarChar(100), filtro.convenio);
+      const r = await req.query(q);
       for (const row of r.recordset || []) {
         const key = String(row.id);
-        const prev = acc.get(key) || 0;
-        acc.set(key, prev + (parseFloat(row.valor) || 0));
+        const prev = acc.get(key) || { valor: 0, quantidade: 0 };
+        acc.set(key, {
+          valor: prev.valor + (parseFloat(row.valor) || 0),
+          quantidade: prev.quantidade + (parseInt(row.quantidade, 10) || 0)
+        });
       }
     }
     return acc;
   } catch (e) {
-    if (DEBUG) console.error('[rankingController] getSalesTodayForVendedorIds erro:', e && e.message ? e.message : e);
+    if (DEBUG) console.error('[rankingController] getSalesForVendedorIds erro:', e && e.message ? e.message : e);
     throw e;
   }
 }
 
 /* ---------------------- PERSISTÊNCIA EM TABELA ranking_operador ---------------------- */
 
+// linhas antigas (antes das colunas de período) contam como snapshot 'dia' do próprio updated_at
+const FILTRO_PERIODO_SQL = `
+        AND ISNULL(periodo, 'dia') = @periodo
+        AND ISNULL(periodo_inicio, CAST(updated_at AS DATE)) = CAST(@inicio AS DATE)
+        AND ISNULL(periodo_fim, CAST(updated_at AS DATE)) = CAST(@fim AS DATE)`;
+
+function inputPeriodo(req, periodo) {
+  req.input('periodo', sql.VarChar(10), periodo.periodo);
+  req.input('inicio', sql.VarChar(10), periodo.inicio);
+  req.input('fim', sql.VarChar(10), periodo.fim);
+  return req;
+}
+
+/**
+ * Garante as colunas periodo/periodo_inicio/periodo_fim/posicao_anterior/quantidade em dbo.ranking_operador (uma vez por processo)
+ */
+async function ensurePeriodoColumns(pool) {
+  if (periodoColsReady) return;
+  await pool.request().query(`
+    IF COL_LENGTH('dbo.ranking_operador', 'periodo') IS NULL
+      ALTER TABLE dbo.ranking_operador ADD periodo VARCHAR(10) NULL;
+    IF COL_LENGTH('dbo.ranking_operador', 'periodo_inicio') IS NULL
+      ALTER TABLE dbo.ranking_operador ADD periodo_inicio DATE NULL;
+    IF COL_LENGTH('dbo.ranking_operador', 'periodo_fim') IS NULL
+      ALTER TABLE dbo.ranking_operador ADD periodo_fim DATE NULL;
+    IF COL_LENGTH('dbo.ranking_operador', 'posicao_anterior') IS NULL
+      ALTER TABLE dbo.ranking_operador ADD posicao_anterior INT NULL;
+    IF COL_LENGTH('dbo.ranking_operador', 'quantidade') IS NULL
+      ALTER TABLE dbo.ranking_operador ADD quantidade INT NULL;
+  `);
+  periodoColsReady = true;
+}
+
 /**
- * Persiste ranking do dia na tabela dbo.ranking_operador
+ * Linhas do snapshot no formato do bulk insert de dbo.ranking_operador.
+ * updated_at em UTC (mesma referência do SYSUTCDATETIME()).
+ */
+function tabelaRanking(empresa, rows, periodo) {
+  const tabela = new sql.Table('dbo.ranking_operador');
+  tabela.create = false;
+  tabela.columns.add('vendedor_id', sql.VarChar(50), { nullable: false });
+  tabela.columns.add('nome', sql.VarChar(200), { nullable: true });
+  tabela.columns.add('equipe', sql.VarChar(200), { nullable: true });
+  tabela.columns.add('foto', sql.VarChar(sql.MAX), { nullable: true });
+  tabela.columns.add('valor_vendido', sql.Decimal(18, 2), { nullable: true });
+  tabela.columns.add('quantidade', sql.Int, { nullable: true });
+  tabela.columns.add('posicao', sql.Int, { nullable: true });
+  tabela.columns.add('posicao_anterior', sql.Int, { nullable: true });
+  tabela.columns.add('empresa', sql.VarChar(200), { nullable: true });
+  tabela.columns.add('updated_at', sql.DateTime2, { nullable: true });
+  tabela.columns.add('periodo', sql.VarChar(10), { nullable: true });
+  tabela.columns.add('periodo_inicio', sql.Date, { nullable: true });
+  tabela.columns.add('periodo_fim', sql.Date, { nullable: true });
+
+  const agora = new Date();
+  const inicio = new Date(`${periodo.inicio}T00:00:00Z`);
+  const fim = new Date(`${periodo.fim}T00:00:00Z`);
+  for (const r of rows) {
+    const valor = Number.isFinite(Number(r.valorVendido)) ? Number(r.valorVendido) : 0;
+    tabela.rows.add(
+      String(r.id || ''),
+      r.nome || '',
+      r.equipe || '',
+      r.foto || null,
+      valor,
+      Number(r.quantidade) || 0,
+      Number(r.posicao || 0),
+      r.posicaoAnterior == null ? null : Number(r.posicaoAnterior),
+      String(empresa),
+      agora,
+      periodo.periodo,
+      inicio,
+      fim
+    );
+  }
+  return tabela;
+}
+
+/**
+ * Persiste snapshot do ranking na tabela dbo.ranking_operador
  * - empresa: string
- * - rows: [{ id, nome, equipe, foto, valorVendido, posicao }]
+ * - rows: [{ id, nome, equipe, foto, valorVendido, quantidade, posicao }]
+ * - periodo: { periodo, inicio, fim } (default: dia atual)
  */
-async function saveRankingToTable(empresa = DEFAULT_EMPRESA, rows = []) {
+async function saveRankingToTable(empresa = DEFAULT_EMPRESA, rows = [], periodo = resolvePeriodo()) {
   if (!Array.isArray(rows)) rows = [];
   let pool;
   try {
@@ -146,41 +504,25 @@ async function saveRankingToTable(empresa = DEFAULT_EMPRESA, rows = []) {
       if (DEBUG) console.warn('[rankingController] saveRankingToTable: local pool indisponível');
       return false;
     }
+    await ensurePeriodoColumns(pool);
 
     const tx = new sql.Transaction(pool);
     await tx.begin();
 
-    // Apaga registros do dia para a empresa
-    const delReq = new sql.Request(tx);
+    // Apaga o snapshot anterior da empresa para o mesmo período (periodo/inicio/fim identificam o
+    // snapshot; comparar updated_at com GETDATE() misturaria UTC com o fuso do banco)
+    const delReq = inputPeriodo(new sql.Request(tx), periodo);
     delReq.input('empresa', sql.VarChar, String(empresa));
     await delReq.query(`
       DELETE FROM dbo.ranking_operador
-      WHERE empresa = @empresa
-        AND CAST(updated_at AS DATE) = CAST(GETDATE() AS DATE)
+      WHERE empresa = @empresa${FILTRO_PERIODO_SQL}
     `);
 
-    // Inserir linhas
-    for (const r of rows) {
-      const req = new sql.Request(tx);
-      req.input('empresa', sql.VarChar, String(empresa));
-      req.input('posicao', sql.Int, Number(r.posicao || 0));
-      req.input('vendedor_id', sql.VarChar, String(r.id || ''));
-      req.input('nome', sql.VarChar, r.nome || '');
-      req.input('equipe', sql.VarChar, r.equipe || '');
-      req.input('foto', sql.VarChar(sql.MAX), r.foto || null);
-      // valor_vendido decimal(18,2)
-      const valor = Number.isFinite(Number(r.valorVendido)) ? Number(r.valorVendido) : 0;
-      req.input('valor_vendido', sql.Decimal(18, 2), valor);
-      await req.query(`
-        INSERT INTO dbo.ranking_operador
-          (vendedor_id, nome, equipe, foto, valor_vendido, posicao, empresa, updated_at)
-        VALUES
-          (@vendedor_id, @nome, @equipe, @foto, @valor_vendido, @posicao, @empresa, SYSUTCDATETIME())
-      `);
-    }
+    // Inserir linhas (bulk insert único, na mesma transação do DELETE)
+    if (rows.length) await new sql.Request(tx).bulk(tabelaRanking(empresa, rows, periodo));
 
     await tx.commit();
-    if (DEBUG) console.log(`[rankingController] saveRankingToTable: salvo ${rows.length} registros para ${empresa}`);
+    if (DEBUG) console.log(`[rankingController] saveRankingToTable: salvo ${rows.length} registros para ${periodoKey(empresa, periodo)}`);
     return true;
   } catch (e) {
     try { if (pool && pool.connected) { /* no-op */ } } catch (_) {}
@@ -194,34 +536,463 @@ async function saveRankingToTable(empresa = DEFAULT_EMPRESA, rows = []) {
 }
 
 /**
- * Lê ranking persistido para o dia atual a partir de updated_at
- * Retorna array de { id, nome, equipe, foto, valorVendido, posicao }
+ * Lê o snapshot persistido mais recente do período (para 'dia', o de hoje)
+ * Retorna array de { id, nome, equipe, foto, valorVendido, quantidade, ticketMedio, posicao }
  */
-async function getRankingFromTable(empresa = DEFAULT_EMPRESA) {
+async function getRankingFromTable(empresa = DEFAULT_EMPRESA, periodo = resolvePeriodo()) {
   try {
     const pool = await getLocalPool();
     if (!pool) return [];
-    const req = pool.request();
+    await ensurePeriodoColumns(pool);
+    const req = inputPeriodo(pool.request(), periodo);
     req.input('empresa', sql.VarChar, String(empresa));
     const r = await req.query(`
-      SELECT vendedor_id AS id, nome, equipe, foto, valor_vendido AS valorVendido, posicao, empresa, updated_at
+      SELECT vendedor_id AS id, nome, equipe, foto, valor_vendido AS valorVendido,
+             ISNULL(quantidade, 0) AS quantidade, posicao,
+             posicao_anterior AS posicaoAnterior,
+             CASE WHEN posicao_anterior IS NULL THEN NULL ELSE posicao_anterior - posicao END AS variacao,
+             empresa, updated_at
       FROM dbo.ranking_operador
-      WHERE empresa = @empresa
-        AND CAST(updated_at AS DATE) = CAST(GETDATE() AS DATE)
+      WHERE empresa = @empresa${FILTRO_PERIODO_SQL}
+        AND CAST(updated_at AS DATE) = (
+          SELECT MAX(CAST(updated_at AS DATE))
+          FROM dbo.ranking_operador
+          WHERE empresa = @empresa${FILTRO_PERIODO_SQL}
+        )
       ORDER BY posicao ASC
     `);
-    return r.recordset || [];
+    return (r.recordset || []).map(row => ({
+      ...row,
+      ticketMedio: ticketMedio(Number(row.valorVendido) || 0, row.quantidade)
+    }));
   } catch (e) {
     console.error('[rankingController] getRankingFromTable erro:', e && e.message ? e.message : e);
     return [];
   }
 }
 
+/* ---------------------- HISTÓRICO (snapshots) ---------------------- */
+
+async function ensureHistoricoTable(pool) {
+  if (historicoTableReady) return;
+  const [schema, table] = TABELA_HISTORICO.replace(/\[|\]/g, '').split('.');
+  await pool.request().query(`
+    IF OBJECT_ID(N'${schema}.${table}', N'U') IS NULL
+    BEGIN
+      CREATE TABLE ${schema}.${table} (
+        id            BIGINT IDENTITY(1,1) PRIMARY KEY,
+        empresa       VARCHAR(200) NOT NULL,
+        dia           DATE NOT NULL,          -- dia do ranking (periodo 'dia')
+        snapshot_at   DATETIME NOT NULL,      -- momento do snapshot em UTC (mesmo para todas as linhas)
+        vendedor_id   VARCHAR(50) NOT NULL,
+        nome          VARCHAR(200) NULL,
+        equipe        VARCHAR(200) NULL,
+        valor_vendido DECIMAL(18,2) NOT NULL,
+        posicao       INT NOT NULL
+      );
+      CREATE INDEX IX_${table}_empresa_dia ON ${schema}.${table} (empresa, dia, snapshot_at);
+      CREATE INDEX IX_${table}_vendedor ON ${schema}.${table} (vendedor_id, dia);
+    END
+  `);
+  historicoTableReady = true;
+}
+
+const assinaturaRanking = rows => rows.map(r => `${r.id}:${r.posicao}:${r.valorVendido}`).join('|');
+
+/**
+ * Linhas do snapshot no formato do bulk insert de dbo.ranking_historico (snapshot_at em UTC).
+ */
+function tabelaHistorico(empresa, rows, periodo, snapshotAt) {
+  const tabela = new sql.Table(TABELA_HISTORICO);
+  tabela.create = false;
+  tabela.columns.add('empresa', sql.VarChar(200), { nullable: false });
+  tabela.columns.add('dia', sql.Date, { nullable: false });
+  tabela.columns.add('snapshot_at', sql.DateTime, { nullable: false });
+  tabela.columns.add('vendedor_id', sql.VarChar(50), { nullable: false });
+  tabela.columns.add('nome', sql.VarChar(200), { nullable: true });
+  tabela.columns.add('equipe', sql.VarChar(200), { nullable: true });
+  tabela.columns.add('valor_vendido', sql.Decimal(18, 2), { nullable: false });
+  tabela.columns.add('posicao', sql.Int, { nullable: false });
+
+  const dia = new Date(`${periodo.inicio}T00:00:00Z`);
+  for (const r of rows) {
+    tabela.rows.add(
+      String(empresa),
+      dia,
+      snapshotAt,
+      String(r.id || ''),
+      r.nome || null,
+      r.equipe || null,
+      Number(r.valorVendido) || 0,
+      Number(r.posicao || 0)
+    );
+  }
+  return tabela;
+}
+
+// cancela o snapshot adiado da chave; devolve o que estava pendente (ou null)
+function descartarPendente(key) {
+  const pend = historicoPendente.get(key);
+  if (!pend) return null;
+  clearTimeout(pend.timer);
+  historicoPendente.delete(key);
+  return pend;
+}
+
+// grava agora o snapshot adiado da chave (fechamento do dia ou fim do intervalo mínimo)
+function gravarPendente(key) {
+  const pend = descartarPendente(key);
+  if (!pend) return Promise.resolve(false);
+  return saveRankingSnapshot(pend.empresa, pend.periodo, pend.rows, { forcar: true }).catch(err => {
+    guardarCache(lastErrorMap, `${key}|historico`, err);
+    if (DEBUG) console.warn('[rankingController] snapshot adiado falhou:', err && err.message ? err.message : err);
+    return false;
+  });
+}
+
+/**
+ * Grava snapshot do ranking diário em dbo.ranking_historico quando ele mudou, no máximo um a cada
+ * RANKING_HIST_INTERVAL_MS por chave. Mudança dentro do intervalo fica pendente e é gravada quando
+ * ele termina — mesmo que o job pare (fim do expediente) — ou assim que o dia da empresa vira,
+ * então a última mudança do dia sempre vira snapshot (fechamento).
+ * - opts.forcar: ignora o intervalo mínimo
+ */
+async function saveRankingSnapshot(empresa, periodo, rows = [], opts = {}) {
+  if (periodo.periodo !== 'dia' || !rows.length) return false;
+  const key = periodoKey(empresa, periodo);
+
+  // dia novo: fecha agora o dia anterior que ainda tinha mudança pendente
+  for (const [k, pend] of historicoPendente) {
+    if (k !== key && pend.empresa === String(empresa)) gravarPendente(k);
+  }
+
+  const assinatura = assinaturaRanking(rows);
+  const ultimo = historicoState.get(key);
+  if (ultimo && ultimo.assinatura === assinatura) {
+    descartarPendente(key);
+    return false;
+  }
+  const espera = ultimo && !opts.forcar ? HIST_INTERVAL_MS - (Date.now() - ultimo.ts) : 0;
+  if (espera > 0) {
+    const pend = historicoPendente.get(key);
+    if (pend) {
+      pend.rows = rows;
+    } else {
+      const timer = setTimeout(() => gravarPendente(key), espera);
+      if (timer.unref) timer.unref();
+      historicoPendente.set(key, { empresa: String(empresa), periodo, rows, timer });
+    }
+    return false;
+  }
+  descartarPendente(key);
+
+  const pool = await getLocalPool();
+  if (!pool) return false;
+  await ensureHistoricoTable(pool);
+
+  // bulk insert único: todas as linhas com o mesmo snapshot_at
+  await pool.request().bulk(tabelaHistorico(empresa, rows, periodo, new Date()));
+  guardarCache(historicoState, key, { assinatura, ts: Date.now() });
+  if (DEBUG) console.log(`[rankingController] snapshot de histórico gravado para ${key} (${rows.length} linhas)`);
+  return true;
+}
+
+/**
+ * GET /api/ranking/historico?empresa=&data=YYYY-MM-DD&limit=&fechamento=1
+ * Snapshots do dia em ordem cronológica (replay); fechamento=1 devolve só o último.
+ * `limit` corta cada snapshot nas primeiras posições (padrão RANKING_DEFAULT_LIMIT).
+ */
+async function getRankingHistorico(req, res) {
+  const empresa = String(req.query.empresa || DEFAULT_EMPRESA);
+  const data = req.query.data ? parseDataISO(req.query.data) : dataLocalISO();
+  if (!data) return res.status(400).json({ error: 'data deve estar no formato YYYY-MM-DD' });
+  let limit;
+  try {
+    limit = req.query.limit !== undefined ? parseInteiro(req.query.limit, 'limit', { min: 1, max: MAX_LIMIT }) : DEFAULT_LIMIT;
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+  const soFechamento = ['1', 'true'].includes(String(req.query.fechamento || '').toLowerCase());
+
+  try {
+    const pool = await getLocalPool();
+    if (!pool) throw new Error('Pool LOCAL indisponível');
+    await ensureHistoricoTable(pool);
+    const r = await pool.request()
+      .input('empresa', sql.VarChar(200), empresa)
+      .input('dia', sql.VarChar(10), data)
+      .input('limit', sql.Int, limit)
+      .query(`
+        SELECT CONVERT(VARCHAR(19), snapshot_at, 126) + 'Z' AS snapshotAt, vendedor_id AS id, nome, equipe,
+               valor_vendido AS valorVendido, posicao
+        FROM ${TABELA_HISTORICO}
+        WHERE empresa = @empresa
+          AND dia = CAST(@dia AS DATE)
+          AND posicao <= @limit
+          ${soFechamento ? `AND snapshot_at = (
+            SELECT MAX(snapshot_at) FROM ${TABELA_HISTORICO} WHERE empresa = @empresa AND dia = CAST(@dia AS DATE)
+          )` : ''}
+        ORDER BY snapshot_at ASC, posicao ASC
+      `);
+
+    const snapshots = [];
+    for (const row of r.recordset || []) {
+      let snap = snapshots[snapshots.length - 1];
+      if (!snap || snap.snapshotAt !== row.snapshotAt) {
+        snap = { snapshotAt: row.snapshotAt, ranking: [] };
+        snapshots.push(snap);
+      }
+      snap.ranking.push({
+        id: row.id,
+        nome: row.nome,
+        equipe: row.equipe,
+        valorVendido: Number(row.valorVendido) || 0,
+        posicao: row.posicao
+      });
+    }
+    return sendJsonWithEtag(req, res, {
+      empresa,
+      data,
+      fechamento: snapshots.length ? snapshots[snapshots.length - 1] : null,
+      snapshots
+    });
+  } catch (e) {
+    guardarCache(lastErrorMap, `${empresa}|historico`, e);
+    console.error('[rankingController] getRankingHistorico erro:', e && e.message ? e.message : e);
+    return res.status(500).json({ error: e && e.message ? e.message : String(e) });
+  }
+}
+
+/**
+ * GET /api/ranking/historico/vendedor/:id?empresa=&inicio=&fim=
+ * Tendência do vendedor: posição e valor no fechamento de cada dia (padrão: últimos 7 dias).
+ * Dias em que ele não vendeu aparecem com posicao/valorVendido null.
+ */
+async function getHistoricoVendedor(req, res) {
+  const empresa = String(req.query.empresa || DEFAULT_EMPRESA);
+  const vendedorId = String(req.params.id || '').trim();
+  if (!vendedorId) return res.status(400).json({ error: 'id do vendedor obrigatório' });
+
+  const hoje = dataLocalISO();
+  const fim = req.query.fim ? parseDataISO(req.query.fim) : hoje;
+  const inicio = req.query.inicio ? parseDataISO(req.query.inicio) : somarDias(hoje, -6);
+  if (!inicio || !fim) return res.status(400).json({ error: 'datas devem estar no formato YYYY-MM-DD' });
+  if (inicio > fim) return res.status(400).json({ error: 'inicio deve ser anterior ou igual a fim' });
+  const dias = (Date.parse(`${fim}T00:00:00Z`) - Date.parse(`${inicio}T00:00:00Z`)) / 86400000 + 1;
+  if (dias > HIST_MAX_DIAS) return res.status(400).json({ error: `intervalo máximo de ${HIST_MAX_DIAS} dias` });
+
+  try {
+    const pool = await getLocalPool();
+    if (!pool) throw new Error('Pool LOCAL indisponível');
+    await ensureHistoricoTable(pool);
+    const r = await pool.request()
+      .input('empresa', sql.VarChar(200), empresa)
+      .input('vendedor_id', sql.VarChar(50), vendedorId)
+      .input('inicio', sql.VarChar(10), inicio)
+      .input('fim', sql.VarChar(10), fim)
+      .query(`
+        WITH fechamento AS (
+          SELECT dia, MAX(snapshot_at) AS snapshot_at
+          FROM ${TABELA_HISTORICO}
+          WHERE empresa = @empresa
+            AND dia BETWEEN CAST(@inicio AS DATE) AND CAST(@fim AS DATE)
+          GROUP BY dia
+        )
+        SELECT CONVERT(VARCHAR(10), f.dia, 126) AS data,
+               h.nome, h.equipe, h.posicao, h.valor_vendido AS valorVendido,
+               (SELECT COUNT(*) FROM ${TABELA_HISTORICO} t
+                 WHERE t.empresa = @empresa AND t.dia = f.dia AND t.snapshot_at = f.snapshot_at) AS totalVendedores
+        FROM fechamento f
+        LEFT JOIN ${TABELA_HISTORICO} h
+          ON h.empresa = @empresa AND h.dia = f.dia AND h.snapshot_at = f.snapshot_at AND h.vendedor_id = @vendedor_id
+        ORDER BY f.dia ASC
+      `);
+
+    const linhas = r.recordset || [];
+    const comNome = linhas.find(l => l.nome) || {};
+    return sendJsonWithEtag(req, res, {
+      empresa,
+      vendedorId,
+      nome: comNome.nome || null,
+      equipe: comNome.equipe || null,
+      inicio,
+      fim,
+      dias: linhas.map(l => ({
+        data: l.data,
+        posicao: l.posicao == null ? null : l.posicao,
+        valorVendido: l.valorVendido == null ? null : Number(l.valorVendido),
+        totalVendedores: Number(l.totalVendedores) || 0
+      }))
+    });
+  } catch (e) {
+    guardarCache(lastErrorMap, `${empresa}|historico-vendedor`, e);
+    console.error('[rankingController] getHistoricoVendedor erro:', e && e.message ? e.message : e);
+    return res.status(500).json({ error: e && e.message ? e.message : String(e) });
+  }
+}
+
+/* ---------------------- POSIÇÃO ANTERIOR / ULTRAPASSAGEM ---------------------- */
+
+async function ensureUltrapassagemTable(pool) {
+  if (ultrapassagemTableReady) return;
+  const [schema, table] = TABELA_ULTRAPASSAGEM.replace(/\[|\]/g, '').split('.');
+  await pool.request().query(`
+    IF OBJECT_ID(N'${schema}.${table}', N'U') IS NULL
+    BEGIN
+      CREATE TABLE ${schema}.${table} (
+        id                   BIGINT IDENTITY(1,1) PRIMARY KEY,
+        empresa              VARCHAR(200) NOT NULL,
+        periodo              VARCHAR(10) NOT NULL,
+        periodo_inicio       DATE NOT NULL,
+        periodo_fim          DATE NOT NULL,
+        vendedor_id          VARCHAR(50) NOT NULL,   -- novo líder
+        nome                 VARCHAR(200) NULL,
+        valor_vendido        DECIMAL(18,2) NULL,
+        lider_anterior_id    VARCHAR(50) NULL,
+        lider_anterior_nome  VARCHAR(200) NULL,
+        created_at           DATETIME NOT NULL DEFAULT GETDATE()
+      );
+      CREATE INDEX IX_${table}_empresa_data ON ${schema}.${table} (empresa, created_at);
+    END
+  `);
+  ultrapassagemTableReady = true;
+}
+
+/**
+ * Registra troca de liderança (novo #1) em dbo.ranking_ultrapassagem
+ */
+async function recordUltrapassagem(empresa, periodo, novo, anterior) {
+  const pool = await getLocalPool();
+  if (!pool) return false;
+  await ensureUltrapassagemTable(pool);
+  await inputPeriodo(pool.request(), periodo)
+    .input('empresa', sql.VarChar(200), String(empresa))
+    .input('vendedor_id', sql.VarChar(50), String(novo.id))
+    .input('nome', sql.VarChar(200), novo.nome || null)
+    .input('valor_vendido', sql.Decimal(18, 2), Number(novo.valorVendido) || 0)
+    .input('anterior_id', sql.VarChar(50), anterior ? String(anterior.id) : null)
+    .input('anterior_nome', sql.VarChar(200), anterior ? (anterior.nome || null) : null)
+    .query(`
+      INSERT INTO ${TABELA_ULTRAPASSAGEM}
+        (empresa, periodo, periodo_inicio, periodo_fim, vendedor_id, nome, valor_vendido, lider_anterior_id, lider_anterior_nome)
+      VALUES
+        (@empresa, @periodo, CAST(@inicio AS DATE), CAST(@fim AS DATE), @vendedor_id, @nome, @valor_vendido, @anterior_id, @anterior_nome)
+    `);
+  console.log(`🏁 [rankingController] ultrapassagem ${periodoKey(empresa, periodo)}: ${novo.nome || novo.id} passou ${anterior ? (anterior.nome || anterior.id) : '-'}`);
+  return true;
+}
+
+/**
+ * Completa cada linha com posicaoAnterior/variacao (variacao > 0 = subiu) comparando com a
+ * atualização anterior da mesma chave. Sem mudança, a última variação continua visível por
+ * RANKING_VARIACAO_MS. Após restart, a referência vem do snapshot persistido.
+ * Se o #1 mudou, registra a ultrapassagem (em background).
+ */
+async function aplicarPosicoesAnteriores(empresa, periodo, result, filtro = {}) {
+  const key = periodoKey(empresa, periodo, filtro);
+  let anteriores = posicoesMap.get(key);
+  let liderAnterior = null;
+
+  if (!anteriores) {
+    anteriores = new Map();
+    const persisted = temFiltro(filtro) ? [] : await getRankingFromTable(empresa, periodo);
+    for (const r of persisted) {
+      anteriores.set(String(r.id), { posicao: Number(r.posicao), posicaoAnterior: r.posicaoAnterior, mudouEm: 0, nome: r.nome });
+    }
+  }
+  for (const [id, p] of anteriores) {
+    if (p.posicao === 1) liderAnterior = { id, nome: p.nome };
+  }
+
+  const agora = Date.now();
+  const novos = new Map();
+  const out = result.map(r => {
+    const prev = anteriores.get(r.id);
+    let posicaoAnterior = null;
+    let mudouEm = agora;
+    if (prev) {
+      if (prev.posicao !== r.posicao) {
+        posicaoAnterior = prev.posicao;
+      } else if (prev.posicaoAnterior != null && (agora - prev.mudouEm) < VARIACAO_MS) {
+        posicaoAnterior = prev.posicaoAnterior;
+        mudouEm = prev.mudouEm;
+      } else {
+        posicaoAnterior = r.posicao;
+        mudouEm = prev.mudouEm;
+      }
+    }
+    novos.set(r.id, { posicao: r.posicao, posicaoAnterior, mudouEm, nome: r.nome });
+    return {
+      ...r,
+      posicaoAnterior,
+      variacao: posicaoAnterior == null ? null : posicaoAnterior - r.posicao
+    };
+  });
+  guardarCache(posicoesMap, key, novos);
+
+  const lider = out[0];
+  if (lider && liderAnterior && liderAnterior.id !== lider.id && !temFiltro(filtro)) {
+    recordUltrapassagem(empresa, periodo, lider, liderAnterior).catch(err => {
+      guardarCache(lastErrorMap, `${key}|ultrapassagem`, err);
+      if (DEBUG) console.warn('[rankingController] recordUltrapassagem falhou:', err && err.message ? err.message : err);
+    });
+  }
+  return out;
+}
+
+/**
+ * GET /api/ranking/ultrapassagens?empresa=&periodo=&limit=
+ * Trocas de liderança mais recentes do período (default: dia atual, 20 eventos)
+ */
+async function getUltrapassagens(req, res) {
+  const empresa = String(req.query.empresa || DEFAULT_EMPRESA);
+  let periodo, limit;
+  try {
+    periodo = resolvePeriodo(req.query);
+    limit = req.query.limit !== undefined ? parseInteiro(req.query.limit, 'limit', { min: 1, max: MAX_LIMIT }) : 20;
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+  try {
+    const pool = await getLocalPool();
+    if (!pool) throw new Error('Pool LOCAL indisponível');
+    await ensureUltrapassagemTable(pool);
+    const r = await inputPeriodo(pool.request(), periodo)
+      .input('empresa', sql.VarChar(200), empresa)
+      .input('limit', sql.Int, limit)
+      .query(`
+        SELECT TOP (@limit) id, vendedor_id AS vendedorId, nome, valor_vendido AS valorVendido,
+               lider_anterior_id AS liderAnteriorId, lider_anterior_nome AS liderAnteriorNome, created_at
+        FROM ${TABELA_ULTRAPASSAGEM}
+        WHERE empresa = @empresa
+          AND periodo = @periodo
+          AND periodo_inicio = CAST(@inicio AS DATE)
+          AND periodo_fim = CAST(@fim AS DATE)
+        ORDER BY created_at DESC, id DESC
+      `);
+    return res.json(r.recordset || []);
+  } catch (e) {
+    guardarCache(lastErrorMap, `${empresa}|ultrapassagens`, e);
+    console.error('[rankingController] getUltrapassagens erro:', e && e.message ? e.message : e);
+    return res.status(500).json({ error: e && e.message ? e.message : String(e) });
+  }
+}
+
 /* ---------------------- LÓGICA DE ATUALIZAÇÃO ---------------------- */
 
-async function updateRanking(empresa = DEFAULT_EMPRESA) {
-  const key = String(empresa || DEFAULT_EMPRESA);
-  if (DEBUG) console.log(`[rankingController] updateRanking iniciado para empresa='${key}'`);
+/**
+ * Recalcula o ranking da empresa no período (default: dia atual)
+ * - periodo: { periodo, inicio, fim } vindo de resolvePeriodo()
+ * - filtro: { produto, convenio } vindo de resolveFiltro() (opcional)
+ * - opts.lancarErro: propaga a falha em vez de devolver cache/persistido (usado pelo scheduler,
+ *   para o job contar a falha e aplicar retry)
+ */
+async function updateRanking(empresa = DEFAULT_EMPRESA, periodo = resolvePeriodo(), filtro = {}, opts = {}) {
+  empresa = String(empresa || DEFAULT_EMPRESA);
+  const key = periodoKey(empresa, periodo, filtro);
+  // só o ranking geral de períodos fixos vai para as tabelas e acompanha posições
+  const acompanhado = !temFiltro(filtro) && periodo.periodo !== 'custom';
+  if (DEBUG) console.log(`[rankingController] updateRanking iniciado para '${key}'`);
 
   try {
     const poolLocal = await getLocalPool();
@@ -234,31 +1005,32 @@ async function updateRanking(empresa = DEFAULT_EMPRESA) {
       WHERE empresa = @empresa
     `;
     const reqVend = poolLocal.request();
-    reqVend.input('empresa', sql.VarChar, key);
+    reqVend.input('empresa', sql.VarChar, empresa);
     const vendRes = await reqVend.query(vendedoresQ);
     const vendedores = vendRes.recordset || [];
 
     if (!vendedores.length) {
       const outEmpty = [];
-      rankingCacheMap.set(key, { data: outEmpty, ts: Date.now(), isFetching: false, fetchPromise: null });
+      guardarCache(rankingCacheMap, key, { data: outEmpty, ts: Date.now(), isFetching: false, fetchPromise: null });
       return outEmpty;
     }
 
     const vendedorIds = vendedores.map(v => String(v.id_new)).filter(Boolean);
     if (!vendedorIds.length) {
       const outEmpty = [];
-      rankingCacheMap.set(key, { data: outEmpty, ts: Date.now(), isFetching: false, fetchPromise: null });
+      guardarCache(rankingCacheMap, key, { data: outEmpty, ts: Date.now(), isFetching: false, fetchPromise: null });
       return outEmpty;
     }
 
-    // buscar vendas do dia
+    // buscar vendas do período
     let salesMap;
     try {
-      salesMap = await getSalesTodayForVendedorIds(vendedorIds, SALES_BATCH_SIZE);
+      salesMap = await getSalesForVendedorIds(vendedorIds, periodo, SALES_BATCH_SIZE, filtro);
     } catch (e) {
-      lastErrorMap.set(key, e);
+      guardarCache(lastErrorMap, key, e);
+      if (opts.lancarErro) throw e;
       if (DEBUG) console.warn('[rankingController] falha ao buscar vendas na nuvem, tentando persistido...', e && e.message ? e.message : e);
-      const persisted = await getRankingFromTable(key);
+      const persisted = acompanhado ? await getRankingFromTable(empresa, periodo) : [];
       if (persisted && persisted.length) return persisted;
       const old = rankingCacheMap.get(key);
       if (old && old.data) return old.data;
@@ -267,60 +1039,57 @@ async function updateRanking(empresa = DEFAULT_EMPRESA) {
 
     if (!salesMap || salesMap.size === 0) {
       const outEmpty = [];
-      rankingCacheMap.set(key, { data: outEmpty, ts: Date.now(), isFetching: false, fetchPromise: null });
+      guardarCache(rankingCacheMap, key, { data: outEmpty, ts: Date.now(), isFetching: false, fetchPromise: null });
       return outEmpty;
     }
 
-    const allRows = Array.from(salesMap.entries()).map(([id, valor]) => ({ id: String(id), valorVendido: valor }));
+    const allRows = Array.from(salesMap.entries()).map(([id, v]) => ({ id: String(id), valorVendido: v.valor, quantidade: v.quantidade }));
     allRows.sort((a, b) => b.valorVendido - a.valorVendido);
-    const topRows = allRows.slice(0, 5);
-    const topIds = topRows.map(r => r.id);
-
-    // buscar fotos (via fotoService / fallback DB)
-    let fotosMap = new Map();
-    try {
-      fotosMap = await getFotosMap(topIds);
-    } catch (e) {
-      if (DEBUG) console.warn('[rankingController] getFotosMap erro, prosseguindo sem fotos:', e && e.message ? e.message : e);
-      fotosMap = new Map();
-    }
 
-    // montar resultado
+    // montar resultado (fotos só na resposta, para as linhas exibidas — ver comFotos)
     const vendMap = new Map(vendedores.map(v => [String(v.id_new), v]));
-    const result = topRows.map((r, idx) => {
+    const ranked = allRows.map((r, idx) => {
       const vend = vendMap.get(r.id) || {};
-      const rawFoto = String(fotosMap.get(r.id) || '').trim();
-      const foto = (fotoService && typeof fotoService.sanitizeFotoPath === 'function')
-        ? fotoService.sanitizeFotoPath(rawFoto)
-        : (rawFoto || null);
       return {
         id: r.id,
         nome: vend.nome || 'Vendedor Não Encontrado',
         equipe: vend.equipe || 'N/A',
-        foto,
+        foto: null,
         valorVendido: parseFloat(r.valorVendido) || 0,
+        quantidade: r.quantidade,
+        ticketMedio: ticketMedio(parseFloat(r.valorVendido) || 0, r.quantidade),
         posicao: idx + 1,
-        empresa: vend.empresa || key
+        empresa: vend.empresa || empresa
       };
     });
+    const result = acompanhado
+      ? await aplicarPosicoesAnteriores(empresa, periodo, ranked, filtro)
+      : ranked.map(r => ({ ...r, posicaoAnterior: null, variacao: null }));
 
     // salvar em background (não bloqueia a resposta)
-    saveRankingToTable(key, result).catch(err => {
-      if (DEBUG) console.warn('[rankingController] saveRankingToTable falhou (background):', err && err.message ? err.message : err);
-    });
+    if (acompanhado) {
+      saveRankingToTable(empresa, result, periodo).catch(err => {
+        if (DEBUG) console.warn('[rankingController] saveRankingToTable falhou (background):', err && err.message ? err.message : err);
+      });
+      saveRankingSnapshot(empresa, periodo, result).catch(err => {
+        guardarCache(lastErrorMap, `${key}|historico`, err);
+        if (DEBUG) console.warn('[rankingController] saveRankingSnapshot falhou (background):', err && err.message ? err.message : err);
+      });
+    }
 
-    rankingCacheMap.set(key, { data: result, ts: Date.now(), isFetching: false, fetchPromise: null });
+    guardarCache(rankingCacheMap, key, { data: result, ts: Date.now(), isFetching: false, fetchPromise: null });
     if (DEBUG) console.log(`[rankingController] atualizado para '${key}' (${result.length} registros)`);
     return result;
   } catch (err) {
-    lastErrorMap.set(String(empresa || DEFAULT_EMPRESA), err);
+    guardarCache(lastErrorMap, key, err);
     console.error('[rankingController] updateRanking erro:', err && err.message ? err.message : err);
-    const cache = rankingCacheMap.get(String(empresa || DEFAULT_EMPRESA));
+    const cache = rankingCacheMap.get(key);
     if (cache) cache.isFetching = false;
+    if (opts.lancarErro) throw err;
     if (cache && cache.data) return cache.data;
     // tentar ler persistido como último recurso
     try {
-      const persisted = await getRankingFromTable(empresa);
+      const persisted = acompanhado ? await getRankingFromTable(empresa, periodo) : [];
       if (persisted && persisted.length) return persisted;
     } catch (_) {}
     return [];
@@ -329,29 +1098,77 @@ async function updateRanking(empresa = DEFAULT_EMPRESA) {
 
 /* ---------------------- HANDLER EXPRESS ---------------------- */
 
-async function getRanking(req, res) {
-  const empresa = String(req.query.empresa || DEFAULT_EMPRESA);
-  const key = empresa;
+function parseInteiro(v, nome, { min = 0, max = Infinity } = {}) {
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw badRequest(`${nome} deve ser inteiro entre ${min} e ${max}`);
+  }
+  return n;
+}
+
+/**
+ * Lê ?limit=&offset= (limit padrão RANKING_DEFAULT_LIMIT, máximo RANKING_MAX_LIMIT)
+ * `paginado` indica se o cliente pediu paginação explicitamente.
+ */
+function resolvePaginacao(query = {}) {
+  const paginado = query.limit !== undefined || query.offset !== undefined;
+  const limit = query.limit !== undefined ? parseInteiro(query.limit, 'limit', { min: 1, max: MAX_LIMIT }) : DEFAULT_LIMIT;
+  const offset = query.offset !== undefined ? parseInteiro(query.offset, 'offset') : 0;
+  return { limit, offset, paginado };
+}
+
+/**
+ * Recorta a classificação completa conforme a paginação.
+ * Sem limit/offset na query mantém o formato antigo (array com o top N);
+ * com eles responde { ranking, total, limit, offset, periodo, inicio, fim, criterio, produto, convenio }.
+ * O total vai sempre no header X-Total-Count.
+ */
+async function sendRankingPage(req, res, rows, periodo, pag, criterio = 'valor', filtro = {}) {
+  const lista = Array.isArray(rows) ? rows : [];
+  const pagina = await comFotos(lista.slice(pag.offset, pag.offset + pag.limit));
+  res.setHeader('X-Total-Count', String(lista.length));
+  res.setHeader('Access-Control-Expose-Headers', 'X-Total-Count, ETag');
+  if (!pag.paginado) return sendJsonWithEtag(req, res, pagina);
+  return sendJsonWithEtag(req, res, {
+    ranking: pagina,
+    total: lista.length,
+    limit: pag.limit,
+    offset: pag.offset,
+    periodo: periodo.periodo,
+    inicio: periodo.inicio,
+    fim: periodo.fim,
+    criterio,
+    produto: filtro.produto || null,
+    convenio: filtro.convenio || null
+  });
+}
+
+/**
+ * Classificação completa da empresa no período, via cache (TTL CACHE_MS)
+ * com uma única atualização em voo por chave.
+ */
+async function loadRanking(empresa, periodo, filtro = {}) {
+  const key = periodoKey(empresa, periodo, filtro);
 
   const now = Date.now();
   const cache = rankingCacheMap.get(key);
   if (cache && cache.data && (now - cache.ts) < CACHE_MS) {
-    return res.json(cache.data);
+    return cache.data;
   }
 
   if (cache && cache.isFetching && cache.fetchPromise) {
     try {
       const out = await cache.fetchPromise;
-      return res.json(out || cache.data || []);
+      return out || cache.data || [];
     } catch (e) {
-      return res.json(cache.data || []);
+      return cache.data || [];
     }
   }
 
   // disparar atualização e guardar promise
   const p = (async () => {
     try {
-      const updated = await updateRanking(key);
+      const updated = await updateRanking(empresa, periodo, filtro);
       return updated;
     } catch (e) {
       throw e;
@@ -361,36 +1178,290 @@ async function getRanking(req, res) {
     }
   })();
 
-  rankingCacheMap.set(key, { data: cache ? cache.data : null, ts: cache ? cache.ts : 0, isFetching: true, fetchPromise: p });
+  guardarCache(rankingCacheMap, key, { data: cache ? cache.data : null, ts: cache ? cache.ts : 0, isFetching: true, fetchPromise: p });
 
   try {
     const out = await p;
-    return res.json(out || []);
+    return out || [];
   } catch (e) {
     const c = rankingCacheMap.get(key);
-    return res.json((c && c.data) ? c.data : []);
+    return (c && c.data) ? c.data : [];
   }
 }
 
+/**
+ * Acrescenta meta, percentualMeta e faltante a cada linha (null quando o vendedor não tem meta).
+ * As metas não entram no cache do ranking: mudam por CRUD independente das vendas.
+ */
+async function aplicarMetas(empresa, periodo, rows = []) {
+  let metas = null;
+  if (metaVendaController && typeof metaVendaController.getMetasVendas === 'function') {
+    try {
+      metas = await metaVendaController.getMetasVendas(empresa, periodo.periodo);
+    } catch (e) {
+      guardarCache(lastErrorMap, `${empresa}|metas`, e);
+      if (DEBUG) console.warn('[rankingController] getMetasVendas erro, ranking sem metas:', e && e.message ? e.message : e);
+    }
+  }
+  return rows.map(r => {
+    const meta = metas ? metaVendaController.metaDoVendedor(metas, r) : null;
+    const valor = Number(r.valorVendido) || 0;
+    return {
+      ...r,
+      meta,
+      percentualMeta: meta ? Math.round((valor / meta) * 1000) / 10 : null,
+      faltante: meta ? Math.max(0, Math.round((meta - valor) * 100) / 100) : null
+    };
+  });
+}
+
+/**
+ * GET /api/ranking?empresa=&periodo=dia|semana|mes|custom&inicio=&fim=&limit=&offset=&criterio=valor|quantidade|ticket_medio
+ *   &produto=&convenio=
+ */
+async function getRanking(req, res) {
+  const empresa = String(req.query.empresa || DEFAULT_EMPRESA);
+  let periodo, pag, criterio, filtro;
+  try {
+    periodo = resolvePeriodo(req.query);
+    pag = resolvePaginacao(req.query);
+    criterio = resolveCriterio(req.query);
+    filtro = await validarFiltro(resolveFiltro(req.query));
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+
+  const rows = ordenarPorCriterio(await loadRanking(empresa, periodo, filtro), criterio);
+  return sendRankingPage(req, res, await aplicarMetas(empresa, periodo, rows), periodo, pag, criterio, filtro);
+}
+
+/* ---------------------- RANKING POR EQUIPE ---------------------- */
+
+// headcount por equipe (colaboradores da empresa), cache por empresa
+const equipesCountCache = new Map();
+
+async function getVendedoresPorEquipe(empresa) {
+  const cache = equipesCountCache.get(empresa);
+  if (cache && (Date.now() - cache.ts) < CACHE_MS) return cache.data;
+
+  const pool = await getLocalPool();
+  if (!pool) throw new Error('Pool LOCAL indisponível');
+  const req = pool.request();
+  req.input('empresa', sql.VarChar, empresa);
+  const r = await req.query(`
+    SELECT ISNULL(NULLIF(LTRIM(RTRIM(equipe)), ''), 'N/A') AS equipe, COUNT(*) AS vendedores
+    FROM colaboradores
+    WHERE empresa = @empresa
+    GROUP BY ISNULL(NULLIF(LTRIM(RTRIM(equipe)), ''), 'N/A')
+  `);
+  const map = new Map();
+  for (const row of r.recordset || []) map.set(String(row.equipe), Number(row.vendedores) || 0);
+  equipesCountCache.set(empresa, { data: map, ts: Date.now() });
+  return map;
+}
+
+/**
+ * Agrega a classificação de vendedores por equipe.
+ * - rows: classificação completa ({ id, nome, equipe, foto, valorVendido })
+ * - vendedoresPorEquipe: Map equipe -> headcount (equipes sem venda entram com total 0)
+ * Retorna [{ posicao, equipe, totalVendido, vendedores, vendedoresComVenda, mediaPorVendedor, topVendedor }]
+ */
+function agregarEquipes(rows = [], vendedoresPorEquipe = new Map()) {
+  const equipes = new Map();
+  const getEquipe = (nome) => {
+    if (!equipes.has(nome)) {
+      equipes.set(nome, { equipe: nome, totalVendido: 0, vendedoresComVenda: 0, topVendedor: null });
+    }
+    return equipes.get(nome);
+  };
+
+  for (const nome of vendedoresPorEquipe.keys()) getEquipe(nome);
+
+  for (const r of rows) {
+    const eq = getEquipe(String(r.equipe || '').trim() || 'N/A');
+    const valor = Number(r.valorVendido) || 0;
+    eq.totalVendido += valor;
+    eq.vendedoresComVenda += 1;
+    if (!eq.topVendedor || valor > eq.topVendedor.valorVendido) {
+      eq.topVendedor = { id: r.id, nome: r.nome, foto: r.foto || null, valorVendido: valor };
+    }
+  }
+
+  const out = Array.from(equipes.values()).map(eq => {
+    const vendedores = Math.max(vendedoresPorEquipe.get(eq.equipe) || 0, eq.vendedoresComVenda);
+    return {
+      equipe: eq.equipe,
+      totalVendido: Math.round(eq.totalVendido * 100) / 100,
+      vendedores,
+      vendedoresComVenda: eq.vendedoresComVenda,
+      mediaPorVendedor: vendedores ? Math.round((eq.totalVendido / vendedores) * 100) / 100 : 0,
+      topVendedor: eq.topVendedor
+    };
+  });
+  out.sort((a, b) => b.totalVendido - a.totalVendido || a.equipe.localeCompare(b.equipe));
+  return out.map((eq, idx) => ({ posicao: idx + 1, ...eq }));
+}
+
+/**
+ * GET /api/ranking/equipes?empresa=&periodo=dia|semana|mes|custom&inicio=&fim=&produto=&convenio=
+ */
+async function getRankingEquipes(req, res) {
+  const empresa = String(req.query.empresa || DEFAULT_EMPRESA);
+  let periodo, filtro;
+  try {
+    periodo = resolvePeriodo(req.query);
+    filtro = await validarFiltro(resolveFiltro(req.query));
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+
+  const rows = await loadRanking(empresa, periodo, filtro);
+  let vendedoresPorEquipe = new Map();
+  try {
+    vendedoresPorEquipe = await getVendedoresPorEquipe(empresa);
+  } catch (e) {
+    guardarCache(lastErrorMap, `${empresa}|equipes`, e);
+    if (DEBUG) console.warn('[rankingController] getVendedoresPorEquipe erro, média sobre quem vendeu:', e && e.message ? e.message : e);
+  }
+
+  const equipes = agregarEquipes(rows, vendedoresPorEquipe);
+  const tops = await comFotos(equipes.map(eq => eq.topVendedor).filter(Boolean));
+  const fotoTop = new Map(tops.map(t => [t.id, t.foto]));
+  for (const eq of equipes) {
+    if (eq.topVendedor) eq.topVendedor = { ...eq.topVendedor, foto: fotoTop.get(eq.topVendedor.id) || null };
+  }
+  return sendJsonWithEtag(req, res, equipes);
+}
+
 /* ---------------------- SCHEDULER ---------------------- */
 
-function scheduleRankingUpdater(intervalMs = parseInt(process.env.UPDATE_INTERVAL_MS || '60000', 10), empresa = DEFAULT_EMPRESA) {
-  updateRanking(empresa).catch(() => {});
+// esperas pendentes do ciclo atual (timer -> resolve) e empresas com atualização em andamento
+const schedulerTimers = new Map();
+const schedulerEmAndamento = new Set();
+
+async function empresasDoScheduler() {
+  if (empresaController && typeof empresaController.listEmpresas === 'function') {
+    try {
+      const lista = await empresaController.listEmpresas();
+      if (Array.isArray(lista) && lista.length) return lista;
+    } catch (e) {
+      guardarCache(lastErrorMap, 'scheduler|empresas', e);
+      if (DEBUG) console.warn('[rankingController] listEmpresas erro, usando DEFAULT_EMPRESA:', e && e.message ? e.message : e);
+    }
+  }
+  return [DEFAULT_EMPRESA];
+}
+
+/**
+ * Confirma que a empresa está entre as do scheduler (400 quando não) e devolve a grafia da lista;
+ * sem empresa, DEFAULT_EMPRESA. Evita que o refresh crie cache/posições para empresa inexistente.
+ * @returns {Promise<string>}
+ */
+async function validarEmpresa(empresa) {
+  const pedida = String(empresa || '').trim();
+  if (!pedida) return DEFAULT_EMPRESA;
+  const conhecida = (await empresasDoScheduler()).find(e => String(e).toLowerCase() === pedida.toLowerCase());
+  if (!conhecida) throw badRequest('empresa desconhecida');
+  return conhecida;
+}
+
+// resolve com false se o scheduler for parado antes do prazo
+function esperarAgendado(ms) {
+  if (ms <= 0) return Promise.resolve(true);
+  return new Promise(resolve => {
+    const t = setTimeout(() => {
+      schedulerTimers.delete(t);
+      resolve(true);
+    }, ms);
+    schedulerTimers.set(t, resolve);
+  });
+}
+
+// pula a empresa se a atualização anterior ainda não terminou (query lenta não empilha)
+async function atualizarEmpresaAgendada(empresa) {
+  if (schedulerEmAndamento.has(empresa)) {
+    if (DEBUG) console.log(`[rankingController] scheduler: '${empresa}' ainda atualizando, pulando ciclo`);
+    return false;
+  }
+  schedulerEmAndamento.add(empresa);
+  try {
+    await updateRanking(empresa, resolvePeriodo(), {}, { lancarErro: true });
+    return true;
+  } finally {
+    schedulerEmAndamento.delete(empresa);
+  }
+}
+
+/**
+ * Atualiza o ranking do dia de todas as empresas (lista do empresaController), distribuindo-as
+ * ao longo de spreadMs (empresa i começa em i * spreadMs / n) para não disparar todas as queries juntas.
+ * Resolve quando o ciclo inteiro termina: { empresas, atualizadas, puladas, falhas }.
+ * - empresaFixa (opcional): atualiza só essa empresa
+ */
+async function updateAllRankings(spreadMs = 0, empresaFixa = null) {
+  const empresas = empresaFixa ? [empresaFixa] : await empresasDoScheduler();
+  const passo = Math.floor(spreadMs / empresas.length);
+  const resultados = await Promise.all(empresas.map(async (empresa, idx) => {
+    if (!(await esperarAgendado(idx * passo))) return 'pulada';
+    return atualizarEmpresaAgendada(empresa).then(ok => (ok ? 'atualizada' : 'pulada'), () => 'falha');
+  }));
+  const contar = (situacao) => resultados.filter(r => r === situacao).length;
+  return { empresas: empresas.length, atualizadas: contar('atualizada'), puladas: contar('pulada'), falhas: contar('falha') };
+}
+
+/**
+ * Fallback sem updateService: roda updateAllRankings a cada intervalMs (espalhado no próprio intervalo);
+ * semana/mes/custom e rankings filtrados são calculados sob demanda pelo GET.
+ * - empresa (opcional): restringe o scheduler a uma empresa só
+ * Retorna o intervalId (stopRankingUpdater também cancela as esperas pendentes do ciclo).
+ */
+function scheduleRankingUpdater(intervalMs = parseInt(process.env.UPDATE_INTERVAL_MS || '60000', 10), empresa = null) {
+  updateAllRankings(intervalMs, empresa).catch(() => {});
   const id = setInterval(() => {
-    updateRanking(empresa).catch(() => {});
+    updateAllRankings(intervalMs, empresa).catch(() => {});
   }, intervalMs);
   return id;
 }
 
+function stopRankingUpdater(intervalId) {
+  if (intervalId) clearInterval(intervalId);
+  for (const [t, resolve] of schedulerTimers) {
+    clearTimeout(t);
+    resolve(false);
+  }
+  schedulerTimers.clear();
+}
+
 /* ---------------------- EXPORTS / DEBUG ---------------------- */
 module.exports = {
   getRanking,
+  getRankingEquipes,
+  getUltrapassagens,
+  getRankingHistorico,
+  getHistoricoVendedor,
   updateRanking,
+  updateAllRankings,
+  resolvePeriodo,
+  resolveFiltro,
+  validarFiltro,
+  validarEmpresa,
   scheduleRankingUpdater,
+  stopRankingUpdater,
   __internal: {
     cacheMapRef: () => rankingCacheMap,
+    posicoesMapRef: () => posicoesMap,
+    filtroValoresCacheRef: () => filtroValoresCache,
     lastErrorMapRef: () => lastErrorMap,
     saveRankingToTable,
-    getRankingFromTable
+    getRankingFromTable,
+    saveRankingSnapshot,
+    historicoPendenteRef: () => historicoPendente,
+    periodoKey,
+    aplicarPosicoesAnteriores,
+    ordenarPorCriterio,
+    resolveCriterio,
+    agregarEquipes,
+    schedulerEmAndamentoRef: () => schedulerEmAndamento,
+    schedulerTimersRef: () => schedulerTimers
   }
 };
@@ -2,43 +2,110 @@
 // Versão ajustada: detecta colunas, persiste em status_operador (tempoStatus preferencial),
 // conta colaboradores ativos (Status = 1) e expõe totalActive, logados no GET.
 
-const axios = require('axios');
 const { promisify } = require('util');
 const sleep = promisify(setTimeout);
 
 const { getLocalPool, sql } = require('../config/db.js'); // ajuste se o path for diferente
+const { sendJsonWithEtag } = require('../utils/helpers.js');
+const { STATUS_CANONICO, normTexto, grupoDoCanonico } = require('../utils/statusCanonico');
+
+// empresaController (opcional): lista de empresas atendidas pelo updater
+let empresaController = null;
+try {
+  empresaController = require('./empresaController');
+} catch (e) {
+  console.warn('[statusController] empresaController não encontrado, atualizando apenas a empresa padrão.');
+  empresaController = null;
+}
+
+// metaController (opcional): meta de logados por faixa horária
+let metaController = null;
+try {
+  metaController = require('./metaController');
+} catch (e) {
+  console.warn('[statusController] metaController não encontrado, percentual será sobre ativos.');
+  metaController = null;
+}
+
+// expediente (opcional): fora do horário o GET não dispara consulta ao Argus e sinaliza no payload
+let expediente = null;
+try {
+  expediente = require('../config/expediente');
+} catch (e) {
+  console.warn('[statusController] config/expediente não encontrado, polling 24x7.');
+  expediente = null;
+}
+
+// discadores: fonte do status por empresa (Argus ou adaptador HTTP/JSON), ver config/discadores.js
+// Configuração inválida (DISCADORES_JSON/arquivo) não pode derrubar /api/status-operadores
+// (server.js engole o erro de require): cai no Argus para todas as empresas, com erro no log.
+let discadorService;
+try {
+  discadorService = require('../services/discadorService');
+} catch (e) {
+  console.error(`❌❌ [statusController] discadores inválidos (${e.message}) — TODAS as empresas usarão o Argus até a configuração ser corrigida.`);
+  const argus = require('../services/discadorArgus').criarDiscadorArgus('argus');
+  discadorService = {
+    getDiscador: () => argus,
+    erroConfiguracao: e.message
+  };
+}
 
 // ---------- Config ----------
-const ARGUS_TIMEOUT        = parseInt(process.env.ARGUS_TIMEOUT || '5000', 10);
 const ARGUS_CONCURRENCY    = parseInt(process.env.ARGUS_CONCURRENCY || '6', 10);
-const ARGUS_RETRY          = parseInt(process.env.ARGUS_RETRY || '2', 10);
-const ARGUS_RETRY_DELAY_MS = parseInt(process.env.ARGUS_RETRY_DELAY_MS || '400', 10);
 const STATUS_CACHE_MS      = parseInt(process.env.STATUS_CACHE_MS || process.env.CACHE_DURATION || '15000', 10);
+// teto de entradas empresa|equipes no cache do GET (?equipe= é texto livre); a mais antiga sai primeiro
+const STATUS_CACHE_MAX_KEYS = parseInt(process.env.STATUS_CACHE_MAX_KEYS || '200', 10);
 const UPDATE_INTERVAL_MS   = parseInt(process.env.UPDATE_INTERVAL_MS || '60000', 10);
-const ARGUS_TOKEN          = process.env.TOKEN_ARGUS || null;
+const STREAM_HEARTBEAT_MS  = parseInt(process.env.STATUS_STREAM_HEARTBEAT_MS || '25000', 10);
 
 const EMPRESA_FILTRO = process.env.EMPRESA_STATUS || process.env.EMPRESA || 'VIEIRACRED';
 const CARGO_FILTRO   = process.env.CARGO_STATUS   || process.env.CARGO   || 'Operador de Vendas';
 const TABELA_COLAB   = process.env.TABELA_COLAB   || 'dbo.colaboradores';     // tabela fonte
 const TABELA_STATUS  = process.env.TABELA_STATUS  || 'dbo.status_operador';   // tabela destino
+const TABELA_HIST    = process.env.TABELA_STATUS_HIST || 'dbo.status_operador_historico'; // log de transições
+const HIST_MAX_ROWS  = parseInt(process.env.STATUS_HIST_MAX_ROWS || '5000', 10);
+// gravado para o ramal que some de um snapshot em lote bem-sucedido (operador deslogou)
+const STATUS_DESLOGADO = process.env.STATUS_DESLOGADO || 'Deslogado';
+
+// horario_atual muda a cada reconstrução do payload; fica fora do ETag
+const ETAG_OPTS = { ignorar: ['horario_atual'] };
 
 // --------- Facilidade de ajuste (env) ----------
-const LOG_EMPRESA = process.env.LOG_EMPRESA || EMPRESA_FILTRO; // empresa para contar logados
+const LOG_EMPRESA = process.env.LOG_EMPRESA || EMPRESA_FILTRO; // empresa para contar logados (empresa padrão)
 // LOG_EQUIPES example: "Atendimento,Operador de Vendas"
 const LOG_EQUIPES = process.env.LOG_EQUIPES
   ? process.env.LOG_EQUIPES.split(',').map(s => s.trim()).filter(Boolean)
   : []; // vazio = não filtra por equipes
 
+// Tipo de contrato (CLT x Estágio): coluna em colaboradores e valores aceitos (comparação sem acento/caixa)
+// CONTRATO_COLUNA vazio = detecta entre tipo_contrato, contrato, vinculo, regime
+const CONTRATO_COLUNA = (process.env.CONTRATO_COLUNA || '').trim() || null;
+const splitLista = (v) => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+const CONTRATO_GRUPOS = [
+  { key: 'clt',     label: process.env.CONTRATO_CLT_LABEL || 'CLT',         valores: splitLista(process.env.CONTRATO_CLT_VALORES || 'CLT,Efetivo') },
+  { key: 'estagio', label: process.env.CONTRATO_ESTAGIO_LABEL || 'Estágio', valores: splitLista(process.env.CONTRATO_ESTAGIO_VALORES || 'Estagio,Estagiario') },
+];
+
+// STATUS_EMPRESAS example: "VIEIRACRED,OUTRA" — restringe as empresas atualizadas (vazio = todas de empresaController)
+const STATUS_EMPRESAS = process.env.STATUS_EMPRESAS
+  ? process.env.STATUS_EMPRESAS.split(',').map(s => s.trim()).filter(Boolean)
+  : [];
+
 // ---------- Estado interno ----------
 const state = {
-  cache: { data: null, ts: 0 },
-  isFetching: false,
-  failCount: 0,
-  nextAllowedAt: 0,
+  cacheMap: new Map(),          // `${empresa}|${equipes}` -> { data, ts }
+  fetchingEmpresas: new Set(),  // empresas com atualização em andamento (single flight por empresa)
+  isFetching: false,            // true enquanto updateStatusEmpresas roda
+  backoffPorEmpresa: new Map(), // empresa -> { failCount, nextAllowedAt } (falha de uma não segura as outras)
   lastError: null,
   schedulerId: null,
-  _argusAuthFailed: false,
+  lastScheduledRunAt: 0,        // último disparo do scheduler (ritmo reduzido fora do expediente)
   _colsCache: {},   // cache de colunas: { 'dbo.colaboradores': Set(...) , ... }
+  _histTableReady: false,
+  streamClients: new Set(),     // { res, empresa } — SSE abertos em /api/status-operadores/stream
+  streamSeq: 0,
+  lastStatusByEmpresa: new Map(), // empresa -> Map(ramal -> { descricaoStatus, statusCanonico, tempoStatus })
 };
 
 // helpers de tempo
@@ -68,6 +135,70 @@ function parseTableName(fullName = 'dbo.colaboradores') {
   return { schema: parts[0], table: parts.slice(1).join('_') };
 }
 
+/** Lê ?empresa= e ?equipe= (lista separada por vírgula) da requisição. */
+function parseFiltros(query = {}) {
+  const empresa = String(query.empresa || EMPRESA_FILTRO).trim() || EMPRESA_FILTRO;
+  const equipes = String(query.equipe || '')
+    .split(',').map(x => x.trim()).filter(Boolean);
+  return { empresa, equipes, key: `${empresa}|${equipes.join(',')}` };
+}
+
+/**
+ * Nome da empresa como está na lista do updater (comparação sem caixa) ou null se desconhecida.
+ * Evita que qualquer ?empresa= crie entrada de cache e dispare consulta ao discador/banco.
+ */
+async function resolverEmpresa(nome) {
+  const alvo = String(nome || '').trim().toUpperCase();
+  if (!alvo || alvo === EMPRESA_FILTRO.toUpperCase()) return EMPRESA_FILTRO;
+  const empresas = await listEmpresasStatus();
+  return empresas.find(e => String(e).trim().toUpperCase() === alvo) || null;
+}
+
+/** parseFiltros + empresa validada; null quando a empresa não existe. */
+async function resolverFiltros(query = {}) {
+  const filtros = parseFiltros(query);
+  const empresa = await resolverEmpresa(filtros.empresa);
+  if (!empresa) return null;
+  return { ...filtros, empresa, key: `${empresa}|${filtros.equipes.join(',')}` };
+}
+
+function guardarCache(key, data, ts) {
+  state.cacheMap.delete(key); // reinsere no fim: a ordem do Map é a de uso
+  while (state.cacheMap.size >= Math.max(1, STATUS_CACHE_MAX_KEYS)) {
+    state.cacheMap.delete(state.cacheMap.keys().next().value);
+  }
+  state.cacheMap.set(key, { data, ts });
+}
+
+/** Limpa o cache do GET (não mexe nas atualizações em andamento). Retorna quantas entradas saíram. */
+function clearCache() {
+  const n = state.cacheMap.size;
+  state.cacheMap.clear();
+  return n;
+}
+
+/** Resumo do cache/atualizações para as rotas de debug e /health (sem expor o `state`). */
+function resumoCache() {
+  const iso = ts => (ts ? new Date(ts).toISOString() : null);
+  return {
+    entradas: Array.from(state.cacheMap.entries()).map(([key, c]) => ({
+      key,
+      ts: iso(c.ts),
+      operadores: c.data && Array.isArray(c.data.operadores) ? c.data.operadores.length : null
+    })),
+    size: state.cacheMap.size,
+    maxKeys: STATUS_CACHE_MAX_KEYS,
+    ttlMs: STATUS_CACHE_MS,
+    isFetching: state.isFetching,
+    atualizando: Array.from(state.fetchingEmpresas),
+    backoff: Object.fromEntries(Array.from(state.backoffPorEmpresa.entries()).map(([empresa, b]) => [
+      empresa, { falhas: b.failCount, proximaTentativaEm: iso(b.nextAllowedAt) }
+    ])),
+    // preenchido quando a configuração de discadores falhou e tudo caiu no Argus (vai para /health)
+    erroDiscadores: discadorService.erroConfiguracao || null
+  };
+}
+
 function findFirst(colsSet, candidates = []) {
   // colsSet: Set of lowercased column names
   for (const c of candidates) {
@@ -76,76 +207,41 @@ function findFirst(colsSet, candidates = []) {
   return null;
 }
 
-// ---------- Argus: fetch com retries e tratamento de 403 ----------
-async function fetchArgusForRamal(ramal) {
-  if (!ARGUS_TOKEN || !ramal) return null;
-  if (state._argusAuthFailed) return null;
-
-  const url = `https://argus.app.br/apiargus/cmd/statusoperador`;
-  const params = { ramal };
-
-  let lastErr = null;
-  for (let attempt = 0; attempt <= ARGUS_RETRY; attempt++) {
-    try {
-      const resp = await axios.get(url, {
-        params,
-        headers: { 'Token-Signature': ARGUS_TOKEN },
-        timeout: ARGUS_TIMEOUT,
-        validateStatus: () => true,
-      });
-
-      if (resp.status === 200 && resp.data) {
-        const st = resp.data.statusOperador || {};
-        if (resp.data.codStatus && resp.data.codStatus !== 1) {
-          // codStatus diferente de 1 -> sem dado válido
-          return null;
-        }
-        return {
-          ramal,
-          descricaoStatus: st.descricaoStatus || '',
-          tempoStatusSegundos: Math.floor((st.tempoStatus || 0) / 1000),
-          raw: resp.data
-        };
-      }
-
-      if (resp.status === 403) {
-        console.error(`[Argus] 403 Forbidden ao consultar ramal ${ramal}. Verifique TOKEN_ARGUS.`);
-        state._argusAuthFailed = true;
-        return null;
-      }
-
-      if (resp.status === 400) {
-        // provável ramal inválido -> não re-tentar
-        console.warn(`[Argus] 400 para ramal ${ramal} -> ignorando. Resp:`, resp.data);
-        return null;
-      }
+// ---------- Classificação dos status (status canônico do discador da empresa) ----------
+function grupoDoStatus(descricaoStatus, empresa = EMPRESA_FILTRO) {
+  return grupoDoCanonico(discadorService.getDiscador(empresa).canonico(descricaoStatus));
+}
 
-      // 5xx -> log e retry conforme laço
-      if (resp.status >= 500) {
-        console.warn(`[Argus] ${resp.status} (server error) para ramal ${ramal}. Resp:`, resp.data);
-        lastErr = new Error(`HTTP ${resp.status} - ${resp.statusText || ''}`);
-        if (attempt < ARGUS_RETRY) {
-          await sleep(ARGUS_RETRY_DELAY_MS * (attempt + 1));
-          continue;
-        }
-        return null;
-      }
+function grupoDoContrato(valor) {
+  const txt = normTexto(valor).trim();
+  if (!txt) return 'outros';
+  const g = CONTRATO_GRUPOS.find(gr => gr.valores.some(v => normTexto(v) === txt));
+  return g ? g.key : 'outros';
+}
 
-      lastErr = new Error(`HTTP ${resp.status} - ${resp.statusText || ''}`);
-      if (attempt < ARGUS_RETRY) await sleep(ARGUS_RETRY_DELAY_MS * (attempt + 1));
-    } catch (err) {
-      lastErr = err;
-      if (attempt < ARGUS_RETRY) {
-        await sleep(ARGUS_RETRY_DELAY_MS * (attempt + 1));
-        continue;
-      }
-      console.error(`❌ fetchArgusForRamal(${ramal}) ->`, err?.message || err);
-      return null;
-    }
+/**
+ * Divide a meta entre os grupos de contrato proporcionalmente aos ativos de cada um
+ * (maiores restos), de modo que a soma das partes seja exatamente a meta.
+ * Sem ativos, tudo fica em 'outros'.
+ */
+function dividirMeta(meta, ativosPorGrupo) {
+  const grupos = Object.keys(ativosPorGrupo);
+  const total = grupos.reduce((acc, g) => acc + ativosPorGrupo[g], 0);
+  const out = Object.fromEntries(grupos.map(g => [g, 0]));
+  meta = Math.max(0, Math.round(Number(meta) || 0));
+  if (!total) {
+    out.outros = meta;
+    return out;
   }
-
-  if (lastErr) console.warn(`fetchArgusForRamal final failure ramal=${ramal} -> ${lastErr.message || lastErr}`);
-  return null;
+  const partes = grupos.map(g => ({ g, exato: (meta * ativosPorGrupo[g]) / total }));
+  for (const p of partes) out[p.g] = Math.floor(p.exato);
+  let sobra = meta - partes.reduce((acc, p) => acc + out[p.g], 0);
+  for (const p of [...partes].sort((a, b) => (b.exato - Math.floor(b.exato)) - (a.exato - Math.floor(a.exato)))) {
+    if (sobra <= 0) break;
+    out[p.g]++;
+    sobra--;
+  }
+  return out;
 }
 
 // ---------- Detectar colunas de uma tabela (cacheado) ----------
@@ -175,14 +271,168 @@ async function detectColumns(pool, fullTableName) {
   }
 }
 
+// ---------- Histórico de transições (status_operador_historico) ----------
+async function ensureHistoricoTable(pool) {
+  if (state._histTableReady) return true;
+  const { schema, table } = parseTableName(TABELA_HIST);
+  try {
+    await pool.request().query(`
+      IF OBJECT_ID(N'${schema}.${table}', N'U') IS NULL
+      BEGIN
+        CREATE TABLE ${schema}.${table} (
+          id               BIGINT IDENTITY(1,1) PRIMARY KEY,
+          ramal            VARCHAR(200) NOT NULL,
+          empresa          VARCHAR(200) NULL,
+          status_anterior  VARCHAR(500) NULL,
+          status_novo      VARCHAR(500) NULL,
+          inicio           DATETIME NULL,
+          fim              DATETIME NOT NULL,
+          duracao_segundos INT NULL
+        );
+        CREATE INDEX IX_${table}_ramal_fim ON ${schema}.${table} (ramal, fim);
+      END
+    `);
+    state._histTableReady = true;
+    return true;
+  } catch (e) {
+    console.warn(`[statusController] não foi possível preparar ${TABELA_HIST}:`, e?.message || e);
+    return false;
+  }
+}
+
+/**
+ * Registra a transição do ramal lendo o status atual de status_operador ANTES do UPDATE.
+ * A linha descreve o período do status anterior:
+ *   inicio = updated_at - tempoStatus (início do status anterior)
+ *   fim    = agora - tempo do novo status (momento em que o Argus registrou a troca)
+ * Só insere se o status gravado for diferente do novo.
+ */
+async function recordStatusTransition(pool, cols, u, empresa) {
+  const { idArgusDest, descDest, tempoDest, updatedAtDest } = cols;
+  if (!idArgusDest || !descDest) return 0;
+
+  // sem coluna de tempo, o updated_at já é o melhor palpite de início
+  let inicioSql = 'NULL';
+  if (updatedAtDest && tempoDest) inicioSql = `DATEADD(SECOND, -COALESCE(s.[${tempoDest}], 0), s.[${updatedAtDest}])`;
+  else if (updatedAtDest) inicioSql = `s.[${updatedAtDest}]`;
+  const fimSql = 'DATEADD(SECOND, -@tempo, GETDATE())';
+
+  const r = await pool.request()
+    .input('ramal', sql.VarChar(200), String(u.id_argus))
+    .input('empresa', sql.VarChar(200), empresa)
+    .input('status', sql.VarChar(500), String(u.descricaoStatus || ''))
+    .input('tempo', sql.Int, Number(u.tempoStatusSegundos) || 0)
+    .query(`
+      INSERT INTO ${TABELA_HIST} (ramal, empresa, status_anterior, status_novo, inicio, fim, duracao_segundos)
+      SELECT @ramal, @empresa, s.[${descDest}], @status, x.inicio, x.fim,
+             CASE WHEN x.inicio IS NULL THEN NULL
+                  ELSE CASE WHEN DATEDIFF(SECOND, x.inicio, x.fim) < 0 THEN 0 ELSE DATEDIFF(SECOND, x.inicio, x.fim) END
+             END
+      FROM ${TABELA_STATUS} s
+      CROSS APPLY (SELECT ${inicioSql} AS inicio, ${fimSql} AS fim) x
+      WHERE s.[${idArgusDest}] = @ramal
+        AND COALESCE(s.[${descDest}], '') <> @status
+    `);
+  return (r && r.rowsAffected && r.rowsAffected.reduce((a, b) => a + b, 0)) || 0;
+}
+
+function parseDateParam(v) {
+  if (!v) return null;
+  const s = String(v).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return undefined; // inválido
+  const d = new Date(`${s}T00:00:00Z`);
+  // 2026-02-30 vira 2026-03-02 no Date: data inexistente também é inválida
+  return (Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== s) ? undefined : s;
+}
+
+/**
+ * GET /api/status-operadores/:ramal/historico?inicio=YYYY-MM-DD&fim=YYYY-MM-DD&status=pausa
+ * - sem datas: dia atual; `fim` é inclusivo
+ * - `status` (opcional): filtra pelo texto do status anterior (LIKE)
+ * - `empresa` (opcional): discador usado para classificar o resumo (padrão: empresa padrão)
+ */
+async function getHistoricoRamal(req, res) {
+  const ramal = String(req.params.ramal || '').trim();
+  if (!ramal) return res.status(400).json({ error: 'ramal obrigatório' });
+
+  // dia atual no fuso do expediente (em UTC, à noite já seria o dia seguinte)
+  const hoje = expediente ? expediente.statusExpediente().data : new Date().toISOString().slice(0, 10);
+  const inicio = parseDateParam(req.query.inicio);
+  const fim = parseDateParam(req.query.fim);
+  if (inicio === undefined || fim === undefined) {
+    return res.status(400).json({ error: 'datas devem estar no formato YYYY-MM-DD' });
+  }
+  const de = inicio || fim || hoje;
+  const ate = fim || inicio || hoje;
+  if (de > ate) return res.status(400).json({ error: 'inicio deve ser anterior ou igual a fim' });
+
+  try {
+    const pool = await getLocalPool();
+    if (!pool) throw new Error('Pool DB indisponível');
+    await ensureHistoricoTable(pool);
+
+    const reqHist = pool.request()
+      .input('ramal', sql.VarChar(200), ramal)
+      .input('de', sql.Date, de)
+      .input('ate', sql.Date, ate);
+
+    let statusCond = '';
+    if (req.query.status) {
+      reqHist.input('statusLike', sql.VarChar(500), `%${String(req.query.status)}%`);
+      statusCond = 'AND status_anterior LIKE @statusLike';
+    }
+
+    const r = await reqHist.query(`
+      SELECT TOP (${HIST_MAX_ROWS}) ramal, empresa, status_anterior, status_novo, inicio, fim, duracao_segundos
+      FROM ${TABELA_HIST}
+      WHERE ramal = @ramal
+        AND fim >= @de
+        AND fim < DATEADD(DAY, 1, CAST(@ate AS DATETIME))
+        ${statusCond}
+      ORDER BY fim ASC
+    `);
+
+    const transicoes = (r.recordset || []).map(row => ({
+      statusAnterior: row.status_anterior || '',
+      statusNovo: row.status_novo || '',
+      inicio: row.inicio ? new Date(row.inicio).toISOString() : null,
+      fim: row.fim ? new Date(row.fim).toISOString() : null,
+      duracaoSegundos: row.duracao_segundos != null ? Number(row.duracao_segundos) : null,
+    }));
+
+    // resumo por status anterior: quantas vezes e quanto tempo ficou
+    const resumo = {};
+    for (const t of transicoes) {
+      const k = t.statusAnterior || '(vazio)';
+      if (!resumo[k]) resumo[k] = { vezes: 0, duracaoTotalSegundos: 0, grupo: grupoDoStatus(k, req.query.empresa) };
+      resumo[k].vezes++;
+      resumo[k].duracaoTotalSegundos += t.duracaoSegundos || 0;
+    }
+
+    return res.json({ ramal, inicio: de, fim: ate, total: transicoes.length, resumo, transicoes });
+  } catch (err) {
+    state.lastError = err;
+    console.error('❌ getHistoricoRamal erro:', err?.message || err);
+    return res.status(500).json({ error: err?.message || String(err) });
+  }
+}
+
 // ---------- LER (GET) — entrega pro front (lê status_operador, totalActive, logados) ----------
 async function getStatusOperadores(req, res) {
+  const filtros = await resolverFiltros(req.query);
+  if (!filtros) return res.status(400).json({ error: `empresa desconhecida: ${String(req.query.empresa)}` });
+  const { empresa, equipes, key } = filtros;
   try {
     const t = now();
-    if (state.cache.data && (t - state.cache.ts) < STATUS_CACHE_MS) {
-      return res.json(state.cache.data);
+    const cached = state.cacheMap.get(key);
+    if (cached && cached.data && (t - cached.ts) < STATUS_CACHE_MS) {
+      return sendJsonWithEtag(req, res, cached.data, ETAG_OPTS);
     }
 
+    // logados: ?equipe= tem prioridade; sem ela, LOG_EMPRESA/LOG_EQUIPES valem para a empresa padrão
+    const logEmpresa = empresa === EMPRESA_FILTRO ? LOG_EMPRESA : empresa;
+    const logEquipes = equipes.length ? equipes : (empresa === EMPRESA_FILTRO ? LOG_EQUIPES : []);
+
     const pool = await getLocalPool();
     if (!pool) throw new Error('Pool DB indisponível');
 
@@ -197,18 +447,37 @@ async function getStatusOperadores(req, res) {
       if (colabCols.has(String(cand).toLowerCase())) { foundStatusCol = cand; break; }
     }
 
-    // 1) contar colaboradores ativos (empresa = EMPRESA_FILTRO AND [foundStatusCol] = 1)
+    const colabEquipe = findFirst(colabCols, ['equipe','team','grupo']);
+    const colabContrato = CONTRATO_COLUNA
+      ? findFirst(colabCols, [CONTRATO_COLUNA])
+      : findFirst(colabCols, ['tipo_contrato', 'contrato', 'vinculo', 'regime']);
+
+    // 1) contar colaboradores ativos (empresa = @empresa AND [foundStatusCol] = 1 [AND equipe IN ...])
+    //    agrupado por tipo de contrato quando a coluna existe -> metas por grupo
     let totalActive = 0;
+    const ativosPorContrato = { clt: 0, estagio: 0, outros: 0 };
     try {
       if (foundStatusCol) {
+        const reqAtivos = pool.request().input('empresa', sql.VarChar(200), empresa);
+        let equipeCond = '';
+        if (equipes.length && colabEquipe) {
+          equipes.forEach((eq, i) => reqAtivos.input(`eq${i}`, sql.VarChar(200), eq));
+          equipeCond = `AND [${colabEquipe}] IN (${equipes.map((_, i) => `@eq${i}`).join(',')})`;
+        }
         const countQ = `
-          SELECT COUNT(1) AS total_ativos
+          SELECT ${colabContrato ? `[${colabContrato}]` : 'NULL'} AS tipo_contrato, COUNT(1) AS total_ativos
           FROM ${TABELA_COLAB}
           WHERE ${colabCols.has('empresa') ? '[empresa] = @empresa' : '1=1'}
             AND [${foundStatusCol}] = 1
+            ${equipeCond}
+          ${colabContrato ? `GROUP BY [${colabContrato}]` : ''}
         `;
-        const rc = await pool.request().input('empresa', sql.VarChar(200), EMPRESA_FILTRO).query(countQ);
-        totalActive = (rc && rc.recordset && rc.recordset[0] && Number(rc.recordset[0].total_ativos)) || 0;
+        const rc = await reqAtivos.query(countQ);
+        for (const row of (rc && rc.recordset) || []) {
+          const n = Number(row.total_ativos) || 0;
+          totalActive += n;
+          ativosPorContrato[grupoDoContrato(row.tipo_contrato)] += n;
+        }
       } else {
         console.warn('[statusController] coluna de status não encontrada em colaboradores; totalActive ficará 0.');
         totalActive = 0;
@@ -226,7 +495,6 @@ async function getStatusOperadores(req, res) {
     // columnas de nome/equipe preferenciais no colaborador
     const colabNomeFront = findFirst(colabCols, ['Nome_Front','nome_front','nomefront']);
     const colabNome = findFirst(colabCols, ['Nome','nome','name']);
-    const colabEquipe = findFirst(colabCols, ['equipe','team','grupo']);
 
     // columnas do status table
     const statusNome = findFirst(statusCols, ['nome','nome_front','name']);
@@ -240,7 +508,7 @@ async function getStatusOperadores(req, res) {
     // montar FROM com JOIN qualificado se possível
     let fromJoin;
     let whereClause = '';
-    const paramsReq = pool.request().input('empresa', sql.VarChar(200), EMPRESA_FILTRO);
+    const paramsReq = pool.request().input('empresa', sql.VarChar(200), empresa);
 
     if (idArgusStatus && idArgusColab) {
       fromJoin = `FROM ${TABELA_STATUS} s LEFT JOIN ${TABELA_COLAB} c ON s.[${idArgusStatus}] = c.[${idArgusColab}]`;
@@ -268,6 +536,16 @@ async function getStatusOperadores(req, res) {
       }
     }
 
+    // ?equipe= : restringe operadores às equipes pedidas (c.equipe, fallback s.equipe)
+    if (equipes.length) {
+      equipes.forEach((eq, i) => paramsReq.input(`eq${i}`, sql.VarChar(200), eq));
+      const eqPlaceholders = equipes.map((_, i) => `@eq${i}`).join(',');
+      const eqConds = [];
+      if (idArgusStatus && idArgusColab && colabEquipe) eqConds.push(`c.[${colabEquipe}] IN (${eqPlaceholders})`);
+      if (statusEquipe) eqConds.push(`s.[${statusEquipe}] IN (${eqPlaceholders})`);
+      if (eqConds.length) whereClause += ` AND (${eqConds.join(' OR ')})`;
+    }
+
     // montar SELECT com COALESCE para nome/equipe (preferir Nome_Front da tabela colaboradores)
     const selectParts = [];
 
@@ -303,6 +581,10 @@ async function getStatusOperadores(req, res) {
     const equipeExpr = equipeExprParts.length ? `COALESCE(${equipeExprParts.join(', ')}, '') AS equipe` : `'' AS equipe`;
     selectParts.push(equipeExpr);
 
+    // tipo de contrato (só existe em colaboradores)
+    if (colabContrato && idArgusStatus && idArgusColab) selectParts.push(`c.[${colabContrato}] AS tipo_contrato`);
+    else selectParts.push(`NULL AS tipo_contrato`);
+
     // descricaoStatus
     if (descCol) selectParts.push(`s.[${descCol}] AS descricaoStatus`);
     else selectParts.push(`'' AS descricaoStatus`);
@@ -335,128 +617,171 @@ async function getStatusOperadores(req, res) {
     const rows = r.recordset || [];
 
     // mapear operadores (somente participantes ativos já filtrados quando possível)
+    // statusCanonico: ATENDIMENTO | PAUSA | LIVRE | OFFLINE | DESCONHECIDO, pelo discador da empresa
+    const discador = discadorService.getDiscador(empresa);
     const operadores = rows.map(row => ({
       nome: row.nome || '',
       equipe: row.equipe || '',
       descricaoStatus: row.descricaoStatus || '',
+      statusCanonico: discador.canonico(row.descricaoStatus),
       tempoStatus: Number(row.tempoStatus) || 0,
       ramal: row.id_argus || null,
       usuario_id: row.id_new ? String(row.id_new) : null,
+      contrato: grupoDoContrato(row.tipo_contrato),
       updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : null
     }));
 
     // ----------------- calcular 'logados' conforme regras -----------------
     // Tentativa eficiente: COUNT direto no banco respeitando:
     // - colaborador ativo (foundStatusCol = 1)
-    // - empresa = LOG_EMPRESA
-    // - equipes IN (LOG_EQUIPES) se fornecida
+    // - empresa = logEmpresa
+    // - equipes IN (logEquipes) se fornecida
+    // agrupado por tipo de contrato (mesma população), então clt + estagio + outros = logados
     let logados = 0;
+    const logadosPorContrato = { clt: 0, estagio: 0, outros: 0 };
+    const contarEmMemoria = () => {
+      // fallback: conta operadores já carregados verificando equipe quando necessário
+      logados = 0;
+      logadosPorContrato.clt = logadosPorContrato.estagio = logadosPorContrato.outros = 0;
+      for (const op of operadores) {
+        if (logEquipes && logEquipes.length && (!op.equipe || !logEquipes.includes(String(op.equipe).trim()))) continue;
+        logados++;
+        logadosPorContrato[op.contrato]++;
+      }
+    };
     try {
-      if (idArgusStatus && idArgusColab && foundStatusCol && LOG_EMPRESA) {
-        if (LOG_EQUIPES && LOG_EQUIPES.length) {
-          const reqCount = pool.request().input('logEmpresa', sql.VarChar(200), LOG_EMPRESA);
-          LOG_EQUIPES.forEach((t, i) => reqCount.input(`t${i}`, sql.VarChar(200), t));
+      if (idArgusStatus && idArgusColab && foundStatusCol && logEmpresa) {
+        const reqCount = pool.request().input('logEmpresa', sql.VarChar(200), logEmpresa);
+        let teamCondSql = '';
+        if (logEquipes && logEquipes.length) {
+          logEquipes.forEach((t, i) => reqCount.input(`t${i}`, sql.VarChar(200), t));
 
-          const teamPlaceholders = LOG_EQUIPES.map((_, i) => `@t${i}`).join(',');
+          const teamPlaceholders = logEquipes.map((_, i) => `@t${i}`).join(',');
 
           // montar condição de equipe tentando usar c.[colabEquipe] primeiro, fallback s.[statusEquipe]
           const teamConditions = [];
           if (colabEquipe) teamConditions.push(`c.[${colabEquipe}] IN (${teamPlaceholders})`);
           if (statusEquipe) teamConditions.push(`s.[${statusEquipe}] IN (${teamPlaceholders})`);
-          const teamCondSql = teamConditions.length ? `AND (${teamConditions.join(' OR ')})` : '';
-
-          const countQ = `
-            SELECT COUNT(DISTINCT s.[${idArgusStatus}]) AS total_logados
-            FROM ${TABELA_STATUS} s
-            LEFT JOIN ${TABELA_COLAB} c ON s.[${idArgusStatus}] = c.[${idArgusColab}]
-            WHERE COALESCE(c.[${foundStatusCol}], 0) = 1
-              AND c.[empresa] = @logEmpresa
-              ${teamCondSql}
-          `;
-          const rc2 = await reqCount.query(countQ);
-          logados = (rc2 && rc2.recordset && Number(rc2.recordset[0].total_logados)) || 0;
-        } else {
-          const rc2 = await pool.request()
-            .input('logEmpresa', sql.VarChar(200), LOG_EMPRESA)
-            .query(`
-              SELECT COUNT(DISTINCT s.[${idArgusStatus}]) AS total_logados
-              FROM ${TABELA_STATUS} s
-              LEFT JOIN ${TABELA_COLAB} c ON s.[${idArgusStatus}] = c.[${idArgusColab}]
-              WHERE COALESCE(c.[${foundStatusCol}], 0) = 1
-                AND c.[empresa] = @logEmpresa
-            `);
-          logados = (rc2 && rc2.recordset && Number(rc2.recordset[0].total_logados)) || 0;
+          teamCondSql = teamConditions.length ? `AND (${teamConditions.join(' OR ')})` : '';
+        }
+
+        const countQ = `
+          SELECT ${colabContrato ? `c.[${colabContrato}]` : 'NULL'} AS tipo_contrato,
+                 COUNT(DISTINCT s.[${idArgusStatus}]) AS total_logados
+          FROM ${TABELA_STATUS} s
+          LEFT JOIN ${TABELA_COLAB} c ON s.[${idArgusStatus}] = c.[${idArgusColab}]
+          WHERE COALESCE(c.[${foundStatusCol}], 0) = 1
+            AND c.[empresa] = @logEmpresa
+            ${teamCondSql}
+          ${colabContrato ? `GROUP BY c.[${colabContrato}]` : ''}
+        `;
+        const rc2 = await reqCount.query(countQ);
+        for (const row of (rc2 && rc2.recordset) || []) {
+          const n = Number(row.total_logados) || 0;
+          logados += n;
+          logadosPorContrato[grupoDoContrato(row.tipo_contrato)] += n;
         }
       } else {
-        // fallback em memória: conta operadores já carregados verificando equipe quando necessário
-        logados = operadores.filter(op => {
-          if (LOG_EQUIPES && LOG_EQUIPES.length) {
-            if (!op.equipe) return false;
-            if (!LOG_EQUIPES.includes(String(op.equipe).trim())) return false;
-          }
-          return true;
-        }).length;
+        contarEmMemoria();
       }
     } catch (eLog) {
       console.warn('[statusController] falha ao contar logados:', eLog?.message || eLog);
-      logados = operadores.filter(op => {
-        if (LOG_EQUIPES && LOG_EQUIPES.length) {
-          if (!op.equipe) return false;
-          if (!LOG_EQUIPES.includes(String(op.equipe).trim())) return false;
-        }
-        return true;
-      }).length;
+      contarEmMemoria();
+    }
+
+    // ----------------- CLT x Estágio -----------------
+    const filtro = colabContrato
+      ? (CONTRATO_GRUPOS.filter(g => ativosPorContrato[g.key] > 0).map(g => g.label).join('+') || 'Todos')
+      : 'Todos';
+
+    // ----------------- meta vigente (meta_logados) -----------------
+    let metaVigente = null;
+    if (metaController && typeof metaController.getMetaVigente === 'function') {
+      try {
+        metaVigente = await metaController.getMetaVigente(empresa, equipes, t);
+      } catch (eMeta) {
+        console.warn('[statusController] falha ao obter meta vigente:', eMeta?.message || eMeta);
+      }
     }
 
+    // sem meta da faixa, a meta é o próprio quadro de ativos
+    const metaTotal = metaVigente ? metaVigente.meta : totalActive;
+    const metaPorContrato = dividirMeta(metaTotal, ativosPorContrato);
+
     // ----------------- payload -----------------
     const payload = {
+      empresa,
+      equipe: equipes.length ? equipes.join(',') : null,
       operadores,
       horario_atual: t,
       total: operadores.length,
       totalActive,        // total de colaboradores ativos na tabela colaboradores
       logados,            // total de operadores "logados" filtrados por empresa/equipes/ativos
-      logados_total: logados
+      logados_total: logados,
+      logados_clt: logadosPorContrato.clt,      // logados_clt + logados_estagio + logados_outros = logados
+      logados_estagio: logadosPorContrato.estagio,
+      logados_outros: logadosPorContrato.outros,
+      ativos_clt: ativosPorContrato.clt,        // colaboradores ativos por contrato (soma = totalActive)
+      ativos_estagio: ativosPorContrato.estagio,
+      ativos_outros: ativosPorContrato.outros,
+      meta_clt: metaPorContrato.clt,            // meta_total dividida pelos contratos (soma = meta_total)
+      meta_estagio: metaPorContrato.estagio,
+      meta_outros: metaPorContrato.outros,
+      meta: metaVigente ? metaVigente.meta : null, // meta de logados da faixa atual (null = sem meta cadastrada)
+      meta_faixa: metaVigente ? { inicio: metaVigente.horaInicio, fim: metaVigente.horaFim } : null,
+      meta_total: metaTotal,
+      filtro,
+      ...expedienteAgora(t)
     };
 
-    state.cache = { data: payload, ts: t };
-    console.log(`[status][GET] total=${operadores.length} totalActive=${totalActive} logados=${logados}`);
+    guardarCache(key, payload, t);
+    console.log(`[status][GET] empresa=${empresa} total=${operadores.length} totalActive=${totalActive} logados=${logados}`);
 
-    // dispara uma atualização assíncrona (respeita backoff/single flight)
-    updateStatusOperadores().catch(() => {});
+    // dispara uma atualização assíncrona (respeita backoff/single flight); fora do expediente
+    // fica a cargo do job agendado, no ritmo reduzido
+    if (!payload.fora_do_expediente) updateStatusOperadores(empresa).catch(() => {});
 
-    return res.json(payload);
+    return sendJsonWithEtag(req, res, payload, ETAG_OPTS);
   } catch (err) {
     state.lastError = err;
     console.error('❌ getStatusOperadores erro:', err?.message || err);
-    if (state.cache.data) return res.json(state.cache.data);
-    return res.status(200).json({ operadores: [], totalActive: 0, logados: 0, logados_total: 0 });
+    const cached = state.cacheMap.get(key);
+    if (cached && cached.data) return sendJsonWithEtag(req, res, cached.data, ETAG_OPTS);
+    return res.status(200).json({ empresa, operadores: [], totalActive: 0, logados: 0, logados_total: 0 });
   }
 }
 
 // ---------- ATUALIZAÇÃO (Argus -> status_operador) ----------
-async function updateStatusOperadores() {
+/**
+ * Atualiza status_operador de uma empresa a partir do discador.
+ * - opts.ignorarBackoff: o job agendado tem retry/backoff próprio (updateService) e não pode
+ *   ser barrado pelo backoff desta empresa entre as tentativas
+ * Falha vira { updated: 0, error } (não lança); pulada vira { skipped: true, reason }.
+ */
+async function updateStatusOperadores(empresa = EMPRESA_FILTRO, opts = {}) {
   const t = now();
+  empresa = String(empresa || EMPRESA_FILTRO);
 
-  if (t < state.nextAllowedAt) {
-    const wait = state.nextAllowedAt - t;
-    return { skipped: true, reason: 'backoff', nextTryInMs: wait };
-  }
-
-  if (state.isFetching) {
+  if (state.fetchingEmpresas.has(empresa)) {
     return { skipped: true, reason: 'in-flight' };
   }
 
-  if (!ARGUS_TOKEN) {
-    console.warn('[statusController] TOKEN_ARGUS não definido — pulando atualização.');
-    return { skipped: true, reason: 'no-token' };
+  // discador suspenso (auth/circuito) tem precedência: o motivo dele é mais útil que o nosso backoff
+  const discador = discadorService.getDiscador(empresa);
+  const disp = discador.disponivel();
+  if (!disp.ok) {
+    const { ok, mensagem, ...detalhes } = disp;
+    console.warn(`[statusController] ${mensagem} — pulando atualização (${empresa}/${discador.nome}).`);
+    return { skipped: true, ...detalhes };
   }
-  if (state._argusAuthFailed) {
-    console.warn('[statusController] Argus auth falhou anteriormente (403). Atualize TOKEN_ARGUS e reinicie para retomar.');
-    return { skipped: true, reason: 'argus-auth-failed' };
+
+  const backoff = state.backoffPorEmpresa.get(empresa);
+  if (backoff && t < backoff.nextAllowedAt && !opts.ignorarBackoff) {
+    return { skipped: true, reason: 'backoff', nextTryInMs: backoff.nextAllowedAt - t };
   }
 
-  console.log('🔄 [statusController] updateStatusOperadores iniciado');
-  state.isFetching = true;
+  console.log(`🔄 [statusController] updateStatusOperadores iniciado (${empresa}/${discador.nome})`);
+  state.fetchingEmpresas.add(empresa);
 
   try {
     const pool = await getLocalPool();
@@ -467,7 +792,7 @@ async function updateStatusOperadores() {
 
     if (!colabCols.has('id_argus') && !colabCols.has('ramal')) {
       console.warn('[statusController] a tabela colaboradores não possui a coluna id_argus/ramal.');
-      resetBackoff();
+      resetBackoff(empresa);
       return { updated: 0 };
     }
 
@@ -486,37 +811,62 @@ async function updateStatusOperadores() {
         AND id_argus <> ''
     `;
 
-    const rr = await pool.request().input('empresa', sql.VarChar(200), EMPRESA_FILTRO).query(qr);
+    const rr = await pool.request().input('empresa', sql.VarChar(200), empresa).query(qr);
     const ramais = rr.recordset || [];
 
     if (!ramais.length) {
       console.log('ℹ️ [statusController] nenhum ramal encontrado para atualização.');
-      resetBackoff();
+      resetBackoff(empresa);
       return { updated: 0 };
     }
 
-    // 2) consultar Argus em batches concorrentes
-    const resultados = await processBatch(
-      ramais,
-      async item => {
-        const arg = await fetchArgusForRamal(item.id_argus);
-        if (!arg) return null;
-        return {
-          id_argus: item.id_argus,
-          descricaoStatus: arg.descricaoStatus || '',
-          tempoStatusSegundos: arg.tempoStatusSegundos || 0,
-          id_new: item.id_new || null
-        };
-      },
-      ARGUS_CONCURRENCY,
-      75
-    );
+    // 2) consultar o discador da empresa: snapshot em lote; por ramal (batches concorrentes) só se o lote falhar
+    const toUpdate = (item, arg) => ({
+      id_argus: item.id_argus,
+      descricaoStatus: arg.descricaoStatus || '',
+      statusCanonico: arg.statusCanonico || discador.canonico(arg.descricaoStatus),
+      tempoStatusSegundos: arg.tempoStatusSegundos || 0,
+      id_new: item.id_new || null
+    });
+
+    let fonte = 'bulk';
+    let resultados;
+    const snapshot = await discador.listStatuses();
+    if (snapshot) {
+      // ramal ausente do snapshot = deslogado no discador: grava STATUS_DESLOGADO com tempo zerado
+      // (fecha a transição do status anterior); quem já está deslogado em memória não é regravado
+      const ultimos = lastStatusMap(empresa);
+      const deslogado = { descricaoStatus: STATUS_DESLOGADO, statusCanonico: STATUS_CANONICO.OFFLINE, tempoStatusSegundos: 0 };
+      resultados = ramais
+        .map(item => {
+          const arg = snapshot.get(String(item.id_argus).trim());
+          if (arg) return toUpdate(item, arg);
+          const anterior = ultimos.get(String(item.id_argus));
+          return anterior && anterior.descricaoStatus === STATUS_DESLOGADO ? null : toUpdate(item, deslogado);
+        })
+        .filter(Boolean);
+    } else if (discador.consultaPorRamal) {
+      fonte = 'ramal';
+      resultados = await processBatch(
+        ramais,
+        async item => {
+          const arg = await discador.getStatus(item.id_argus);
+          return arg ? toUpdate(item, arg) : null;
+        },
+        ARGUS_CONCURRENCY,
+        75
+      );
+    } else {
+      resultados = [];
+    }
 
     const updates = resultados.filter(Boolean);
     if (!updates.length) {
-      console.log('ℹ️ [statusController] nenhuma atualização obtida do Argus.');
-      resetBackoff();
-      return { updated: 0 };
+      // lote sem mudança (todos já deslogados) é normal; sem lote e nenhum ramal respondendo = discador fora
+      if (fonte !== 'bulk') throw new Error(`discador ${discador.nome} não respondeu para nenhum ramal (${fonte})`);
+      console.log(`ℹ️ [statusController] nenhuma atualização obtida do discador ${discador.nome} (${fonte}).`);
+      resetBackoff(empresa);
+      return { updated: 0, fonte, discador: discador.nome };
     }
 
     // 3) persistir no status_operador (upsert tolerante)
@@ -538,8 +888,22 @@ async function updateStatusOperadores() {
       return { updated: 0, warning: 'status table sem id_argus' };
     }
 
+    const histReady = await ensureHistoricoTable(pool);
+    const histCols = { idArgusDest, descDest, tempoDest, updatedAtDest };
+    let transicoes = 0;
+
     for (const u of updates) {
       try {
+        // registra a transição antes de sobrescrever a linha (memória evita consulta quando nada mudou)
+        const anterior = lastStatusMap(empresa).get(String(u.id_argus));
+        if (histReady && (!anterior || anterior.descricaoStatus !== String(u.descricaoStatus || ''))) {
+          try {
+            transicoes += await recordStatusTransition(pool, histCols, u, empresa);
+          } catch (eHist) {
+            console.warn('[statusController] falha ao registrar transição p/ ramal', u.id_argus, eHist?.message || eHist);
+          }
+        }
+
         // montar UPDATE dinâmico
         const sets = [];
         const req = pool.request().input('ramal', sql.VarChar(200), String(u.id_argus));
@@ -548,7 +912,7 @@ async function updateStatusOperadores() {
         if (tempoDest) { sets.push(`[${tempoDest}] = @tempo`); req.input('tempo', sql.Int, Number(u.tempoStatusSegundos) || 0); }
         if (idNewDest && u.id_new != null) { sets.push(`[${idNewDest}] = @idnew`); req.input('idnew', sql.VarChar(100), String(u.id_new)); }
         if (nomeDest) { /* opcional: não temos nome do Argus, pulamos */ }
-        if (empresaDest) { sets.push(`[${empresaDest}] = @empresa`); req.input('empresa', sql.VarChar(200), EMPRESA_FILTRO); }
+        if (empresaDest) { sets.push(`[${empresaDest}] = @empresa`); req.input('empresa', sql.VarChar(200), empresa); }
         if (updatedAtDest) sets.push(`[${updatedAtDest}] = GETDATE()`);
 
         if (sets.length > 0) {
@@ -571,7 +935,7 @@ async function updateStatusOperadores() {
         if (descDest) { insertCols.push(`[${descDest}]`); insertVals.push('@status'); insertReq.input('status', sql.VarChar(500), String(u.descricaoStatus || '')); }
         if (tempoDest) { insertCols.push(`[${tempoDest}]`); insertVals.push('@tempo'); insertReq.input('tempo', sql.Int, Number(u.tempoStatusSegundos) || 0); }
         if (idNewDest && u.id_new != null) { insertCols.push(`[${idNewDest}]`); insertVals.push('@idnew'); insertReq.input('idnew', sql.VarChar(100), String(u.id_new)); }
-        if (empresaDest) { insertCols.push(`[${empresaDest}]`); insertVals.push('@empresa'); insertReq.input('empresa', sql.VarChar(200), EMPRESA_FILTRO); }
+        if (empresaDest) { insertCols.push(`[${empresaDest}]`); insertVals.push('@empresa'); insertReq.input('empresa', sql.VarChar(200), empresa); }
         if (updatedAtDest) { insertCols.push(`[${updatedAtDest}]`); insertVals.push('GETDATE()'); }
 
         const insertSql = `INSERT INTO ${TABELA_STATUS} (${insertCols.join(', ')}) VALUES (${insertVals.join(', ')})`;
@@ -582,43 +946,208 @@ async function updateStatusOperadores() {
       }
     }
 
-    // 4) Invalida cache
-    state.cache = { data: null, ts: 0 };
+    // 4) Invalida cache da empresa (todas as combinações de equipe)
+    for (const k of state.cacheMap.keys()) {
+      if (k.startsWith(`${empresa}|`)) state.cacheMap.delete(k);
+    }
+
+    // 5) Notifica clientes SSE com o diff desta rodada
+    publishStatusDiff(empresa, updates);
 
-    console.log(`✅ [statusController] updateStatusOperadores finalizado — gravados: ${updatedCount}`);
-    resetBackoff();
-    return { updated: updatedCount };
+    console.log(`✅ [statusController] updateStatusOperadores finalizado (${empresa}/${discador.nome}/${fonte}) — gravados: ${updatedCount} transições: ${transicoes}`);
+    resetBackoff(empresa);
+    return { updated: updatedCount, transicoes, fonte, discador: discador.nome };
   } catch (err) {
     state.lastError = err;
     console.error('❌ [statusController] updateStatusOperadores erro:', err?.message || err);
-    increaseBackoff();
-    if (err && String(err).toLowerCase().includes('403')) state._argusAuthFailed = true;
+    increaseBackoff(empresa);
     return { updated: 0, error: err?.message || String(err) };
+  } finally {
+    state.fetchingEmpresas.delete(empresa);
+  }
+}
+
+/**
+ * Lista de empresas atendidas pelo updater (e aceitas em ?empresa=):
+ * STATUS_EMPRESAS (env) > empresaController.listEmpresas() (cache com TTL) > EMPRESA_FILTRO.
+ */
+async function listEmpresasStatus() {
+  if (STATUS_EMPRESAS.length) return STATUS_EMPRESAS;
+  if (empresaController && typeof empresaController.listEmpresas === 'function') {
+    try {
+      const empresas = await empresaController.listEmpresas();
+      if (Array.isArray(empresas) && empresas.length) return empresas;
+    } catch (e) {
+      console.warn('[statusController] falha ao listar empresas:', e?.message || e);
+    }
+  }
+  return [EMPRESA_FILTRO];
+}
+
+// erro ou discador indisponível contam como falha; 'in-flight' é outra rodada já atualizando
+function falhouAtualizacao(r) {
+  return !!(r && (r.error || (r.skipped && r.reason !== 'in-flight')));
+}
+
+/**
+ * Atualiza todas as empresas em sequência. O snapshot em lote do Argus fica em cache
+ * (argusService), então as empresas seguintes no mesmo discador reaproveitam a mesma chamada.
+ * Retorna { empresas, falhas, resultados } (opts repassado a updateStatusOperadores).
+ */
+async function updateStatusEmpresas(opts = {}) {
+  if (state.isFetching) return { skipped: true, reason: 'in-flight' };
+  state.isFetching = true;
+  try {
+    const empresas = await listEmpresasStatus();
+    const resultados = {};
+    let falhas = 0;
+    for (const empresa of empresas) {
+      resultados[empresa] = await updateStatusOperadores(empresa, opts);
+      if (falhouAtualizacao(resultados[empresa])) falhas++;
+    }
+    return { empresas: empresas.length, falhas, resultados };
   } finally {
     state.isFetching = false;
   }
 }
 
-function resetBackoff() {
-  state.failCount = 0;
-  state.nextAllowedAt = 0;
+function resetBackoff(empresa) {
+  state.backoffPorEmpresa.delete(empresa);
+}
+
+function increaseBackoff(empresa) {
+  const b = state.backoffPorEmpresa.get(empresa) || { failCount: 0, nextAllowedAt: 0 };
+  b.failCount = Math.min(b.failCount + 1, 6);
+  const delaySec = Math.min(15 * Math.pow(2, b.failCount - 1), 300);
+  b.nextAllowedAt = now() + ms(delaySec);
+  state.backoffPorEmpresa.set(empresa, b);
+  console.warn(`[statusController] backoff ${empresa}: próxima tentativa em ${delaySec}s`);
+}
+
+// ---------- Stream (SSE) ----------
+/**
+ * Compara as atualizações da rodada com o último estado conhecido por ramal.
+ * Na primeira rodada só registra a base (não há "de" para comparar).
+ */
+function lastStatusMap(empresa) {
+  if (!state.lastStatusByEmpresa.has(empresa)) state.lastStatusByEmpresa.set(empresa, new Map());
+  return state.lastStatusByEmpresa.get(empresa);
+}
+
+function computeStatusDiff(empresa, updates = []) {
+  const last = lastStatusMap(empresa);
+  const hadBaseline = last.size > 0;
+  const mudancas = [];
+  const tempos = {};
+
+  for (const u of updates) {
+    const ramal = String(u.id_argus);
+    const para = String(u.descricaoStatus || '');
+    const canonicoPara = u.statusCanonico || discadorService.getDiscador(empresa).canonico(para);
+    const tempoStatus = Number(u.tempoStatusSegundos) || 0;
+    const anterior = last.get(ramal);
+
+    if (hadBaseline && (!anterior || anterior.descricaoStatus !== para)) {
+      mudancas.push({
+        ramal,
+        de: anterior ? anterior.descricaoStatus : null,
+        para,
+        canonicoDe: anterior ? anterior.statusCanonico : null,
+        canonicoPara,
+        grupoDe: anterior ? grupoDoCanonico(anterior.statusCanonico) : null,
+        grupoPara: grupoDoCanonico(canonicoPara),
+        tempoStatus,
+      });
+    }
+    last.set(ramal, { descricaoStatus: para, statusCanonico: canonicoPara, tempoStatus });
+    tempos[ramal] = tempoStatus;
+  }
+
+  return { mudancas, tempos };
+}
+
+function writeSse(res, event, data, id) {
+  if (id != null) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+// campos de expediente do payload (GET e stream); sem config/expediente = sempre aberto
+function expedienteAgora(t = now()) {
+  const exp = expediente ? expediente.statusExpediente(new Date(t)) : null;
+  return {
+    fora_do_expediente: exp ? !exp.aberto : false,
+    expediente: exp ? { aberto: exp.aberto, motivo: exp.motivo, timezone: exp.timezone } : null
+  };
 }
 
-function increaseBackoff() {
-  state.failCount = Math.min(state.failCount + 1, 6);
-  const delaySec = Math.min(15 * Math.pow(2, state.failCount - 1), 300);
-  state.nextAllowedAt = now() + ms(delaySec);
-  console.warn(`[statusController] backoff: próxima tentativa em ${delaySec}s`);
+function publishStatusDiff(empresa, updates) {
+  const diff = computeStatusDiff(empresa, updates);
+  const destinos = [...state.streamClients].filter(c => c.empresa === empresa);
+  if (!destinos.length) return diff;
+
+  state.streamSeq++;
+  const t = now();
+  // com o stream aberto o painel não faz polling: o aviso de expediente vem junto do diff
+  const payload = { seq: state.streamSeq, ts: t, empresa, ...diff, ...expedienteAgora(t) };
+  for (const client of destinos) {
+    try {
+      writeSse(client.res, 'status', payload, state.streamSeq);
+    } catch (e) {
+      state.streamClients.delete(client);
+    }
+  }
+  if (diff.mudancas.length) {
+    console.log(`📡 [statusController] stream ${empresa}: ${diff.mudancas.length} mudança(s) enviadas a ${destinos.length} cliente(s)`);
+  }
+  return diff;
+}
+
+/**
+ * GET /api/status-operadores/stream?empresa=X
+ * Mantém a conexão aberta e envia um evento `status` a cada rodada do updater da empresa.
+ */
+async function streamStatusOperadores(req, res) {
+  const filtros = await resolverFiltros(req.query);
+  if (!filtros) return res.status(400).json({ error: `empresa desconhecida: ${String(req.query.empresa)}` });
+  const { empresa } = filtros;
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // nginx não deve bufferizar
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+  // reconexão do EventSource em 5s; evento inicial confirma a assinatura
+  res.write('retry: 5000\n\n');
+  const client = { res, empresa };
+  state.streamClients.add(client);
+  writeSse(res, 'hello', { seq: state.streamSeq, ts: now(), empresa, clientes: state.streamClients.size });
+
+  const heartbeat = setInterval(() => {
+    try { res.write(`: ping ${now()}\n\n`); } catch (_) { /* fechado */ }
+  }, Math.max(5000, STREAM_HEARTBEAT_MS));
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    state.streamClients.delete(client);
+  });
 }
 
 // ---------- Scheduler ----------
 function scheduleStatusUpdater(intervalMs = UPDATE_INTERVAL_MS) {
   if (state.schedulerId) return state.schedulerId;
-  updateStatusOperadores().catch(() => {});
+  updateStatusEmpresas().catch(() => {});
   state.schedulerId = setInterval(async () => {
     const t = now();
-    if (state.isFetching || t < state.nextAllowedAt) return;
-    updateStatusOperadores().catch(() => {});
+    if (state.isFetching) return; // backoff é por empresa, dentro de updateStatusOperadores
+    if (expediente && !expediente.statusExpediente(new Date(t)).aberto) {
+      const foraMs = expediente.config.foraIntervalMs;
+      if (foraMs <= 0 || (t - (state.lastScheduledRunAt || 0)) < foraMs) return;
+    }
+    state.lastScheduledRunAt = t;
+    updateStatusEmpresas().catch(() => {});
   }, Math.max(10000, intervalMs));
   return state.schedulerId;
 }
@@ -626,13 +1155,30 @@ function scheduleStatusUpdater(intervalMs = UPDATE_INTERVAL_MS) {
 // ---------- Exports ----------
 module.exports = {
   getStatusOperadores,
+  streamStatusOperadores,
+  getHistoricoRamal,
   updateStatusOperadores,
+  updateStatusEmpresas,
   scheduleStatusUpdater,
+  resolverEmpresa,
   __internal: {
-    statusCacheRef: () => state,
-    lastGoodPayloadRef: () =>
-      state.cache?.data ? { ts: state.cache.ts, count: state.cache.data?.operadores?.length || 0 } : null,
+    cacheMapRef: () => state.cacheMap,
+    clearCache,
+    resumoCache,
+    lastGoodPayloadRef: (empresa = EMPRESA_FILTRO) => {
+      const c = state.cacheMap.get(`${empresa}|`);
+      return c && c.data ? { ts: c.ts, count: c.data.operadores?.length || 0 } : null;
+    },
     lastErrorRef: () => state.lastError,
     _colsCacheRef: () => state._colsCache,
+    streamClientsCount: () => state.streamClients.size,
+    falhouAtualizacao,
+    recordStatusTransition,
+    computeStatusDiff,
+    publishStatusDiff,
+    grupoDoStatus,
+    grupoDoContrato,
+    dividirMeta,
+    getDiscador: discadorService.getDiscador, // com ARGUS_BASE_URL apontando para mock/argusMock.js
   },
 };
@@ -0,0 +1,246 @@
+// controllers/vendasController.js
+// Feed de vendas individuais (tabela `cadastrados` na nuvem) para o painel de "nova venda".
+// Exporta:
+//  - getVendasRecentes(req,res)  -> handler Express (/api/vendas/recentes?since=&min=&limit=)
+//  - detectCadastradosCols(pool) -> colunas opcionais de `cadastrados` (id, produto, convenio) e tipo de data_cadastro
+//  - __internal.*                -> referências para debugging
+
+const { getLocalPool, getCloudPool, sql } = require('../config/db.js');
+
+const DEBUG = !!process.env.DEBUG;
+const DEFAULT_EMPRESA = process.env.DEFAULT_EMPRESA || 'VIEIRACRED';
+const SALES_BATCH_SIZE = parseInt(process.env.SALES_BATCH_SIZE || '300', 10);
+const JANELA_MIN = parseInt(process.env.VENDAS_RECENTES_JANELA_MIN || '5', 10); // sem ?since=
+const MAX_LIMIT = parseInt(process.env.VENDAS_RECENTES_MAX_LIMIT || '200', 10);
+const VENDEDORES_CACHE_MS = parseInt(process.env.VENDEDORES_CACHE_MS || '60000', 10);
+
+const escapeSqlStr = s => String(s || '').replace(/'/g, "''");
+const toInList = arr => arr.map(id => `'${escapeSqlStr(id)}'`).join(',');
+
+// cursor do feed: data_cadastro como DATETIME2(7) em ISO local (CONVERT 126, sem perder precisão)
+// + "|id" da última venda quando `cadastrados` tem coluna de id: 2025-01-31T14:05:09.1233333|4512
+const SINCE_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,7})?(\|[^|]{1,50})?$/;
+// data_cadastro sem arredondar no cursor devolvido: DATETIME vira DATETIME2(7) (só no SELECT)
+const TS_SQL = 'CAST(data_cadastro AS DATETIME2(7))';
+// tipos de data_cadastro aceitos para converter o cursor (o WHERE compara a coluna pura, usando o índice)
+const TIPOS_DATA = { datetime: 'DATETIME', smalldatetime: 'SMALLDATETIME', datetime2: 'DATETIME2', date: 'DATE' };
+
+let lastError = null;
+let colsCache = null;                 // colunas opcionais detectadas em cadastrados
+const vendedoresCache = new Map();    // empresa -> { data: Map(id -> vendedor), ts }
+
+/* ---------------------- fotoService (opcional) ---------------------- */
+let fotoService = null;
+try {
+  fotoService = require('../services/fotoService.js');
+} catch (e) {
+  fotoService = null;
+}
+
+/* ---------------------- helpers ---------------------- */
+
+/**
+ * Detecta (uma vez) colunas opcionais de `cadastrados`: id da linha, produto e convênio.
+ */
+// tipo SQL de data_cadastro (padrão DATETIME, o da tabela original)
+function tipoDataCadastro(coluna) {
+  const base = coluna && TIPOS_DATA[coluna.tipo];
+  if (!base) return 'DATETIME';
+  if (base !== 'DATETIME2') return base;
+  const precisao = Number(coluna.precisao);
+  return Number.isInteger(precisao) && precisao >= 0 && precisao <= 7 ? `DATETIME2(${precisao})` : 'DATETIME2(7)';
+}
+
+async function detectCadastradosCols(pool) {
+  if (colsCache) return colsCache;
+  const r = await pool.request().query(`
+    SELECT LOWER(COLUMN_NAME) AS col, LOWER(DATA_TYPE) AS tipo, DATETIME_PRECISION AS precisao
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_NAME = 'cadastrados'
+  `);
+  const linhas = r.recordset || [];
+  const cols = new Set(linhas.map(x => x.col));
+  colsCache = {
+    id: ['id', 'id_cadastro', 'cadastro_id'].find(c => cols.has(c)) || null,
+    produto: cols.has('produto') ? 'produto' : null,
+    convenio: cols.has('convenio') ? 'convenio' : null,
+    dataCadastroTipo: tipoDataCadastro(linhas.find(x => x.col === 'data_cadastro')),
+  };
+  if (DEBUG) console.log('[vendasController] colunas cadastrados:', colsCache);
+  return colsCache;
+}
+
+async function getVendedores(empresa) {
+  const cache = vendedoresCache.get(empresa);
+  if (cache && (Date.now() - cache.ts) < VENDEDORES_CACHE_MS) return cache.data;
+
+  const pool = await getLocalPool();
+  if (!pool) throw new Error('Pool LOCAL indisponível');
+  const r = await pool.request()
+    .input('empresa', sql.VarChar, empresa)
+    .query(`
+      SELECT id_new, Nome_Front AS nome, equipe
+      FROM colaboradores
+      WHERE empresa = @empresa
+    `);
+  const map = new Map();
+  for (const v of r.recordset || []) {
+    if (v.id_new) map.set(String(v.id_new), v);
+  }
+  vendedoresCache.set(empresa, { data: map, ts: Date.now() });
+  return map;
+}
+
+async function getFotos(ids) {
+  if (!ids.length || !fotoService || typeof fotoService.fetchFotosMap !== 'function') return new Map();
+  try {
+    const res = await fotoService.fetchFotosMap(ids);
+    return res instanceof Map ? res : new Map(Object.entries(res || {}));
+  } catch (e) {
+    if (DEBUG) console.warn('[vendasController] fotos indisponíveis:', e && e.message ? e.message : e);
+    return new Map();
+  }
+}
+
+// ordem do keyset: data_cadastro e, no empate, id (numérico quando a coluna é numérica, como no ORDER BY)
+function compararChave(a, b) {
+  if (a.cursorTs !== b.cursorTs) return a.cursorTs < b.cursorTs ? -1 : 1;
+  if (a.idOrdem == null || b.idOrdem == null || a.idOrdem === b.idOrdem) return 0;
+  if (typeof a.idOrdem === 'number' && typeof b.idOrdem === 'number') return a.idOrdem - b.idOrdem;
+  return String(a.idOrdem) < String(b.idOrdem) ? -1 : 1;
+}
+
+/* ---------------------- handler ---------------------- */
+
+/**
+ * GET /api/vendas/recentes?empresa=&since=&min=&limit=
+ * - since: cursor devolvido pela chamada anterior (sem ele: as `limit` vendas mais recentes dos últimos
+ *   VENDAS_RECENTES_JANELA_MIN minutos, com o cursor na mais nova).
+ *   Keyset (data_cadastro, id): vendas com o mesmo horário que ficaram fora do TOP vêm na chamada seguinte.
+ * - min: valor mínimo da venda (opcional)
+ * Retorna { vendas: [{ id, vendedorId, nome, equipe, foto, valor, dataCadastro }], cursor }
+ * em ordem cronológica; `cursor` vai no próximo ?since=.
+ */
+async function getVendasRecentes(req, res) {
+  const empresa = String(req.query.empresa || DEFAULT_EMPRESA);
+  const since = req.query.since ? String(req.query.since).trim() : null;
+  if (since && !SINCE_RE.test(since)) {
+    return res.status(400).json({ error: 'since deve ser o cursor da chamada anterior (YYYY-MM-DDTHH:MM:SS[.fffffff][|id])' });
+  }
+  const min = req.query.min !== undefined ? Number(req.query.min) : 0;
+  if (!Number.isFinite(min) || min < 0) return res.status(400).json({ error: 'min deve ser número >= 0' });
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return res.status(400).json({ error: `limit deve ser inteiro entre 1 e ${MAX_LIMIT}` });
+  }
+
+  try {
+    const pool = await getCloudPool();
+    if (!pool) throw new Error('Pool CLOUD indisponível');
+    const cols = await detectCadastradosCols(pool);
+
+    // sem ?since= e sem vendas na janela, o cursor parte do relógio do banco
+    // (evita que o cliente repita a mesma janela a cada chamada)
+    const agoraRes = await pool.request().query(`SELECT CONVERT(VARCHAR(27), SYSDATETIME(), 126) AS agora`);
+    const cursorVazio = since || ((agoraRes.recordset || [])[0] || {}).agora || null;
+
+    const vendedores = await getVendedores(empresa);
+    const ids = Array.from(vendedores.keys());
+    if (!ids.length) return res.json({ vendas: [], cursor: cursorVazio });
+
+    const selectParts = [
+      cols.id ? `CAST([${cols.id}] AS VARCHAR(50)) AS id` : 'NULL AS id',
+      cols.id ? `[${cols.id}] AS idOrdem` : 'NULL AS idOrdem',
+      'vendedor_id',
+      'valor_referencia AS valor',
+      'CONVERT(VARCHAR(23), data_cadastro, 126) AS dataCadastro',
+      `CONVERT(VARCHAR(27), ${TS_SQL}, 126) AS cursorTs`,
+    ];
+
+    // since = "ts" ou "ts|id"; o id só vale como desempate se a coluna existir.
+    // O cursor (DATETIME2(7)) é convertido para o tipo da coluna e comparado com data_cadastro puro:
+    // a conversão fica no parâmetro, então o índice de data_cadastro continua sendo usado.
+    // DATETIME arredonda .1233333 para o mesmo .123 gravado.
+    const [sinceTs, sinceId] = since ? since.split('|') : [null, null];
+    const sinceSql = `CAST(CONVERT(DATETIME2(7), @since, 126) AS ${cols.dataCadastroTipo || 'DATETIME'})`;
+    let filtroCursor = 'data_cadastro > DATEADD(MINUTE, -@janela, GETDATE())';
+    if (sinceTs && sinceId && cols.id) {
+      filtroCursor = `(data_cadastro > ${sinceSql}
+            OR (data_cadastro = ${sinceSql} AND [${cols.id}] > @sinceId))`;
+    } else if (sinceTs) {
+      filtroCursor = `data_cadastro > ${sinceSql}`;
+    }
+    // sem cursor, as `limit` vendas mais novas da janela (o cursor devolvido já é a mais recente)
+    const direcao = sinceTs ? 'ASC' : 'DESC';
+    const ordem = cols.id ? `data_cadastro ${direcao}, [${cols.id}] ${direcao}` : `data_cadastro ${direcao}`;
+    if (cols.produto) selectParts.push(`[${cols.produto}] AS produto`);
+    if (cols.convenio) selectParts.push(`[${cols.convenio}] AS convenio`);
+
+    const rows = [];
+    for (let i = 0; i < ids.length; i += SALES_BATCH_SIZE) {
+      const chunk = ids.slice(i, i + SALES_BATCH_SIZE);
+      const request = pool.request()
+        .input('limit', sql.Int, limit)
+        .input('min', sql.Decimal(18, 2), min)
+        .input('janela', sql.Int, JANELA_MIN);
+      if (sinceTs) request.input('since', sql.VarChar(27), sinceTs);
+      if (sinceId && cols.id) request.input('sinceId', sql.VarChar(50), sinceId);
+      const r = await request.query(`
+        SELECT TOP (@limit) ${selectParts.join(', ')}
+        FROM cadastrados
+        WHERE vendedor_id IN (${toInList(chunk)})
+          AND ${filtroCursor}
+          AND valor_referencia >= @min
+        ORDER BY ${ordem}
+      `);
+      rows.push(...(r.recordset || []));
+    }
+
+    rows.sort(compararChave);
+    const pagina = sinceTs ? rows.slice(0, limit) : rows.slice(-limit);
+
+    const fotos = await getFotos(Array.from(new Set(pagina.map(r => String(r.vendedor_id)))));
+    const vendas = pagina.map(r => {
+      const vendedorId = String(r.vendedor_id);
+      const vend = vendedores.get(vendedorId) || {};
+      const rawFoto = String(fotos.get(vendedorId) || '').trim();
+      const foto = (fotoService && typeof fotoService.sanitizeFotoPath === 'function')
+        ? fotoService.sanitizeFotoPath(rawFoto)
+        : (rawFoto || null);
+      const venda = {
+        id: r.id || `${vendedorId}|${r.dataCadastro}|${r.valor}`,
+        vendedorId,
+        nome: vend.nome || 'Vendedor Não Encontrado',
+        equipe: vend.equipe || 'N/A',
+        foto,
+        valor: parseFloat(r.valor) || 0,
+        dataCadastro: r.dataCadastro,
+      };
+      if (cols.produto) venda.produto = r.produto || null;
+      if (cols.convenio) venda.convenio = r.convenio || null;
+      return venda;
+    });
+
+    const ultima = pagina[pagina.length - 1];
+    const cursor = ultima
+      ? (cols.id && ultima.idOrdem != null ? `${ultima.cursorTs}|${ultima.idOrdem}` : ultima.cursorTs)
+      : cursorVazio;
+    return res.json({ vendas, cursor });
+  } catch (err) {
+    lastError = err;
+    console.error('❌ [vendasController] getVendasRecentes erro:', err && err.message ? err.message : err);
+    return res.status(500).json({ error: err && err.message ? err.message : String(err) });
+  }
+}
+
+/* ---------------------- Exports / Debug ---------------------- */
+module.exports = {
+  getVendasRecentes,
+  detectCadastradosCols,
+  __internal: {
+    colsCacheRef: () => colsCache,
+    compararChave,
+    clearCache: () => { colsCache = null; vendedoresCache.clear(); },
+    lastErrorRef: () => lastError,
+  },
+};
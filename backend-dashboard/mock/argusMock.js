@@ -0,0 +1,326 @@
+// ===============================================================
+// mock/argusMock.js — Servidor Argus falso para desenvolvimento e testes
+// Atende /apiargus/cmd/statusoperador?ramal= e /apiargus/cmd/statusoperadores
+// com transições de status realistas e falhas injetáveis (400, 403, 5xx, lentidão).
+//
+// Uso local:
+//   npm run mock:argus                     (ou: node mock/argusMock.js)
+//   ARGUS_BASE_URL=http://localhost:4010/apiargus npm start   (no backend)
+//
+// Configuração via .env:
+//   MOCK_ARGUS_PORT=4010
+//   MOCK_ARGUS_RAMAIS=1001-1020,2001       (ramais conhecidos; os demais recebem 400)
+//   MOCK_ARGUS_TOKEN=                      (se definido, Token-Signature diferente recebe 403)
+//   MOCK_ARGUS_SEED=                       (semente do sorteio; mesma semente = mesma sequência)
+//   MOCK_ARGUS_FALHA=503@0.1               (falha fixa: status@taxa; vazio = sem falha)
+//   MOCK_ARGUS_ATRASO_MS=0                 (atraso de toda resposta)
+//
+// Administração (mesmo servidor, prefixo /_mock):
+//   GET    /_mock                      -> ramais, status atuais, regras de falha e contadores
+//   POST   /_mock/falhas               -> { status?, atrasoMs?, rota?, taxa?, vezes? } adiciona regra
+//   DELETE /_mock/falhas               -> remove todas as regras
+//   PUT    /_mock/ramais/:ramal        -> { descricaoStatus } força o status de um ramal
+//
+// Em testes: const { createArgusMock } = require('../mock/argusMock');
+//            const mock = createArgusMock({ ramais: ['1001'], seed: 1 }); await mock.listen(0);
+//            (exemplo completo em tests/statusArgusMock.test.js — `npm test`)
+// ===============================================================
+
+const express = require('express');
+
+const BASE_PATH = '/apiargus';
+
+// status -> duração (segundos) e próximos status com peso
+// descrições casam com as palavras-chave de services/discadorArgus.js (ATENDIMENTO / PAUSA / LIVRE / OFFLINE)
+const TRANSICOES = {
+  'Disponível':        { duracao: [10, 120],  proximos: [['Em atendimento', 70], ['Pausa - Lanche', 8], ['Pausa - Banheiro', 10], ['Deslogado', 2]] },
+  'Em atendimento':    { duracao: [60, 600],  proximos: [['Pós-atendimento', 60], ['Disponível', 40]] },
+  'Pós-atendimento':   { duracao: [5, 60],    proximos: [['Disponível', 90], ['Pausa - Banheiro', 10]] },
+  'Pausa - Lanche':    { duracao: [600, 1200], proximos: [['Disponível', 100]] },
+  'Pausa - Banheiro':  { duracao: [60, 300],  proximos: [['Disponível', 100]] },
+  'Deslogado':         { duracao: [300, 1800], proximos: [['Disponível', 100]] }
+};
+const STATUS_INICIAIS = [['Disponível', 30], ['Em atendimento', 45], ['Pausa - Banheiro', 10], ['Pós-atendimento', 10], ['Deslogado', 5]];
+
+/* ---------------------- helpers ---------------------- */
+
+// gerador determinístico (mulberry32) quando há semente; Math.random caso contrário
+function criarRandom(seed) {
+  if (seed === undefined || seed === null || seed === '') return Math.random;
+  let a = Number(seed) >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sortear(rand, opcoes) {
+  const total = opcoes.reduce((s, [, peso]) => s + peso, 0);
+  let x = rand() * total;
+  for (const [valor, peso] of opcoes) {
+    x -= peso;
+    if (x < 0) return valor;
+  }
+  return opcoes[opcoes.length - 1][0];
+}
+
+/**
+ * "1001-1003,2001" -> ['1001','1002','1003','2001']
+ */
+function parseRamais(texto) {
+  const out = [];
+  for (const parte of String(texto || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const m = /^(\d+)-(\d+)$/.exec(parte);
+    if (!m) {
+      out.push(parte);
+      continue;
+    }
+    const [ini, fim] = [Number(m[1]), Number(m[2])];
+    if (fim < ini || fim - ini > 5000) throw new Error(`faixa de ramais inválida: '${parte}'`);
+    for (let r = ini; r <= fim; r++) out.push(String(r));
+  }
+  return out;
+}
+
+/**
+ * "503@0.1" -> { status: 503, taxa: 0.1 }; "403" -> { status: 403, taxa: 1 }
+ */
+function parseFalha(texto) {
+  if (!texto) return null;
+  const [status, taxa] = String(texto).split('@');
+  return { status: Number(status), taxa: taxa === undefined ? 1 : Number(taxa) };
+}
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+/* ---------------------- mock ---------------------- */
+
+/**
+ * createArgusMock({ ramais, token, seed, falha, atrasoMs, agora })
+ * Retorna { app, listen(port), close(), url, addFalha(regra), limparFalhas(), setStatus(ramal, desc),
+ *           removerRamal(ramal), estado }
+ * `agora` permite relógio falso em testes (padrão Date.now).
+ */
+function createArgusMock(opts = {}) {
+  const rand = criarRandom(opts.seed);
+  const agora = typeof opts.agora === 'function' ? opts.agora : Date.now;
+  const token = opts.token || null;
+  const atrasoPadrao = Math.max(0, Number(opts.atrasoMs) || 0);
+
+  const estado = {
+    ramais: new Map(), // ramal -> { descricaoStatus, desde, ate }
+    falhas: [],        // { rota, status, atrasoMs, taxa, restantes }
+    contadores: { requisicoes: 0, falhasInjetadas: 0, porRota: {} }
+  };
+
+  function novoPeriodo(descricaoStatus, desde) {
+    const [min, max] = TRANSICOES[descricaoStatus].duracao;
+    return { descricaoStatus, desde, ate: desde + Math.round((min + rand() * (max - min)) * 1000) };
+  }
+
+  // começa cada ramal no meio de um status para o primeiro snapshot não vir zerado
+  for (const ramal of opts.ramais || []) {
+    const p = novoPeriodo(sortear(rand, STATUS_INICIAIS), agora());
+    const decorrido = Math.floor(rand() * (p.ate - p.desde));
+    estado.ramais.set(String(ramal), { ...p, desde: p.desde - decorrido, ate: p.ate - decorrido });
+  }
+
+  // avança o ramal até o instante atual (sem timers: transições calculadas sob demanda)
+  function statusAtual(ramal) {
+    let p = estado.ramais.get(ramal);
+    const t = agora();
+    while (p.ate <= t) {
+      p = novoPeriodo(sortear(rand, TRANSICOES[p.descricaoStatus].proximos), p.ate);
+    }
+    estado.ramais.set(ramal, p);
+    return {
+      ramal,
+      descricaoStatus: p.descricaoStatus,
+      tempoStatus: t - p.desde // ms, como no Argus
+    };
+  }
+
+  function addFalha({ rota = '*', status = null, atrasoMs = 0, taxa = 1, vezes = null } = {}) {
+    const st = status === null || status === undefined ? null : Number(status);
+    if (st !== null && !(st >= 400 && st <= 599)) throw new Error('status deve estar entre 400 e 599');
+    if (!['*', 'statusoperador', 'statusoperadores'].includes(rota)) throw new Error(`rota inválida: '${rota}'`);
+    const regra = {
+      rota,
+      status: st,
+      atrasoMs: Math.max(0, Number(atrasoMs) || 0),
+      taxa: Math.min(1, Math.max(0, Number(taxa))),
+      restantes: vezes === null || vezes === undefined ? null : Math.max(1, parseInt(vezes, 10))
+    };
+    if (regra.status === null && !regra.atrasoMs) throw new Error('informe status e/ou atrasoMs');
+    estado.falhas.push(regra);
+    return regra;
+  }
+
+  function limparFalhas() {
+    estado.falhas = [];
+  }
+
+  function setStatus(ramal, descricaoStatus) {
+    if (!estado.ramais.has(String(ramal))) return false;
+    if (!TRANSICOES[descricaoStatus]) throw new Error(`status desconhecido: '${descricaoStatus}' (use ${Object.keys(TRANSICOES).join(', ')})`);
+    estado.ramais.set(String(ramal), novoPeriodo(descricaoStatus, agora()));
+    return true;
+  }
+
+  // operador deslogou: o ramal some do snapshot em lote e a consulta por ramal responde 400
+  function removerRamal(ramal) {
+    return estado.ramais.delete(String(ramal));
+  }
+
+  if (opts.falha) addFalha(opts.falha);
+
+  // aplica a primeira regra sorteada para a rota; retorna true se a resposta já foi enviada
+  async function aplicarFalhas(rota, res) {
+    let atraso = atrasoPadrao;
+    let status = null;
+    for (const regra of estado.falhas) {
+      if (regra.rota !== '*' && regra.rota !== rota) continue;
+      if (rand() >= regra.taxa) continue;
+      if (regra.restantes !== null) regra.restantes--;
+      atraso += regra.atrasoMs;
+      status = regra.status;
+      break;
+    }
+    estado.falhas = estado.falhas.filter(r => r.restantes === null || r.restantes > 0);
+    if (atraso) await sleep(atraso);
+    if (status === null) return false;
+
+    estado.contadores.falhasInjetadas++;
+    const desc = status === 403 ? 'Token inválido' : status === 400 ? 'Requisição inválida' : 'Erro interno';
+    res.status(status).json({ codStatus: 0, descStatus: `${desc} (mock)` });
+    return true;
+  }
+
+  function autorizado(req, res) {
+    if (!token || req.get('Token-Signature') === token) return true;
+    res.status(403).json({ codStatus: 0, descStatus: 'Token inválido' });
+    return false;
+  }
+
+  function contar(rota) {
+    estado.contadores.requisicoes++;
+    estado.contadores.porRota[rota] = (estado.contadores.porRota[rota] || 0) + 1;
+  }
+
+  const app = express();
+  app.use(express.json());
+
+  app.get(`${BASE_PATH}/cmd/statusoperador`, async (req, res) => {
+    contar('statusoperador');
+    if (!autorizado(req, res)) return;
+    if (await aplicarFalhas('statusoperador', res)) return;
+
+    const ramal = String(req.query.ramal || '').trim();
+    if (!ramal || !estado.ramais.has(ramal)) {
+      return res.status(400).json({ codStatus: 0, descStatus: `Ramal ${ramal || '(vazio)'} não encontrado` });
+    }
+    res.json({ codStatus: 1, descStatus: 'OK', statusOperador: statusAtual(ramal) });
+  });
+
+  app.get(`${BASE_PATH}/cmd/statusoperadores`, async (req, res) => {
+    contar('statusoperadores');
+    if (!autorizado(req, res)) return;
+    if (await aplicarFalhas('statusoperadores', res)) return;
+
+    const statusOperadores = Array.from(estado.ramais.keys()).map(statusAtual);
+    res.json({ codStatus: 1, descStatus: 'OK', statusOperadores });
+  });
+
+  /* ---------- administração ---------- */
+
+  app.get('/_mock', (req, res) => {
+    res.json({
+      ramais: Array.from(estado.ramais.keys()).map(statusAtual),
+      falhas: estado.falhas,
+      contadores: estado.contadores
+    });
+  });
+
+  app.post('/_mock/falhas', (req, res) => {
+    try {
+      res.status(201).json({ ok: true, regra: addFalha(req.body || {}) });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  });
+
+  app.delete('/_mock/falhas', (req, res) => {
+    limparFalhas();
+    res.json({ ok: true });
+  });
+
+  app.put('/_mock/ramais/:ramal', (req, res) => {
+    try {
+      if (!setStatus(req.params.ramal, String((req.body || {}).descricaoStatus || ''))) {
+        return res.status(404).json({ error: `Ramal ${req.params.ramal} não simulado` });
+      }
+      res.json({ ok: true, status: statusAtual(String(req.params.ramal)) });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  });
+
+  app.delete('/_mock/ramais/:ramal', (req, res) => {
+    if (!removerRamal(req.params.ramal)) return res.status(404).json({ error: `Ramal ${req.params.ramal} não simulado` });
+    res.json({ ok: true });
+  });
+
+  let server = null;
+  const mock = {
+    app,
+    estado,
+    addFalha,
+    limparFalhas,
+    setStatus,
+    removerRamal,
+    url: null,
+    // porta 0 = livre (testes); resolve com a URL base para ARGUS_BASE_URL
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        server = app.listen(port, () => {
+          mock.url = `http://localhost:${server.address().port}${BASE_PATH}`;
+          resolve(mock.url);
+        });
+        server.on('error', reject);
+      });
+    },
+    close() {
+      return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+  };
+  return mock;
+}
+
+module.exports = {
+  createArgusMock,
+  parseRamais,
+  TRANSICOES
+};
+
+/* ---------------------- execução direta ---------------------- */
+if (require.main === module) {
+  require('dotenv').config();
+  const mock = createArgusMock({
+    ramais: parseRamais(process.env.MOCK_ARGUS_RAMAIS || '1001-1020'),
+    token: process.env.MOCK_ARGUS_TOKEN || null,
+    seed: process.env.MOCK_ARGUS_SEED,
+    falha: parseFalha(process.env.MOCK_ARGUS_FALHA),
+    atrasoMs: process.env.MOCK_ARGUS_ATRASO_MS
+  });
+  mock.listen(parseInt(process.env.MOCK_ARGUS_PORT || '4010', 10)).then(url => {
+    console.log(`🧪 Mock Argus em ${url} (${mock.estado.ramais.size} ramais)`);
+    console.log(`   backend: ARGUS_BASE_URL=${url}`);
+  }).catch(err => {
+    console.error('❌ Mock Argus não iniciou:', err && err.message ? err.message : err);
+    process.exit(1);
+  });
+  process.on('SIGINT', () => mock.close().then(() => process.exit(0)));
+}
@@ -0,0 +1,66 @@
+// ===============================================================
+// routes/argusRoutes.js — Administração do token da API Argus
+// (troca sem restart, sondagem manual, saúde do token)
+// ===============================================================
+
+const express = require('express');
+const router = express.Router();
+const { requireDebugAuth, requireAdminAuth } = require('../utils/auth');
+
+let argusToken = null;
+try {
+  argusToken = require('../services/argusTokenService');
+} catch (e) {
+  console.warn('⚠️ argusTokenService não encontrado:', e.message);
+}
+
+/* -------------------------
+   GET /api/_argus/token
+   (saúde do token: estado, fonte, impressão, próxima sondagem — nunca o token)
+------------------------- */
+router.get('/api/_argus/token', requireDebugAuth, (req, res) => {
+  try {
+    if (!argusToken) return res.status(501).json({ error: 'argusTokenService indisponível' });
+    res.json({ ok: true, argus: argusToken.getSaude(), ts: new Date().toISOString() });
+  } catch (e) {
+    console.error('❌ [argusRoutes] GET token erro:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* -------------------------
+   POST /api/_argus/token  { token }
+   (troca o token em memória e sonda na hora; restart volta para TOKEN_ARGUS/TOKEN_ARGUS_FILE)
+   exige ADMIN_TOKEN no header (requireAdminAuth)
+------------------------- */
+router.post('/api/_argus/token', requireAdminAuth, async (req, res) => {
+  try {
+    if (!argusToken) return res.status(501).json({ error: 'argusTokenService indisponível' });
+    const token = req.body && typeof req.body.token === 'string' ? req.body.token.trim() : '';
+    if (!token) return res.status(400).json({ error: 'token (string) é obrigatório no corpo' });
+
+    // 422: token adotado, mas o Argus o recusou (sondagens seguem até chegar um válido)
+    const saude = await argusToken.setToken(token, 'api');
+    res.status(saude.estado === 'invalido' ? 422 : 200).json({ ok: saude.estado !== 'invalido', argus: saude });
+  } catch (e) {
+    console.error('❌ [argusRoutes] POST token erro:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* -------------------------
+   POST /api/_argus/token/sondar
+   (sonda o token atual agora, sem esperar o próximo ciclo; exige ADMIN_TOKEN no header)
+------------------------- */
+router.post('/api/_argus/token/sondar', requireAdminAuth, async (req, res) => {
+  try {
+    if (!argusToken) return res.status(501).json({ error: 'argusTokenService indisponível' });
+    const saude = await argusToken.sondar();
+    res.json({ ok: saude.estado !== 'invalido' && saude.estado !== 'ausente', argus: saude });
+  } catch (e) {
+    console.error('❌ [argusRoutes] sondar erro:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+module.exports = router;
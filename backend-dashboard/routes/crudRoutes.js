@@ -0,0 +1,46 @@
+// routes/crudRoutes.js — fábrica das rotas CRUD de cadastro (metas de logados, metas de venda)
+// Uso:
+//   module.exports = criarRotasCrud({
+//     nome: 'metaRoutes', caminho: '/api/metas', controller, controllerNome: 'metaController',
+//     handlers: { list: 'listMetas', get: 'getMeta', create: 'createMeta', update: 'updateMeta', remove: 'deleteMeta' }
+//   });
+// GET (lista e :id) são públicos; POST/PUT/DELETE passam por requireDebugAuth.
+const express = require('express');
+const { requireDebugAuth } = require('../utils/auth');
+
+/**
+ * @param {object} opts
+ * @param {string} opts.nome            prefixo dos logs (ex.: 'metaRoutes')
+ * @param {string} opts.caminho         rota base (ex.: '/api/metas')
+ * @param {object|null} opts.controller controller já carregado (null = indisponível -> 501)
+ * @param {string} opts.controllerNome  nome usado na mensagem de 501
+ * @param {{ list, get, create, update, remove }} opts.handlers nomes das funções no controller
+ */
+function criarRotasCrud({ nome, caminho, controller, controllerNome, handlers }) {
+  const router = express.Router();
+
+  const delegar = (metodo, rota, handler) => async (req, res) => {
+    try {
+      if (!controller || typeof controller[handler] !== 'function') {
+        return res.status(501).json({ error: `${controllerNome} indisponível` });
+      }
+      return await controller[handler](req, res);
+    } catch (e) {
+      console.error(`❌ [${nome}] ${metodo} ${rota} erro:`, e && e.message ? e.message : e);
+      return res.status(500).json({ error: e && e.message ? e.message : String(e) });
+    }
+  };
+
+  const comId = `${caminho}/:id`;
+  router.get(caminho, delegar('GET', caminho, handlers.list));
+  router.get(comId, delegar('GET', comId, handlers.get));
+  router.post(caminho, requireDebugAuth, delegar('POST', caminho, handlers.create));
+  router.put(comId, requireDebugAuth, delegar('PUT', comId, handlers.update));
+  router.delete(comId, requireDebugAuth, delegar('DELETE', comId, handlers.remove));
+
+  return router;
+}
+
+module.exports = {
+  criarRotasCrud
+};
@@ -8,6 +8,7 @@ const fs = require('fs');
 const path = require('path');
 
 const router = express.Router();
+const { requireDebugAuth } = require('../utils/auth');
 
 // imports defensivos dos controllers / db
 let statusController = null;
@@ -22,16 +23,6 @@ try { rankingController = require('../controllers/rankingController'); } catch (
 try { healthController = require('../controllers/healthController'); } catch (e) { /* ignore */ }
 try { db = require('../db.js'); } catch (e) { /* ignore */ }
 
-const DEBUG_TOKEN = process.env.DEBUG_TOKEN || null;
-
-// middleware opcional: exige token quando DEBUG_TOKEN está definido
-function requireDebugAuth(req, res, next) {
-  if (!DEBUG_TOKEN) return next();
-  const token = req.headers['x-debug-token'] || req.query.debug_token;
-  if (token && token === DEBUG_TOKEN) return next();
-  return res.status(401).json({ error: 'Unauthorized (debug token)' });
-}
-
 // util: probe pool getter
 async function probePool(poolGetter) {
   try {
@@ -75,18 +66,10 @@ router.get('/_debug/pools', requireDebugAuth, async (req, res) => {
 // 3) status-cache (do statusController)
 router.get('/_debug/status-cache', requireDebugAuth, (req, res) => {
   try {
-    if (!statusController || !statusController.__internal || typeof statusController.__internal.statusCacheRef !== 'function') {
-      return res.json({ error: 'statusController.__internal.statusCacheRef indisponível' });
+    if (!statusController || !statusController.__internal || typeof statusController.__internal.resumoCache !== 'function') {
+      return res.json({ error: 'statusController.__internal.resumoCache indisponível' });
     }
-    const ref = statusController.__internal.statusCacheRef();
-    // clonar parcialmente para evitar expor funções/refs internas
-    const safe = {
-      hasData: !!ref && !!ref.data,
-      timestamp: ref && ref.timestamp ? new Date(ref.timestamp).toISOString() : null,
-      isFetching: !!ref && !!ref.isFetching,
-      summary: ref && ref.data ? { operadores: Array.isArray(ref.data.operadores) ? ref.data.operadores.length : null, horario_atual: ref.data.horario_atual } : null
-    };
-    res.json({ raw: ref, safe });
+    res.json(statusController.__internal.resumoCache());
   } catch (e) {
     res.status(500).json({ error: String(e && e.message ? e.message : e) });
   }
@@ -203,11 +186,10 @@ router.get('/_debug/last-error', requireDebugAuth, (req, res) => {
 router.post('/_debug/clear-caches', requireDebugAuth, async (req, res) => {
   const result = {};
   try {
-    // statusController: tenta zerar statusCache
+    // statusController: só o cache do GET (não mexe no isFetching das rodadas em andamento)
     try {
-      if (statusController && statusController.__internal && typeof statusController.__internal.statusCacheRef === 'function') {
-        const s = statusController.__internal.statusCacheRef();
-        if (s) { s.data = null; s.timestamp = 0; s.isFetching = false; s.fetchPromise = null; result.status = 'cleared'; } else result.status = 'no-ref';
+      if (statusController && statusController.__internal && typeof statusController.__internal.clearCache === 'function') {
+        result.status = `cleared (${statusController.__internal.clearCache()})`;
       } else result.status = 'not-available';
     } catch (e) { result.status = `error: ${String(e && e.message ? e.message : e)}`; }
 
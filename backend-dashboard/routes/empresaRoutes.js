@@ -5,22 +5,13 @@
 
 const express = require('express');
 const router = express.Router();
+const { requireDebugAuth } = require('../utils/auth');
 
 let empresaController = null;
 let db = null;
 try { empresaController = require('../controllers/empresaController'); } catch (e) { /* será tratado nas rotas */ }
 try { db = require('../db.js'); } catch (e) { /* opcional */ }
 
-const DEBUG_TOKEN = process.env.DEBUG_TOKEN || null;
-
-// middleware opcional de proteção para rotas de debug
-function requireDebugAuth(req, res, next) {
-  if (!DEBUG_TOKEN) return next();
-  const token = req.headers['x-debug-token'] || req.query.debug_token;
-  if (token && token === DEBUG_TOKEN) return next();
-  return res.status(401).json({ error: 'Unauthorized (debug token)' });
-}
-
 /* -------------------------
    API pública: /api/empresas
    ------------------------- */
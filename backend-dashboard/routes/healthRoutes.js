@@ -10,10 +10,18 @@ try {
   // segue sem testConnections
 }
 
+let argusToken = null;
+try {
+  argusToken = require('../services/argusTokenService');
+} catch (e) {
+  // segue sem saúde do token Argus
+}
+
 /**
  * GET /health
  * - Status básico da aplicação
  * - (Opcional) status dos bancos via testConnections()
+ * - argus: saúde do token (estado ok | desconhecido | invalido | sondando | ausente)
  */
 router.get('/health', async (req, res) => {
   const base = {
@@ -22,6 +30,7 @@ router.get('/health', async (req, res) => {
     uptimeSec: Math.round(process.uptime()),
     pid: process.pid,
   };
+  if (argusToken) base.argus = argusToken.getSaude();
 
   // Se conseguirmos testar conexões, agrega no payload
   if (typeof testConnections === 'function') {
@@ -0,0 +1,136 @@
+// ===============================================================
+// routes/jobsRoutes.js — Administração dos jobs do updateService
+// (status, ranking, empresas: métricas, execução manual, pausa, histórico)
+// ===============================================================
+
+const express = require('express');
+const router = express.Router();
+const { requireDebugAuth } = require('../utils/auth');
+
+let updateService = null;
+try {
+  updateService = require('../services/updateService');
+} catch (e) {
+  console.warn('⚠️ updateService não encontrado:', e.message);
+}
+
+/* -------------------------
+   GET /api/_jobs
+   (lista jobs com intervalo/cron, próxima execução, estado e métricas)
+------------------------- */
+router.get('/api/_jobs', requireDebugAuth, (req, res) => {
+  try {
+    if (!updateService || typeof updateService.listJobs !== 'function') {
+      return res.status(501).json({ error: 'updateService indisponível' });
+    }
+    res.json({ ok: true, jobs: updateService.listJobs(), ts: new Date().toISOString() });
+  } catch (e) {
+    console.error('❌ [jobsRoutes] GET /api/_jobs erro:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* -------------------------
+   POST /api/_jobs/:name/run
+   (executa agora e aguarda o resultado; 409 se já estiver rodando)
+------------------------- */
+router.post('/api/_jobs/:name/run', requireDebugAuth, async (req, res) => {
+  try {
+    if (!updateService || typeof updateService.runJobNow !== 'function') {
+      return res.status(501).json({ error: 'updateService indisponível' });
+    }
+    const { name } = req.params;
+    if (!updateService.getJobInfo(name)) return res.status(404).json({ error: `Job '${name}' não registrado` });
+
+    const out = await updateService.runJobNow(name, { origem: 'manual' });
+    if (out.alreadyRunning) return res.status(409).json({ ok: false, error: 'Job já em execução', job: updateService.getJobInfo(name) });
+    res.status(out.ok ? 200 : 500).json({
+      ok: out.ok,
+      result: out.ok ? out.result : undefined,
+      error: out.ok ? undefined : (out.error && out.error.message ? out.error.message : String(out.error)),
+      job: updateService.getJobInfo(name)
+    });
+  } catch (e) {
+    console.error('❌ [jobsRoutes] run erro:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* -------------------------
+   POST /api/_jobs/:name/pause
+   (para o agendamento; execução em andamento termina normalmente)
+------------------------- */
+router.post('/api/_jobs/:name/pause', requireDebugAuth, (req, res) => {
+  try {
+    if (!updateService || typeof updateService.pauseJob !== 'function') {
+      return res.status(501).json({ error: 'updateService indisponível' });
+    }
+    const { name } = req.params;
+    if (!updateService.pauseJob(name)) return res.status(404).json({ error: `Job '${name}' não registrado` });
+    console.log(`⏸️ [jobsRoutes] job '${name}' pausado`);
+    res.json({ ok: true, job: updateService.getJobInfo(name) });
+  } catch (e) {
+    console.error('❌ [jobsRoutes] pause erro:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* -------------------------
+   POST /api/_jobs/:name/resume
+   (reagenda com o último intervalo/cron; jobs de intervalo executam uma vez na hora)
+------------------------- */
+router.post('/api/_jobs/:name/resume', requireDebugAuth, (req, res) => {
+  try {
+    if (!updateService || typeof updateService.resumeJob !== 'function') {
+      return res.status(501).json({ error: 'updateService indisponível' });
+    }
+    const { name } = req.params;
+    if (!updateService.resumeJob(name)) return res.status(404).json({ error: `Job '${name}' não registrado` });
+    console.log(`▶️ [jobsRoutes] job '${name}' retomado`);
+    res.json({ ok: true, job: updateService.getJobInfo(name) });
+  } catch (e) {
+    console.error('❌ [jobsRoutes] resume erro:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* -------------------------
+   GET /api/_jobs/:name/historico?limit=&desde=&resultado=
+   (execuções gravadas em dbo.job_execucoes, mais recentes primeiro;
+    funciona também para jobs que não estão registrados nesta instância)
+------------------------- */
+router.get('/api/_jobs/:name/historico', requireDebugAuth, async (req, res) => {
+  try {
+    if (!updateService || typeof updateService.getJobHistorico !== 'function') {
+      return res.status(501).json({ error: 'updateService indisponível' });
+    }
+    const { name } = req.params;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ error: 'limit deve ser inteiro entre 1 e 500' });
+    }
+    const desde = req.query.desde ? new Date(String(req.query.desde)) : null;
+    if (desde && Number.isNaN(desde.getTime())) {
+      return res.status(400).json({ error: 'desde deve ser uma data ISO (ex.: 2025-01-31 ou 2025-01-31T08:00:00)' });
+    }
+    const resultado = req.query.resultado ? String(req.query.resultado) : null;
+    if (resultado && !['sucesso', 'falha'].includes(resultado)) {
+      return res.status(400).json({ error: "resultado deve ser 'sucesso' ou 'falha'" });
+    }
+
+    const { execucoes, ultimoSucesso } = await updateService.getJobHistorico(name, { limit, desde, resultado });
+    res.json({
+      ok: true,
+      job: name,
+      registrado: !!updateService.getJobInfo(name),
+      total: execucoes.length,
+      ultimoSucesso,
+      execucoes
+    });
+  } catch (e) {
+    console.error('❌ [jobsRoutes] historico erro:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+module.exports = router;
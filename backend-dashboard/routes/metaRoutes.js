@@ -0,0 +1,23 @@
+// routes/metaRoutes.js — CRUD de metas de logados (dbo.meta_logados)
+// Uso: app.use('/', require('./routes/metaRoutes'));
+//   GET    /api/metas?empresa=&equipe=&diaSemana=   (pública)
+//   GET    /api/metas/:id                           (pública)
+//   POST   /api/metas { empresa, equipe?, diaSemana, horaInicio, horaFim, meta }  (requireDebugAuth)
+//   PUT    /api/metas/:id (atualização parcial)     (requireDebugAuth)
+//   DELETE /api/metas/:id                           (requireDebugAuth)
+const { criarRotasCrud } = require('./crudRoutes');
+
+let metaController = null;
+try {
+  metaController = require('../controllers/metaController');
+} catch (e) {
+  console.warn('⚠️ metaController não encontrado:', e && e.message ? e.message : e);
+}
+
+module.exports = criarRotasCrud({
+  nome: 'metaRoutes',
+  caminho: '/api/metas',
+  controller: metaController,
+  controllerNome: 'metaController',
+  handlers: { list: 'listMetas', get: 'getMeta', create: 'createMeta', update: 'updateMeta', remove: 'deleteMeta' }
+});
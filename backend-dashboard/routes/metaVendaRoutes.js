@@ -0,0 +1,29 @@
+// routes/metaVendaRoutes.js — CRUD de metas de venda por vendedor/equipe (dbo.meta_vendedor)
+// Uso: app.use('/', require('./routes/metaVendaRoutes'));
+//   GET    /api/metas-vendas?empresa=&equipe=&vendedorId=&periodo=   (pública)
+//   GET    /api/metas-vendas/:id                                     (pública)
+//   POST   /api/metas-vendas { empresa, vendedorId? | equipe?, periodo: dia|semana|mes, valor }  (requireDebugAuth)
+//   PUT    /api/metas-vendas/:id (atualização parcial)               (requireDebugAuth)
+//   DELETE /api/metas-vendas/:id                                     (requireDebugAuth)
+const { criarRotasCrud } = require('./crudRoutes');
+
+let metaVendaController = null;
+try {
+  metaVendaController = require('../controllers/metaVendaController');
+} catch (e) {
+  console.warn('⚠️ metaVendaController não encontrado:', e && e.message ? e.message : e);
+}
+
+module.exports = criarRotasCrud({
+  nome: 'metaVendaRoutes',
+  caminho: '/api/metas-vendas',
+  controller: metaVendaController,
+  controllerNome: 'metaVendaController',
+  handlers: {
+    list: 'listMetasVendas',
+    get: 'getMetaVenda',
+    create: 'createMetaVenda',
+    update: 'updateMetaVenda',
+    remove: 'deleteMetaVenda'
+  }
+});
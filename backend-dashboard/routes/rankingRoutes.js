@@ -4,6 +4,7 @@
 
 const express = require('express');
 const router = express.Router();
+const { requireDebugAuth } = require('../utils/auth');
 
 let rankingController = null;
 try {
@@ -12,21 +13,8 @@ try {
   console.warn('⚠️ rankingController não encontrado:', e.message);
 }
 
-// Token opcional para proteger rotas administrativas e debug
-const DEBUG_TOKEN = process.env.DEBUG_TOKEN || null;
-
-/**
- * Middleware opcional de autenticação para rotas admin/debug
- */
-function requireDebugAuth(req, res, next) {
-  if (!DEBUG_TOKEN) return next(); // sem token = modo dev livre
-  const token = req.headers['x-debug-token'] || req.query.debug_token;
-  if (token && token === DEBUG_TOKEN) return next();
-  return res.status(401).json({ error: 'Unauthorized (debug token inválido ou ausente)' });
-}
-
 /* -------------------------
-   GET /api/ranking
+   GET /api/ranking?periodo=dia|semana|mes|custom&inicio=&fim=&limit=&offset=&criterio=valor|quantidade|ticket_medio&produto=&convenio=
    (rota pública)
 ------------------------- */
 router.get('/api/ranking', async (req, res) => {
@@ -42,8 +30,72 @@ router.get('/api/ranking', async (req, res) => {
 });
 
 /* -------------------------
-   POST /api/ranking/refresh
-   (força atualização imediata)
+   GET /api/ranking/equipes?periodo=&produto=&convenio=
+   (rota pública — ranking agregado por equipe)
+------------------------- */
+router.get('/api/ranking/equipes', async (req, res) => {
+  try {
+    if (!rankingController || typeof rankingController.getRankingEquipes !== 'function') {
+      return res.status(200).json({ equipes: [], msg: 'rankingController não disponível' });
+    }
+    await rankingController.getRankingEquipes(req, res);
+  } catch (e) {
+    console.error('❌ [rankingRoutes] /api/ranking/equipes erro:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* -------------------------
+   GET /api/ranking/ultrapassagens?periodo=&limit=
+   (rota pública — trocas de liderança registradas)
+------------------------- */
+router.get('/api/ranking/ultrapassagens', async (req, res) => {
+  try {
+    if (!rankingController || typeof rankingController.getUltrapassagens !== 'function') {
+      return res.status(501).json({ error: 'rankingController indisponível' });
+    }
+    await rankingController.getUltrapassagens(req, res);
+  } catch (e) {
+    console.error('❌ [rankingRoutes] /api/ranking/ultrapassagens erro:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* -------------------------
+   GET /api/ranking/historico?data=YYYY-MM-DD&limit=&fechamento=1
+   (rota pública — snapshots do ranking diário)
+------------------------- */
+router.get('/api/ranking/historico', async (req, res) => {
+  try {
+    if (!rankingController || typeof rankingController.getRankingHistorico !== 'function') {
+      return res.status(501).json({ error: 'rankingController indisponível' });
+    }
+    await rankingController.getRankingHistorico(req, res);
+  } catch (e) {
+    console.error('❌ [rankingRoutes] /api/ranking/historico erro:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* -------------------------
+   GET /api/ranking/historico/vendedor/:id?inicio=&fim=
+   (rota pública — posição/valor no fechamento de cada dia)
+------------------------- */
+router.get('/api/ranking/historico/vendedor/:id', async (req, res) => {
+  try {
+    if (!rankingController || typeof rankingController.getHistoricoVendedor !== 'function') {
+      return res.status(501).json({ error: 'rankingController indisponível' });
+    }
+    await rankingController.getHistoricoVendedor(req, res);
+  } catch (e) {
+    console.error('❌ [rankingRoutes] /api/ranking/historico/vendedor/:id erro:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* -------------------------
+   POST /api/ranking/refresh?empresa=
+   (força atualização imediata da empresa; sem ?empresa= usa DEFAULT_EMPRESA; empresa desconhecida -> 400)
 ------------------------- */
 router.post('/api/ranking/refresh', requireDebugAuth, async (req, res) => {
   try {
@@ -51,10 +103,20 @@ router.post('/api/ranking/refresh', requireDebugAuth, async (req, res) => {
       return res.status(501).json({ error: 'rankingController indisponível' });
     }
 
-    // método dedicado no controller
+    // método dedicado no controller (?empresa=&periodo=&inicio=&fim=&produto=&convenio= opcionais)
     if (typeof rankingController.updateRanking === 'function') {
-      const updated = await rankingController.updateRanking();
-      return res.json({ ok: true, updated });
+      let periodo, filtro, empresa;
+      try {
+        if (typeof rankingController.resolvePeriodo === 'function') periodo = rankingController.resolvePeriodo(req.query);
+        if (typeof rankingController.resolveFiltro === 'function') filtro = rankingController.resolveFiltro(req.query);
+        if (filtro && typeof rankingController.validarFiltro === 'function') filtro = await rankingController.validarFiltro(filtro);
+        empresa = req.query.empresa ? String(req.query.empresa).trim() : undefined;
+        if (empresa && typeof rankingController.validarEmpresa === 'function') empresa = await rankingController.validarEmpresa(empresa);
+      } catch (e) {
+        return res.status(e.status || 500).json({ error: e.message });
+      }
+      const updated = await rankingController.updateRanking(empresa, periodo, filtro);
+      return res.json({ ok: true, empresa: empresa || null, total: Array.isArray(updated) ? updated.length : 0, updated });
     }
 
     // fallback via __internal
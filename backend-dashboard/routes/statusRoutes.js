@@ -1,6 +1,7 @@
 // routes/statusRoutes.js — Rotas relacionadas ao status de operadores
 const express = require('express');
 const router = express.Router();
+const { requireDebugAuth } = require('../utils/auth');
 
 let statusController = null;
 try {
@@ -9,19 +10,6 @@ try {
   console.warn('⚠️ statusController não encontrado:', e && e.message ? e.message : e);
 }
 
-// Token opcional para proteger rotas de debug/admin
-const DEBUG_TOKEN = process.env.DEBUG_TOKEN || null;
-
-/**
- * Middleware opcional de autenticação para rotas de debug/admin
- */
-function requireDebugAuth(req, res, next) {
-  if (!DEBUG_TOKEN) return next(); // sem token = modo dev livre
-  const token = req.headers['x-debug-token'] || req.query.debug_token || req.headers['authorization'];
-  if (token && (token === DEBUG_TOKEN || token === `Bearer ${DEBUG_TOKEN}`)) return next();
-  return res.status(401).json({ error: 'Unauthorized (debug token inválido ou ausente)' });
-}
-
 /* -------------------------
    GET /api/status-operadores
    (rota pública)
@@ -39,6 +27,39 @@ router.get('/api/status-operadores', async (req, res) => {
   }
 });
 
+/* -------------------------
+   GET /api/status-operadores/stream
+   (Server-Sent Events: diff a cada rodada do updater)
+------------------------- */
+router.get('/api/status-operadores/stream', async (req, res) => {
+  try {
+    if (!statusController || typeof statusController.streamStatusOperadores !== 'function') {
+      return res.status(501).json({ error: 'stream de status não disponível' });
+    }
+    return await statusController.streamStatusOperadores(req, res);
+  } catch (e) {
+    console.error('❌ [statusRoutes] /api/status-operadores/stream erro:', e && e.message ? e.message : e);
+    if (!res.headersSent) return res.status(500).json({ error: e && e.message ? e.message : String(e) });
+    return res.end();
+  }
+});
+
+/* -------------------------
+   GET /api/status-operadores/:ramal/historico
+   (transições de status do ramal; ?inicio=&fim= YYYY-MM-DD)
+------------------------- */
+router.get('/api/status-operadores/:ramal/historico', async (req, res) => {
+  try {
+    if (!statusController || typeof statusController.getHistoricoRamal !== 'function') {
+      return res.status(501).json({ error: 'histórico de status não disponível' });
+    }
+    return await statusController.getHistoricoRamal(req, res);
+  } catch (e) {
+    console.error('❌ [statusRoutes] /api/status-operadores/:ramal/historico erro:', e && e.message ? e.message : e);
+    return res.status(500).json({ error: e && e.message ? e.message : String(e) });
+  }
+});
+
 /* -------------------------
    POST /api/status/refresh
    (força atualização imediata pelo controller)
@@ -49,8 +70,13 @@ router.post('/api/status/refresh', requireDebugAuth, async (req, res) => {
     if (!statusController) return res.status(501).json({ error: 'statusController indisponível' });
 
     if (typeof statusController.updateStatusOperadores === 'function') {
-      // chama a atualização explícita e retorna o payload atualizado
-      const updated = await statusController.updateStatusOperadores();
+      // chama a atualização explícita e retorna o payload atualizado (?empresa= opcional)
+      let empresa;
+      if (req.query.empresa && typeof statusController.resolverEmpresa === 'function') {
+        empresa = await statusController.resolverEmpresa(req.query.empresa);
+        if (!empresa) return res.status(400).json({ error: `empresa desconhecida: ${String(req.query.empresa)}` });
+      }
+      const updated = await statusController.updateStatusOperadores(empresa);
       return res.json({ ok: true, updated });
     }
 
@@ -68,21 +94,21 @@ router.post('/api/status/refresh', requireDebugAuth, async (req, res) => {
 ------------------------- */
 router.get('/_debug/status-cache', requireDebugAuth, (req, res) => {
   try {
-    if (!statusController || !statusController.__internal || typeof statusController.__internal.statusCacheRef !== 'function') {
+    const internal = statusController && statusController.__internal;
+    if (!internal || typeof internal.resumoCache !== 'function') {
       return res.json({ available: false, msg: 'Cache interno não disponível' });
     }
 
-    const ref = statusController.__internal.statusCacheRef();
-    // estrutura defensiva: pode ser { data, timestamp, isFetching, fetchPromise } ou outro nome
-    const ts = ref && (ref.timestamp || ref.ts || 0);
-    const data = ref && (ref.data || ref.operadores || null);
+    // ?key=EMPRESA|equipes devolve uma amostra dos operadores dessa entrada
+    const entrada = req.query.key && typeof internal.cacheMapRef === 'function'
+      ? internal.cacheMapRef().get(String(req.query.key))
+      : null;
+    const operadores = entrada && entrada.data && Array.isArray(entrada.data.operadores) ? entrada.data.operadores : null;
 
     res.json({
       available: true,
-      ts: ts ? new Date(ts).toISOString() : null,
-      isFetching: !!(ref && ref.isFetching),
-      count: Array.isArray(data) ? data.length : (data && data.operadores ? data.operadores.length : null),
-      sample: Array.isArray(data) ? data.slice(0, 20) : (data && data.operadores ? data.operadores.slice(0, 20) : data)
+      ...internal.resumoCache(),
+      sample: operadores ? operadores.slice(0, 20) : null
     });
   } catch (e) {
     console.error('❌ [statusRoutes] _debug/status-cache erro:', e && e.message ? e.message : e);
@@ -117,20 +143,11 @@ router.get('/_debug/status-last', requireDebugAuth, (req, res) => {
 router.post('/_debug/status-clear', requireDebugAuth, (req, res) => {
   try {
     const internal = statusController && statusController.__internal;
-    if (!internal || typeof internal.statusCacheRef !== 'function') {
-      return res.json({ ok: false, msg: 'statusController.__internal.statusCacheRef indisponível' });
+    if (!internal || typeof internal.clearCache !== 'function') {
+      return res.json({ ok: false, msg: 'statusController.__internal.clearCache indisponível' });
     }
-
-    const ref = internal.statusCacheRef();
-    if (ref) {
-      if (ref.data) ref.data = null;
-      if (typeof ref.timestamp !== 'undefined') ref.timestamp = 0;
-      if (typeof ref.ts !== 'undefined') ref.ts = 0;
-      ref.isFetching = false;
-      ref.fetchPromise = null;
-    }
-
-    return res.json({ ok: true, cleared: true });
+    // só o cache do GET: rodadas em andamento seguem protegidas pelo isFetching
+    return res.json({ ok: true, cleared: internal.clearCache() });
   } catch (e) {
     console.error('❌ [statusRoutes] _debug/status-clear erro:', e && e.message ? e.message : e);
     res.status(500).json({ error: e && e.message ? e.message : String(e) });
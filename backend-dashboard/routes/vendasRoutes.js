@@ -0,0 +1,29 @@
+// routes/vendasRoutes.js — feed de vendas individuais (cadastrados)
+// Uso: app.use('/', require('./routes/vendasRoutes'));
+const express = require('express');
+const router = express.Router();
+
+let vendasController = null;
+try {
+  vendasController = require('../controllers/vendasController');
+} catch (e) {
+  console.warn('⚠️ vendasController não encontrado:', e && e.message ? e.message : e);
+}
+
+/* -------------------------
+   GET /api/vendas/recentes?since=&min=&limit=
+   (rota pública — novas vendas desde o cursor)
+------------------------- */
+router.get('/api/vendas/recentes', async (req, res) => {
+  try {
+    if (!vendasController || typeof vendasController.getVendasRecentes !== 'function') {
+      return res.status(200).json({ vendas: [], msg: 'vendasController não disponível' });
+    }
+    return await vendasController.getVendasRecentes(req, res);
+  } catch (e) {
+    console.error('❌ [vendasRoutes] GET /api/vendas/recentes erro:', e && e.message ? e.message : e);
+    return res.status(500).json({ error: e && e.message ? e.message : String(e) });
+  }
+});
+
+module.exports = router;
@@ -36,16 +36,32 @@ let statusRoutes = null;
 let rankingRoutes = null;
 let healthRoutes = null;
 let debugRoutes = null;
+let metaRoutes = null;
+let metaVendaRoutes = null;
+let vendasRoutes = null;
+let jobsRoutes = null;
+let argusRoutes = null;
 try { empresaRoutes = require('./routes/empresaRoutes'); } catch (e) { /* ignored */ }
 try { statusRoutes = require('./routes/statusRoutes'); } catch (e) { /* ignored */ }
 try { rankingRoutes = require('./routes/rankingRoutes'); } catch (e) { /* ignored */ }
 try { healthRoutes = require('./routes/healthRoutes'); } catch (e) { /* ignored */ }
 try { debugRoutes = require('./routes/debugRoutes'); } catch (e) { /* ignored */ }
+try { metaRoutes = require('./routes/metaRoutes'); } catch (e) { /* ignored */ }
+try { metaVendaRoutes = require('./routes/metaVendaRoutes'); } catch (e) { /* ignored */ }
+try { vendasRoutes = require('./routes/vendasRoutes'); } catch (e) { /* ignored */ }
+try { jobsRoutes = require('./routes/jobsRoutes'); } catch (e) { /* ignored */ }
+try { argusRoutes = require('./routes/argusRoutes'); } catch (e) { /* ignored */ }
 
 // Services (para endpoints internos)
 let argusService = null;
+let argusClient = null;
+let discadorService = null;
 let cacheService = null;
+let updateService = null;
 try { argusService = require('./services/argusService'); } catch (e) { /* ignored */ }
+try { argusClient = require('./services/argusClient'); } catch (e) { /* ignored */ }
+try { discadorService = require('./services/discadorService'); } catch (e) { /* ignored */ }
+try { updateService = require('./services/updateService'); } catch (e) { /* ignored */ }
 try { cacheService = require('./services/cacheService'); } catch (e) { /* ignored */ }
 
 /* ----------------------- CONFIGURAÇÕES GERAIS ----------------------- */
@@ -105,6 +121,9 @@ if (!tryUseRouter('/', healthRoutes, 'healthRoutes')) {
 if (!tryUseRouter('/', statusRoutes, 'statusRoutes')) {
   if (statusController && typeof statusController.getStatusOperadores === 'function') {
     app.get('/api/status-operadores', statusController.getStatusOperadores);
+    if (typeof statusController.streamStatusOperadores === 'function') {
+      app.get('/api/status-operadores/stream', statusController.streamStatusOperadores);
+    }
     console.log('⚙️ /api/status-operadores carregada diretamente');
   } else {
     console.log('⚠️ statusController não disponível — /api/status-operadores não montada');
@@ -131,6 +150,31 @@ if (!tryUseRouter('/', empresaRoutes, 'empresaRoutes')) {
   }
 }
 
+// Metas de logados
+if (!tryUseRouter('/', metaRoutes, 'metaRoutes')) {
+  console.log('⚠️ metaRoutes não disponível — /api/metas não montada');
+}
+
+// Metas de venda (vendedor/equipe)
+if (!tryUseRouter('/', metaVendaRoutes, 'metaVendaRoutes')) {
+  console.log('⚠️ metaVendaRoutes não disponível — /api/metas-vendas não montada');
+}
+
+// Vendas (feed de novas vendas)
+if (!tryUseRouter('/', vendasRoutes, 'vendasRoutes')) {
+  console.log('⚠️ vendasRoutes não disponível — /api/vendas/recentes não montada');
+}
+
+// Jobs do updateService (admin)
+if (!tryUseRouter('/', jobsRoutes, 'jobsRoutes')) {
+  console.log('⚠️ jobsRoutes não disponível — /api/_jobs não montada');
+}
+
+// Token Argus (admin)
+if (!tryUseRouter('/', argusRoutes, 'argusRoutes')) {
+  console.log('⚠️ argusRoutes não disponível — /api/_argus/token não montada');
+}
+
 // Debug
 if (!tryUseRouter('/', debugRoutes, 'debugRoutes')) {
   app.get('/_debug/last-error', (req, res) => res.json({ now: new Date().toISOString() }));
@@ -146,7 +190,9 @@ if (argusService) {
       try {
         const metrics = typeof argusService.getMetrics === 'function' ? argusService.getMetrics() : {};
         const cacheInfo = typeof argusService.getCache === 'function' ? argusService.getCache() : null;
-        res.json({ ok: true, source: 'argusService', metrics, cache: cacheInfo, lastUpdate: new Date().toISOString() });
+        // circuito (fechado | aberto | meio-aberto) e estatísticas por endpoint do argusClient
+        const client = argusClient && typeof argusClient.getMetrics === 'function' ? argusClient.getMetrics() : null;
+        res.json({ ok: true, source: 'argusService', metrics, client, cache: cacheInfo, lastUpdate: new Date().toISOString() });
       } catch (err) {
         res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
       }
@@ -167,6 +213,17 @@ if (argusService) {
   }
 }
 
+// Endpoint discadores: adaptador por empresa, disponibilidade e métricas
+if (discadorService) {
+  app.get('/api/_discadores', (req, res) => {
+    try {
+      res.json({ ok: true, ...discadorService.listDiscadores(), ts: new Date().toISOString() });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+    }
+  });
+}
+
 // Endpoint cache global (se service presente)
 if (cacheService && cacheService.cache) {
   try {
@@ -199,34 +256,63 @@ if (cacheService && cacheService.cache) {
 let _statusIntervalId = null;
 let _empIntervalId = null;
 let _rankIntervalId = null;
+let _jobsAtivos = false;
 
+/**
+ * Jobs de status, ranking e empresas rodam pelo updateService (retry com backoff,
+ * sem execução concorrente, métricas em /api/_jobs). Sem o service, cai nos
+ * schedule*Updater de cada controller (setInterval simples).
+ */
 function startSchedulers() {
+  const intervalMs = parseInt(process.env.UPDATE_INTERVAL_MS || '60000', 10);
+
+  if (updateService && typeof updateService.scheduleDefaultJobs === 'function') {
+    try {
+      // scheduleJob já executa uma vez ao agendar; runOnRegister duplicaria a primeira rodada
+      const jobs = updateService.scheduleDefaultJobs(
+        { statusController, rankingController, empresaController },
+        { intervalMs, runOnRegister: false }
+      );
+      _jobsAtivos = true;
+      console.log(`⏱️ Jobs agendados via updateService: ${jobs.map(j => j.name).join(', ') || '(nenhum)'}`);
+      return;
+    } catch (e) {
+      console.warn('⚠️ startSchedulers updateService — usando schedulers dos controllers:', e && e.message ? e.message : e);
+      try { updateService.stopAll(); } catch (_) {}
+    }
+  }
+
   try {
     if (statusController && typeof statusController.scheduleStatusUpdater === 'function') {
-      _statusIntervalId = statusController.scheduleStatusUpdater(parseInt(process.env.UPDATE_INTERVAL_MS || '60000', 10));
+      _statusIntervalId = statusController.scheduleStatusUpdater(intervalMs);
       console.log('⏱️ Atualizador de Status agendado');
     }
   } catch (e) { console.warn('⚠️ startSchedulers status:', e && e.message ? e.message : e); }
 
   try {
     if (empresaController && typeof empresaController.scheduleEmpresasUpdater === 'function') {
-      _empIntervalId = empresaController.scheduleEmpresasUpdater(parseInt(process.env.UPDATE_INTERVAL_MS || '60000', 10));
+      _empIntervalId = empresaController.scheduleEmpresasUpdater(intervalMs);
       console.log('⏱️ Atualizador de Empresas agendado');
     }
   } catch (e) { console.warn('⚠️ startSchedulers empresa:', e && e.message ? e.message : e); }
 
   try {
     if (rankingController && typeof rankingController.scheduleRankingUpdater === 'function') {
-      _rankIntervalId = rankingController.scheduleRankingUpdater(parseInt(process.env.UPDATE_INTERVAL_MS || '60000', 10));
+      _rankIntervalId = rankingController.scheduleRankingUpdater(intervalMs);
       console.log('⏱️ Atualizador de Ranking agendado');
     }
   } catch (e) { console.warn('⚠️ startSchedulers ranking:', e && e.message ? e.message : e); }
 }
 
 function stopSchedulers() {
+  try { if (_jobsAtivos && updateService) updateService.stopAll(); } catch (_) {}
   try { if (_statusIntervalId) clearInterval(_statusIntervalId); } catch (_) {}
   try { if (_empIntervalId) clearInterval(_empIntervalId); } catch (_) {}
-  try { if (_rankIntervalId) clearInterval(_rankIntervalId); } catch (_) {}
+  try {
+    // também cancela as esperas do ciclo de ranking em andamento (job ou fallback)
+    if (rankingController && typeof rankingController.stopRankingUpdater === 'function') rankingController.stopRankingUpdater(_rankIntervalId);
+    else if (_rankIntervalId) clearInterval(_rankIntervalId);
+  } catch (_) {}
 }
 
 /* ---------------------------- START (LISTEN) ---------------------------- */
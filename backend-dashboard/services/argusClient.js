@@ -0,0 +1,289 @@
+// ===============================================================
+// services/argusClient.js
+// Cliente HTTP único da API Argus, com circuit breaker e estatísticas por endpoint
+//
+// - Usado por statusController (consulta por ramal) e argusService (lote).
+// - Circuito: fechado -> aberto quando, na janela ARGUS_CB_WINDOW_MS e com pelo menos
+//   ARGUS_CB_MIN_REQUESTS chamadas, a taxa de erro passa de ARGUS_CB_ERROR_RATE ou a de
+//   chamadas lentas (> ARGUS_CB_SLOW_MS) passa de ARGUS_CB_SLOW_RATE.
+//   Aberto: rejeita na hora (err.code = 'ARGUS_CIRCUIT_OPEN') por ARGUS_CB_OPEN_MS,
+//   dobrando a cada reabertura até ARGUS_CB_OPEN_MAX_MS.
+//   Meio-aberto: deixa passar ARGUS_CB_HALF_OPEN_MAX chamadas de teste; sucesso fecha, falha reabre.
+// - Erro = rede/timeout, 5xx ou 429. 400 (ramal inválido) e 403 (token, ver argusTokenService)
+//   são respostas do Argus no ar e não abrem o circuito.
+// ===============================================================
+
+const axios = require('axios');
+const { argusUrl } = require('../config/argus');
+const argusToken = require('./argusTokenService');
+
+// ------------------------- CONFIGURAÇÕES -------------------------
+const CB_WINDOW_MS = parseInt(process.env.ARGUS_CB_WINDOW_MS || '60000', 10);
+const CB_MIN_REQUESTS = parseInt(process.env.ARGUS_CB_MIN_REQUESTS || '10', 10);
+const CB_ERROR_RATE = parseFloat(process.env.ARGUS_CB_ERROR_RATE || '0.5');
+const CB_SLOW_MS = parseInt(process.env.ARGUS_CB_SLOW_MS || '3000', 10);
+const CB_SLOW_RATE = parseFloat(process.env.ARGUS_CB_SLOW_RATE || '0.8');
+const CB_OPEN_MS = parseInt(process.env.ARGUS_CB_OPEN_MS || '30000', 10);
+const CB_OPEN_MAX_MS = parseInt(process.env.ARGUS_CB_OPEN_MAX_MS || '300000', 10);
+const CB_HALF_OPEN_MAX = parseInt(process.env.ARGUS_CB_HALF_OPEN_MAX || '1', 10);
+const DEFAULT_TIMEOUT = parseInt(process.env.ARGUS_TIMEOUT || '5000', 10);
+const JANELA_MAX_ITENS = 2000;
+
+// ------------------------- ESTADO INTERNO -------------------------
+// estado: fechado | aberto | meio-aberto
+const circuito = {
+  estado: 'fechado',
+  motivo: null,
+  abertoEm: null,
+  proximaTentativaEm: null,
+  aberturasSeguidas: 0,   // base do backoff do tempo aberto
+  aberturas: 0,
+  testesEmAndamento: 0,
+  janela: []              // { ts, falha, lenta }
+};
+const endpoints = new Map(); // endpoint -> estatísticas
+
+const delay = ms => new Promise(res => setTimeout(res, ms));
+
+function log(...args) {
+  if (process.env.NODE_ENV !== 'production') {
+    console.log('[ArgusClient]', ...args);
+  }
+}
+
+function argusError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  return Object.assign(err, extra);
+}
+
+function statsDo(endpoint) {
+  if (!endpoints.has(endpoint)) {
+    endpoints.set(endpoint, {
+      requisicoes: 0,
+      sucessos: 0,
+      falhas: 0,
+      lentas: 0,
+      rejeitadas: 0,      // recusadas com circuito aberto (nenhuma requisição feita)
+      porStatus: {},
+      latenciaMediaMs: null,
+      latenciaMaxMs: 0,
+      ultimaLatenciaMs: null,
+      ultimoSucesso: null,
+      ultimaFalha: null,
+      ultimoErro: null
+    });
+  }
+  return endpoints.get(endpoint);
+}
+
+// ------------------------- CIRCUITO -------------------------
+function podarJanela(t = Date.now()) {
+  const limite = t - CB_WINDOW_MS;
+  while (circuito.janela.length && (circuito.janela[0].ts < limite || circuito.janela.length > JANELA_MAX_ITENS)) {
+    circuito.janela.shift();
+  }
+}
+
+function resumoJanela() {
+  podarJanela();
+  const total = circuito.janela.length;
+  const falhas = circuito.janela.filter(x => x.falha).length;
+  const lentas = circuito.janela.filter(x => x.lenta).length;
+  return {
+    total,
+    falhas,
+    lentas,
+    taxaErro: total ? Math.round((falhas / total) * 1000) / 1000 : 0,
+    taxaLenta: total ? Math.round((lentas / total) * 1000) / 1000 : 0
+  };
+}
+
+function abrir(motivo) {
+  const espera = Math.min(CB_OPEN_MAX_MS, CB_OPEN_MS * Math.pow(2, circuito.aberturasSeguidas));
+  circuito.estado = 'aberto';
+  circuito.motivo = motivo;
+  circuito.abertoEm = Date.now();
+  circuito.proximaTentativaEm = Date.now() + espera;
+  circuito.aberturasSeguidas++;
+  circuito.aberturas++;
+  circuito.testesEmAndamento = 0;
+  console.warn(`⚡ [ArgusClient] circuito ABERTO (${motivo}) — chamadas ao Argus recusadas por ${Math.ceil(espera / 1000)}s`);
+}
+
+function fechar() {
+  if (circuito.estado !== 'fechado') console.log('✅ [ArgusClient] circuito FECHADO — Argus respondendo normalmente');
+  circuito.estado = 'fechado';
+  circuito.motivo = null;
+  circuito.abertoEm = null;
+  circuito.proximaTentativaEm = null;
+  circuito.aberturasSeguidas = 0;
+  circuito.testesEmAndamento = 0;
+  circuito.janela = [];
+}
+
+/**
+ * Reserva a vez de uma chamada. Retorna false quando o circuito recusa.
+ */
+function permitir() {
+  if (circuito.estado === 'aberto') {
+    if (Date.now() < circuito.proximaTentativaEm) return false;
+    circuito.estado = 'meio-aberto';
+    circuito.testesEmAndamento = 0;
+    log('circuito MEIO-ABERTO — enviando chamada de teste');
+  }
+  if (circuito.estado === 'meio-aberto') {
+    if (circuito.testesEmAndamento >= CB_HALF_OPEN_MAX) return false;
+    circuito.testesEmAndamento++;
+  }
+  return true;
+}
+
+function registrarResultado({ falha, lenta }) {
+  if (circuito.estado === 'meio-aberto') {
+    circuito.testesEmAndamento = Math.max(0, circuito.testesEmAndamento - 1);
+    if (falha || lenta) abrir(falha ? 'falha na chamada de teste' : 'chamada de teste lenta');
+    else fechar();
+    return;
+  }
+  if (circuito.estado !== 'fechado') return; // resposta atrasada de antes da abertura
+
+  circuito.janela.push({ ts: Date.now(), falha, lenta });
+  const j = resumoJanela();
+  if (j.total < CB_MIN_REQUESTS) return;
+  if (j.taxaErro >= CB_ERROR_RATE) abrir(`taxa de erro ${Math.round(j.taxaErro * 100)}% em ${j.total} chamadas`);
+  else if (j.taxaLenta >= CB_SLOW_RATE) abrir(`${Math.round(j.taxaLenta * 100)}% das chamadas acima de ${CB_SLOW_MS}ms`);
+}
+
+const ehFalha = status => status >= 500 || status === 429;
+
+// ------------------------- REQUISIÇÃO -------------------------
+/**
+ * Uma tentativa: mede latência, atualiza estatísticas e circuito.
+ * Resolve com a resposta (qualquer status) ou rejeita em erro de rede/timeout.
+ */
+async function tentativa(endpoint, url, { params, headers, timeout }) {
+  const st = statsDo(endpoint);
+  st.requisicoes++;
+  const inicio = Date.now();
+  try {
+    const resp = await axios.get(url, { params, headers, timeout, validateStatus: () => true });
+    const dur = Date.now() - inicio;
+    const falha = ehFalha(resp.status);
+    const lenta = dur > CB_SLOW_MS;
+    st.porStatus[resp.status] = (st.porStatus[resp.status] || 0) + 1;
+    st.ultimaLatenciaMs = dur;
+    st.latenciaMaxMs = Math.max(st.latenciaMaxMs, dur);
+    st.latenciaMediaMs = st.latenciaMediaMs === null ? dur : Math.round(st.latenciaMediaMs * 0.8 + dur * 0.2);
+    if (lenta) st.lentas++;
+    if (falha) {
+      st.falhas++;
+      st.ultimaFalha = new Date();
+      st.ultimoErro = `HTTP ${resp.status}`;
+    } else {
+      st.sucessos++;
+      st.ultimoSucesso = new Date();
+    }
+    registrarResultado({ falha, lenta });
+    return resp;
+  } catch (err) {
+    st.falhas++;
+    st.porStatus.rede = (st.porStatus.rede || 0) + 1;
+    st.ultimaFalha = new Date();
+    st.ultimoErro = err && err.message ? err.message : String(err);
+    registrarResultado({ falha: true, lenta: Date.now() - inicio > CB_SLOW_MS });
+    throw err;
+  }
+}
+
+/**
+ * get(path, { params, timeout, retries, retryDelayMs, endpoint })
+ * - path: caminho relativo à ARGUS_BASE_URL (ex.: config.pathRamal)
+ * - retries: novas tentativas só para rede/timeout/5xx/429, com espera linear
+ * Resolve com { status, data, durationMs } para respostas 2xx/4xx (403 já reportado ao argusTokenService).
+ * Rejeita com err.code:
+ *   'ARGUS_CIRCUIT_OPEN'   -> circuito aberto, nenhuma requisição feita
+ *   'ARGUS_TOKEN_INVALIDO' -> token recusado anteriormente, aguardando troca/sondagem
+ *   'ARGUS_HTTP'           -> 5xx/429 após as tentativas (err.status)
+ *   (erro do axios)        -> rede/timeout após as tentativas
+ */
+async function get(path, { params, timeout = DEFAULT_TIMEOUT, retries = 0, retryDelayMs = 400, endpoint = path } = {}) {
+  const token = argusToken.getToken();
+  if (token && !argusToken.podeConsultar()) {
+    throw argusError('Token Argus recusado (403) — aguardando novo token ou sondagem', 'ARGUS_TOKEN_INVALIDO');
+  }
+  const headers = token ? { 'Token-Signature': token } : {};
+  const url = argusUrl(path);
+  const inicio = Date.now();
+
+  let ultimoErro = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (!permitir()) {
+      statsDo(endpoint).rejeitadas++;
+      throw argusError(`Circuito Argus aberto (${circuito.motivo})`, 'ARGUS_CIRCUIT_OPEN', {
+        proximaTentativaEm: circuito.proximaTentativaEm ? new Date(circuito.proximaTentativaEm) : null
+      });
+    }
+    try {
+      const resp = await tentativa(endpoint, url, { params, headers, timeout });
+      if (!ehFalha(resp.status)) {
+        if (resp.status === 403) argusToken.reportarFalhaAuth(token, `403 Forbidden (${endpoint})`);
+        else if (resp.status >= 200 && resp.status < 300) argusToken.reportarSucesso(token);
+        return { status: resp.status, data: resp.data, durationMs: Date.now() - inicio };
+      }
+      ultimoErro = argusError(`HTTP ${resp.status} - ${resp.statusText || ''}`, 'ARGUS_HTTP', { status: resp.status, data: resp.data });
+    } catch (err) {
+      ultimoErro = err;
+    }
+    if (attempt < retries) {
+      log(`⚠️ ${endpoint} tentativa ${attempt + 1}/${retries + 1} falhou: ${ultimoErro.message}`);
+      await delay(retryDelayMs * (attempt + 1));
+    }
+  }
+  throw ultimoErro;
+}
+
+/**
+ * true enquanto o circuito recusa chamadas (aberto e ainda no tempo de espera).
+ */
+function circuitoAberto() {
+  return circuito.estado === 'aberto' && Date.now() < circuito.proximaTentativaEm;
+}
+
+/**
+ * Estado do circuito + estatísticas por endpoint (para /api/_argus-metrics).
+ */
+function getMetrics() {
+  const iso = ts => (ts ? new Date(ts).toISOString() : null);
+  return {
+    circuito: {
+      estado: circuito.estado,
+      motivo: circuito.motivo,
+      abertoEm: iso(circuito.abertoEm),
+      proximaTentativaEm: iso(circuito.proximaTentativaEm),
+      aberturas: circuito.aberturas,
+      janela: resumoJanela(),
+      limites: {
+        janelaMs: CB_WINDOW_MS,
+        minRequisicoes: CB_MIN_REQUESTS,
+        taxaErro: CB_ERROR_RATE,
+        lentaMs: CB_SLOW_MS,
+        taxaLenta: CB_SLOW_RATE,
+        abertoMs: CB_OPEN_MS,
+        abertoMaxMs: CB_OPEN_MAX_MS
+      }
+    },
+    endpoints: Object.fromEntries(endpoints)
+  };
+}
+
+// ------------------------- EXPORTS -------------------------
+module.exports = {
+  get,
+  circuitoAberto,
+  getMetrics,
+  __internal: {
+    circuitoRef: () => circuito,
+    reset: () => { fechar(); circuito.aberturas = 0; endpoints.clear(); }
+  }
+};
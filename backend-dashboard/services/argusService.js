@@ -2,15 +2,14 @@
 // services/argusService.js
 // Integração avançada com a API Argus (status dos operadores)
 // Agora com cache centralizado via cacheService.js
+// e chamadas HTTP pelo argusClient.js (circuit breaker compartilhado)
 // ===============================================================
 
-const axios = require('axios');
 const { cache } = require('./cacheService');
+const { config: argusConfig } = require('../config/argus');
+const argusClient = require('./argusClient');
 
 // ------------------------- CONFIGURAÇÕES -------------------------
-const BASE_URL = process.env.ARGUS_BASE_URL || 'https://argus.app.br/apiargus';
-const API_PATH = process.env.ARGUS_ENDPOINT || '/cmd/statusoperadores';
-const API_KEY = process.env.ARGUS_API_KEY || process.env.TOKEN_ARGUS || null;
 
 const REQUEST_TIMEOUT = parseInt(process.env.ARGUS_TIMEOUT || '8000', 10);
 const CACHE_KEY = 'argus:status';
@@ -32,8 +31,6 @@ let metrics = {
 };
 
 // ------------------------- HELPERS -------------------------
-const delay = ms => new Promise(res => setTimeout(res, ms));
-
 function log(...args) {
   if (process.env.NODE_ENV !== 'production') {
     console.log('[ArgusService]', ...args);
@@ -53,43 +50,39 @@ function getCachedData() {
 }
 
 /**
- * Executa requisição HTTP ao Argus com retry automático
+ * Executa requisição HTTP ao Argus via argusClient (retry, circuit breaker e 403 centralizados)
  */
 async function requestArgusData() {
-  const headers = API_KEY ? { 'Token-Signature': API_KEY } : {};
-  const url = `${BASE_URL}${API_PATH.startsWith('/') ? API_PATH : '/' + API_PATH}`;
-
-  let attempt = 0;
   const start = Date.now();
-
-  while (attempt < MAX_RETRIES) {
-    attempt++;
-    try {
-      metrics.totalRequests++;
-
-      const response = await axios.get(url, { headers, timeout: REQUEST_TIMEOUT });
-      if (!response?.data) throw new Error('Resposta vazia do Argus');
-
-      const data = response.data;
-      if (data.codStatus && data.codStatus !== 1)
-        throw new Error(`Argus retornou codStatus=${data.codStatus}`);
-
-      // Atualiza cache centralizado
-      cache.set(CACHE_KEY, data, CACHE_DURATION);
-
-      metrics.lastDurationMs = Date.now() - start;
-      metrics.lastSuccess = new Date();
-      metrics.lastError = null;
-
-      log(`✅ Argus atualizado (${metrics.lastDurationMs}ms)`);
-      return { data, cached: false, timestamp: Date.now() };
-    } catch (err) {
-      metrics.totalErrors++;
-      metrics.lastError = err.message;
-      log(`⚠️ Tentativa ${attempt}/${MAX_RETRIES} falhou: ${err.message}`);
-      if (attempt < MAX_RETRIES) await delay(RETRY_DELAY);
-      else throw err;
-    }
+  metrics.totalRequests++;
+  try {
+    const response = await argusClient.get(argusConfig.pathLote, {
+      timeout: REQUEST_TIMEOUT,
+      retries: Math.max(0, MAX_RETRIES - 1),
+      retryDelayMs: RETRY_DELAY,
+      endpoint: 'statusoperadores',
+    });
+    if (response.status !== 200) throw new Error(`HTTP ${response.status}`);
+    if (!response.data) throw new Error('Resposta vazia do Argus');
+
+    const data = response.data;
+    if (data.codStatus && data.codStatus !== 1)
+      throw new Error(`Argus retornou codStatus=${data.codStatus}`);
+
+    // Atualiza cache centralizado
+    cache.set(CACHE_KEY, data, CACHE_DURATION);
+
+    metrics.lastDurationMs = Date.now() - start;
+    metrics.lastSuccess = new Date();
+    metrics.lastError = null;
+
+    log(`✅ Argus atualizado (${metrics.lastDurationMs}ms)`);
+    return { data, cached: false, timestamp: Date.now() };
+  } catch (err) {
+    metrics.totalErrors++;
+    metrics.lastError = err.message;
+    log(`⚠️ Falha ao consultar Argus: ${err.message}`);
+    throw err;
   }
 }
 
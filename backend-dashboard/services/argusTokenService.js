@@ -0,0 +1,253 @@
+// ===============================================================
+// services/argusTokenService.js
+// Token da API Argus com recarga sem restart e recuperação após 403
+//
+// - Fontes do token: TOKEN_ARGUS (env), arquivo observado (TOKEN_ARGUS_FILE) ou
+//   POST /api/_argus/token (routes/argusRoutes.js; vale até o próximo restart).
+// - 403 abre o circuito: consultas ao Argus param e uma sondagem (half-open) roda
+//   em ARGUS_TOKEN_PROBE_MS, dobrando até ARGUS_TOKEN_PROBE_MAX_MS enquanto o 403 persistir.
+// - Token novo (arquivo ou POST) dispara sondagem imediata.
+// - getSaude() vai para /health (nunca expõe o token, apenas uma impressão sha256).
+// ===============================================================
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const { config: argusConfig, argusUrl } = require('../config/argus');
+
+// ------------------------- CONFIGURAÇÕES -------------------------
+const TOKEN_FILE = process.env.TOKEN_ARGUS_FILE || null;
+const FILE_POLL_MS = parseInt(process.env.TOKEN_ARGUS_FILE_POLL_MS || '5000', 10);
+const PROBE_MS = parseInt(process.env.ARGUS_TOKEN_PROBE_MS || '60000', 10);
+const PROBE_MAX_MS = parseInt(process.env.ARGUS_TOKEN_PROBE_MAX_MS || '900000', 10);
+const PROBE_TIMEOUT = parseInt(process.env.ARGUS_TIMEOUT || '5000', 10);
+
+// ------------------------- ESTADO INTERNO -------------------------
+// estado: ausente | desconhecido | ok | invalido | sondando
+const state = {
+  token: process.env.ARGUS_API_KEY || process.env.TOKEN_ARGUS || null,
+  fonte: process.env.ARGUS_API_KEY || process.env.TOKEN_ARGUS ? 'env' : null,
+  estado: 'desconhecido',
+  atualizadoEm: Date.now(),
+  ultimoSucesso: null,
+  ultimoErro: null,
+  falhouEm: null,
+  falhas: 0,            // 403 consecutivos (base do backoff da sondagem)
+  sondagens: 0,
+  proximaSondagemEm: null,
+  probeTimer: null,
+  probeEmAndamento: null,
+  arquivoObservado: false
+};
+if (!state.token) state.estado = 'ausente';
+
+function log(...args) {
+  if (process.env.NODE_ENV !== 'production') {
+    console.log('[ArgusToken]', ...args);
+  }
+}
+
+const impressao = token => (token ? crypto.createHash('sha256').update(token).digest('hex').slice(0, 8) : null);
+
+// ------------------------- API -------------------------
+function getToken() {
+  return state.token;
+}
+
+/**
+ * true quando há token e o circuito não está aberto (403 sem sondagem bem-sucedida).
+ */
+function podeConsultar() {
+  return !!state.token && state.estado !== 'invalido' && state.estado !== 'sondando';
+}
+
+/**
+ * Troca o token e sonda imediatamente. Retorna a promessa da sondagem (saúde resultante).
+ */
+function setToken(token, fonte = 'api') {
+  const novo = String(token || '').trim();
+  if (!novo) throw new Error('token vazio');
+  const mudou = novo !== state.token;
+  state.token = novo;
+  state.fonte = fonte;
+  state.atualizadoEm = Date.now();
+  state.falhas = 0;
+  state.ultimoErro = null;
+  if (mudou || state.estado !== 'ok') state.estado = 'desconhecido';
+  console.log(`🔑 [ArgusToken] token atualizado via ${fonte} (impressão ${impressao(novo)})`);
+  // sondagem do token anterior em andamento: espera terminar e sonda o novo
+  return (state.probeEmAndamento || Promise.resolve()).then(() => sondar());
+}
+
+/**
+ * Chamado por quem recebeu 403. `tokenUsado` evita abrir o circuito por uma
+ * requisição que saiu com o token anterior a uma troca.
+ */
+function reportarFalhaAuth(tokenUsado, detalhe = '403 Forbidden') {
+  if (tokenUsado && tokenUsado !== state.token) return;
+  if (state.estado === 'invalido' || state.estado === 'sondando') return;
+  state.estado = 'invalido';
+  state.falhouEm = Date.now();
+  state.falhas++;
+  state.ultimoErro = detalhe;
+  console.error(`[ArgusToken] ${detalhe} — consultas ao Argus suspensas até a sondagem do token passar.`);
+  agendarSondagem();
+}
+
+function reportarSucesso(tokenUsado) {
+  if (tokenUsado && tokenUsado !== state.token) return;
+  if (state.estado === 'desconhecido') state.estado = 'ok';
+  state.ultimoSucesso = Date.now();
+}
+
+// ------------------------- SONDAGEM (half-open) -------------------------
+function agendarSondagem(delayMs = null) {
+  if (state.probeTimer) clearTimeout(state.probeTimer);
+  const espera = delayMs !== null ? delayMs : Math.min(PROBE_MAX_MS, PROBE_MS * Math.pow(2, Math.max(0, state.falhas - 1)));
+  state.proximaSondagemEm = Date.now() + espera;
+  state.probeTimer = setTimeout(() => {
+    state.probeTimer = null;
+    sondar().catch(() => {});
+  }, espera);
+  state.probeTimer.unref();
+}
+
+/**
+ * Uma requisição ao endpoint em lote com o token atual.
+ * 2xx/400 -> token aceito; 401/403 -> inválido; demais -> inconclusivo (mantém estado e tenta de novo).
+ */
+async function sondar() {
+  if (state.probeEmAndamento) return state.probeEmAndamento.then(() => getSaude());
+  if (!state.token) {
+    state.estado = 'ausente';
+    return getSaude();
+  }
+
+  const token = state.token;
+  const anterior = state.estado;
+  state.estado = 'sondando';
+  state.sondagens++;
+  if (state.probeTimer) {
+    clearTimeout(state.probeTimer);
+    state.probeTimer = null;
+  }
+  state.proximaSondagemEm = null;
+
+  state.probeEmAndamento = (async () => {
+    try {
+      const resp = await axios.get(argusUrl(argusConfig.pathLote), {
+        headers: { 'Token-Signature': token },
+        timeout: PROBE_TIMEOUT,
+        validateStatus: () => true
+      });
+      if (token !== state.token) return; // trocado durante a sondagem: setToken sonda o novo em seguida
+
+      if ((resp.status >= 200 && resp.status < 300) || resp.status === 400) {
+        const recuperado = anterior === 'invalido';
+        state.estado = 'ok';
+        state.falhas = 0;
+        state.falhouEm = null;
+        state.ultimoErro = null;
+        state.ultimoSucesso = Date.now();
+        if (recuperado) console.log('✅ [ArgusToken] token aceito novamente — consultas ao Argus retomadas.');
+        else log(`token ok (HTTP ${resp.status})`);
+      } else if (resp.status === 401 || resp.status === 403) {
+        state.estado = 'invalido';
+        state.falhouEm = state.falhouEm || Date.now();
+        state.falhas++;
+        state.ultimoErro = `sondagem: HTTP ${resp.status}`;
+        console.warn(`[ArgusToken] sondagem recebeu ${resp.status} — token continua inválido.`);
+        agendarSondagem();
+      } else {
+        throw new Error(`HTTP ${resp.status}`);
+      }
+    } catch (err) {
+      if (token !== state.token) return;
+      // Argus fora do ar não diz nada sobre o token: volta ao estado anterior
+      state.estado = anterior;
+      state.ultimoErro = `sondagem inconclusiva: ${err && err.message ? err.message : err}`;
+      log(state.ultimoErro);
+      if (state.estado === 'invalido') agendarSondagem(Math.min(PROBE_MAX_MS, PROBE_MS));
+    } finally {
+      state.probeEmAndamento = null;
+    }
+  })();
+
+  await state.probeEmAndamento;
+  return getSaude();
+}
+
+// ------------------------- ARQUIVO OBSERVADO -------------------------
+function lerArquivo(motivo) {
+  try {
+    const conteudo = fs.readFileSync(TOKEN_FILE, 'utf8').trim();
+    if (!conteudo) {
+      console.warn(`[ArgusToken] ${TOKEN_FILE} vazio — mantendo token atual.`);
+      return;
+    }
+    if (conteudo === state.token) return;
+    setToken(conteudo, 'arquivo').catch(() => {});
+  } catch (err) {
+    console.warn(`[ArgusToken] não foi possível ler ${TOKEN_FILE} (${motivo}):`, err && err.message ? err.message : err);
+  }
+}
+
+// watchFile (polling) sobrevive à troca atômica do arquivo (rename/symlink de secret montado)
+function observarArquivo() {
+  if (!TOKEN_FILE || state.arquivoObservado) return;
+  state.arquivoObservado = true;
+  if (fs.existsSync(TOKEN_FILE)) lerArquivo('inicial');
+  const watcher = fs.watchFile(TOKEN_FILE, { interval: FILE_POLL_MS, persistent: false }, (cur, prev) => {
+    if (cur.mtimeMs === prev.mtimeMs && cur.size === prev.size) return;
+    if (!cur.mtimeMs) return; // arquivo removido: mantém o token atual
+    lerArquivo('alterado');
+  });
+  if (watcher && typeof watcher.unref === 'function') watcher.unref();
+  log(`observando ${TOKEN_FILE} a cada ${FILE_POLL_MS}ms`);
+}
+
+function pararMonitor() {
+  if (state.probeTimer) clearTimeout(state.probeTimer);
+  state.probeTimer = null;
+  state.proximaSondagemEm = null;
+  if (state.arquivoObservado) fs.unwatchFile(TOKEN_FILE);
+  state.arquivoObservado = false;
+}
+
+/**
+ * Resumo para /health e GET /api/_argus/token.
+ */
+function getSaude() {
+  const iso = ts => (ts ? new Date(ts).toISOString() : null);
+  return {
+    estado: state.estado,
+    ok: state.estado === 'ok' || state.estado === 'desconhecido',
+    fonte: state.fonte,
+    impressao: impressao(state.token),
+    arquivo: TOKEN_FILE,
+    atualizadoEm: iso(state.atualizadoEm),
+    ultimoSucesso: iso(state.ultimoSucesso),
+    falhouEm: state.estado === 'invalido' || state.estado === 'sondando' ? iso(state.falhouEm) : null,
+    falhasConsecutivas: state.falhas,
+    proximaSondagemEm: iso(state.proximaSondagemEm),
+    sondagens: state.sondagens,
+    ultimoErro: state.ultimoErro
+  };
+}
+
+observarArquivo();
+
+// ------------------------- EXPORTS -------------------------
+module.exports = {
+  getToken,
+  setToken,
+  podeConsultar,
+  reportarFalhaAuth,
+  reportarSucesso,
+  sondar,
+  getSaude,
+  pararMonitor,
+  __internal: {
+    stateRef: () => state
+  }
+};
@@ -0,0 +1,209 @@
+// ===============================================================
+// services/discadorArgus.js
+// Adaptador de discador: Argus (primeira implementação da interface de discadorService.js)
+//
+// - listStatuses(): snapshot em lote (/cmd/statusoperadores via argusService, com cache)
+// - getStatus(ramal): consulta por ramal (/cmd/statusoperador via argusClient)
+// - canonico(descricao): palavras-chave em português das descrições do Argus
+// - disponivel(): token ausente/recusado ou circuito aberto -> pula a rodada sem consultar
+// ===============================================================
+
+const { config: argusConfig } = require('../config/argus');
+const argusToken = require('./argusTokenService');
+const argusClient = require('./argusClient');
+const { STATUS_CANONICO, mapeadorPorPalavras } = require('../utils/statusCanonico');
+
+// argusService (opcional): chamada em lote /cmd/statusoperadores com cache centralizado
+let argusService = null;
+try {
+  argusService = require('./argusService');
+} catch (e) {
+  console.warn('[discadorArgus] argusService não encontrado, usando apenas consulta por ramal.');
+  argusService = null;
+}
+
+// ------------------------- CONFIGURAÇÕES -------------------------
+const ARGUS_TIMEOUT        = parseInt(process.env.ARGUS_TIMEOUT || '5000', 10);
+const ARGUS_RETRY          = parseInt(process.env.ARGUS_RETRY || '2', 10);
+const ARGUS_RETRY_DELAY_MS = parseInt(process.env.ARGUS_RETRY_DELAY_MS || '400', 10);
+const ARGUS_BULK_ENABLED   = (process.env.ARGUS_BULK_ENABLED || 'true').toLowerCase() !== 'false';
+
+// mesmas palavras-chave do semáforo no front (STATUS_CONFIG)
+const canonico = mapeadorPorPalavras([
+  { canonico: STATUS_CANONICO.ATENDIMENTO, palavras: ['atendimento', 'chamada', 'ligacao', 'ocupado', 'falando'] },
+  { canonico: STATUS_CANONICO.PAUSA,       palavras: ['pausa'] },
+  { canonico: STATUS_CANONICO.LIVRE,       palavras: ['livre', 'disponivel'] },
+  { canonico: STATUS_CANONICO.OFFLINE,     palavras: ['deslogado', 'desconectado', 'offline'] },
+]);
+
+// ------------------------- CONSULTA POR RAMAL -------------------------
+/**
+ * Retorna { ramal, descricaoStatus, statusCanonico, tempoStatusSegundos, raw } ou null.
+ * Retries, circuito e 403 ficam no argusClient.
+ */
+async function getStatus(ramal) {
+  const token = argusToken.getToken();
+  if (!token || !ramal) return null;
+  if (!argusToken.podeConsultar()) return null;
+
+  try {
+    const resp = await argusClient.get(argusConfig.pathRamal, {
+      params: { ramal },
+      timeout: ARGUS_TIMEOUT,
+      retries: ARGUS_RETRY,
+      retryDelayMs: ARGUS_RETRY_DELAY_MS,
+      endpoint: 'statusoperador',
+    });
+
+    if (resp.status === 200 && resp.data) {
+      const st = resp.data.statusOperador || {};
+      if (resp.data.codStatus && resp.data.codStatus !== 1) {
+        // codStatus diferente de 1 -> sem dado válido
+        return null;
+      }
+      return {
+        ramal,
+        descricaoStatus: st.descricaoStatus || '',
+        statusCanonico: canonico(st.descricaoStatus),
+        tempoStatusSegundos: Math.floor((st.tempoStatus || 0) / 1000),
+        raw: resp.data
+      };
+    }
+
+    if (resp.status === 403) {
+      console.error(`[Argus] 403 Forbidden ao consultar ramal ${ramal}. Verifique TOKEN_ARGUS.`);
+      return null;
+    }
+
+    if (resp.status === 400) {
+      // provável ramal inválido -> não re-tentar
+      console.warn(`[Argus] 400 para ramal ${ramal} -> ignorando. Resp:`, resp.data);
+      return null;
+    }
+
+    console.warn(`[Argus] getStatus ramal=${ramal} -> HTTP ${resp.status}`);
+    return null;
+  } catch (err) {
+    // circuito aberto / token recusado: falha rápida e silenciosa (o argusClient já registrou)
+    if (err && (err.code === 'ARGUS_CIRCUIT_OPEN' || err.code === 'ARGUS_TOKEN_INVALIDO')) return null;
+    console.error(`❌ [Argus] getStatus(${ramal}) ->`, err?.message || err);
+    return null;
+  }
+}
+
+// ------------------------- SNAPSHOT EM LOTE -------------------------
+/**
+ * Extrai a lista de operadores da resposta do endpoint em lote.
+ * Aceita os formatos conhecidos: array direto, { statusOperadores: [] }, { operadores: [] }, { data: [] }.
+ */
+function extractBulkList(data) {
+  if (Array.isArray(data)) return data;
+  if (!data || typeof data !== 'object') return null;
+  for (const k of ['statusOperadores', 'statusoperadores', 'operadores', 'lista', 'data']) {
+    if (Array.isArray(data[k])) return data[k];
+  }
+  return null;
+}
+
+/**
+ * Indexa o snapshot por ramal no mesmo formato de getStatus.
+ * Retorna Map(ramal -> { ramal, descricaoStatus, statusCanonico, tempoStatusSegundos }) ou null se o formato não for reconhecido.
+ */
+function indexBulkSnapshot(data) {
+  const list = extractBulkList(data);
+  if (!list) return null;
+  const map = new Map();
+  for (const item of list) {
+    if (!item || typeof item !== 'object') continue;
+    const st = item.statusOperador || item;
+    const ramal = item.ramal ?? item.idRamal ?? item.id_argus ?? st.ramal;
+    if (ramal == null || ramal === '') continue;
+    map.set(String(ramal), {
+      ramal: String(ramal),
+      descricaoStatus: st.descricaoStatus || '',
+      statusCanonico: canonico(st.descricaoStatus),
+      tempoStatusSegundos: Math.floor((Number(st.tempoStatus) || 0) / 1000),
+    });
+  }
+  return map;
+}
+
+/**
+ * Snapshot completo via argusService (uma chamada para todos os ramais, em cache entre empresas).
+ * Retorna null quando o lote falha ou vem em formato inesperado -> caller usa consulta por ramal.
+ */
+async function listStatuses() {
+  if (!ARGUS_BULK_ENABLED || !argusService || typeof argusService.fetchArgusData !== 'function') return null;
+  try {
+    const result = await argusService.fetchArgusData();
+    const data = result && result.data;
+    if (data && data.codStatus && data.codStatus !== 1) return null;
+    const map = indexBulkSnapshot(data);
+    if (!map || !map.size) {
+      console.warn('[discadorArgus] snapshot em lote vazio ou em formato desconhecido — usando consulta por ramal.');
+      return null;
+    }
+    return map;
+  } catch (err) {
+    console.warn('[discadorArgus] falha no Argus em lote — usando consulta por ramal:', err?.message || err);
+    return null;
+  }
+}
+
+// ------------------------- DISPONIBILIDADE -------------------------
+/**
+ * { ok: true } ou { ok: false, reason, mensagem, ...detalhes } — motivo vai no retorno de updateStatusOperadores.
+ */
+function disponivel() {
+  if (!argusToken.getToken()) {
+    return { ok: false, reason: 'no-token', mensagem: 'TOKEN_ARGUS não definido' };
+  }
+  if (!argusToken.podeConsultar()) {
+    const saude = argusToken.getSaude();
+    return {
+      ok: false,
+      reason: 'argus-auth-failed',
+      mensagem: `token Argus recusado (403) — aguardando novo token (TOKEN_ARGUS_FILE ou POST /api/_argus/token) ou sondagem em ${saude.proximaSondagemEm || 'andamento'}`,
+      argus: saude
+    };
+  }
+  if (argusClient.circuitoAberto()) {
+    const { circuito } = argusClient.getMetrics();
+    return {
+      ok: false,
+      reason: 'argus-circuit-open',
+      mensagem: `circuito Argus aberto (${circuito.motivo}) — pulando até ${circuito.proximaTentativaEm}`,
+      nextTryAt: circuito.proximaTentativaEm
+    };
+  }
+  return { ok: true };
+}
+
+/**
+ * Fábrica usada pelo discadorService. Só existe um Argus: a definição não tem opções.
+ */
+function criarDiscadorArgus(nome = 'argus') {
+  return {
+    nome,
+    tipo: 'argus',
+    consultaPorRamal: true,
+    listStatuses,
+    getStatus,
+    canonico,
+    disponivel,
+    getMetrics: () => ({
+      token: argusToken.getSaude(),
+      client: argusClient.getMetrics(),
+      lote: argusService && typeof argusService.getMetrics === 'function' ? argusService.getMetrics() : null
+    })
+  };
+}
+
+module.exports = {
+  criarDiscadorArgus,
+  canonico,
+  __internal: {
+    extractBulkList,
+    indexBulkSnapshot
+  }
+};
@@ -0,0 +1,179 @@
+// ===============================================================
+// services/discadorHttpJson.js
+// Adaptador de discador genérico: qualquer API HTTP que devolva JSON com a lista de agentes
+//
+// Definição (config/discadores.js), exemplo:
+//   {
+//     "tipo": "http-json",
+//     "url": "https://discador.exemplo/api/agents",             (lista: listStatuses)
+//     "urlRamal": "https://discador.exemplo/api/agents/{ramal}", (opcional: getStatus direto)
+//     "itemRamal": "data",                                       (caminho até o agente na resposta de urlRamal)
+//     "headers": { "Authorization": "Bearer ${NOVO_DISCADOR_TOKEN}" },  (${VAR} vem do .env)
+//     "timeoutMs": 5000,
+//     "lista": "data.agents",                                    (caminho até o array; "" = raiz)
+//     "campos": { "ramal": "extension", "status": "state", "tempo": "stateDuration" },
+//     "tempoUnidade": "s",                                       (s | ms; ou campos.desde = início do status)
+//     "mapa": { "ON_CALL": "ATENDIMENTO", "PAUSED": "PAUSA", "READY": "LIVRE", "LOGGED_OUT": "OFFLINE" },
+//     "descricoes": { "ON_CALL": "Em atendimento", "PAUSED": "Em pausa" }  (opcional: texto exibido)
+//   }
+// Status nativo fora do `mapa` vira DESCONHECIDO (fica em "outros" no semáforo).
+// ===============================================================
+
+const axios = require('axios');
+const { STATUS_CANONICO, normTexto, validarCanonico } = require('../utils/statusCanonico');
+
+// "data.agents" -> obj.data.agents
+function caminho(obj, path) {
+  if (!path) return obj;
+  return String(path).split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// "${VAR}" -> process.env.VAR (segredos ficam no .env, não no JSON de configuração)
+function expandirEnv(valor) {
+  return String(valor).replace(/\$\{(\w+)\}/g, (_, nome) => process.env[nome] || '');
+}
+
+/**
+ * Valida a definição e devolve o adaptador. Lança erro descritivo (falha cedo na carga).
+ */
+function criarDiscadorHttpJson(nome, def = {}) {
+  if (!def.url && !def.urlRamal) throw new Error(`discador '${nome}': informe url e/ou urlRamal`);
+  for (const k of ['url', 'urlRamal']) {
+    if (def[k]) new URL(def[k].replace('{ramal}', '0')); // lança em URL malformada
+  }
+  if (def.urlRamal && !def.urlRamal.includes('{ramal}')) throw new Error(`discador '${nome}': urlRamal precisa conter {ramal}`);
+
+  const campos = { ramal: 'ramal', status: 'status', tempo: null, desde: null, ...(def.campos || {}) };
+  const tempoUnidade = def.tempoUnidade || 's';
+  if (!['s', 'ms'].includes(tempoUnidade)) throw new Error(`discador '${nome}': tempoUnidade deve ser 's' ou 'ms'`);
+  const timeout = parseInt(def.timeoutMs || process.env.DISCADOR_TIMEOUT_MS || '5000', 10);
+
+  // nativo e descrição exibida apontam para o mesmo canônico: o GET só tem a descrição gravada
+  const canonicoPorTexto = new Map();
+  const descricoes = new Map();
+  for (const [nativo, canon] of Object.entries(def.mapa || {})) {
+    canonicoPorTexto.set(normTexto(nativo), validarCanonico(canon));
+  }
+  for (const [nativo, texto] of Object.entries(def.descricoes || {})) {
+    descricoes.set(normTexto(nativo), String(texto));
+    const canon = canonicoPorTexto.get(normTexto(nativo));
+    if (canon) canonicoPorTexto.set(normTexto(texto), canon);
+  }
+  if (!canonicoPorTexto.size) console.warn(`[discadorHttpJson] discador '${nome}' sem mapa — todos os status ficarão DESCONHECIDO.`);
+
+  const metrics = {
+    requisicoes: 0,
+    falhas: 0,
+    ultimaLatenciaMs: null,
+    ultimoSucesso: null,
+    ultimoErro: null
+  };
+
+  function canonico(descricao) {
+    return canonicoPorTexto.get(normTexto(descricao)) || STATUS_CANONICO.DESCONHECIDO;
+  }
+
+  function headers() {
+    const out = {};
+    for (const [k, v] of Object.entries(def.headers || {})) out[k] = expandirEnv(v);
+    return out;
+  }
+
+  async function requisitar(url) {
+    metrics.requisicoes++;
+    const inicio = Date.now();
+    try {
+      const resp = await axios.get(url, { headers: headers(), timeout });
+      metrics.ultimaLatenciaMs = Date.now() - inicio;
+      metrics.ultimoSucesso = new Date();
+      metrics.ultimoErro = null;
+      return resp.data;
+    } catch (err) {
+      metrics.falhas++;
+      metrics.ultimoErro = err && err.message ? err.message : String(err);
+      throw err;
+    }
+  }
+
+  // item nativo -> formato comum dos adaptadores (null se não tiver ramal)
+  function normalizar(item) {
+    if (!item || typeof item !== 'object') return null;
+    const ramal = caminho(item, campos.ramal);
+    if (ramal == null || ramal === '') return null;
+    const nativo = String(caminho(item, campos.status) ?? '');
+
+    let tempoStatusSegundos = 0;
+    if (campos.tempo) {
+      const t = Number(caminho(item, campos.tempo)) || 0;
+      tempoStatusSegundos = Math.floor(tempoUnidade === 'ms' ? t / 1000 : t);
+    } else if (campos.desde) {
+      const desde = new Date(caminho(item, campos.desde)).getTime();
+      tempoStatusSegundos = Number.isFinite(desde) ? Math.max(0, Math.floor((Date.now() - desde) / 1000)) : 0;
+    }
+
+    return {
+      ramal: String(ramal),
+      descricaoStatus: descricoes.get(normTexto(nativo)) || nativo,
+      statusCanonico: canonico(nativo),
+      tempoStatusSegundos,
+    };
+  }
+
+  /**
+   * Map(ramal -> status) ou null se a chamada falhar / formato inesperado.
+   */
+  async function listStatuses() {
+    if (!def.url) return null;
+    try {
+      const lista = caminho(await requisitar(def.url), def.lista || '');
+      if (!Array.isArray(lista)) {
+        console.warn(`[discadorHttpJson] ${nome}: '${def.lista || '(raiz)'}' não é uma lista.`);
+        return null;
+      }
+      const map = new Map();
+      for (const item of lista) {
+        const st = normalizar(item);
+        if (st) map.set(st.ramal, st);
+      }
+      return map;
+    } catch (err) {
+      console.warn(`[discadorHttpJson] ${nome}: falha na lista:`, err?.message || err);
+      return null;
+    }
+  }
+
+  async function getStatus(ramal) {
+    if (!ramal) return null;
+    try {
+      if (def.urlRamal) {
+        const data = await requisitar(def.urlRamal.replace('{ramal}', encodeURIComponent(String(ramal))));
+        return normalizar(caminho(data, def.itemRamal || ''));
+      }
+      const map = await listStatuses();
+      return (map && map.get(String(ramal))) || null;
+    } catch (err) {
+      if (err && err.response && err.response.status === 404) return null; // ramal desconhecido
+      console.error(`❌ [discadorHttpJson] ${nome}: getStatus(${ramal}) ->`, err?.message || err);
+      return null;
+    }
+  }
+
+  return {
+    nome,
+    tipo: 'http-json',
+    consultaPorRamal: !!def.urlRamal,
+    listStatuses,
+    getStatus,
+    canonico,
+    disponivel: () => ({ ok: true }),
+    getMetrics: () => ({ ...metrics })
+  };
+}
+
+module.exports = {
+  criarDiscadorHttpJson,
+  __internal: {
+    caminho,
+    expandirEnv
+  }
+};
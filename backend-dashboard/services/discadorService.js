@@ -0,0 +1,65 @@
+// ===============================================================
+// services/discadorService.js
+// Camada de adaptadores de discador: de onde vem o status dos operadores de cada empresa
+//
+// Interface de um adaptador (services/discadorArgus.js, services/discadorHttpJson.js):
+//   nome, tipo, consultaPorRamal (bool)
+//   listStatuses()   -> Promise<Map(ramal -> status) | null>   (null = lote indisponível)
+//   getStatus(ramal) -> Promise<status | null>
+//   canonico(descricaoStatus) -> STATUS_CANONICO (reclassifica a descrição gravada no banco)
+//   disponivel()     -> { ok } | { ok: false, reason, mensagem }  (pula a rodada sem consultar)
+//   getMetrics()     -> objeto livre para /api/_discadores
+// status = { ramal, descricaoStatus, statusCanonico, tempoStatusSegundos }
+//
+// A escolha por empresa vem de config/discadores.js.
+// ===============================================================
+
+const { config, nomeDoDiscador } = require('../config/discadores');
+const { criarDiscadorArgus } = require('./discadorArgus');
+const { criarDiscadorHttpJson } = require('./discadorHttpJson');
+
+const FABRICAS = {
+  argus: (nome) => criarDiscadorArgus(nome),
+  'http-json': (nome, def) => criarDiscadorHttpJson(nome, def)
+};
+
+// instancia todos na carga: definição inválida falha na subida, não na primeira rodada
+const discadores = new Map();
+for (const [nome, def] of Object.entries(config.discadores)) {
+  discadores.set(nome, FABRICAS[def.tipo](nome, def));
+}
+
+if (config.empresas.size) {
+  console.log(`[discadorService] discadores por empresa (${config.origem}):`,
+    Object.fromEntries(config.empresas), `padrão=${config.padrao}`);
+}
+
+/**
+ * Adaptador da empresa (padrão quando a empresa não está mapeada).
+ */
+function getDiscador(empresa) {
+  return discadores.get(nomeDoDiscador(empresa));
+}
+
+/**
+ * Resumo para /api/_discadores: adaptadores, empresas mapeadas e métricas de cada um.
+ */
+function listDiscadores() {
+  return {
+    padrao: config.padrao,
+    origem: config.origem,
+    empresas: Object.fromEntries(config.empresas),
+    discadores: Array.from(discadores.values()).map(d => ({
+      nome: d.nome,
+      tipo: d.tipo,
+      consultaPorRamal: d.consultaPorRamal,
+      disponivel: d.disponivel(),
+      metrics: typeof d.getMetrics === 'function' ? d.getMetrics() : null
+    }))
+  };
+}
+
+module.exports = {
+  getDiscador,
+  listDiscadores
+};
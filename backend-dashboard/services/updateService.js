@@ -3,25 +3,58 @@
 // Características:
 //  - retries com exponential backoff + jitter
 //  - evita execuções concorrentes do mesmo job
-//  - agendamento via setInterval
+//  - agendamento via setInterval ou cron com fuso (opts.cron), pausável: pauseJob/resumeJob
+//  - jobs com opts.expediente só rodam no expediente (config/expediente.js);
+//    fora dele, no ritmo de EXPEDIENTE_FORA_INTERVAL_MS (0 = não rodam)
 //  - coleta métricas simples por job
+//  - grava cada execução em dbo.job_execucoes (getJobHistorico / GET /api/_jobs/:name/historico)
 // Uso sugerido:
 // const updateService = require('./services/updateService');
 // updateService.scheduleDefaultJobs({ statusController, rankingController, empresaController }, { intervalMs: 60000 });
+// updateService.registerJob('fechamento', fn, { cron: '0 18 * * 1-5' }); updateService.scheduleJob('fechamento');
 
 const DEFAULT_RETRIES = parseInt(process.env.UPDATE_MAX_RETRIES || '3', 10);
 const DEFAULT_RETRY_BASE_MS = parseInt(process.env.UPDATE_RETRY_BASE_MS || '500', 10);
 const DEFAULT_INTERVAL_MS = parseInt(process.env.UPDATE_INTERVAL_MS || '60000', 10);
+const DEFAULT_CRON_TZ = process.env.UPDATE_CRON_TZ || process.env.EXPEDIENTE_TZ || 'America/Sao_Paulo';
+// atraso acima disso conta como execução perdida (máquina suspensa, event loop travado)
+const CRON_MISSED_TOLERANCE_MS = parseInt(process.env.UPDATE_CRON_MISSED_TOLERANCE_MS || '60000', 10);
+// ao agendar, recupera a ocorrência que caiu nessa janela antes do start (ex.: restart às 18:02)
+const DEFAULT_CRON_CATCHUP_MS = parseInt(process.env.UPDATE_CRON_CATCHUP_MS || '900000', 10);
+const MAX_TIMEOUT_MS = 2147483647; // limite do setTimeout (~24,8 dias)
+const TABELA_JOB_EXEC = process.env.TABELA_JOB_EXEC || 'dbo.job_execucoes';
+const JOB_EXEC_RETENCAO_DIAS = parseInt(process.env.JOB_EXEC_RETENCAO_DIAS || '30', 10);
+const JOB_EXEC_LIMPEZA_MS = 6 * 60 * 60 * 1000; // limpeza da retenção no máximo a cada 6h
 const DEBUG = !!process.env.DEBUG;
 
+// expediente (opcional): sem o módulo, todos os jobs rodam 24x7
+let expediente = null;
+try {
+  expediente = require('../config/expediente');
+} catch (e) {
+  expediente = null;
+}
+
 function log(...args) {
   if (process.env.NODE_ENV !== 'production') console.log('[updateService]', ...args);
 }
 
+const os = require('os');
+const { parseCron, proximaExecucao, execucaoAnterior } = require('../utils/cron');
+
+// banco (opcional): sem ele o histórico de execuções fica desligado
+let db = null;
+try {
+  db = require('../config/db.js');
+} catch (e) {
+  db = null;
+}
+
 /* ------------------------------
    Estado interno / registries
    ------------------------------ */
-const jobs = new Map(); // jobName -> { fn, intervalMs, intervalId, isRunning, metrics, opts }
+const jobs = new Map(); // jobName -> { fn, intervalMs, intervalId, cron, timezone, timerId, nextRunAt, isRunning, paused, metrics, opts }
+const historicoState = { tableReady: false, ultimaLimpeza: 0, lastError: null };
 
 /* ------------------------------
    Util helpers
@@ -74,26 +107,156 @@ async function runWithRetry(fn, opts = {}) {
   return { ok: false, error: new Error('Máximo de retries atingido'), attempts: attempt, durationMs: Date.now() - start };
 }
 
+/* ------------------------------
+   Histórico persistente (dbo.job_execucoes)
+   ------------------------------ */
+async function ensureJobExecTable(pool) {
+  if (historicoState.tableReady) return;
+  const [schema, table] = TABELA_JOB_EXEC.replace(/\[|\]/g, '').split('.');
+  await pool.request().query(`
+    IF OBJECT_ID(N'${schema}.${table}', N'U') IS NULL
+    BEGIN
+      CREATE TABLE ${schema}.${table} (
+        id          BIGINT IDENTITY(1,1) PRIMARY KEY,
+        job         VARCHAR(100) NOT NULL,
+        origem      VARCHAR(20) NULL,      -- intervalo | cron | inicial | manual | registro
+        host        VARCHAR(100) NULL,
+        inicio      DATETIME2 NOT NULL,
+        fim         DATETIME2 NOT NULL,
+        duracao_ms  INT NOT NULL,
+        tentativas  INT NOT NULL,
+        resultado   VARCHAR(10) NOT NULL,  -- sucesso | falha
+        erro        NVARCHAR(1000) NULL,
+        resumo      NVARCHAR(2000) NULL    -- JSON resumido do retorno do job
+      );
+      CREATE INDEX IX_${table}_job_inicio ON ${schema}.${table} (job, inicio DESC);
+    END
+  `);
+  historicoState.tableReady = true;
+}
+
+/**
+ * Resume o retorno do job para o histórico: arrays viram contagem ({ linhas: n } no topo,
+ * "[n itens]" dentro de objetos) e o JSON é cortado em 2000 caracteres.
+ */
+function resumirResultado(result) {
+  if (result === undefined || result === null) return null;
+  const valor = Array.isArray(result) ? { linhas: result.length } : result;
+  try {
+    const json = JSON.stringify(valor, (k, v) => (k && Array.isArray(v) ? `[${v.length} itens]` : v));
+    return json ? json.slice(0, 2000) : null;
+  } catch (e) {
+    return safeString(valor).slice(0, 2000);
+  }
+}
+
+// mensagem de erro de um resultado { error } sem nada atualizado; null = sucesso
+function erroDoResultado(result) {
+  if (!result || typeof result !== 'object' || Array.isArray(result) || !result.error) return null;
+  if (Number(result.updated) > 0) return null;
+  return safeString(result.error && result.error.message ? result.error.message : result.error);
+}
+
+async function registrarExecucao(jobName, exec) {
+  if (!db || typeof db.getLocalPool !== 'function') return;
+  const { sql } = db;
+  const pool = await db.getLocalPool();
+  if (!pool) return;
+  await ensureJobExecTable(pool);
+  await pool.request()
+    .input('job', sql.VarChar(100), jobName)
+    .input('origem', sql.VarChar(20), exec.origem || null)
+    .input('host', sql.VarChar(100), os.hostname().slice(0, 100))
+    .input('inicio', sql.DateTime2, new Date(exec.inicio))
+    .input('fim', sql.DateTime2, new Date(exec.fim))
+    .input('duracao_ms', sql.Int, exec.fim - exec.inicio)
+    .input('tentativas', sql.Int, exec.tentativas || 0)
+    .input('resultado', sql.VarChar(10), exec.ok ? 'sucesso' : 'falha')
+    .input('erro', sql.NVarChar(1000), exec.erro ? safeString(exec.erro).slice(0, 1000) : null)
+    .input('resumo', sql.NVarChar(2000), exec.resumo)
+    .query(`
+      INSERT INTO ${TABELA_JOB_EXEC} (job, origem, host, inicio, fim, duracao_ms, tentativas, resultado, erro, resumo)
+      VALUES (@job, @origem, @host, @inicio, @fim, @duracao_ms, @tentativas, @resultado, @erro, @resumo)
+    `);
+
+  if (JOB_EXEC_RETENCAO_DIAS > 0 && (Date.now() - historicoState.ultimaLimpeza) > JOB_EXEC_LIMPEZA_MS) {
+    historicoState.ultimaLimpeza = Date.now();
+    await pool.request()
+      .input('dias', sql.Int, JOB_EXEC_RETENCAO_DIAS)
+      .query(`DELETE FROM ${TABELA_JOB_EXEC} WHERE inicio < DATEADD(DAY, -@dias, SYSDATETIME())`);
+  }
+}
+
+/**
+ * getJobHistorico(jobName, { limit, desde, resultado })
+ * Execuções gravadas (mais recentes primeiro) + último sucesso, mesmo de jobs não registrados
+ * neste processo. Lança erro se o banco estiver indisponível.
+ */
+async function getJobHistorico(jobName, { limit = 50, desde = null, resultado = null } = {}) {
+  if (!db || typeof db.getLocalPool !== 'function') throw new Error('config/db.js indisponível');
+  const { sql } = db;
+  const pool = await db.getLocalPool();
+  if (!pool) throw new Error('Pool LOCAL indisponível');
+  await ensureJobExecTable(pool);
+
+  const req = pool.request()
+    .input('job', sql.VarChar(100), jobName)
+    .input('limit', sql.Int, limit);
+  if (desde) req.input('desde', sql.DateTime2, desde);
+  if (resultado) req.input('resultado', sql.VarChar(10), resultado);
+  const r = await req.query(`
+    SELECT TOP (@limit) id, origem, host, inicio, fim, duracao_ms AS duracaoMs, tentativas, resultado, erro, resumo
+    FROM ${TABELA_JOB_EXEC}
+    WHERE job = @job
+      ${desde ? 'AND inicio >= @desde' : ''}
+      ${resultado ? 'AND resultado = @resultado' : ''}
+    ORDER BY inicio DESC, id DESC;
+
+    SELECT TOP (1) inicio, fim FROM ${TABELA_JOB_EXEC}
+    WHERE job = @job AND resultado = 'sucesso'
+    ORDER BY inicio DESC, id DESC;
+  `);
+  const execucoes = (r.recordsets[0] || []).map(row => {
+    let resumo = row.resumo;
+    try { resumo = row.resumo ? JSON.parse(row.resumo) : null; } catch (e) { /* texto cortado: mantém string */ }
+    return { ...row, resumo };
+  });
+  return { execucoes, ultimoSucesso: (r.recordsets[1] || [])[0] || null };
+}
+
 /* ------------------------------
    API: criar / registrar job
    ------------------------------ */
 /**
- * registerJob(jobName, fn, intervalMs, opts)
+ * registerJob(jobName, fn, intervalMs, opts) ou registerJob(jobName, fn, opts)
  * - jobName: string único
  * - fn: async function() que executa o trabalho (deve tratar seu próprio erro se desejar)
  * - intervalMs: se informado, será usado no scheduler; se omitido, não agenda automaticamente
- * - opts: { retries, retryBaseMs, jitter, runOnRegister }
+ * - opts: { retries, retryBaseMs, jitter, runOnRegister, expediente,
+ *           cron, timezone, missedRun: 'run-once'|'skip', catchUpMs }
+ *   com opts.cron o job roda nos horários da expressão (fuso opts.timezone) em vez de intervalo;
+ *   missedRun decide o que fazer com ocorrência perdida (atraso ou job ainda rodando):
+ *   'run-once' (padrão) executa uma vez assim que possível, 'skip' descarta
  */
 function registerJob(jobName, fn, intervalMs = null, opts = {}) {
+  if (intervalMs && typeof intervalMs === 'object') {
+    opts = intervalMs;
+    intervalMs = null;
+  }
+  opts = opts || {};
   if (!jobName || typeof fn !== 'function') {
     throw new Error('registerJob requer jobName (string) e fn (function)');
   }
+  // valida já no registro (expressão inválida lança aqui, não no primeiro disparo)
+  const cron = opts.cron ? parseCron(opts.cron) : null;
   if (jobs.has(jobName)) {
     // atualiza a função/intervalo/opts se já existir
     const old = jobs.get(jobName);
     old.fn = fn;
-    old.opts = { ...(old.opts || {}), ...(opts || {}) };
+    old.opts = { ...(old.opts || {}), ...opts };
     if (intervalMs != null) old.intervalMs = intervalMs;
+    if (cron) old.cron = cron;
+    if (opts.timezone) old.timezone = opts.timezone;
     return jobs.get(jobName);
   }
 
@@ -101,23 +264,31 @@ function registerJob(jobName, fn, intervalMs = null, opts = {}) {
     fn,
     intervalMs: intervalMs || null,
     intervalId: null,
+    cron,
+    timezone: opts.timezone || DEFAULT_CRON_TZ,
+    timerId: null,
+    nextRunAt: null,
+    pendingRun: false,
     isRunning: false,
+    paused: false,
     lastRunAt: null,
     metrics: {
       lastDurationMs: null,
       lastError: null,
       lastSuccessAt: null,
+      skippedOffHours: 0,
+      missedRuns: 0,
       runs: 0,
       successes: 0,
       failures: 0,
       attempts: 0
     },
-    opts: opts || {}
+    opts
   };
   jobs.set(jobName, info);
   // se runOnRegister estiver setado, executa uma vez imediatamente (não bloqueante)
   if (opts.runOnRegister) {
-    runJobNow(jobName).catch(() => {});
+    runJobNow(jobName, { origem: 'registro' }).catch(() => {});
   }
   return info;
 }
@@ -127,6 +298,7 @@ function registerJob(jobName, fn, intervalMs = null, opts = {}) {
    ------------------------------ */
 /**
  * runJobNow(jobName, runOpts)
+ * - runOpts: sobrepõe opts do job; runOpts.origem vai para o histórico (padrão 'manual')
  * - retorna promessa que resolve com { ok, result?, error? }
  */
 async function runJobNow(jobName, runOpts = {}) {
@@ -142,20 +314,44 @@ async function runJobNow(jobName, runOpts = {}) {
   info.metrics.runs = (info.metrics.runs || 0) + 1;
   const mergedOpts = { ...(info.opts || {}), ...(runOpts || {}) };
 
+  // job que devolve { updated: 0, error } sem lançar (padrão dos controllers) também é falha:
+  // vira exceção para o retry, as métricas e o histórico
   const wrapper = async () => {
-    try {
-      const res = await info.fn();
-      return res;
-    } catch (e) {
+    const res = await info.fn();
+    const erro = erroDoResultado(res);
+    if (erro) {
+      const e = new Error(erro);
+      e.resultado = res;
       throw e;
     }
+    return res;
   };
 
   const retryRes = await runWithRetry(wrapper, { retries: mergedOpts.retries, retryBaseMs: mergedOpts.retryBaseMs, jitter: mergedOpts.jitter, jobName });
 
+  // histórico em background: falha do banco não afeta o job
+  registrarExecucao(jobName, {
+    origem: runOpts.origem || 'manual',
+    inicio: info.lastRunAt,
+    fim: Date.now(),
+    tentativas: retryRes.attempts,
+    ok: retryRes.ok,
+    erro: retryRes.ok ? null : (retryRes.error && retryRes.error.message ? retryRes.error.message : retryRes.error),
+    resumo: resumirResultado(retryRes.ok ? retryRes.result : (retryRes.error && retryRes.error.resultado))
+  }).then(() => { historicoState.lastError = null; }).catch(err => {
+    historicoState.lastError = safeString(err && err.message ? err.message : err);
+    if (DEBUG) log(`histórico ${jobName} não gravado:`, historicoState.lastError);
+  });
+
   info.metrics.lastDurationMs = retryRes.durationMs || null;
   info.metrics.attempts = (info.metrics.attempts || 0) + (retryRes.attempts || 0);
 
+  // ocorrência de cron que caiu durante esta execução (missedRun 'run-once') roda em seguida
+  if (info.pendingRun) {
+    info.pendingRun = false;
+    setImmediate(() => runJobNow(jobName, { origem: 'cron' }).catch(() => {}));
+  }
+
   if (retryRes.ok) {
     info.metrics.successes = (info.metrics.successes || 0) + 1;
     info.metrics.lastSuccessAt = new Date();
@@ -170,27 +366,107 @@ async function runJobNow(jobName, runOpts = {}) {
   }
 }
 
+/* ------------------------------
+   Janela de expediente
+   ------------------------------ */
+// decide se o tick agendado roda; execuções manuais (runJobNow) ignoram a janela
+function dentroDaJanela(info) {
+  if (!info.opts || !info.opts.expediente || !expediente) return true;
+  if (expediente.statusExpediente().aberto) return true;
+  const foraMs = expediente.config.foraIntervalMs;
+  return foraMs > 0 && (!info.lastRunAt || (Date.now() - info.lastRunAt) >= foraMs);
+}
+
+/* ------------------------------
+   Agendamento por cron
+   ------------------------------ */
+function armarTimerCron(jobName, info) {
+  const espera = Math.min(Math.max(0, info.nextRunAt - Date.now()), MAX_TIMEOUT_MS);
+  info.timerId = setTimeout(() => dispararCron(jobName, info), espera);
+}
+
+function executarCron(jobName, info) {
+  const pular = info.opts.missedRun === 'skip';
+  if (info.isRunning) {
+    info.metrics.missedRuns = (info.metrics.missedRuns || 0) + 1;
+    if (!pular) info.pendingRun = true;
+    log(`cron ${jobName}: ocorrência com job ainda rodando (${pular ? 'descartada' : 'roda em seguida'})`);
+    return;
+  }
+  runJobNow(jobName, { origem: 'cron' }).catch(err => {
+    log(`cron ${jobName} erro interno:`, err && err.message ? err.message : err);
+  });
+}
+
+function dispararCron(jobName, info) {
+  info.timerId = null;
+  const agora = Date.now();
+  // esperas maiores que o limite do setTimeout são feitas em etapas
+  if (agora < info.nextRunAt) return armarTimerCron(jobName, info);
+
+  const atrasoMs = agora - info.nextRunAt;
+  // ocorrências perdidas no meio do atraso são agrupadas numa só
+  info.nextRunAt = proximaExecucao(info.cron, agora, info.timezone).getTime();
+  armarTimerCron(jobName, info);
+
+  if (atrasoMs > CRON_MISSED_TOLERANCE_MS) {
+    info.metrics.missedRuns = (info.metrics.missedRuns || 0) + 1;
+    log(`cron ${jobName}: disparo atrasado ${Math.round(atrasoMs / 1000)}s`);
+    if (info.opts.missedRun === 'skip') return;
+  }
+  executarCron(jobName, info);
+}
+
+function agendarCron(jobName, info) {
+  info.nextRunAt = proximaExecucao(info.cron, Date.now(), info.timezone).getTime();
+  armarTimerCron(jobName, info);
+
+  // recupera a ocorrência que caiu pouco antes do agendamento (ex.: restart logo após o horário)
+  const catchUpMs = info.opts.catchUpMs != null ? info.opts.catchUpMs : DEFAULT_CRON_CATCHUP_MS;
+  const anterior = execucaoAnterior(info.cron, Date.now(), info.timezone, catchUpMs);
+  if (anterior && info.opts.missedRun !== 'skip' && (!info.lastRunAt || info.lastRunAt < anterior.getTime())) {
+    info.metrics.missedRuns = (info.metrics.missedRuns || 0) + 1;
+    log(`cron ${jobName}: recuperando execução de ${anterior.toISOString()}`);
+    executarCron(jobName, info);
+  }
+}
+
 /* ------------------------------
    API: scheduleJob / stopJob / stopAll
    ------------------------------ */
+/**
+ * scheduleJob(jobName, intervalMs)
+ * - job com cron: agenda pelos horários da expressão (intervalMs ignorado; não roda na hora)
+ * - demais: setInterval de intervalMs e uma execução imediata para aquecer cache
+ */
 function scheduleJob(jobName, intervalMs = DEFAULT_INTERVAL_MS) {
   const info = jobs.get(jobName);
   if (!info) throw new Error(`Job '${jobName}' não registrado`);
   // se já agendado, limpa primeiro
-  if (info.intervalId) {
-    clearInterval(info.intervalId);
-    info.intervalId = null;
+  stopJob(jobName);
+  info.paused = false;
+
+  if (info.cron) {
+    agendarCron(jobName, info);
+    return info.timerId;
   }
+
   info.intervalMs = intervalMs;
+  info.nextRunAt = Date.now() + intervalMs;
   // agenda execução periódica (não bloqueante)
   info.intervalId = setInterval(() => {
+    info.nextRunAt = Date.now() + intervalMs;
+    if (!dentroDaJanela(info)) {
+      info.metrics.skippedOffHours = (info.metrics.skippedOffHours || 0) + 1;
+      return;
+    }
     // dispara sem aguardar; runJobNow cuida de evitar concorrência
-    runJobNow(jobName).catch(err => {
+    runJobNow(jobName, { origem: 'intervalo' }).catch(err => {
       log(`scheduleJob ${jobName} erro interno:`, err && err.message ? err.message : err);
     });
   }, intervalMs);
   // executar imediatamente uma vez (fire-and-forget) para aquecer cache
-  runJobNow(jobName).catch(() => {});
+  runJobNow(jobName, { origem: 'inicial' }).catch(() => {});
   return info.intervalId;
 }
 
@@ -201,37 +477,70 @@ function stopJob(jobName) {
     clearInterval(info.intervalId);
     info.intervalId = null;
   }
+  if (info.timerId) {
+    clearTimeout(info.timerId);
+    info.timerId = null;
+  }
+  info.nextRunAt = null;
+  return true;
+}
+
+/**
+ * pauseJob(jobName): para o agendamento mantendo intervalo/métricas (execução em andamento termina normalmente).
+ * runJobNow continua funcionando para disparos manuais.
+ */
+function pauseJob(jobName) {
+  const info = jobs.get(jobName);
+  if (!info) return false;
+  stopJob(jobName);
+  info.paused = true;
+  return true;
+}
+
+/**
+ * resumeJob(jobName): reagenda com o último intervalo/cron (como scheduleJob)
+ */
+function resumeJob(jobName) {
+  const info = jobs.get(jobName);
+  if (!info) return false;
+  if (!info.intervalMs && !info.cron) throw new Error(`Job '${jobName}' não tem intervalo nem cron para reagendar`);
+  scheduleJob(jobName, info.intervalMs);
   return true;
 }
 
 function stopAll() {
-  for (const [name, info] of jobs.entries()) {
-    if (info.intervalId) {
-      clearInterval(info.intervalId);
-      info.intervalId = null;
-    }
-  }
+  for (const name of jobs.keys()) stopJob(name);
   return true;
 }
 
 /* ------------------------------
    API: introspecção / metrics
    ------------------------------ */
-function getJobInfo(jobName) {
-  const info = jobs.get(jobName);
-  if (!info) return null;
+function resumoJob(info) {
   return {
     intervalMs: info.intervalMs,
+    cron: info.cron ? info.cron.expr : null,
+    timezone: info.cron ? info.timezone : null,
     isRunning: info.isRunning,
+    paused: info.paused,
+    scheduled: !!(info.intervalId || info.timerId),
+    expediente: !!(info.opts && info.opts.expediente),
     lastRunAt: info.lastRunAt,
+    nextRunAt: info.nextRunAt ? new Date(info.nextRunAt).toISOString() : null,
     metrics: info.metrics
   };
 }
 
+function getJobInfo(jobName) {
+  const info = jobs.get(jobName);
+  if (!info) return null;
+  return resumoJob(info);
+}
+
 function listJobs() {
   const out = [];
   for (const [name, info] of jobs.entries()) {
-    out.push({ name, intervalMs: info.intervalMs, isRunning: info.isRunning, lastRunAt: info.lastRunAt, metrics: info.metrics });
+    out.push({ name, ...resumoJob(info) });
   }
   return out;
 }
@@ -240,10 +549,18 @@ function listJobs() {
    Helpers: registrar jobs padrão (integração com controllers)
    ------------------------------ */
 
+// "EMP_A: erro; EMP_B: argus-circuit-open" para a mensagem do job
+function resumirFalhas(resultados = {}) {
+  return Object.entries(resultados)
+    .map(([empresa, r]) => `${empresa}: ${(r && (r.error || r.reason)) || 'falha'}`)
+    .join('; ');
+}
+
 /**
  * scheduleDefaultJobs(controllers, opts)
  * controllers: { statusController, rankingController, empresaController }
- * opts: { intervalMs, retries, retryBaseMs, runOnRegister }
+ * opts: { intervalMs, retries, retryBaseMs, runOnRegister, expediente }
+ * status e ranking respeitam o expediente (opts.expediente=false desliga); empresas roda sempre
  */
 function scheduleDefaultJobs(controllers = {}, opts = {}) {
   const intervalMs = opts.intervalMs || DEFAULT_INTERVAL_MS;
@@ -253,25 +570,46 @@ function scheduleDefaultJobs(controllers = {}, opts = {}) {
     jitter: opts.jitter != null ? opts.jitter : true,
     runOnRegister: opts.runOnRegister != null ? opts.runOnRegister : true
   };
+  const expedienteOpts = { ...commonOpts, expediente: opts.expediente != null ? opts.expediente : true };
 
-  // status
+  // status: todas as empresas quando disponível; mínimo de 10s entre execuções (como o scheduler antigo)
   if (controllers.statusController && typeof controllers.statusController.updateStatusOperadores === 'function') {
+    const statusIntervalMs = Math.max(10000, intervalMs);
+    // o controller não lança (devolve { error } / skipped): aqui a falha vira exceção para o retry
+    // e metrics.failures; o backoff por empresa do controller fica de fora (o job tem o seu)
     registerJob('status', async () => {
-      return controllers.statusController.updateStatusOperadores();
-    }, intervalMs, commonOpts);
-    scheduleJob('status', intervalMs);
+      const opts = { ignorarBackoff: true };
+      if (typeof controllers.statusController.updateStatusEmpresas === 'function') {
+        const r = await controllers.statusController.updateStatusEmpresas(opts);
+        if (r && r.empresas > 0 && r.falhas >= r.empresas) {
+          throw new Error(`status: todas as ${r.empresas} empresa(s) falharam (${resumirFalhas(r.resultados)})`);
+        }
+        return r;
+      }
+      const r = await controllers.statusController.updateStatusOperadores(undefined, opts);
+      if (r && r.error) throw new Error(`status: ${r.error}`);
+      return r;
+    }, statusIntervalMs, expedienteOpts);
+    scheduleJob('status', statusIntervalMs);
     log('scheduleDefaultJobs: status registrado');
   } else {
     log('scheduleDefaultJobs: statusController.updateStatusOperadores não disponível');
   }
 
-  // ranking
+  // ranking: todas as empresas espalhadas em 80% do intervalo (folga para o ciclo
+  // terminar antes do próximo tick); sem updateAllRankings, só a empresa padrão
   if (controllers.rankingController && typeof controllers.rankingController.updateRanking === 'function') {
     registerJob('ranking', async () => {
-      // aceita opcional empresa via env/default
+      if (typeof controllers.rankingController.updateAllRankings === 'function') {
+        const r = await controllers.rankingController.updateAllRankings(Math.floor(intervalMs * 0.8));
+        if (r && r.empresas > 0 && r.falhas >= r.empresas) {
+          throw new Error(`ranking: todas as ${r.empresas} empresa(s) falharam`);
+        }
+        return r;
+      }
       const empresa = process.env.DEFAULT_EMPRESA || 'VIEIRACRED';
-      return controllers.rankingController.updateRanking(empresa);
-    }, intervalMs, commonOpts);
+      return controllers.rankingController.updateRanking(empresa, undefined, undefined, { lancarErro: true });
+    }, intervalMs, expedienteOpts);
     scheduleJob('ranking', intervalMs);
     log('scheduleDefaultJobs: ranking registrado');
   } else {
@@ -303,10 +641,13 @@ module.exports = {
   registerJob,
   scheduleJob,
   stopJob,
+  pauseJob,
+  resumeJob,
   stopAll,
   runJobNow,
   getJobInfo,
   listJobs,
+  getJobHistorico,
   // convenience
   scheduleDefaultJobs,
 };
@@ -0,0 +1,126 @@
+// Circuit breaker do cliente Argus (services/argusClient.js) contra o Argus falso
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createArgusMock } = require('../mock/argusMock');
+
+const TOKEN = 'token-circuito';
+const ABERTO_MS = 200;
+
+let mock;
+let argusClient;
+let argusToken;
+let pathLote;
+
+before(async () => {
+  mock = createArgusMock({ ramais: ['1001', '1002'], token: TOKEN, seed: 7 });
+  await mock.listen(0);
+  Object.assign(process.env, {
+    ARGUS_BASE_URL: mock.url,
+    TOKEN_ARGUS: TOKEN,
+    ARGUS_TIMEOUT: '1000',
+    ARGUS_TOKEN_PROBE_MS: '60000',
+    ARGUS_CB_MIN_REQUESTS: '4',
+    ARGUS_CB_ERROR_RATE: '0.5',
+    ARGUS_CB_SLOW_MS: '150',
+    ARGUS_CB_SLOW_RATE: '0.8',
+    ARGUS_CB_OPEN_MS: String(ABERTO_MS),
+    ARGUS_CB_OPEN_MAX_MS: String(ABERTO_MS * 2),
+    ARGUS_CB_HALF_OPEN_MAX: '1'
+  });
+  argusToken = require('../services/argusTokenService');
+  argusClient = require('../services/argusClient');
+  pathLote = require('../config/argus').config.pathLote;
+});
+
+after(async () => {
+  argusToken.pararMonitor();
+  await mock.close();
+});
+
+beforeEach(async () => {
+  mock.limparFalhas();
+  argusClient.__internal.reset();
+  if (!argusToken.podeConsultar()) await argusToken.setToken(TOKEN, 'teste');
+});
+
+const consultar = (opts = {}) => argusClient.get(pathLote, { endpoint: 'lote', ...opts });
+const esperar = ms => new Promise(res => setTimeout(res, ms));
+
+async function falhar(vezes) {
+  for (let i = 0; i < vezes; i++) {
+    await assert.rejects(consultar(), err => err.code === 'ARGUS_HTTP' && err.status === 503);
+  }
+}
+
+test('abre só com o mínimo de chamadas na janela e então recusa sem requisitar', async () => {
+  mock.addFalha({ status: 503 });
+  await falhar(3);
+  assert.equal(argusClient.circuitoAberto(), false, 'abaixo de ARGUS_CB_MIN_REQUESTS');
+  await falhar(1);
+  assert.equal(argusClient.circuitoAberto(), true);
+  assert.match(argusClient.getMetrics().circuito.motivo, /taxa de erro 100% em 4 chamadas/);
+
+  const antes = mock.estado.contadores.requisicoes;
+  await assert.rejects(consultar(), err => err.code === 'ARGUS_CIRCUIT_OPEN' && err.proximaTentativaEm instanceof Date);
+  assert.equal(mock.estado.contadores.requisicoes, antes);
+  assert.equal(argusClient.getMetrics().endpoints.lote.rejeitadas, 1);
+});
+
+test('meio-aberto: uma chamada de teste; sucesso fecha o circuito', async () => {
+  mock.addFalha({ status: 503, vezes: 4 });
+  await falhar(4);
+  await esperar(ABERTO_MS + 20);
+
+  const [teste, barrada] = await Promise.allSettled([consultar(), consultar()]);
+  assert.equal(teste.status, 'fulfilled');
+  assert.equal(teste.value.status, 200);
+  assert.equal(barrada.status, 'rejected');
+  assert.equal(barrada.reason.code, 'ARGUS_CIRCUIT_OPEN');
+  assert.equal(argusClient.getMetrics().circuito.estado, 'fechado');
+});
+
+test('meio-aberto: falha na chamada de teste reabre com o dobro da espera (até o teto)', async () => {
+  mock.addFalha({ status: 503 });
+  await falhar(4);
+  const circuito = argusClient.__internal.circuitoRef();
+  assert.ok(Math.abs(circuito.proximaTentativaEm - circuito.abertoEm - ABERTO_MS) < 5);
+
+  await esperar(ABERTO_MS + 20);
+  await falhar(1);
+  assert.equal(circuito.estado, 'aberto');
+  assert.match(circuito.motivo, /falha na chamada de teste/);
+  assert.ok(Math.abs(circuito.proximaTentativaEm - circuito.abertoEm - ABERTO_MS * 2) < 5);
+
+  await esperar(ABERTO_MS * 2 + 20);
+  await falhar(1);
+  assert.ok(Math.abs(circuito.proximaTentativaEm - circuito.abertoEm - ABERTO_MS * 2) < 5, 'ARGUS_CB_OPEN_MAX_MS');
+});
+
+test('chamadas lentas abrem o circuito mesmo respondendo 200', async () => {
+  mock.addFalha({ atrasoMs: 200 });
+  for (let i = 0; i < 4; i++) assert.equal((await consultar()).status, 200);
+  assert.equal(argusClient.circuitoAberto(), true);
+  assert.match(argusClient.getMetrics().circuito.motivo, /acima de 150ms/);
+});
+
+test('400 e 403 não contam como falha; 403 suspende pelo token', async () => {
+  mock.addFalha({ status: 400, vezes: 4 });
+  for (let i = 0; i < 4; i++) assert.equal((await consultar()).status, 400);
+  assert.equal(argusClient.getMetrics().circuito.janela.falhas, 0);
+
+  mock.addFalha({ status: 403, vezes: 1 });
+  assert.equal((await consultar()).status, 403);
+  assert.equal(argusClient.circuitoAberto(), false);
+  await assert.rejects(consultar(), err => err.code === 'ARGUS_TOKEN_INVALIDO');
+});
+
+test('retries cobrem 5xx passageiro e contam na janela', async () => {
+  mock.addFalha({ status: 503, vezes: 1 });
+  const r = await consultar({ retries: 2, retryDelayMs: 1 });
+  assert.equal(r.status, 200);
+  const lote = argusClient.getMetrics().endpoints.lote;
+  assert.equal(lote.requisicoes, 2);
+  assert.equal(lote.porStatus[503], 1);
+  assert.equal(argusClient.getMetrics().circuito.janela.falhas, 1);
+});
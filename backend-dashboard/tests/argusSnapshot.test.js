@@ -0,0 +1,39 @@
+// Snapshot em lote do Argus (/cmd/statusoperadores) indexado por ramal
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { __internal: { extractBulkList, indexBulkSnapshot } } = require('../services/discadorArgus');
+
+test('aceita os formatos conhecidos da resposta em lote', () => {
+  const item = { ramal: '1001', descricaoStatus: 'Disponível', tempoStatus: 1000 };
+  for (const data of [[item], { statusOperadores: [item] }, { operadores: [item] }, { lista: [item] }, { data: [item] }]) {
+    assert.deepEqual(extractBulkList(data), [item]);
+  }
+  assert.equal(extractBulkList({ codStatus: 1 }), null);
+  assert.equal(extractBulkList(null), null);
+  assert.equal(extractBulkList('x'), null);
+});
+
+test('indexa por ramal no formato de getStatus (tempo em segundos, status canônico)', () => {
+  const map = indexBulkSnapshot({
+    codStatus: 1,
+    statusOperadores: [
+      { ramal: 1001, descricaoStatus: 'Em atendimento', tempoStatus: 65432 },
+      { idRamal: '1002', statusOperador: { descricaoStatus: 'Pausa - Lanche', tempoStatus: '3000' } },
+      { id_argus: '1003', descricaoStatus: 'Deslogado' }
+    ]
+  });
+  assert.deepEqual([...map.keys()], ['1001', '1002', '1003']);
+  assert.deepEqual(map.get('1001'), { ramal: '1001', descricaoStatus: 'Em atendimento', statusCanonico: 'ATENDIMENTO', tempoStatusSegundos: 65 });
+  assert.equal(map.get('1002').statusCanonico, 'PAUSA');
+  assert.equal(map.get('1002').tempoStatusSegundos, 3);
+  assert.equal(map.get('1003').statusCanonico, 'OFFLINE');
+  assert.equal(map.get('1003').tempoStatusSegundos, 0);
+});
+
+test('ignora itens sem ramal e devolve null para formato desconhecido', () => {
+  const map = indexBulkSnapshot([null, 'x', { descricaoStatus: 'Disponível' }, { ramal: '', descricaoStatus: 'Disponível' }, { ramal: '7' }]);
+  assert.deepEqual([...map.keys()], ['7']);
+  assert.equal(map.get('7').statusCanonico, 'DESCONHECIDO');
+  assert.equal(indexBulkSnapshot({ foo: 'bar' }), null);
+});
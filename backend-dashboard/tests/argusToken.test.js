@@ -0,0 +1,124 @@
+// Sondagem do token do Argus (services/argusTokenService.js) e rotas /api/_argus/token
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { createArgusMock } = require('../mock/argusMock');
+
+const TOKEN_CERTO = 'token-certo';
+const PROBE_MS = 60000;
+
+let mock;
+let argusToken;
+let server;
+let base;
+
+before(async () => {
+  mock = createArgusMock({ ramais: ['1001'], token: TOKEN_CERTO, seed: 1 });
+  await mock.listen(0);
+  Object.assign(process.env, {
+    ARGUS_BASE_URL: mock.url,
+    TOKEN_ARGUS: 'token-errado',
+    ARGUS_TIMEOUT: '500',
+    ARGUS_TOKEN_PROBE_MS: String(PROBE_MS), // sondagem automática fora do tempo do teste
+    ARGUS_TOKEN_PROBE_MAX_MS: String(PROBE_MS * 4)
+  });
+  argusToken = require('../services/argusTokenService');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/', require('../routes/argusRoutes'));
+  await new Promise(res => { server = app.listen(0, '127.0.0.1', res); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  argusToken.pararMonitor();
+  await new Promise(res => server.close(res));
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.limparFalhas();
+  delete process.env.ADMIN_TOKEN;
+  delete process.env.DEBUG_TOKEN;
+});
+
+const esperaSondagem = saude => Date.parse(saude.proximaSondagemEm) - Date.now();
+
+test('token recusado fica inválido e a próxima sondagem dobra de intervalo', async () => {
+  const s1 = await argusToken.sondar();
+  assert.equal(s1.estado, 'invalido');
+  assert.equal(s1.falhasConsecutivas, 1);
+  assert.equal(argusToken.podeConsultar(), false);
+  assert.ok(Math.abs(esperaSondagem(s1) - PROBE_MS) < 2000);
+
+  const s2 = await argusToken.sondar();
+  assert.equal(s2.falhasConsecutivas, 2);
+  assert.ok(Math.abs(esperaSondagem(s2) - PROBE_MS * 2) < 2000);
+
+  // teto em ARGUS_TOKEN_PROBE_MAX_MS
+  await argusToken.sondar();
+  const s4 = await argusToken.sondar();
+  assert.equal(s4.falhasConsecutivas, 4);
+  assert.ok(Math.abs(esperaSondagem(s4) - PROBE_MS * 4) < 2000);
+});
+
+test('token novo é sondado na hora e libera as consultas; a saúde nunca expõe o token', async () => {
+  const saude = await argusToken.setToken(TOKEN_CERTO, 'teste');
+  assert.equal(saude.estado, 'ok');
+  assert.equal(saude.falhasConsecutivas, 0);
+  assert.equal(saude.proximaSondagemEm, null);
+  assert.equal(saude.fonte, 'teste');
+  assert.match(saude.impressao, /^[0-9a-f]{8}$/);
+  assert.ok(!JSON.stringify(saude).includes(TOKEN_CERTO));
+  assert.equal(argusToken.podeConsultar(), true);
+});
+
+test('Argus fora do ar na sondagem não muda o estado do token', async () => {
+  await argusToken.setToken(TOKEN_CERTO, 'teste');
+  mock.addFalha({ status: 503 });
+  const saude = await argusToken.sondar();
+  assert.equal(saude.estado, 'ok');
+  assert.match(saude.ultimoErro, /inconclusiva/);
+});
+
+test('403 de requisição com token anterior à troca é ignorado', async () => {
+  await argusToken.setToken(TOKEN_CERTO, 'teste');
+  argusToken.reportarFalhaAuth('token-antigo');
+  assert.equal(argusToken.podeConsultar(), true);
+
+  argusToken.reportarFalhaAuth(TOKEN_CERTO);
+  argusToken.reportarFalhaAuth(TOKEN_CERTO); // circuito já aberto: não conta de novo
+  const saude = argusToken.getSaude();
+  assert.equal(saude.estado, 'invalido');
+  assert.equal(saude.falhasConsecutivas, 1);
+  assert.ok(saude.proximaSondagemEm);
+});
+
+test('POST /api/_argus/token: fechado sem ADMIN_TOKEN e token só pelo header', async () => {
+  const post = (caminho, headers = {}, body = { token: TOKEN_CERTO }) => fetch(`${base}${caminho}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  assert.equal((await post('/api/_argus/token')).status, 503);
+  assert.equal((await post('/api/_argus/token/sondar')).status, 503);
+
+  process.env.ADMIN_TOKEN = 'admin';
+  assert.equal((await post('/api/_argus/token')).status, 401);
+  assert.equal((await post('/api/_argus/token?debug_token=admin')).status, 401);
+  assert.equal((await post('/api/_argus/token', { 'x-admin-token': 'errado' })).status, 401);
+
+  const trocado = await post('/api/_argus/token', { 'x-admin-token': 'admin' });
+  assert.equal(trocado.status, 200);
+  assert.equal((await trocado.json()).argus.estado, 'ok');
+
+  const recusado = await post('/api/_argus/token', { authorization: 'Bearer admin' }, { token: 'outro-errado' });
+  assert.equal(recusado.status, 422);
+
+  const sondado = await post('/api/_argus/token/sondar', { 'x-admin-token': 'admin' });
+  assert.equal(sondado.status, 200);
+  assert.equal((await sondado.json()).argus.estado, 'invalido');
+});
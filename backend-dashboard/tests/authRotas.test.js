@@ -0,0 +1,101 @@
+// Middleware compartilhado (utils/auth.js) e fábrica de rotas CRUD (routes/crudRoutes.js)
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { requireDebugAuth } = require('../utils/auth');
+const { criarRotasCrud } = require('../routes/crudRoutes');
+
+let server;
+let base;
+const chamadas = [];
+
+const controller = {
+  listItens: (req, res) => { chamadas.push('list'); res.json([{ id: 1 }]); },
+  getItem: (req, res) => { chamadas.push(`get ${req.params.id}`); res.json({ id: Number(req.params.id) }); },
+  createItem: (req, res) => { chamadas.push('create'); res.status(201).json(req.body); },
+  updateItem: () => { throw new Error('falhou'); }
+  // deleteItem ausente -> 501
+};
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/', criarRotasCrud({
+    nome: 'itensRoutes',
+    caminho: '/api/itens',
+    controller,
+    controllerNome: 'itensController',
+    handlers: { list: 'listItens', get: 'getItem', create: 'createItem', update: 'updateItem', remove: 'deleteItem' }
+  }));
+  await new Promise(res => { server = app.listen(0, '127.0.0.1', res); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(res => server.close(res)));
+
+beforeEach(() => {
+  chamadas.length = 0;
+  delete process.env.DEBUG_TOKEN;
+});
+
+function autenticar(headers = {}, query = {}) {
+  let status = null;
+  let passou = false;
+  const res = { status(c) { status = c; return this; }, json() { return this; } };
+  requireDebugAuth({ headers, query }, res, () => { passou = true; });
+  return passou ? 'ok' : status;
+}
+
+test('requireDebugAuth: sem DEBUG_TOKEN libera; com ele aceita header, query e Authorization', () => {
+  assert.equal(autenticar(), 'ok');
+  process.env.DEBUG_TOKEN = 'segredo';
+  assert.equal(autenticar(), 401);
+  assert.equal(autenticar({ 'x-debug-token': 'errado' }), 401);
+  assert.equal(autenticar({ 'x-debug-token': 'segredo' }), 'ok');
+  assert.equal(autenticar({}, { debug_token: 'segredo' }), 'ok');
+  assert.equal(autenticar({ authorization: 'Bearer segredo' }), 'ok');
+  assert.equal(autenticar({ authorization: 'segredo' }), 'ok');
+});
+
+test('GET da fábrica é público e delega ao controller', async () => {
+  process.env.DEBUG_TOKEN = 'segredo';
+  assert.deepEqual(await (await fetch(`${base}/api/itens`)).json(), [{ id: 1 }]);
+  assert.deepEqual(await (await fetch(`${base}/api/itens/7`)).json(), { id: 7 });
+  assert.deepEqual(chamadas, ['list', 'get 7']);
+});
+
+test('escrita exige o token; erro do handler vira 500 e handler ausente 501', async () => {
+  process.env.DEBUG_TOKEN = 'segredo';
+  const post = (headers) => fetch(`${base}/api/itens`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify({ nome: 'x' })
+  });
+  assert.equal((await post({})).status, 401);
+  assert.deepEqual(chamadas, []);
+  const ok = await post({ 'x-debug-token': 'segredo' });
+  assert.equal(ok.status, 201);
+  assert.deepEqual(await ok.json(), { nome: 'x' });
+
+  const put = await fetch(`${base}/api/itens/1`, { method: 'PUT', headers: { 'x-debug-token': 'segredo' } });
+  assert.equal(put.status, 500);
+  assert.equal((await put.json()).error, 'falhou');
+
+  const del = await fetch(`${base}/api/itens/1`, { method: 'DELETE', headers: { 'x-debug-token': 'segredo' } });
+  assert.equal(del.status, 501);
+  assert.equal((await del.json()).error, 'itensController indisponível');
+});
+
+test('metaRoutes e metaVendaRoutes montam as mesmas rotas sobre a fábrica', () => {
+  const rotas = (router) => router.stack.map(l => `${Object.keys(l.route.methods)[0].toUpperCase()} ${l.route.path}`);
+  const { instalarFakeDb } = require('./helpers/fakeDb');
+  instalarFakeDb();
+  assert.deepEqual(rotas(require('../routes/metaRoutes')), [
+    'GET /api/metas', 'GET /api/metas/:id', 'POST /api/metas', 'PUT /api/metas/:id', 'DELETE /api/metas/:id'
+  ]);
+  assert.deepEqual(rotas(require('../routes/metaVendaRoutes')), [
+    'GET /api/metas-vendas', 'GET /api/metas-vendas/:id', 'POST /api/metas-vendas',
+    'PUT /api/metas-vendas/:id', 'DELETE /api/metas-vendas/:id'
+  ]);
+});
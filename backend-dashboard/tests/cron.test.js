@@ -0,0 +1,93 @@
+// Expressões cron de 5 campos com fuso (utils/cron.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCron, proximaExecucao, execucaoAnterior } = require('../utils/cron');
+
+const SP = 'America/Sao_Paulo';
+const NY = 'America/New_York';
+const proxima = (expr, de, tz) => proximaExecucao(expr, new Date(de), tz).toISOString();
+
+test('parseCron: listas, faixas e passos', () => {
+  const c = parseCron('*/15 8-18/5 1,15 3-5 1-5');
+  assert.deepEqual(c.minutos, [0, 15, 30, 45]);
+  assert.deepEqual(c.horas, [8, 13, 18]);
+  assert.deepEqual([...c.dias], [1, 15]);
+  assert.deepEqual([...c.meses], [3, 4, 5]);
+  assert.deepEqual([...c.semana], [1, 2, 3, 4, 5]);
+  assert.equal(c.diaRestrito, true);
+  assert.equal(c.semanaRestrita, true);
+
+  // "n/passo" vai de n até o fim do campo
+  assert.deepEqual(parseCron('5/20 * * * *').minutos, [5, 25, 45]);
+  // 7 também é domingo
+  assert.ok(parseCron('0 0 * * 7').semana.has(0));
+  assert.equal(parseCron('  0   9 * *  1-5 ').expr, '0 9 * * 1-5');
+});
+
+test('parseCron: expressão inválida lança com o campo no erro', () => {
+  const invalidas = {
+    '* * * *': /5 campos/,
+    '60 * * * *': /minuto/,
+    '* 24 * * *': /hora/,
+    '* * 0 * *': /dia/,
+    '* * * 13 *': /mês/,
+    '* * * * 8': /dia da semana/,
+    '* * * * 5-1': /dia da semana/,
+    '*/0 * * * *': /minuto/,
+    'a * * * *': /minuto/
+  };
+  for (const [expr, erro] of Object.entries(invalidas)) {
+    assert.throws(() => parseCron(expr), erro, expr);
+  }
+});
+
+test('proximaExecucao: faixa de dias da semana pula o fim de semana', () => {
+  // sexta 16/10/2026 18:00 em São Paulo -> segunda 09:00 (UTC-3)
+  assert.equal(proxima('0 9 * * 1-5', '2026-10-16T21:00:00Z', SP), '2026-10-19T12:00:00.000Z');
+  // estritamente depois: na própria ocorrência vai para a seguinte
+  assert.equal(proxima('0 9 * * 1-5', '2026-10-19T12:00:00Z', SP), '2026-10-20T12:00:00.000Z');
+});
+
+test('proximaExecucao: faixa de meses e 29/02', () => {
+  assert.equal(proxima('0 0 1 3-5 *', '2026-06-10T00:00:00Z', 'UTC'), '2027-03-01T00:00:00.000Z');
+  assert.equal(proxima('0 0 1 3-5 *', '2027-03-01T00:00:00Z', 'UTC'), '2027-04-01T00:00:00.000Z');
+  assert.equal(proxima('0 0 29 2 *', '2026-03-01T00:00:00Z', 'UTC'), '2028-02-29T00:00:00.000Z');
+});
+
+test('proximaExecucao: dia do mês e dia da semana restritos casam por "ou"', () => {
+  // sábado 07/11 -> sexta 13/11 vem antes do dia 1º
+  assert.equal(proxima('0 0 1 * 5', '2026-11-07T00:00:00Z', 'UTC'), '2026-11-13T00:00:00.000Z');
+  // sábado 28/11 -> terça 01/12 vem antes da sexta 04/12
+  assert.equal(proxima('0 0 1 * 5', '2026-11-28T00:00:00Z', 'UTC'), '2026-12-01T00:00:00.000Z');
+});
+
+test('proximaExecucao: passo em minutos e horas', () => {
+  assert.equal(proxima('*/20 * * * *', '2026-10-19T10:41:00Z', 'UTC'), '2026-10-19T11:00:00.000Z');
+  assert.equal(proxima('0 8-18/5 * * *', '2026-10-19T13:00:00Z', 'UTC'), '2026-10-19T18:00:00.000Z');
+  assert.equal(proxima('0 8-18/5 * * *', '2026-10-19T18:00:00Z', 'UTC'), '2026-10-20T08:00:00.000Z');
+});
+
+test('proximaExecucao: virada de dia no fuso, não em UTC', () => {
+  // 23:59 de 18/10 em São Paulo já é 19/10 em UTC: meia-noite local é 03:00Z
+  assert.equal(proxima('0 0 * * *', '2026-10-19T02:59:00Z', SP), '2026-10-19T03:00:00.000Z');
+  // domingo 22:00 em São Paulo é segunda 01:00Z: o dia da semana é o local
+  assert.equal(proxima('0 22 * * 0', '2026-10-18T00:00:00Z', SP), '2026-10-19T01:00:00.000Z');
+});
+
+test('proximaExecucao: horário de verão (início pula para depois do salto, fim roda uma vez)', () => {
+  // 08/03/2026 02:30 não existe em Nova York: roda às 03:30 EDT
+  assert.equal(proxima('30 2 * * *', '2026-03-08T05:00:00Z', NY), '2026-03-08T07:30:00.000Z');
+  // 01/11/2026 01:30 acontece duas vezes: depois da primeira, a próxima é no dia seguinte
+  assert.equal(proxima('30 1 * * *', '2026-11-01T05:00:00Z', NY), '2026-11-01T05:30:00.000Z');
+  assert.equal(proxima('30 1 * * *', '2026-11-01T05:30:00Z', NY), '2026-11-02T06:30:00.000Z');
+});
+
+test('execucaoAnterior: última ocorrência dentro da janela', () => {
+  const de = new Date('2026-10-19T21:02:00Z'); // 18:02 em São Paulo
+  assert.equal(execucaoAnterior('0 18 * * *', de, SP, 5 * 60000).toISOString(), '2026-10-19T21:00:00.000Z');
+  assert.equal(execucaoAnterior('0 18 * * *', de, SP, 60000), null);
+  assert.equal(execucaoAnterior('0 18 * * *', de, SP, 0), null);
+  // várias na janela: fica com a mais recente (inclusive a exatamente em `de`)
+  assert.equal(execucaoAnterior('*/1 * * * *', de, SP, 10 * 60000).toISOString(), '2026-10-19T21:02:00.000Z');
+});
@@ -0,0 +1,27 @@
+// DISCADORES_JSON inválido: statusController carrega mesmo assim e usa o Argus para todas as empresas
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarFakeDb } = require('./helpers/fakeDb');
+
+let statusController;
+
+before(() => {
+  process.env.DISCADORES_JSON = '{"empresas": {"OUTRA": "novo"'; // JSON cortado
+  process.env.STATUS_EMPRESAS = 'OUTRA';
+  instalarFakeDb();
+  statusController = require('../controllers/statusController');
+});
+
+test('configuração inválida não derruba o controller e cai no Argus', () => {
+  assert.equal(typeof statusController.getStatusOperadores, 'function');
+  const discador = statusController.__internal.getDiscador('OUTRA');
+  assert.equal(discador.nome, 'argus');
+  assert.equal(discador.tipo, 'argus');
+  assert.equal(statusController.__internal.getDiscador('QUALQUER'), discador);
+});
+
+test('o erro de configuração aparece no resumo usado pelo /health', () => {
+  const resumo = statusController.__internal.resumoCache();
+  assert.match(resumo.erroDiscadores, /JSON/);
+});
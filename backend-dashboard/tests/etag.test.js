@@ -0,0 +1,64 @@
+// ETag de conteúdo e 304 condicional (utils/helpers.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeEtag, sendJsonWithEtag } = require('../utils/helpers');
+
+function responder(ifNoneMatch, payload, opts) {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: undefined,
+    setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; }
+  };
+  const headers = ifNoneMatch === undefined ? {} : { 'if-none-match': ifNoneMatch };
+  sendJsonWithEtag({ headers }, res, payload, opts);
+  return res;
+}
+
+test('computeEtag é estável e ignora só os campos indicados', () => {
+  const a = { operadores: [1, 2], horario_atual: '10:00:00' };
+  const b = { operadores: [1, 2], horario_atual: '10:00:15' };
+  assert.match(computeEtag(a), /^"[^"]+"$/);
+  assert.notEqual(computeEtag(a), computeEtag(b));
+  assert.equal(computeEtag(a, ['horario_atual']), computeEtag(b, ['horario_atual']));
+  assert.notEqual(computeEtag(a, ['horario_atual']), computeEtag({ operadores: [1] }, ['horario_atual']));
+  assert.equal(computeEtag([1, 2], ['x']), computeEtag([1, 2]));
+});
+
+test('sem If-None-Match responde 200 com ETag e Cache-Control: no-cache', () => {
+  const res = responder(undefined, { ok: 1 });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { ok: 1 });
+  assert.equal(res.headers.etag, computeEtag({ ok: 1 }));
+  assert.equal(res.headers['cache-control'], 'no-cache');
+});
+
+test('If-None-Match igual, fraco (W/), em lista ou "*" responde 304 sem corpo', () => {
+  const etag = computeEtag({ ok: 1 });
+  for (const header of [etag, `W/${etag}`, `"outro", ${etag}`, `W/"x" ,  W/${etag}`, '*']) {
+    const res = responder(header, { ok: 1 });
+    assert.equal(res.statusCode, 304, header);
+    assert.equal(res.body, undefined);
+    assert.equal(res.headers.etag, etag);
+  }
+});
+
+test('If-None-Match diferente responde 200; campo ignorado não invalida o cache do cliente', () => {
+  assert.equal(responder('"outro"', { ok: 1 }).statusCode, 200);
+
+  const opts = { ignorar: ['horario_atual'] };
+  const etag = responder(undefined, { ok: 1, horario_atual: 'a' }, opts).headers.etag;
+  assert.equal(responder(etag, { ok: 1, horario_atual: 'b' }, opts).statusCode, 304);
+  assert.equal(responder(etag, { ok: 2, horario_atual: 'b' }, opts).statusCode, 200);
+});
+
+test('status diferente de 200 nunca vira 304', () => {
+  const etag = computeEtag({ erro: 1 });
+  const res = responder(etag, { erro: 1 }, { status: 503 });
+  assert.equal(res.statusCode, 503);
+  assert.deepEqual(res.body, { erro: 1 });
+});
@@ -0,0 +1,85 @@
+// tests/helpers/fakeDb.js — substitui config/db.js por um pool em memória
+// Uso (antes de carregar o módulo testado):
+//   const fake = instalarFakeDb((q, params) => ({ recordset: [...] }));
+//   const statusController = require('../controllers/statusController');
+// Cada consulta fica em fake.consultas ({ sql, params }) e recebe o retorno do `responder`
+// (undefined = recordset vazio). `sql` é o mssql real: tipos e sql.Table funcionam.
+
+const path = require('path');
+const Module = require('module');
+const sql = require('mssql');
+
+const VAZIO = () => ({ recordset: [], recordsets: [[]], rowsAffected: [0] });
+
+function criarRequest(fake) {
+  const params = {};
+  const req = {
+    input(nome, tipo, valor) {
+      params[nome] = arguments.length < 3 ? tipo : valor;
+      return req;
+    },
+    async query(texto) {
+      fake.consultas.push({ sql: texto, params });
+      const r = await fake.responder(texto, params);
+      return { ...VAZIO(), ...(r || {}) };
+    },
+    async bulk(tabela) {
+      fake.consultas.push({ sql: `BULK INSERT ${tabela.path || tabela.name}`, params, linhas: tabela.rows.slice() });
+      return { rowsAffected: tabela.rows.length };
+    }
+  };
+  return req;
+}
+
+function criarPool(fake) {
+  return {
+    connected: true,
+    request: () => criarRequest(fake)
+  };
+}
+
+/**
+ * Instala o fake no require.cache de config/db.js e devolve { consultas, responder, pool, limpar() }.
+ * `responder` pode ser trocado entre testes (fake.responder = ...).
+ */
+function instalarFakeDb(responder = () => undefined) {
+  const fake = { consultas: [], responder };
+  fake.pool = criarPool(fake);
+  fake.limpar = () => { fake.consultas.length = 0; };
+
+  // transações do mssql real exigiriam conexão: aqui viram um request do mesmo pool
+  class Transaction {
+    async begin() { return this; }
+    async commit() {}
+    async rollback() {}
+  }
+  class Request {
+    constructor() { return criarRequest(fake); }
+  }
+
+  const exportsFake = {
+    sql: Object.assign(Object.create(sql), { Transaction, Request }),
+    getLocalPool: async () => fake.pool,
+    getCloudPool: async () => fake.pool,
+    testConnections: async () => ({ local: true, cloud: true }),
+    closeConnections: async () => {}
+  };
+
+  const arquivo = path.resolve(__dirname, '..', '..', 'config', 'db.js');
+  const mod = new Module(arquivo);
+  mod.filename = arquivo;
+  mod.loaded = true;
+  mod.exports = exportsFake;
+  require.cache[arquivo] = mod;
+  return fake;
+}
+
+/** Colunas devolvidas para a consulta ao INFORMATION_SCHEMA (detectColumns). */
+function colunas(lista) {
+  return { recordset: lista.map(c => ({ COLUMN_NAME: c })) };
+}
+
+module.exports = {
+  instalarFakeDb,
+  colunas
+};
@@ -0,0 +1,5 @@
+// tests/helpers/logsNoStderr.js — carregado com --require em cada arquivo de teste (ver package.json)
+// O runner do Node 20 lê o protocolo dos subprocessos pelo stdout e quebra ("Unable to deserialize
+// cloned data") com alguns logs em UTF-8 (ex.: emojis dos controllers). Logs vão para o stderr.
+console.log = console.error;
+console.info = console.error;
@@ -0,0 +1,42 @@
+// Filtro ?diaSemana= de GET /api/metas
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarFakeDb } = require('./helpers/fakeDb');
+
+let fake;
+let metaController;
+
+function chamar(query) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; resolve(this); return this; }
+    };
+    metaController.listMetas({ query, headers: {} }, res);
+  });
+}
+
+before(() => {
+  fake = instalarFakeDb();
+  metaController = require('../controllers/metaController');
+});
+
+test('diaSemana fora de 0..6 ou não inteiro responde 400 sem consultar o banco', async () => {
+  for (const diaSemana of ['7', '-1', '2.5', 'abc', '300']) {
+    fake.limpar();
+    const res = await chamar({ diaSemana });
+    assert.equal(res.statusCode, 400, `diaSemana=${diaSemana}`);
+    assert.equal(fake.consultas.length, 0);
+  }
+});
+
+test('diaSemana válido vira filtro dia_semana', async () => {
+  fake.limpar();
+  const res = await chamar({ diaSemana: '6' });
+  assert.equal(res.statusCode, 200);
+  const consulta = fake.consultas.find(c => c.sql.includes('dia_semana = @dia'));
+  assert.ok(consulta);
+  assert.equal(consulta.params.dia, 6);
+});
@@ -0,0 +1,64 @@
+// Limite de chaves do cache/posições e período custom fora das tabelas (updateRanking)
+process.env.RANKING_CACHE_MAX_KEYS = '3';
+
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarFakeDb } = require('./helpers/fakeDb');
+
+let fake;
+let ranking;
+
+const VENDEDORES = [
+  { id_new: '1', nome: 'Ana', equipe: 'Azul', empresa: 'EMP' },
+  { id_new: '2', nome: 'Bia', equipe: 'Verde', empresa: 'EMP' }
+];
+
+function responder(q) {
+  if (/FROM colaboradores/.test(q)) return { recordset: VENDEDORES };
+  if (/FROM cadastrados/.test(q)) {
+    return { recordset: [{ id: '1', valor: 500, quantidade: 2 }, { id: '2', valor: 900, quantidade: 3 }] };
+  }
+  return undefined;
+}
+
+const custom = (dia) => ({ periodo: 'custom', inicio: `2026-01-${dia}`, fim: `2026-01-${dia}` });
+const tick = () => new Promise(res => setImmediate(res));
+const tocouTabelas = () => fake.consultas.filter(c =>
+  /ranking_operador|ranking_historico|ranking_ultrapassagem/.test(c.sql));
+
+before(() => {
+  fake = instalarFakeDb(responder);
+  ranking = require('../controllers/rankingController');
+});
+
+beforeEach(() => {
+  ranking.__internal.cacheMapRef().clear();
+  fake.limpar();
+});
+
+test('periodo=custom não persiste, não gera histórico e não acompanha posições', async () => {
+  const out = await ranking.updateRanking('EMP', custom('10'));
+  assert.deepEqual(out.map(r => [r.id, r.posicao, r.posicaoAnterior, r.variacao]), [['2', 1, null, null], ['1', 2, null, null]]);
+
+  await tick();
+  assert.deepEqual(tocouTabelas(), [], 'nenhuma leitura/gravação em ranking_operador/historico/ultrapassagem');
+  assert.equal(ranking.__internal.posicoesMapRef().size, 0);
+});
+
+test('o cache guarda no máximo RANKING_CACHE_MAX_KEYS chaves e descarta a menos usada', async () => {
+  const { periodoKey } = ranking.__internal;
+  for (const dia of ['10', '11', '12', '13']) await ranking.updateRanking('EMP', custom(dia));
+
+  const chaves = [...ranking.__internal.cacheMapRef().keys()];
+  assert.equal(chaves.length, 3);
+  assert.ok(!chaves.includes(periodoKey('EMP', custom('10'))), 'a chave mais antiga saiu');
+  assert.equal(chaves[2], periodoKey('EMP', custom('13')));
+});
+
+test('o mapa de posições também é limitado', async () => {
+  const dia = (d) => ({ periodo: 'dia', inicio: `2026-02-${d}`, fim: `2026-02-${d}` });
+  for (const d of ['01', '02', '03', '04', '05']) await ranking.updateRanking(`EMP_${d}`, dia(d));
+  await tick();
+  assert.equal(ranking.__internal.posicoesMapRef().size, 3);
+});
@@ -0,0 +1,75 @@
+// ?criterio=valor|quantidade|ticket_medio: reordenação (ordenarPorCriterio) e validação (resolveCriterio)
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarFakeDb } = require('./helpers/fakeDb');
+
+let ranking;
+
+// classificação como vem do cache: ordenada por valor, com posição/variação por valor
+const ROWS = [
+  { id: 'a', valorVendido: 900, quantidade: 3, ticketMedio: 300, posicao: 1, posicaoAnterior: 2, variacao: 1 },
+  { id: 'b', valorVendido: 800, quantidade: 8, ticketMedio: 100, posicao: 2, posicaoAnterior: 1, variacao: -1 },
+  { id: 'c', valorVendido: 600, quantidade: 3, ticketMedio: 200, posicao: 3, posicaoAnterior: 3, variacao: 0 },
+  { id: 'd', valorVendido: 300, quantidade: 1, ticketMedio: 300, posicao: 4, posicaoAnterior: null, variacao: null }
+];
+
+const ids = (rows) => rows.map(r => r.id);
+
+before(() => {
+  instalarFakeDb();
+  ranking = require('../controllers/rankingController');
+});
+
+test('valor devolve a classificação como está (com a variação rastreada)', () => {
+  const { ordenarPorCriterio } = ranking.__internal;
+  assert.equal(ordenarPorCriterio(ROWS, 'valor'), ROWS);
+  assert.equal(ordenarPorCriterio(ROWS), ROWS);
+});
+
+test('quantidade ordena por contratos, renumera e zera a variação', () => {
+  const out = ranking.__internal.ordenarPorCriterio(ROWS, 'quantidade');
+  assert.deepEqual(ids(out), ['b', 'a', 'c', 'd']);
+  assert.deepEqual(out.map(r => r.posicao), [1, 2, 3, 4]);
+  assert.ok(out.every(r => r.posicaoAnterior === null && r.variacao === null));
+  assert.equal(ROWS[0].posicao, 1, 'não altera as linhas do cache');
+});
+
+test('ticket_medio ordena pelo ticket; empate desempata pelo valor vendido', () => {
+  const out = ranking.__internal.ordenarPorCriterio(ROWS, 'ticket_medio');
+  assert.deepEqual(ids(out), ['a', 'd', 'c', 'b']);
+});
+
+test('empate no critério e no valor mantém a ordem recebida', () => {
+  const rows = [
+    { id: 'x', valorVendido: 100, quantidade: 2 },
+    { id: 'y', valorVendido: 100, quantidade: 2 },
+    { id: 'z', valorVendido: 50, quantidade: 2 }
+  ];
+  assert.deepEqual(ids(ranking.__internal.ordenarPorCriterio(rows, 'quantidade')), ['x', 'y', 'z']);
+});
+
+test('critério inválido é rejeitado com 400 (inclusive nomes herdados de Object)', () => {
+  const { ordenarPorCriterio, resolveCriterio } = ranking.__internal;
+  for (const criterio of ['comissao', 'constructor', '__proto__', 'toString']) {
+    assert.throws(() => ordenarPorCriterio(ROWS, criterio), e => e.status === 400 && /criterio inválido/.test(e.message), criterio);
+    assert.throws(() => resolveCriterio({ criterio }), e => e.status === 400, criterio);
+  }
+  assert.equal(resolveCriterio({}), 'valor');
+  assert.equal(resolveCriterio({ criterio: ' Ticket_Medio ' }), 'ticket_medio');
+});
+
+test('GET /api/ranking com critério inválido responde 400', async () => {
+  const res = await new Promise((resolve) => {
+    const r = {
+      statusCode: 200,
+      setHeader() {},
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; resolve(this); return this; },
+      end() { resolve(this); return this; }
+    };
+    ranking.getRanking({ query: { empresa: 'EMP', criterio: 'constructor' }, headers: {} }, r);
+  });
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /valor\|quantidade\|ticket_medio/);
+});
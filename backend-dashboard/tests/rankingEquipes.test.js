@@ -0,0 +1,147 @@
+// Ranking por equipe: agregação (agregarEquipes) e GET /api/ranking/equipes (getRankingEquipes)
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarFakeDb } = require('./helpers/fakeDb');
+
+let fake;
+let ranking;
+let falharHeadcount = false;
+
+const VENDEDORES = [
+  { id_new: '1', nome: 'Ana', equipe: 'Azul', empresa: 'EMP' },
+  { id_new: '2', nome: 'Bia', equipe: 'Azul', empresa: 'EMP' },
+  { id_new: '3', nome: 'Caio', equipe: 'Verde', empresa: 'EMP' },
+  { id_new: '4', nome: 'Duda', equipe: 'Verde', empresa: 'EMP' }
+];
+const VENDAS = [
+  { id: '1', valor: 100, quantidade: 1 },
+  { id: '2', valor: 300, quantidade: 2 },
+  { id: '3', valor: 500, quantidade: 1 }
+];
+const HEADCOUNT = [{ equipe: 'Azul', vendedores: 4 }, { equipe: 'Verde', vendedores: 2 }, { equipe: 'Roxa', vendedores: 3 }];
+
+function responder(q) {
+  if (q.includes('COUNT(*) AS vendedores')) {
+    if (falharHeadcount) throw new Error('falha simulada');
+    return { recordset: HEADCOUNT };
+  }
+  if (/FROM colaboradores/.test(q)) return { recordset: VENDEDORES };
+  if (/FROM cadastrados/.test(q)) return { recordset: VENDAS };
+  if (q.includes('FROM operadores_new')) {
+    const ids = [...q.matchAll(/'(\d+)'/g)].map(m => m[1]);
+    return { recordset: ids.map(id => ({ usuario_id: id, foto: `https://cdn.exemplo/${id}.jpg` })) };
+  }
+  return undefined;
+}
+
+function chamar(query) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; resolve(this); return this; },
+      end() { resolve(this); return this; }
+    };
+    ranking.getRankingEquipes({ query, headers: {} }, res);
+  });
+}
+
+before(() => {
+  fake = instalarFakeDb(responder);
+  ranking = require('../controllers/rankingController');
+});
+
+beforeEach(() => {
+  falharHeadcount = false;
+  ranking.__internal.cacheMapRef().clear();
+  fake.limpar();
+});
+
+/* ---------------------- agregarEquipes ---------------------- */
+
+const linha = (id, equipe, valorVendido) => ({ id, nome: `Vend ${id}`, equipe, valorVendido });
+
+test('soma, vendedores (headcount), média sobre o headcount e top vendedor por equipe', () => {
+  const { agregarEquipes } = ranking.__internal;
+  const out = agregarEquipes(
+    [linha('1', 'Azul', 100), linha('2', 'Azul', 300.555), linha('3', 'Verde', 500)],
+    new Map([['Azul', 4], ['Verde', 2]])
+  );
+  const azul = out.find(e => e.equipe === 'Azul');
+  assert.equal(azul.totalVendido, 400.56);
+  assert.equal(azul.vendedores, 4);
+  assert.equal(azul.vendedoresComVenda, 2);
+  assert.equal(azul.mediaPorVendedor, 100.14);
+  assert.deepEqual(azul.topVendedor, { id: '2', nome: 'Vend 2', foto: null, valorVendido: 300.555 });
+
+  const verde = out.find(e => e.equipe === 'Verde');
+  assert.deepEqual([verde.vendedores, verde.vendedoresComVenda, verde.mediaPorVendedor], [2, 1, 250]);
+});
+
+test('ordena por total vendido (empate pelo nome) e numera as posições', () => {
+  const { agregarEquipes } = ranking.__internal;
+  const out = agregarEquipes([linha('1', 'Beta', 200), linha('2', 'Alfa', 200), linha('3', 'Gama', 900)]);
+  assert.deepEqual(out.map(e => [e.posicao, e.equipe]), [[1, 'Gama'], [2, 'Alfa'], [3, 'Beta']]);
+});
+
+test('equipe sem venda entra com zero; sem equipe vira N/A; headcount menor que quem vendeu não reduz', () => {
+  const { agregarEquipes } = ranking.__internal;
+  const out = agregarEquipes(
+    [linha('1', '  ', 50), linha('2', 'Azul', 10), linha('3', 'Azul', 20)],
+    new Map([['Azul', 1], ['Roxa', 3]])
+  );
+  const porEquipe = Object.fromEntries(out.map(e => [e.equipe, e]));
+  assert.deepEqual(
+    [porEquipe.Roxa.totalVendido, porEquipe.Roxa.vendedores, porEquipe.Roxa.mediaPorVendedor, porEquipe.Roxa.topVendedor],
+    [0, 3, 0, null]
+  );
+  assert.equal(porEquipe['N/A'].totalVendido, 50);
+  assert.equal(porEquipe.Azul.vendedores, 2, 'no mínimo quem vendeu');
+  assert.equal(porEquipe.Azul.mediaPorVendedor, 15);
+  assert.equal(out[out.length - 1].equipe, 'Roxa');
+});
+
+test('empate no valor mantém como top o primeiro da classificação', () => {
+  const { agregarEquipes } = ranking.__internal;
+  const [azul] = agregarEquipes([linha('7', 'Azul', 100), linha('8', 'Azul', 100)]);
+  assert.equal(azul.topVendedor.id, '7');
+});
+
+test('sem linhas e sem headcount não há equipes', () => {
+  assert.deepEqual(ranking.__internal.agregarEquipes(), []);
+});
+
+/* ---------------------- GET /api/ranking/equipes ---------------------- */
+
+test('GET agrega o ranking do período com o headcount de colaboradores e foto só do top', async () => {
+  const res = await chamar({ empresa: 'EMP' });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.map(e => [e.posicao, e.equipe, e.totalVendido, e.vendedores, e.vendedoresComVenda, e.mediaPorVendedor]), [
+    [1, 'Verde', 500, 2, 1, 250],
+    [2, 'Azul', 400, 4, 2, 100],
+    [3, 'Roxa', 0, 3, 0, 0]
+  ]);
+  assert.deepEqual(res.body[0].topVendedor, { id: '3', nome: 'Caio', foto: 'https://cdn.exemplo/3.jpg', valorVendido: 500 });
+  assert.equal(res.body[1].topVendedor.id, '2');
+  assert.equal(res.body[2].topVendedor, null);
+
+  const fotos = fake.consultas.filter(c => c.sql.includes('FROM operadores_new')).flatMap(c => [...c.sql.matchAll(/'(\d+)'/g)].map(m => m[1]));
+  assert.deepEqual(fotos.sort(), ['2', '3'], 'fotos só dos tops');
+});
+
+test('GET sem headcount (falha na contagem) calcula a média sobre quem vendeu', async () => {
+  falharHeadcount = true;
+  const res = await chamar({ empresa: 'EMP_SEM_HEADCOUNT' });
+  assert.equal(res.statusCode, 200);
+  const azul = res.body.find(e => e.equipe === 'Azul');
+  assert.deepEqual([azul.vendedores, azul.mediaPorVendedor], [2, 200]);
+  assert.ok(!res.body.some(e => e.equipe === 'Roxa'));
+});
+
+test('GET com período inválido responde 400', async () => {
+  const res = await chamar({ empresa: 'EMP', periodo: 'ano' });
+  assert.equal(res.statusCode, 400);
+});
@@ -0,0 +1,84 @@
+// ?produto=&convenio= só aceitam valores já cadastrados (validarFiltro) e usam a grafia do banco na chave
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarFakeDb } = require('./helpers/fakeDb');
+
+let fake;
+let ranking;
+
+const DISTINTOS = { produto: ['CARTAO', 'Consignado'], convenio: ['INSS', 'SIAPE'] };
+
+function responder(q) {
+  if (q.includes('INFORMATION_SCHEMA.COLUMNS')) return { recordset: [{ col: 'produto' }, { col: 'convenio' }] };
+  const distinto = q.match(/SELECT DISTINCT LTRIM\(RTRIM\((\w+)\)\)/);
+  if (distinto) return { recordset: DISTINTOS[distinto[1]].map(valor => ({ valor })) };
+  if (/FROM colaboradores/.test(q)) return { recordset: [{ id_new: '1', nome: 'Ana', equipe: 'Azul', empresa: 'EMP' }] };
+  if (/FROM cadastrados/.test(q)) return { recordset: [{ id: '1', valor: 100, quantidade: 1 }] };
+  return undefined;
+}
+
+function chamar(query) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; resolve(this); return this; },
+      end() { resolve(this); return this; }
+    };
+    ranking.getRanking({ query: { empresa: 'EMP', limit: '5', ...query }, headers: {} }, res);
+  });
+}
+
+const distinctQueries = () => fake.consultas.filter(c => c.sql.includes('SELECT DISTINCT'));
+const vendasQueries = () => fake.consultas.filter(c => /SUM\(valor_referencia\)/.test(c.sql));
+
+before(() => {
+  fake = instalarFakeDb(responder);
+  ranking = require('../controllers/rankingController');
+});
+
+beforeEach(() => {
+  ranking.__internal.cacheMapRef().clear();
+  ranking.__internal.filtroValoresCacheRef().clear();
+  fake.limpar();
+});
+
+test('produto ou convênio fora dos valores cadastrados responde 400 sem criar chave no cache', async () => {
+  for (const query of [{ produto: 'qualquer coisa' }, { convenio: 'XYZ' }, { produto: 'CARTAO', convenio: 'nada' }]) {
+    const res = await chamar(query);
+    assert.equal(res.statusCode, 400, JSON.stringify(query));
+    assert.match(res.body.error, /desconhecido/);
+  }
+  assert.equal(ranking.__internal.cacheMapRef().size, 0);
+  assert.equal(vendasQueries().length, 0);
+});
+
+test('valor com outra caixa/espaços usa a grafia do banco: mesma chave de cache', async () => {
+  const a = await chamar({ produto: ' cartao ' });
+  const b = await chamar({ produto: 'CARTAO' });
+  assert.equal(a.statusCode, 200);
+  assert.equal(a.body.produto, 'CARTAO');
+  assert.equal(b.body.produto, 'CARTAO');
+
+  const chaves = [...ranking.__internal.cacheMapRef().keys()];
+  assert.equal(chaves.length, 1);
+  assert.match(chaves[0], /\|produto=CARTAO\|convenio=$/);
+  assert.equal(vendasQueries().length, 1, 'a segunda chamada veio do cache');
+  assert.equal(vendasQueries()[0].params.produto, 'CARTAO');
+});
+
+test('a lista de valores distintos fica em cache por coluna', async () => {
+  await chamar({ produto: 'Consignado', convenio: 'inss' });
+  await chamar({ produto: 'CARTAO', convenio: 'SIAPE' });
+  await chamar({ convenio: 'desconhecido' });
+  assert.equal(distinctQueries().length, 2, 'uma consulta para produto e uma para convênio');
+});
+
+test('validarFiltro sem filtro não consulta o banco', async () => {
+  const filtro = { produto: null, convenio: null };
+  assert.deepEqual(await ranking.validarFiltro(filtro), filtro);
+  assert.equal(fake.consultas.length, 0);
+});
@@ -0,0 +1,110 @@
+// Fotos só das linhas exibidas e gravação do snapshot em dbo.ranking_operador com bulk insert
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarFakeDb } = require('./helpers/fakeDb');
+
+let fake;
+let ranking;
+
+const EMPRESA = 'EMP_FOTOS';
+const linhas = (n) => Array.from({ length: n }, (_, i) => ({
+  id: String(100 + i),
+  nome: `Vend ${i}`,
+  equipe: i % 2 ? 'Azul' : 'Verde',
+  foto: null,
+  valorVendido: 1000 - i,
+  quantidade: 1,
+  posicao: i + 1
+}));
+
+function responder(q) {
+  if (q.includes('FROM operadores_new')) {
+    const ids = [...q.matchAll(/'(\d+)'/g)].map(m => m[1]);
+    return { recordset: ids.map(id => ({ usuario_id: id, foto: `https://cdn.exemplo/${id}.jpg` })) };
+  }
+  return undefined;
+}
+
+// ids pedidos ao fotoService/banco de fotos
+const idsDeFotos = () => fake.consultas
+  .filter(c => c.sql.includes('FROM operadores_new'))
+  .flatMap(c => [...c.sql.matchAll(/'(\d+)'/g)].map(m => m[1]));
+
+function chamar(handler, query) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; resolve(this); return this; },
+      end() { resolve(this); return this; }
+    };
+    handler({ query, headers: {} }, res);
+  });
+}
+
+before(() => {
+  fake = instalarFakeDb(responder);
+  ranking = require('../controllers/rankingController');
+});
+
+beforeEach(() => {
+  require('../services/fotoService').clearCache();
+  const { periodoKey } = ranking.__internal;
+  ranking.__internal.cacheMapRef().set(periodoKey(EMPRESA, ranking.resolvePeriodo()), {
+    data: linhas(10), ts: Date.now(), isFetching: false, fetchPromise: null
+  });
+  fake.limpar();
+});
+
+test('GET /api/ranking busca foto só da página pedida', async () => {
+  const res = await chamar(ranking.getRanking, { empresa: EMPRESA, limit: '2', offset: '2' });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.ranking.map(r => r.id), ['102', '103']);
+  assert.deepEqual([...new Set(idsDeFotos())].sort(), ['102', '103']);
+  assert.ok(res.body.ranking.every(r => r.foto && r.foto.includes(r.id)));
+});
+
+test('GET /api/ranking/equipes busca foto só do melhor vendedor de cada equipe', async () => {
+  const res = await chamar(ranking.getRankingEquipes, { empresa: EMPRESA });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.map(e => e.topVendedor.id), ['100', '101']);
+  assert.deepEqual([...new Set(idsDeFotos())].sort(), ['100', '101']);
+  assert.ok(res.body.every(e => e.topVendedor.foto.includes(e.topVendedor.id)));
+});
+
+test('saveRankingToTable apaga o snapshot do período e grava tudo num único bulk insert', async () => {
+  const periodo = { periodo: 'semana', inicio: '2026-10-19', fim: '2026-10-21' };
+  const rows = linhas(40);
+  rows[3].posicaoAnterior = 5;
+  assert.equal(await ranking.__internal.saveRankingToTable(EMPRESA, rows, periodo), true);
+
+  const deletes = fake.consultas.filter(c => /DELETE FROM dbo\.ranking_operador/.test(c.sql));
+  const inserts = fake.consultas.filter(c => /INSERT INTO dbo\.ranking_operador/.test(c.sql));
+  const bulks = fake.consultas.filter(c => c.sql.startsWith('BULK INSERT'));
+  assert.equal(deletes.length, 1);
+  assert.equal(deletes[0].params.empresa, EMPRESA);
+  assert.deepEqual([deletes[0].params.inicio, deletes[0].params.fim], ['2026-10-19', '2026-10-21']);
+  assert.doesNotMatch(deletes[0].sql, /GETDATE/, 'o snapshot é identificado pelo período, não pelo relógio do banco');
+  assert.equal(inserts.length, 0);
+  assert.equal(bulks.length, 1);
+  assert.match(bulks[0].sql, /ranking_operador/);
+  assert.equal(bulks[0].linhas.length, 40);
+
+  const [vendedorId, , , , valor, , posicao, posicaoAnterior, empresa, , periodoCol, inicio, fim] = bulks[0].linhas[3];
+  assert.equal(vendedorId, '103');
+  assert.equal(valor, 997);
+  assert.equal(posicao, 4);
+  assert.equal(posicaoAnterior, 5);
+  assert.equal(empresa, EMPRESA);
+  assert.equal(periodoCol, 'semana');
+  assert.equal(inicio.toISOString().slice(0, 10), '2026-10-19');
+  assert.equal(fim.toISOString().slice(0, 10), '2026-10-21');
+});
+
+test('snapshot vazio só apaga, sem bulk', async () => {
+  assert.equal(await ranking.__internal.saveRankingToTable(EMPRESA, [], ranking.resolvePeriodo()), true);
+  assert.equal(fake.consultas.filter(c => c.sql.startsWith('BULK INSERT')).length, 0);
+});
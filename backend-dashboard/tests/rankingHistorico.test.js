@@ -0,0 +1,198 @@
+// Snapshots do ranking diário (saveRankingSnapshot), replay do dia (GET /api/ranking/historico)
+// e tendência do vendedor (GET /api/ranking/historico/vendedor/:id)
+process.env.TZ = 'UTC';
+process.env.RANKING_HIST_INTERVAL_MS = '80';
+
+const { test, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarFakeDb } = require('./helpers/fakeDb');
+
+let fake;
+let ranking;
+let recordset = [];
+
+const dia = (d) => ({ periodo: 'dia', inicio: d, fim: d });
+const linhas = (...ids) => ids.map((id, i) => ({ id, nome: `Vend ${id}`, equipe: 'Azul', valorVendido: 1000 - i * 100, posicao: i + 1 }));
+const bulks = () => fake.consultas.filter(c => c.sql.startsWith('BULK INSERT'));
+const esperar = (ms) => new Promise(res => setTimeout(res, ms));
+
+function chamar(handler, query, params = {}) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; resolve(this); return this; },
+      end() { resolve(this); return this; }
+    };
+    handler({ query, params, headers: {} }, res);
+  });
+}
+
+before(() => {
+  fake = instalarFakeDb((q) => (/FROM dbo\.ranking_historico/.test(q) ? { recordset } : undefined));
+  ranking = require('../controllers/rankingController');
+});
+
+beforeEach(() => {
+  recordset = [];
+  fake.limpar();
+});
+
+afterEach(() => mock.timers.reset());
+
+/* ---------------------- saveRankingSnapshot ---------------------- */
+
+test('grava o snapshot num único bulk insert com o mesmo snapshot_at', async () => {
+  const { saveRankingSnapshot } = ranking.__internal;
+  assert.equal(await saveRankingSnapshot('EMP_1', dia('2026-10-21'), linhas('a', 'b', 'c')), true);
+
+  const [bulk] = bulks();
+  assert.equal(bulks().length, 1);
+  assert.match(bulk.sql, /ranking_historico/);
+  assert.equal(fake.consultas.filter(c => /INSERT INTO dbo\.ranking_historico/.test(c.sql)).length, 0);
+  assert.equal(bulk.linhas.length, 3);
+  const [empresa, diaCol, snapshotAt, vendedorId, nome, , valor, posicao] = bulk.linhas[1];
+  assert.deepEqual([empresa, diaCol.toISOString().slice(0, 10), vendedorId, nome, valor, posicao], ['EMP_1', '2026-10-21', 'b', 'Vend b', 900, 2]);
+  assert.ok(bulk.linhas.every(l => l[2] === snapshotAt));
+});
+
+test('sem mudança não grava; semana/custom e ranking vazio nunca gravam', async () => {
+  const { saveRankingSnapshot } = ranking.__internal;
+  await saveRankingSnapshot('EMP_2', dia('2026-10-21'), linhas('a', 'b'));
+  fake.limpar();
+  assert.equal(await saveRankingSnapshot('EMP_2', dia('2026-10-21'), linhas('a', 'b')), false);
+  assert.equal(await saveRankingSnapshot('EMP_2', { periodo: 'semana', inicio: '2026-10-19', fim: '2026-10-21' }, linhas('b', 'a')), false);
+  assert.equal(await saveRankingSnapshot('EMP_2', dia('2026-10-21'), []), false);
+  await esperar(120);
+  assert.equal(bulks().length, 0);
+});
+
+test('mudança dentro do intervalo mínimo fica pendente e a última é gravada quando ele termina', async () => {
+  const { saveRankingSnapshot, historicoPendenteRef } = ranking.__internal;
+  await saveRankingSnapshot('EMP_3', dia('2026-10-21'), linhas('a', 'b'));
+  fake.limpar();
+
+  assert.equal(await saveRankingSnapshot('EMP_3', dia('2026-10-21'), linhas('b', 'a')), false);
+  assert.equal(await saveRankingSnapshot('EMP_3', dia('2026-10-21'), linhas('b', 'c', 'a')), false);
+  assert.equal(bulks().length, 0);
+  assert.equal(historicoPendenteRef().size, 1);
+
+  // o job não roda mais (fim do expediente): o snapshot sai sozinho
+  await esperar(120);
+  assert.equal(bulks().length, 1);
+  assert.deepEqual(bulks()[0].linhas.map(l => l[3]), ['b', 'c', 'a']);
+  assert.equal(historicoPendenteRef().size, 0);
+});
+
+test('voltar ao ranking já gravado descarta o pendente', async () => {
+  const { saveRankingSnapshot, historicoPendenteRef } = ranking.__internal;
+  await saveRankingSnapshot('EMP_4', dia('2026-10-21'), linhas('a', 'b'));
+  await saveRankingSnapshot('EMP_4', dia('2026-10-21'), linhas('b', 'a'));
+  await saveRankingSnapshot('EMP_4', dia('2026-10-21'), linhas('a', 'b'));
+  fake.limpar();
+  assert.equal(historicoPendenteRef().size, 0);
+  await esperar(120);
+  assert.equal(bulks().length, 0);
+});
+
+test('virada do dia grava na hora o fechamento pendente do dia anterior', async () => {
+  const { saveRankingSnapshot } = ranking.__internal;
+  await saveRankingSnapshot('EMP_5', dia('2026-10-21'), linhas('a', 'b'));
+  await saveRankingSnapshot('EMP_5', dia('2026-10-21'), linhas('b', 'a')); // pendente
+  fake.limpar();
+
+  assert.equal(await saveRankingSnapshot('EMP_5', dia('2026-10-22'), linhas('a')), true);
+  await esperar(0);
+  const dias = bulks().map(b => b.linhas[0][1].toISOString().slice(0, 10)).sort();
+  assert.deepEqual(dias, ['2026-10-21', '2026-10-22']);
+  const fechamento = bulks().find(b => b.linhas[0][1].toISOString().startsWith('2026-10-21'));
+  assert.deepEqual(fechamento.linhas.map(l => l[3]), ['b', 'a']);
+});
+
+/* ---------------------- GET /api/ranking/historico ---------------------- */
+
+test('historico agrupa as linhas por snapshot em ordem e devolve o fechamento', async () => {
+  recordset = [
+    { snapshotAt: '2026-10-21T13:00:00Z', id: 'a', nome: 'A', equipe: 'Azul', valorVendido: '100.00', posicao: 1 },
+    { snapshotAt: '2026-10-21T13:00:00Z', id: 'b', nome: 'B', equipe: 'Azul', valorVendido: '50.00', posicao: 2 },
+    { snapshotAt: '2026-10-21T14:00:00Z', id: 'b', nome: 'B', equipe: 'Azul', valorVendido: '150.00', posicao: 1 },
+    { snapshotAt: '2026-10-21T14:00:00Z', id: 'a', nome: 'A', equipe: 'Azul', valorVendido: '100.00', posicao: 2 }
+  ];
+  const res = await chamar(ranking.getRankingHistorico, { empresa: 'EMP', data: '2026-10-21', limit: '2' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data, '2026-10-21');
+  assert.deepEqual(res.body.snapshots.map(s => [s.snapshotAt, s.ranking.map(r => r.id)]), [
+    ['2026-10-21T13:00:00Z', ['a', 'b']],
+    ['2026-10-21T14:00:00Z', ['b', 'a']]
+  ]);
+  assert.equal(res.body.fechamento.snapshotAt, '2026-10-21T14:00:00Z');
+  assert.equal(res.body.snapshots[1].ranking[0].valorVendido, 150);
+
+  const q = fake.consultas.find(c => /CONVERT\(VARCHAR\(19\), snapshot_at/.test(c.sql));
+  assert.deepEqual([q.params.empresa, q.params.dia, q.params.limit], ['EMP', '2026-10-21', 2]);
+  assert.doesNotMatch(q.sql, /MAX\(snapshot_at\)/);
+});
+
+test('historico: fechamento=1 filtra o último snapshot; sem data usa o dia no fuso configurado', async () => {
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-22T01:30:00Z') }); // 21/10 22:30 em São Paulo
+  const res = await chamar(ranking.getRankingHistorico, { empresa: 'EMP', fechamento: '1' });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { empresa: 'EMP', data: '2026-10-21', fechamento: null, snapshots: [] });
+  const q = fake.consultas.find(c => /CONVERT\(VARCHAR\(19\), snapshot_at/.test(c.sql));
+  assert.equal(q.params.dia, '2026-10-21');
+  assert.match(q.sql, /MAX\(snapshot_at\)/);
+});
+
+test('historico valida data e limit', async () => {
+  for (const query of [{ data: '21/10/2026' }, { data: '2026-02-30' }, { limit: '0' }, { limit: 'x' }]) {
+    const res = await chamar(ranking.getRankingHistorico, query);
+    assert.equal(res.statusCode, 400, JSON.stringify(query));
+  }
+});
+
+/* ---------------------- GET /api/ranking/historico/vendedor/:id ---------------------- */
+
+test('tendência do vendedor: fechamento de cada dia, com null nos dias sem venda', async () => {
+  recordset = [
+    { data: '2026-10-19', nome: 'Ana', equipe: 'Azul', posicao: 3, valorVendido: '300.00', totalVendedores: 10 },
+    { data: '2026-10-20', nome: null, equipe: null, posicao: null, valorVendido: null, totalVendedores: 8 },
+    { data: '2026-10-21', nome: 'Ana', equipe: 'Azul', posicao: 1, valorVendido: '900.50', totalVendedores: 12 }
+  ];
+  const res = await chamar(ranking.getHistoricoVendedor, { empresa: 'EMP', inicio: '2026-10-19', fim: '2026-10-21' }, { id: ' 42 ' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.vendedorId, '42');
+  assert.equal(res.body.nome, 'Ana');
+  assert.deepEqual(res.body.dias, [
+    { data: '2026-10-19', posicao: 3, valorVendido: 300, totalVendedores: 10 },
+    { data: '2026-10-20', posicao: null, valorVendido: null, totalVendedores: 8 },
+    { data: '2026-10-21', posicao: 1, valorVendido: 900.5, totalVendedores: 12 }
+  ]);
+  const q = fake.consultas.find(c => /WITH fechamento AS/.test(c.sql));
+  assert.deepEqual([q.params.vendedor_id, q.params.inicio, q.params.fim], ['42', '2026-10-19', '2026-10-21']);
+});
+
+test('tendência do vendedor: padrão são os últimos 7 dias até hoje no fuso configurado', async () => {
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-11-01T02:00:00Z') }); // 31/10 23:00 em São Paulo
+  const res = await chamar(ranking.getHistoricoVendedor, { empresa: 'EMP' }, { id: '42' });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual([res.body.inicio, res.body.fim], ['2026-10-25', '2026-10-31']);
+  assert.equal(res.body.nome, null);
+  assert.deepEqual(res.body.dias, []);
+});
+
+test('tendência do vendedor valida id, datas, ordem e tamanho do intervalo', async () => {
+  const casos = [
+    [{}, { id: ' ' }],
+    [{ inicio: '2026-13-01' }, { id: '42' }],
+    [{ inicio: '2026-10-21', fim: '2026-10-20' }, { id: '42' }],
+    [{ inicio: '2025-01-01', fim: '2026-10-20' }, { id: '42' }]
+  ];
+  for (const [query, params] of casos) {
+    const res = await chamar(ranking.getHistoricoVendedor, query, params);
+    assert.equal(res.statusCode, 400, JSON.stringify({ query, params }));
+  }
+  assert.equal(fake.consultas.filter(c => /WITH fechamento AS/.test(c.sql)).length, 0);
+});
@@ -0,0 +1,72 @@
+// Períodos do ranking (resolvePeriodo) e chave de cache/posições por período (periodoKey)
+// processo em UTC de propósito: os períodos seguem RANKING_TZ/EXPEDIENTE_TZ (padrão America/Sao_Paulo)
+process.env.TZ = 'UTC';
+delete process.env.RANKING_TZ;
+delete process.env.EXPEDIENTE_TZ;
+
+const { test, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarFakeDb } = require('./helpers/fakeDb');
+
+let ranking;
+
+before(() => {
+  instalarFakeDb();
+  ranking = require('../controllers/rankingController');
+});
+
+afterEach(() => mock.timers.reset());
+
+const em = (iso) => mock.timers.enable({ apis: ['Date'], now: new Date(iso) });
+
+test('dia, semana (segunda a hoje) e mês no fuso configurado', () => {
+  em('2026-10-21T10:00:00-03:00'); // quarta-feira
+  assert.deepEqual(ranking.resolvePeriodo(), { periodo: 'dia', inicio: '2026-10-21', fim: '2026-10-21' });
+  assert.deepEqual(ranking.resolvePeriodo({ periodo: 'semana' }), { periodo: 'semana', inicio: '2026-10-19', fim: '2026-10-21' });
+  assert.deepEqual(ranking.resolvePeriodo({ periodo: ' MES ' }), { periodo: 'mes', inicio: '2026-10-01', fim: '2026-10-21' });
+});
+
+test('domingo ainda pertence à semana iniciada na segunda anterior', () => {
+  em('2026-11-01T12:00:00-03:00'); // domingo, primeiro dia do mês
+  assert.equal(ranking.resolvePeriodo({ periodo: 'semana' }).inicio, '2026-10-26');
+  assert.deepEqual(ranking.resolvePeriodo({ periodo: 'mes' }), { periodo: 'mes', inicio: '2026-11-01', fim: '2026-11-01' });
+});
+
+test('fim do dia local não vira o dia seguinte (UTC já virou)', () => {
+  em('2026-10-21T23:30:00-03:00'); // 02:30Z do dia 22
+  assert.equal(ranking.resolvePeriodo().inicio, '2026-10-21');
+});
+
+test('mês e semana usam o fuso configurado, não o do processo', () => {
+  em('2026-10-31T22:00:00-03:00'); // sábado 31 às 22h; em UTC já é domingo, 1º de novembro
+  assert.deepEqual(ranking.resolvePeriodo({ periodo: 'mes' }), { periodo: 'mes', inicio: '2026-10-01', fim: '2026-10-31' });
+  assert.equal(ranking.resolvePeriodo({ periodo: 'semana' }).inicio, '2026-10-26');
+});
+
+test('custom valida formato, data inexistente, ordem e tamanho do intervalo', () => {
+  assert.deepEqual(
+    ranking.resolvePeriodo({ periodo: 'custom', inicio: '2026-01-01', fim: '2026-01-31' }),
+    { periodo: 'custom', inicio: '2026-01-01', fim: '2026-01-31' }
+  );
+  const invalidos = [
+    { periodo: 'ano' },
+    { periodo: 'custom', inicio: '2026-01-01' },
+    { periodo: 'custom', inicio: '01/01/2026', fim: '2026-01-02' },
+    { periodo: 'custom', inicio: '2026-02-30', fim: '2026-03-01' },
+    { periodo: 'custom', inicio: '2026-02-02', fim: '2026-02-01' },
+    { periodo: 'custom', inicio: '2024-01-01', fim: '2026-01-01' }
+  ];
+  for (const q of invalidos) {
+    assert.throws(() => ranking.resolvePeriodo(q), e => e.status === 400, JSON.stringify(q));
+  }
+});
+
+test('periodoKey mantém a chave antiga sem filtro e separa produto/convênio', () => {
+  const p = { periodo: 'dia', inicio: '2026-10-21', fim: '2026-10-21' };
+  const { periodoKey } = ranking.__internal;
+  assert.equal(periodoKey('EMP', p), 'EMP|dia|2026-10-21|2026-10-21');
+  assert.equal(periodoKey('EMP', p, { produto: null, convenio: null }), 'EMP|dia|2026-10-21|2026-10-21');
+  assert.equal(periodoKey('EMP', p, { produto: 'CARTAO' }), 'EMP|dia|2026-10-21|2026-10-21|produto=CARTAO|convenio=');
+  assert.notEqual(periodoKey('EMP', p, { convenio: 'INSS' }), periodoKey('EMP', p, { produto: 'INSS' }));
+});
@@ -0,0 +1,109 @@
+// Scheduler do ranking (updateAllRankings / stopRankingUpdater) e POST /api/ranking/refresh?empresa=
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { instalarFakeDb } = require('./helpers/fakeDb');
+
+let fake;
+let ranking;
+let server;
+let base;
+let inicios = [];
+
+const EMPRESAS = ['ALFA', 'BETA', 'GAMA'];
+
+function responder(q, params) {
+  if (/SELECT DISTINCT empresa\s+FROM colaboradores/.test(q)) return { recordset: EMPRESAS.map(empresa => ({ empresa })) };
+  if (/FROM colaboradores\s+WHERE empresa = @empresa/.test(q)) inicios.push({ empresa: params.empresa, ts: Date.now() });
+  return undefined;
+}
+
+before(async () => {
+  fake = instalarFakeDb(responder);
+  ranking = require('../controllers/rankingController');
+
+  const app = express();
+  app.use('/', require('../routes/rankingRoutes'));
+  await new Promise(res => { server = app.listen(0, '127.0.0.1', res); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(res => server.close(res)));
+
+beforeEach(() => {
+  inicios = [];
+  ranking.__internal.cacheMapRef().clear();
+  fake.limpar();
+});
+
+/* ---------------------- updateAllRankings ---------------------- */
+
+test('distribui as empresas ao longo do intervalo (empresa i em i * intervalo / n)', async () => {
+  const t0 = Date.now();
+  const r = await ranking.updateAllRankings(300);
+  assert.deepEqual(r, { empresas: 3, atualizadas: 3, puladas: 0, falhas: 0 });
+  assert.deepEqual(inicios.map(i => i.empresa), EMPRESAS);
+  const atrasos = inicios.map(i => i.ts - t0);
+  assert.ok(atrasos[0] < 50, `primeira sem espera (${atrasos[0]}ms)`);
+  assert.ok(atrasos[1] >= 95, `segunda após ~100ms (${atrasos[1]}ms)`);
+  assert.ok(atrasos[2] >= 195 && atrasos[2] - atrasos[1] >= 90, `terceira após ~200ms (${atrasos[2]}ms)`);
+  assert.equal(ranking.__internal.schedulerTimersRef().size, 0);
+});
+
+test('sem intervalo todas começam juntas; empresa fixa ignora a lista', async () => {
+  await ranking.updateAllRankings(0);
+  assert.equal(ranking.__internal.schedulerTimersRef().size, 0);
+  assert.deepEqual(inicios.map(i => i.empresa).sort(), EMPRESAS);
+
+  inicios = [];
+  assert.deepEqual(await ranking.updateAllRankings(300, 'BETA'), { empresas: 1, atualizadas: 1, puladas: 0, falhas: 0 });
+  assert.deepEqual(inicios.map(i => i.empresa), ['BETA']);
+});
+
+test('empresa ainda atualizando é pulada no ciclo seguinte', async () => {
+  const emAndamento = ranking.__internal.schedulerEmAndamentoRef();
+  emAndamento.add('GAMA');
+  try {
+    assert.deepEqual(await ranking.updateAllRankings(0), { empresas: 3, atualizadas: 2, puladas: 1, falhas: 0 });
+    assert.ok(!inicios.some(i => i.empresa === 'GAMA'));
+  } finally {
+    emAndamento.delete('GAMA');
+  }
+});
+
+test('stopRankingUpdater cancela as esperas pendentes e o ciclo termina com elas puladas', async () => {
+  const ciclo = ranking.updateAllRankings(60000);
+  await new Promise(res => setImmediate(res));
+  assert.equal(ranking.__internal.schedulerTimersRef().size, 2);
+
+  ranking.stopRankingUpdater();
+  assert.equal(ranking.__internal.schedulerTimersRef().size, 0);
+  assert.deepEqual(await ciclo, { empresas: 3, atualizadas: 1, puladas: 2, falhas: 0 });
+  assert.deepEqual(inicios.map(i => i.empresa), ['ALFA']);
+});
+
+/* ---------------------- POST /api/ranking/refresh ---------------------- */
+
+test('refresh com empresa desconhecida responde 400 sem consultar vendedores', async () => {
+  const r = await fetch(`${base}/api/ranking/refresh?empresa=INEXISTENTE`, { method: 'POST' });
+  assert.equal(r.status, 400);
+  assert.deepEqual(await r.json(), { error: 'empresa desconhecida' });
+  assert.equal(inicios.length, 0);
+  assert.equal(ranking.__internal.cacheMapRef().size, 0);
+});
+
+test('refresh aceita empresa da lista com a grafia cadastrada', async () => {
+  const r = await fetch(`${base}/api/ranking/refresh?empresa=%20beta%20`, { method: 'POST' });
+  assert.equal(r.status, 200);
+  const body = await r.json();
+  assert.equal(body.ok, true);
+  assert.equal(body.empresa, 'BETA');
+  assert.deepEqual(inicios.map(i => i.empresa), ['BETA']);
+});
+
+test('validarEmpresa: vazia usa DEFAULT_EMPRESA; desconhecida lança 400', async () => {
+  assert.equal(await ranking.validarEmpresa(''), process.env.DEFAULT_EMPRESA || 'VIEIRACRED');
+  assert.equal(await ranking.validarEmpresa('gama'), 'GAMA');
+  await assert.rejects(ranking.validarEmpresa('OUTRA'), e => e.status === 400);
+});
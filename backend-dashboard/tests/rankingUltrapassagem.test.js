@@ -0,0 +1,82 @@
+// Posição anterior/variação e registro de ultrapassagem do #1 (aplicarPosicoesAnteriores)
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarFakeDb } = require('./helpers/fakeDb');
+
+let fake;
+let aplicar;
+let persistido = [];
+
+const PERIODO = { periodo: 'dia', inicio: '2026-10-19', fim: '2026-10-19' };
+
+// ids na ordem do ranking -> linhas com posicao 1..n
+const linhas = (...ids) => ids.map((id, i) => ({ id, nome: `Vend ${id}`, valorVendido: 1000 - i, posicao: i + 1 }));
+const porId = (out) => Object.fromEntries(out.map(r => [r.id, r.variacao]));
+const ultrapassagens = () => fake.consultas.filter(c => /INSERT INTO dbo\.ranking_ultrapassagem/.test(c.sql));
+const tick = () => new Promise(res => setImmediate(res));
+
+before(() => {
+  fake = instalarFakeDb((q) => (/FROM dbo\.ranking_operador/.test(q) ? { recordset: persistido } : undefined));
+  aplicar = require('../controllers/rankingController').__internal.aplicarPosicoesAnteriores;
+});
+
+beforeEach(() => {
+  persistido = [];
+  fake.limpar();
+});
+
+test('primeira atualização sem snapshot persistido não tem variação', async () => {
+  const out = await aplicar('EMP_1', PERIODO, linhas('a', 'b', 'c'));
+  assert.deepEqual(porId(out), { a: null, b: null, c: null });
+  assert.equal(out[0].posicaoAnterior, null);
+});
+
+test('troca de posições gera variação (> 0 subiu) e registra a ultrapassagem do líder', async () => {
+  await aplicar('EMP_2', PERIODO, linhas('a', 'b', 'c'));
+  const out = await aplicar('EMP_2', PERIODO, linhas('b', 'a', 'c'));
+  assert.deepEqual(porId(out), { b: 1, a: -1, c: 0 });
+  assert.equal(out[0].posicaoAnterior, 2);
+
+  await tick();
+  const [ins] = ultrapassagens();
+  assert.ok(ins, 'INSERT em ranking_ultrapassagem');
+  assert.equal(ins.params.vendedor_id, 'b');
+  assert.equal(ins.params.anterior_id, 'a');
+  assert.equal(ins.params.empresa, 'EMP_2');
+});
+
+test('sem nova mudança a última variação continua visível e não há nova ultrapassagem', async () => {
+  await aplicar('EMP_3', PERIODO, linhas('a', 'b'));
+  await aplicar('EMP_3', PERIODO, linhas('b', 'a'));
+  await tick();
+  fake.limpar();
+
+  const out = await aplicar('EMP_3', PERIODO, linhas('b', 'a'));
+  assert.deepEqual(porId(out), { b: 1, a: -1 });
+  await tick();
+  assert.equal(ultrapassagens().length, 0);
+});
+
+test('após restart a referência vem do snapshot persistido', async () => {
+  persistido = [
+    { id: 'x', nome: 'Vend x', posicao: 1, posicaoAnterior: null },
+    { id: 'y', nome: 'Vend y', posicao: 2, posicaoAnterior: null }
+  ];
+  const out = await aplicar('EMP_4', PERIODO, linhas('y', 'x'));
+  assert.deepEqual(porId(out), { y: 1, x: -1 });
+  await tick();
+  assert.equal(ultrapassagens()[0].params.vendedor_id, 'y');
+});
+
+test('ranking filtrado por produto/convênio tem chave própria e não registra ultrapassagem', async () => {
+  const filtro = { produto: 'CARTAO', convenio: null };
+  await aplicar('EMP_5', PERIODO, linhas('a', 'b'), filtro);
+  const out = await aplicar('EMP_5', PERIODO, linhas('b', 'a'), filtro);
+  assert.deepEqual(porId(out), { b: 1, a: -1 });
+
+  const geral = await aplicar('EMP_5', PERIODO, linhas('b', 'a'));
+  assert.deepEqual(porId(geral), { b: null, a: null });
+  await tick();
+  assert.equal(ultrapassagens().length, 0);
+});
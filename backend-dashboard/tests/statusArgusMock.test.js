@@ -0,0 +1,150 @@
+// updateStatusOperadores contra o Argus falso (mock/argusMock.js) e banco em memória (helpers/fakeDb.js)
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createArgusMock } = require('../mock/argusMock');
+const { instalarFakeDb, colunas } = require('./helpers/fakeDb');
+
+const RAMAIS = ['1001', '1002', '1003'];
+
+let mock;
+let fake;
+let statusController;
+let argusToken;
+let argusClient;
+
+function responder(q, params) {
+  if (q.includes('INFORMATION_SCHEMA.COLUMNS')) {
+    if (params.table === 'colaboradores') return colunas(['id_argus', 'id_new', 'empresa', 'Status', 'Nome_Front', 'equipe']);
+    if (params.table === 'status_operador') return colunas(['id_argus', 'descricaoStatus', 'tempoStatus', 'updated_at', 'empresa']);
+    return colunas([]);
+  }
+  if (/FROM dbo\.colaboradores/.test(q) && q.includes('id_argus IS NOT NULL')) {
+    return { recordset: RAMAIS.map((r, i) => ({ id_argus: r, id_new: 100 + i })) };
+  }
+  if (/^\s*UPDATE dbo\.status_operador/.test(q)) return { rowsAffected: [1] };
+  return undefined;
+}
+
+const gravacoes = () => fake.consultas.filter(c => /^\s*UPDATE dbo\.status_operador/.test(c.sql));
+
+before(async () => {
+  mock = createArgusMock({ ramais: RAMAIS, seed: 42 });
+  await mock.listen(0);
+  Object.assign(process.env, {
+    ARGUS_BASE_URL: mock.url,
+    TOKEN_ARGUS: 'token-teste',
+    ARGUS_TIMEOUT: '300',
+    ARGUS_RETRY: '0',
+    ARGUS_MAX_RETRIES: '1',
+    ARGUS_CACHE_MS: '1',
+    ARGUS_CB_MIN_REQUESTS: '3',
+    ARGUS_CB_SLOW_MS: '250',
+    ARGUS_TOKEN_PROBE_MS: '60000',
+    STATUS_EMPRESAS: 'EMPRESA_TESTE'
+  });
+  fake = instalarFakeDb(responder);
+  statusController = require('../controllers/statusController');
+  argusToken = require('../services/argusTokenService');
+  argusClient = require('../services/argusClient');
+});
+
+after(async () => {
+  argusToken.pararMonitor();
+  await mock.close();
+});
+
+beforeEach(async () => {
+  mock.limparFalhas();
+  argusClient.__internal.reset();
+  if (!argusToken.podeConsultar()) await argusToken.setToken(`token-${Date.now()}`, 'teste');
+  fake.limpar();
+  await new Promise(res => setTimeout(res, 5)); // snapshot em cache (ARGUS_CACHE_MS) expira
+});
+
+test('grava o status de todos os ramais a partir do snapshot em lote', async () => {
+  const r = await statusController.updateStatusOperadores('EMPRESA_TESTE', { ignorarBackoff: true });
+  assert.equal(r.fonte, 'bulk');
+  assert.equal(r.updated, RAMAIS.length);
+  assert.equal(r.discador, 'argus');
+  const ramaisGravados = gravacoes().map(c => c.params.ramal).sort();
+  assert.deepEqual(ramaisGravados, RAMAIS);
+  for (const c of gravacoes()) assert.ok(c.params.status, 'descricaoStatus preenchida');
+});
+
+test('403 suspende o Argus: a rodada seguinte é pulada sem consultar', async () => {
+  mock.addFalha({ status: 403 });
+  const r1 = await statusController.updateStatusOperadores('EMPRESA_TESTE', { ignorarBackoff: true });
+  assert.equal(r1.updated, 0);
+  assert.ok(r1.error, 'falha do discador vem como error');
+  assert.equal(gravacoes().length, 0);
+
+  const antes = mock.estado.contadores.requisicoes;
+  const r2 = await statusController.updateStatusOperadores('EMPRESA_TESTE');
+  assert.equal(r2.skipped, true);
+  assert.equal(r2.reason, 'argus-auth-failed');
+  assert.equal(mock.estado.contadores.requisicoes, antes);
+});
+
+test('5xx em todas as chamadas abre o circuito e a rodada seguinte é pulada', async () => {
+  mock.addFalha({ status: 503 });
+  const r1 = await statusController.updateStatusOperadores('EMPRESA_TESTE', { ignorarBackoff: true });
+  assert.equal(r1.updated, 0);
+  assert.ok(r1.error, 'falha do discador vem como error');
+  assert.equal(gravacoes().length, 0);
+  assert.equal(argusClient.circuitoAberto(), true);
+
+  const r2 = await statusController.updateStatusOperadores('EMPRESA_TESTE');
+  assert.equal(r2.skipped, true);
+  assert.equal(r2.reason, 'argus-circuit-open');
+});
+
+test('resposta lenta (acima do timeout) não grava nada e não trava a rodada', async () => {
+  mock.addFalha({ atrasoMs: 600 });
+  const inicio = Date.now();
+  const r = await statusController.updateStatusOperadores('EMPRESA_TESTE', { ignorarBackoff: true });
+  assert.equal(r.updated, 0);
+  assert.ok(r.error);
+  assert.equal(gravacoes().length, 0);
+  assert.ok(Date.now() - inicio < 3000, 'timeout do Argus respeitado');
+});
+
+test('updateStatusEmpresas conta a empresa em falha e o backoff só barra quem não o ignora', async () => {
+  mock.addFalha({ status: 503 });
+  const r = await statusController.updateStatusEmpresas({ ignorarBackoff: true });
+  assert.equal(r.empresas, 1);
+  assert.equal(r.falhas, 1);
+  assert.ok(r.resultados.EMPRESA_TESTE.error);
+
+  argusClient.__internal.reset();
+  mock.limparFalhas();
+  const barrado = await statusController.updateStatusOperadores('EMPRESA_TESTE');
+  assert.equal(barrado.reason, 'backoff');
+  const ok = await statusController.updateStatusOperadores('EMPRESA_TESTE', { ignorarBackoff: true });
+  assert.equal(ok.updated, RAMAIS.length);
+});
+
+test('ramal que some do snapshot em lote é gravado como Deslogado uma vez, com a transição fechada', async () => {
+  const r1 = await statusController.updateStatusOperadores('EMPRESA_TESTE', { ignorarBackoff: true });
+  assert.equal(r1.fonte, 'bulk');
+
+  mock.removerRamal('1003');
+  fake.limpar();
+  await new Promise(res => setTimeout(res, 5));
+  const r2 = await statusController.updateStatusOperadores('EMPRESA_TESTE', { ignorarBackoff: true });
+  assert.equal(r2.fonte, 'bulk');
+  assert.equal(r2.updated, RAMAIS.length);
+  const gravacao = gravacoes().find(c => c.params.ramal === '1003');
+  assert.equal(gravacao.params.status, 'Deslogado');
+  assert.equal(gravacao.params.tempo, 0);
+  const transicao = fake.consultas.find(c => /INSERT INTO dbo\.status_operador_historico/.test(c.sql) && c.params.ramal === '1003');
+  assert.ok(transicao, 'status anterior encerrado no histórico');
+  assert.equal(transicao.params.status, 'Deslogado');
+
+  // já deslogado: a rodada seguinte não regrava o ramal
+  fake.limpar();
+  await new Promise(res => setTimeout(res, 5));
+  const r3 = await statusController.updateStatusOperadores('EMPRESA_TESTE', { ignorarBackoff: true });
+  assert.equal(r3.updated, RAMAIS.length - 1);
+  assert.equal(gravacoes().filter(c => c.params.ramal === '1003').length, 0);
+});
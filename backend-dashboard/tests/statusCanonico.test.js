@@ -0,0 +1,113 @@
+// Status canônico: regras comuns (utils/statusCanonico.js) e tradução de cada adaptador de discador
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { STATUS_CANONICO: S, mapeadorPorPalavras, grupoDoCanonico, validarCanonico, normTexto } = require('../utils/statusCanonico');
+const { criarDiscadorHttpJson } = require('../services/discadorHttpJson');
+
+let server;
+let base;
+let argus;
+
+before(async () => {
+  argus = require('../services/discadorArgus');
+  const app = express();
+  app.get('/agents', (req, res) => res.json({
+    data: {
+      agents: [
+        { extension: 2001, state: 'ON_CALL', stateDuration: 65000 },
+        { extension: '2002', state: 'paused', stateDuration: 1500 },
+        { extension: '2003', state: 'READY' },
+        { extension: '2004', state: 'BREAK_COFFEE' },
+        { state: 'READY' } // sem ramal: ignorado
+      ]
+    }
+  }));
+  await new Promise(res => { server = app.listen(0, '127.0.0.1', res); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  require('../services/argusTokenService').pararMonitor();
+  return new Promise(res => server.close(res));
+});
+
+test('grupos do semáforo: OFFLINE e DESCONHECIDO ficam em "outros"', () => {
+  assert.equal(grupoDoCanonico(S.ATENDIMENTO), 'atendimento');
+  assert.equal(grupoDoCanonico(S.PAUSA), 'pausa');
+  assert.equal(grupoDoCanonico(S.LIVRE), 'livre');
+  assert.equal(grupoDoCanonico(S.OFFLINE), 'outros');
+  assert.equal(grupoDoCanonico(S.DESCONHECIDO), 'outros');
+  assert.equal(grupoDoCanonico(undefined), 'outros');
+});
+
+test('validarCanonico aceita caixa/espaços e recusa valor fora do enum', () => {
+  assert.equal(validarCanonico(' pausa '), S.PAUSA);
+  assert.throws(() => validarCanonico('ALMOCO'), /status canônico inválido: 'ALMOCO'/);
+  assert.equal(normTexto('Pós-Atendimento'), 'pos-atendimento');
+});
+
+test('mapeadorPorPalavras: sem acento/caixa, primeira regra vence, vazio é DESCONHECIDO', () => {
+  const mapear = mapeadorPorPalavras([
+    { canonico: 'atendimento', palavras: ['Ligação'] },
+    { canonico: 'PAUSA', palavras: ['pausa'] }
+  ]);
+  assert.equal(mapear('LIGACAO ativa'), S.ATENDIMENTO);
+  assert.equal(mapear('Pausa pós ligação'), S.ATENDIMENTO);
+  assert.equal(mapear('pausa'), S.PAUSA);
+  assert.equal(mapear('qualquer'), S.DESCONHECIDO);
+  assert.equal(mapear(''), S.DESCONHECIDO);
+  assert.throws(() => mapeadorPorPalavras([{ canonico: 'XX', palavras: ['x'] }]), /inválido/);
+});
+
+test('Argus: descrições em português viram o canônico', () => {
+  const casos = {
+    'Em Atendimento': S.ATENDIMENTO,
+    'Pós-atendimento': S.ATENDIMENTO,
+    'Em ligação': S.ATENDIMENTO,
+    'PAUSA - Almoço': S.PAUSA,
+    'Disponível': S.LIVRE,
+    'Livre': S.LIVRE,
+    'Deslogado': S.OFFLINE,
+    'Desconectado': S.OFFLINE,
+    'Treinamento': S.DESCONHECIDO,
+    '': S.DESCONHECIDO
+  };
+  for (const [descricao, esperado] of Object.entries(casos)) {
+    assert.equal(argus.canonico(descricao), esperado, descricao);
+    assert.equal(argus.criarDiscadorArgus().canonico(descricao), esperado, descricao);
+  }
+});
+
+test('HTTP/JSON: mapa por status nativo, também pela descrição exibida; fora do mapa é DESCONHECIDO', async () => {
+  const discador = criarDiscadorHttpJson('novo', {
+    url: `${base}/agents`,
+    lista: 'data.agents',
+    campos: { ramal: 'extension', status: 'state', tempo: 'stateDuration' },
+    tempoUnidade: 'ms',
+    mapa: { ON_CALL: 'ATENDIMENTO', PAUSED: 'pausa', READY: 'LIVRE', LOGGED_OUT: 'OFFLINE' },
+    descricoes: { ON_CALL: 'Em atendimento', PAUSED: 'Em pausa' }
+  });
+
+  // o GET reclassifica a descrição gravada no banco
+  assert.equal(discador.canonico('Em atendimento'), S.ATENDIMENTO);
+  assert.equal(discador.canonico('em pausa'), S.PAUSA);
+  assert.equal(discador.canonico('ready'), S.LIVRE);
+  assert.equal(discador.canonico('BREAK_COFFEE'), S.DESCONHECIDO);
+
+  const mapa = await discador.listStatuses();
+  assert.deepEqual([...mapa.keys()], ['2001', '2002', '2003', '2004']);
+  assert.deepEqual(mapa.get('2001'), { ramal: '2001', descricaoStatus: 'Em atendimento', statusCanonico: S.ATENDIMENTO, tempoStatusSegundos: 65 });
+  assert.deepEqual(mapa.get('2002'), { ramal: '2002', descricaoStatus: 'Em pausa', statusCanonico: S.PAUSA, tempoStatusSegundos: 1 });
+  assert.equal(mapa.get('2003').statusCanonico, S.LIVRE);
+  assert.equal(mapa.get('2003').descricaoStatus, 'READY');
+  assert.equal(mapa.get('2004').statusCanonico, S.DESCONHECIDO);
+});
+
+test('HTTP/JSON: canônico inválido no mapa falha na criação do adaptador', () => {
+  assert.throws(
+    () => criarDiscadorHttpJson('ruim', { url: `${base}/agents`, mapa: { ON_CALL: 'FALANDO' } }),
+    /status canônico inválido: 'FALANDO'/
+  );
+});
@@ -0,0 +1,114 @@
+// CLT x Estágio no GET /api/status-operadores: logados por contrato somam `logados` e a meta
+// da faixa é dividida entre os contratos (ativos_* continuam sendo o quadro de ativos)
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarFakeDb, colunas } = require('./helpers/fakeDb');
+
+let fake;
+let statusController;
+let internal;
+let metaDaFaixa = null;
+
+const ATIVOS = [
+  { tipo_contrato: 'CLT', total_ativos: 6 },
+  { tipo_contrato: 'Estagiario', total_ativos: 3 },
+  { tipo_contrato: 'PJ', total_ativos: 1 }
+];
+const LOGADOS = [
+  { tipo_contrato: 'CLT', total_logados: 4 },
+  { tipo_contrato: 'Estagio', total_logados: 2 },
+  { tipo_contrato: null, total_logados: 1 }
+];
+
+function responder(q, params) {
+  if (q.includes('INFORMATION_SCHEMA.COLUMNS')) {
+    if (params.table === 'colaboradores') return colunas(['id_argus', 'id_new', 'empresa', 'Status', 'equipe', 'tipo_contrato']);
+    if (params.table === 'status_operador') return colunas(['id_argus', 'descricaoStatus', 'tempoStatus']);
+    return colunas([]);
+  }
+  if (q.includes('AS total_ativos')) return { recordset: ATIVOS };
+  if (q.includes('AS total_logados')) return { recordset: LOGADOS };
+  if (q.includes('FROM dbo.meta_logados') && q.includes('dia_semana = @dia')) {
+    return { recordset: metaDaFaixa == null ? [] : [{ id: 1, empresa: 'EMP', equipe: null, dia_semana: params.dia, hora_inicio: '08:00', hora_fim: '18:00', meta: metaDaFaixa, ativo: 1 }] };
+  }
+  return undefined;
+}
+
+function chamarGet(query) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) { this.statusCode = code; return this; },
+      setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+      json(body) { this.body = body; resolve(this); return this; },
+      end() { resolve(this); return this; }
+    };
+    statusController.getStatusOperadores({ query, headers: {} }, res);
+  });
+}
+
+before(() => {
+  Object.assign(process.env, {
+    STATUS_EMPRESAS: 'EMP',
+    TOKEN_ARGUS: 'token-teste',
+    ARGUS_BASE_URL: 'http://127.0.0.1:9',
+    ARGUS_TOKEN_PROBE_MS: '60000'
+  });
+  fake = instalarFakeDb(responder);
+  statusController = require('../controllers/statusController');
+  internal = statusController.__internal;
+});
+
+after(() => {
+  require('../services/argusTokenService').pararMonitor();
+});
+
+beforeEach(() => {
+  internal.clearCache();
+  metaDaFaixa = null;
+  fake.limpar();
+});
+
+test('dividirMeta reparte pelos ativos e a soma é sempre a meta', () => {
+  const { dividirMeta } = internal;
+  assert.deepEqual(dividirMeta(10, { clt: 6, estagio: 3, outros: 1 }), { clt: 6, estagio: 3, outros: 1 });
+  assert.deepEqual(dividirMeta(10, { clt: 2, estagio: 1, outros: 0 }), { clt: 7, estagio: 3, outros: 0 });
+  assert.deepEqual(dividirMeta(5, { clt: 1, estagio: 1, outros: 1 }), { clt: 2, estagio: 2, outros: 1 });
+  assert.deepEqual(dividirMeta(4, { clt: 0, estagio: 0, outros: 0 }), { clt: 0, estagio: 0, outros: 4 });
+  assert.deepEqual(dividirMeta(null, { clt: 3, estagio: 1, outros: 0 }), { clt: 0, estagio: 0, outros: 0 });
+  for (const meta of [1, 7, 13, 99]) {
+    const p = dividirMeta(meta, { clt: 7, estagio: 5, outros: 2 });
+    assert.equal(p.clt + p.estagio + p.outros, meta, `meta ${meta}`);
+  }
+});
+
+test('logados por contrato (com "outros") somam logados, a partir da mesma contagem', async () => {
+  const { body } = await chamarGet({ empresa: 'EMP' });
+  assert.equal(body.logados, 7);
+  assert.deepEqual([body.logados_clt, body.logados_estagio, body.logados_outros], [4, 2, 1]);
+  assert.equal(body.logados_clt + body.logados_estagio + body.logados_outros, body.logados);
+
+  const contagem = fake.consultas.find(c => c.sql.includes('AS total_logados'));
+  assert.match(contagem.sql, /GROUP BY c\.\[tipo_contrato\]/);
+});
+
+test('sem meta da faixa, meta_total é o quadro de ativos e as metas por contrato são os ativos', async () => {
+  const { body } = await chamarGet({ empresa: 'EMP' });
+  assert.equal(body.meta, null);
+  assert.equal(body.totalActive, 10);
+  assert.equal(body.meta_total, 10);
+  assert.deepEqual([body.ativos_clt, body.ativos_estagio, body.ativos_outros], [6, 3, 1]);
+  assert.deepEqual([body.meta_clt, body.meta_estagio, body.meta_outros], [6, 3, 1]);
+});
+
+test('com meta da faixa, meta_clt/meta_estagio/meta_outros dividem a meta (não o quadro)', async () => {
+  metaDaFaixa = 5;
+  const { body } = await chamarGet({ empresa: 'EMP' });
+  assert.equal(body.meta, 5);
+  assert.equal(body.meta_total, 5);
+  assert.deepEqual([body.meta_clt, body.meta_estagio, body.meta_outros], [3, 2, 0]);
+  assert.equal(body.meta_clt + body.meta_estagio + body.meta_outros, body.meta_total);
+  assert.deepEqual([body.ativos_clt, body.ativos_estagio, body.ativos_outros], [6, 3, 1]);
+});
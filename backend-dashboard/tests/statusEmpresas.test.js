@@ -0,0 +1,104 @@
+// ?empresa= validado contra a lista de empresas, teto do cache do GET e backoff por empresa
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarFakeDb, colunas } = require('./helpers/fakeDb');
+
+let fake;
+let statusController;
+let internal;
+
+// EMP_A: banco falha na busca dos ramais; EMP_B: sem ramais (rodada vazia e ok)
+function responder(q, params) {
+  if (q.includes('INFORMATION_SCHEMA.COLUMNS')) {
+    if (params.table === 'colaboradores') return colunas(['id_argus', 'id_new', 'empresa', 'Status', 'equipe']);
+    return colunas([]);
+  }
+  if (q.includes('id_argus IS NOT NULL') && params.empresa === 'EMP_A') throw new Error('falha simulada');
+  return undefined;
+}
+
+function chamarGet(query) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) { this.statusCode = code; return this; },
+      setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+      json(body) { this.body = body; resolve(this); return this; },
+      send(body) { this.body = body; resolve(this); return this; },
+      end() { resolve(this); return this; }
+    };
+    statusController.getStatusOperadores({ query, headers: {} }, res);
+  });
+}
+
+before(() => {
+  Object.assign(process.env, {
+    STATUS_EMPRESAS: 'EMP_A,EMP_B',
+    STATUS_CACHE_MAX_KEYS: '3',
+    TOKEN_ARGUS: 'token-teste',
+    ARGUS_BASE_URL: 'http://127.0.0.1:9',
+    ARGUS_TOKEN_PROBE_MS: '60000'
+  });
+  fake = instalarFakeDb(responder);
+  statusController = require('../controllers/statusController');
+  internal = statusController.__internal;
+});
+
+after(() => {
+  require('../services/argusTokenService').pararMonitor();
+});
+
+beforeEach(() => {
+  internal.clearCache();
+  fake.limpar();
+});
+
+test('resolverEmpresa aceita só empresas da lista (sem diferenciar caixa)', async () => {
+  assert.equal(await statusController.resolverEmpresa('emp_b'), 'EMP_B');
+  assert.equal(await statusController.resolverEmpresa('OUTRA'), null);
+});
+
+test('GET com empresa desconhecida responde 400 sem consultar o banco nem criar cache', async () => {
+  const res = await chamarGet({ empresa: 'OUTRA' });
+  assert.equal(res.statusCode, 400);
+  assert.equal(fake.consultas.length, 0);
+  assert.equal(internal.cacheMapRef().size, 0);
+});
+
+test('cache do GET respeita STATUS_CACHE_MAX_KEYS descartando a entrada mais antiga', async () => {
+  for (const equipe of ['e1', 'e2', 'e3', 'e4']) {
+    const res = await chamarGet({ empresa: 'EMP_B', equipe });
+    assert.equal(res.statusCode, 200);
+  }
+  assert.deepEqual([...internal.cacheMapRef().keys()], ['EMP_B|e2', 'EMP_B|e3', 'EMP_B|e4']);
+  assert.equal(internal.resumoCache().size, 3);
+});
+
+test('falha de uma empresa entra em backoff só para ela', async () => {
+  const a1 = await statusController.updateStatusOperadores('EMP_A');
+  assert.ok(a1.error);
+  const a2 = await statusController.updateStatusOperadores('EMP_A');
+  assert.equal(a2.skipped, true);
+  assert.equal(a2.reason, 'backoff');
+
+  const b = await statusController.updateStatusOperadores('EMP_B');
+  assert.equal(b.skipped, undefined);
+  assert.equal(b.updated, 0);
+
+  const { backoff } = internal.resumoCache();
+  assert.deepEqual(Object.keys(backoff), ['EMP_A']);
+  assert.equal(backoff.EMP_A.falhas, 1);
+});
+
+test('clearCache limpa só o cache do GET; rodada em andamento continua bloqueando outra', async () => {
+  await chamarGet({ empresa: 'EMP_B' });
+  const rodada = statusController.updateStatusEmpresas();
+  assert.equal(internal.clearCache(), 1);
+  assert.equal(internal.resumoCache().isFetching, true);
+  const segunda = await statusController.updateStatusEmpresas();
+  assert.equal(segunda.skipped, true);
+  await rodada;
+  assert.equal(internal.resumoCache().isFetching, false);
+});
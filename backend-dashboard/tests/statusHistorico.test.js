@@ -0,0 +1,146 @@
+// Transições de status (recordStatusTransition) e filtros de data de
+// GET /api/status-operadores/:ramal/historico (getHistoricoRamal)
+process.env.TZ = 'UTC';
+
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarFakeDb } = require('./helpers/fakeDb');
+
+let fake;
+let statusController;
+let recordStatusTransition;
+let historico = [];
+let inseridas = 1;
+
+const COLS = { idArgusDest: 'id_argus', descDest: 'descricaoStatus', tempoDest: 'tempoStatus', updatedAtDest: 'updated_at' };
+const insercoes = () => fake.consultas.filter(c => c.sql.includes('INSERT INTO dbo.status_operador_historico'));
+const consultaHistorico = () => fake.consultas.find(c => c.sql.includes('FROM dbo.status_operador_historico'));
+
+function responder(q) {
+  if (q.includes('INSERT INTO dbo.status_operador_historico')) return { rowsAffected: [inseridas] };
+  if (q.includes('FROM dbo.status_operador_historico')) return { recordset: historico };
+  return undefined;
+}
+
+function chamar(query, ramal = '1001') {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; resolve(this); return this; }
+    };
+    statusController.getHistoricoRamal({ params: { ramal }, query, headers: {} }, res);
+  });
+}
+
+before(() => {
+  Object.assign(process.env, {
+    TOKEN_ARGUS: 'token-teste',
+    ARGUS_BASE_URL: 'http://127.0.0.1:9',
+    ARGUS_TOKEN_PROBE_MS: '60000'
+  });
+  fake = instalarFakeDb(responder);
+  statusController = require('../controllers/statusController');
+  recordStatusTransition = statusController.__internal.recordStatusTransition;
+});
+
+after(() => {
+  require('../services/argusTokenService').pararMonitor();
+});
+
+beforeEach(() => {
+  historico = [];
+  inseridas = 1;
+  fake.limpar();
+});
+
+afterEach(() => mock.timers.reset());
+
+/* ---------------------- recordStatusTransition ---------------------- */
+
+test('grava a transição com o status anterior lido de status_operador e devolve as linhas inseridas', async () => {
+  const n = await recordStatusTransition(fake.pool, COLS, { id_argus: 1001, descricaoStatus: 'Pausa Lanche', tempoStatusSegundos: '42' }, 'EMP');
+  assert.equal(n, 1);
+
+  const [ins] = insercoes();
+  assert.deepEqual(ins.params, { ramal: '1001', empresa: 'EMP', status: 'Pausa Lanche', tempo: 42 });
+  assert.match(ins.sql, /SELECT @ramal, @empresa, s\.\[descricaoStatus\], @status/);
+  // início do status anterior = updated_at - tempo dele; fim = agora - tempo do status novo
+  assert.match(ins.sql, /DATEADD\(SECOND, -COALESCE\(s\.\[tempoStatus\], 0\), s\.\[updated_at\]\) AS inicio/);
+  assert.match(ins.sql, /DATEADD\(SECOND, -@tempo, GETDATE\(\)\) AS fim/);
+  // só quando o status mudou
+  assert.match(ins.sql, /WHERE s\.\[id_argus\] = @ramal\s+AND COALESCE\(s\.\[descricaoStatus\], ''\) <> @status/);
+});
+
+test('sem coluna de tempo o início é o updated_at; sem updated_at fica NULL (e a duração também)', async () => {
+  await recordStatusTransition(fake.pool, { ...COLS, tempoDest: null }, { id_argus: '1', descricaoStatus: 'Livre' }, 'EMP');
+  await recordStatusTransition(fake.pool, { ...COLS, tempoDest: null, updatedAtDest: null }, { id_argus: '1', descricaoStatus: 'Livre' }, 'EMP');
+  const [comUpdated, semNada] = insercoes();
+  assert.match(comUpdated.sql, /SELECT s\.\[updated_at\] AS inicio/);
+  assert.match(semNada.sql, /SELECT NULL AS inicio/);
+  assert.match(semNada.sql, /CASE WHEN x\.inicio IS NULL THEN NULL/);
+  assert.equal(insercoes()[0].params.tempo, 0, 'tempo ausente vira 0');
+});
+
+test('status igual ao gravado não insere nada; sem colunas de ramal/status nem consulta', async () => {
+  inseridas = 0;
+  assert.equal(await recordStatusTransition(fake.pool, COLS, { id_argus: '1', descricaoStatus: 'Livre' }, 'EMP'), 0);
+  fake.limpar();
+  assert.equal(await recordStatusTransition(fake.pool, { ...COLS, descDest: null }, { id_argus: '1', descricaoStatus: 'Livre' }, 'EMP'), 0);
+  assert.equal(await recordStatusTransition(fake.pool, { ...COLS, idArgusDest: null }, { id_argus: '1', descricaoStatus: 'Livre' }, 'EMP'), 0);
+  assert.equal(fake.consultas.length, 0);
+});
+
+/* ---------------------- getHistoricoRamal ---------------------- */
+
+test('inicio/fim viram @de/@ate com fim inclusivo (fim < @ate + 1 dia)', async () => {
+  const r = await chamar({ inicio: '2026-10-01', fim: '2026-10-15' });
+  assert.equal(r.statusCode, 200);
+  assert.deepEqual([r.body.inicio, r.body.fim], ['2026-10-01', '2026-10-15']);
+
+  const q = consultaHistorico();
+  assert.deepEqual([q.params.ramal, q.params.de, q.params.ate], ['1001', '2026-10-01', '2026-10-15']);
+  assert.match(q.sql, /fim >= @de\s+AND fim < DATEADD\(DAY, 1, CAST\(@ate AS DATETIME\)\)/);
+  assert.doesNotMatch(q.sql, /LIKE/);
+});
+
+test('só inicio ou só fim consulta aquele dia', async () => {
+  assert.deepEqual([(await chamar({ inicio: '2026-10-05' })).body.inicio, consultaHistorico().params.ate], ['2026-10-05', '2026-10-05']);
+  fake.limpar();
+  const r = await chamar({ fim: '2026-10-07' });
+  assert.deepEqual([r.body.inicio, r.body.fim], ['2026-10-07', '2026-10-07']);
+  assert.equal(consultaHistorico().params.de, '2026-10-07');
+});
+
+test('sem datas usa o dia atual no fuso do expediente', async () => {
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-22T01:30:00Z') }); // 21/10 22:30 em São Paulo
+  const r = await chamar({});
+  assert.deepEqual([r.body.inicio, r.body.fim], ['2026-10-21', '2026-10-21']);
+});
+
+test('datas inválidas, inexistentes ou invertidas respondem 400 sem consultar', async () => {
+  const casos = [{ inicio: '01/10/2026' }, { fim: '2026-10' }, { inicio: '2026-02-30' }, { inicio: '2026-10-10', fim: '2026-10-09' }];
+  for (const query of casos) {
+    const r = await chamar(query);
+    assert.equal(r.statusCode, 400, JSON.stringify(query));
+  }
+  assert.equal((await chamar({}, '  ')).statusCode, 400, 'ramal vazio');
+  assert.equal(consultaHistorico(), undefined);
+});
+
+test('status filtra por LIKE e o resumo soma vezes e duração por status anterior', async () => {
+  historico = [
+    { status_anterior: 'Pausa Lanche', status_novo: 'Livre', inicio: '2026-10-01T12:00:00Z', fim: '2026-10-01T12:15:00Z', duracao_segundos: 900 },
+    { status_anterior: 'Pausa Lanche', status_novo: 'Livre', inicio: '2026-10-01T16:00:00Z', fim: '2026-10-01T16:10:00Z', duracao_segundos: 600 }
+  ];
+  const r = await chamar({ inicio: '2026-10-01', status: 'Pausa' });
+  assert.equal(consultaHistorico().params.statusLike, '%Pausa%');
+  assert.match(consultaHistorico().sql, /AND status_anterior LIKE @statusLike/);
+  assert.equal(r.body.total, 2);
+  assert.equal(r.body.transicoes[0].fim, '2026-10-01T12:15:00.000Z');
+  assert.deepEqual(
+    { vezes: r.body.resumo['Pausa Lanche'].vezes, duracao: r.body.resumo['Pausa Lanche'].duracaoTotalSegundos },
+    { vezes: 2, duracao: 1500 }
+  );
+});
@@ -0,0 +1,105 @@
+// Diff de status entre rodadas e envio pelo stream SSE (/api/status-operadores/stream)
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { instalarFakeDb } = require('./helpers/fakeDb');
+
+let statusController;
+let internal;
+
+before(() => {
+  process.env.STATUS_EMPRESAS = 'STREAM_A,STREAM_B';
+  instalarFakeDb();
+  statusController = require('../controllers/statusController');
+  internal = statusController.__internal;
+});
+
+const u = (ramal, descricaoStatus, tempoStatusSegundos = 0) => ({ id_argus: ramal, descricaoStatus, tempoStatusSegundos });
+
+async function clienteSse(empresa) {
+  const req = new EventEmitter();
+  req.query = { empresa };
+  const res = {
+    chunks: [],
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+    flushHeaders() {},
+    write(chunk) { this.chunks.push(chunk); return true; }
+  };
+  await statusController.streamStatusOperadores(req, res);
+  const eventos = () => res.chunks.join('').split('\n\n').filter(b => b.includes('event: '))
+    .map(b => ({
+      event: /event: (.+)/.exec(b)[1],
+      data: JSON.parse(/data: (.+)/.exec(b)[1])
+    }));
+  return { req, res, eventos, fechar: () => req.emit('close') };
+}
+
+test('primeira rodada só registra a base; as seguintes trazem apenas o que mudou', () => {
+  const base = internal.computeStatusDiff('DIFF_A', [u('1', 'Disponível', 10), u('2', 'Pausa - Lanche', 30)]);
+  assert.deepEqual(base.mudancas, []);
+  assert.deepEqual(base.tempos, { 1: 10, 2: 30 });
+
+  const diff = internal.computeStatusDiff('DIFF_A', [u('1', 'Em atendimento', 2), u('2', 'Pausa - Lanche', 40)]);
+  assert.equal(diff.mudancas.length, 1);
+  assert.deepEqual(diff.mudancas[0], {
+    ramal: '1',
+    de: 'Disponível',
+    para: 'Em atendimento',
+    canonicoDe: 'LIVRE',
+    canonicoPara: 'ATENDIMENTO',
+    grupoDe: 'livre',
+    grupoPara: 'atendimento',
+    tempoStatus: 2
+  });
+  assert.deepEqual(diff.tempos, { 1: 2, 2: 40 });
+});
+
+test('ramal novo depois da base aparece como mudança sem "de"', () => {
+  internal.computeStatusDiff('DIFF_B', [u('1', 'Disponível')]);
+  const diff = internal.computeStatusDiff('DIFF_B', [u('9', 'Pausa - Banheiro', 5)]);
+  assert.equal(diff.mudancas.length, 1);
+  assert.equal(diff.mudancas[0].de, null);
+  assert.equal(diff.mudancas[0].grupoPara, 'pausa');
+});
+
+test('diff leva só mudanças e tempos (o painel conta os grupos a partir dos operadores filtrados)', () => {
+  internal.computeStatusDiff('DIFF_C', [u('1', 'Em atendimento'), u('2', 'Pausa - Lanche'), u('3', 'Deslogado')]);
+  const diff = internal.computeStatusDiff('DIFF_C', [u('4', 'Disponível')]);
+  assert.deepEqual(Object.keys(diff).sort(), ['mudancas', 'tempos']);
+});
+
+test('stream envia hello na assinatura e o diff só para clientes da mesma empresa', async () => {
+  const a = await clienteSse('STREAM_A');
+  const b = await clienteSse('stream_b'); // comparação sem caixa com a lista de empresas
+  try {
+    assert.equal(a.res.headers['content-type'], 'text/event-stream; charset=utf-8');
+    assert.equal(a.eventos()[0].event, 'hello');
+    assert.equal(a.eventos()[0].data.empresa, 'STREAM_A');
+
+    internal.publishStatusDiff('STREAM_A', [u('1', 'Disponível')]);
+    internal.publishStatusDiff('STREAM_A', [u('1', 'Em atendimento', 1)]);
+
+    const status = a.eventos().filter(e => e.event === 'status');
+    assert.equal(status.length, 2);
+    assert.equal(status[1].data.mudancas[0].para, 'Em atendimento');
+    assert.ok(status[1].data.seq > status[0].data.seq);
+    // sem polling durante o stream: o aviso de expediente precisa vir no evento
+    assert.equal(typeof status[1].data.fora_do_expediente, 'boolean');
+    assert.ok('expediente' in status[1].data);
+    assert.equal(b.eventos().filter(e => e.event === 'status').length, 0);
+  } finally {
+    a.fechar();
+    b.fechar();
+  }
+  assert.equal(internal.streamClientsCount(), 0);
+});
+
+test('stream recusa empresa fora da lista sem registrar cliente', async () => {
+  const c = await clienteSse('NAO_EXISTE');
+  assert.equal(c.res.statusCode, 400);
+  assert.equal(internal.streamClientsCount(), 0);
+});
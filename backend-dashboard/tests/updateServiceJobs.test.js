@@ -0,0 +1,116 @@
+// Jobs do updateService: falha sem exceção (controllers que devolvem { error }) vira falha do job
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarFakeDb } = require('./helpers/fakeDb');
+
+let updateService;
+let fake;
+const chamadas = { status: [], ranking: 0 };
+let statusResultado;
+let rankingResultado;
+
+const statusController = {
+  updateStatusOperadores: async () => ({ updated: 0 }),
+  updateStatusEmpresas: async (opts) => {
+    chamadas.status.push(opts);
+    return statusResultado;
+  }
+};
+const rankingController = {
+  updateRanking: async () => [],
+  updateAllRankings: async () => {
+    chamadas.ranking++;
+    return rankingResultado;
+  }
+};
+
+async function ocioso(job) {
+  while (updateService.getJobInfo(job).isRunning) await new Promise(res => setImmediate(res));
+}
+
+before(async () => {
+  fake = instalarFakeDb();
+  updateService = require('../services/updateService');
+  statusResultado = { empresas: 0, falhas: 0, resultados: {} };
+  rankingResultado = { empresas: 0, atualizadas: 0, puladas: 0, falhas: 0 };
+  updateService.scheduleDefaultJobs({ statusController, rankingController }, {
+    intervalMs: 60000, retries: 2, retryBaseMs: 1, jitter: false, runOnRegister: false, expediente: false
+  });
+  updateService.stopAll();
+  await ocioso('status');
+  await ocioso('ranking');
+});
+
+after(() => updateService.stopAll());
+
+test('status: todas as empresas em falha esgota os retries e conta em metrics.failures', async () => {
+  statusResultado = {
+    empresas: 2,
+    falhas: 2,
+    resultados: { EMP_A: { updated: 0, error: 'timeout' }, EMP_B: { skipped: true, reason: 'argus-circuit-open' } }
+  };
+  chamadas.status.length = 0;
+  const falhasAntes = updateService.getJobInfo('status').metrics.failures;
+
+  const r = await updateService.runJobNow('status');
+  assert.equal(r.ok, false);
+  assert.match(r.error.message, /EMP_A: timeout; EMP_B: argus-circuit-open/);
+  assert.equal(chamadas.status.length, 3, '1 tentativa + 2 retries');
+  assert.ok(chamadas.status.every(opts => opts && opts.ignorarBackoff));
+  assert.equal(updateService.getJobInfo('status').metrics.failures, falhasAntes + 1);
+});
+
+test('status: falha parcial não derruba o job', async () => {
+  statusResultado = {
+    empresas: 2,
+    falhas: 1,
+    resultados: { EMP_A: { updated: 3 }, EMP_B: { updated: 0, error: 'timeout' } }
+  };
+  chamadas.status.length = 0;
+  const r = await updateService.runJobNow('status');
+  assert.equal(r.ok, true);
+  assert.equal(chamadas.status.length, 1);
+});
+
+test('ranking: todas as empresas em falha é falha do job; puladas não contam', async () => {
+  rankingResultado = { empresas: 2, atualizadas: 0, puladas: 0, falhas: 2 };
+  chamadas.ranking = 0;
+  const r = await updateService.runJobNow('ranking');
+  assert.equal(r.ok, false);
+  assert.equal(chamadas.ranking, 3);
+
+  rankingResultado = { empresas: 2, atualizadas: 0, puladas: 1, falhas: 1 };
+  assert.equal((await updateService.runJobNow('ranking')).ok, true);
+});
+
+async function execucaoGravada(job) {
+  for (let i = 0; i < 50; i++) {
+    const c = fake.consultas.find(q => q.sql.includes('INSERT INTO') && q.params.job === job);
+    if (c) return c;
+    await new Promise(res => setTimeout(res, 5));
+  }
+  return null;
+}
+
+test('resultado { updated: 0, error } sem exceção é gravado como falha, com resumo', async () => {
+  let resultado = { updated: 0, error: 'discador fora' };
+  updateService.registerJob('job_resultado', async () => resultado, { retries: 0 });
+
+  fake.limpar();
+  const r = await updateService.runJobNow('job_resultado');
+  assert.equal(r.ok, false);
+  assert.equal(r.error.message, 'discador fora');
+  const exec = await execucaoGravada('job_resultado');
+  assert.ok(exec, 'execução gravada no histórico');
+  assert.equal(exec.params.resultado, 'falha');
+  assert.equal(exec.params.erro, 'discador fora');
+  assert.deepEqual(JSON.parse(exec.params.resumo), resultado);
+  assert.equal(updateService.getJobInfo('job_resultado').metrics.failures, 1);
+
+  // algo atualizado mesmo com erro parcial continua sendo sucesso
+  resultado = { updated: 2, error: 'um ramal falhou' };
+  fake.limpar();
+  assert.equal((await updateService.runJobNow('job_resultado')).ok, true);
+  assert.equal((await execucaoGravada('job_resultado')).params.resultado, 'sucesso');
+});
@@ -0,0 +1,136 @@
+// Cursor keyset (data_cadastro, id) de GET /api/vendas/recentes
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarFakeDb } = require('./helpers/fakeDb');
+
+let fake;
+let vendasController;
+let cadastrados = [];
+let colunaData = { col: 'data_cadastro', tipo: 'datetime', precisao: 3 };
+
+// banco em memória: aplica o filtro do cursor como o SQL gerado (TOP + ORDER BY data_cadastro, id)
+function responder(q, params) {
+  if (q.includes('INFORMATION_SCHEMA.COLUMNS')) return { recordset: [{ col: 'id' }, { col: 'produto' }, colunaData] };
+  if (q.includes('SYSDATETIME()')) return { recordset: [{ agora: '2026-10-19T10:00:00.0000000' }] };
+  if (q.includes('FROM colaboradores')) return { recordset: [{ id_new: 7, nome: 'Ana', equipe: 'Azul' }] };
+  if (q.includes('FROM cadastrados')) {
+    const chave = v => [v.ts, v.id];
+    let linhas = cadastrados.filter(v => v.valor >= params.min);
+    if (params.sinceId !== undefined) {
+      assert.match(q, /\[id\] > @sinceId/);
+      linhas = linhas.filter(v => v.ts > params.since || (v.ts === params.since && v.id > Number(params.sinceId)));
+    } else if (params.since !== undefined) {
+      linhas = linhas.filter(v => v.ts > params.since);
+    }
+    const desc = params.since === undefined;
+    assert.match(q, desc ? /ORDER BY data_cadastro DESC, \[id\] DESC/ : /ORDER BY data_cadastro ASC, \[id\] ASC/);
+    linhas.sort((a, b) => (chave(a)[0] < chave(b)[0] ? -1 : chave(a)[0] > chave(b)[0] ? 1 : a.id - b.id));
+    if (desc) linhas.reverse();
+    return {
+      recordset: linhas.slice(0, params.limit).map(v => ({
+        id: String(v.id),
+        idOrdem: v.id,
+        vendedor_id: '7',
+        valor: v.valor,
+        dataCadastro: v.ts.slice(0, 23),
+        cursorTs: v.ts
+      }))
+    };
+  }
+  return undefined;
+}
+
+function chamar(query) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; resolve(this); return this; }
+    };
+    vendasController.getVendasRecentes({ query, headers: {} }, res);
+  });
+}
+
+before(() => {
+  fake = instalarFakeDb(responder);
+  vendasController = require('../controllers/vendasController');
+});
+
+beforeEach(() => {
+  colunaData = { col: 'data_cadastro', tipo: 'datetime', precisao: 3 };
+  vendasController.__internal.clearCache();
+  fake.limpar();
+});
+
+test('vendas no mesmo instante que passam do limit vêm na chamada seguinte, sem repetir', async () => {
+  const ts = '2026-10-19T09:59:58.1233333'; // DATETIME .123 -> DATETIME2(7) .1233333
+  cadastrados = [
+    { id: 10, ts, valor: 1500 },
+    { id: 11, ts, valor: 2000 },
+    { id: 12, ts, valor: 3000 },
+    { id: 9, ts: '2026-10-19T09:59:57.5000000', valor: 1200 }
+  ];
+
+  const r1 = await chamar({ limit: '2', since: '2026-10-19T09:59:00' });
+  assert.deepEqual(r1.body.vendas.map(v => v.id), ['9', '10']);
+  assert.equal(r1.body.cursor, `${ts}|10`);
+
+  const r2 = await chamar({ limit: '2', since: r1.body.cursor });
+  assert.deepEqual(r2.body.vendas.map(v => v.id), ['11', '12']);
+  assert.equal(r2.body.cursor, `${ts}|12`);
+
+  const r3 = await chamar({ limit: '2', since: r2.body.cursor });
+  assert.deepEqual(r3.body.vendas, []);
+  assert.equal(r3.body.cursor, r2.body.cursor, 'sem venda nova o cursor não anda nem repete a última');
+});
+
+test('sem ?since= o cursor vazio vem do relógio do banco com precisão de DATETIME2(7)', async () => {
+  cadastrados = [];
+  const r = await chamar({});
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body.cursor, '2026-10-19T10:00:00.0000000');
+});
+
+test('cursor mal formado responde 400', async () => {
+  for (const since of ['ontem', '2026-10-19', '2026-10-19T10:00:00.12345678', '2026-10-19T10:00:00|1|2']) {
+    const r = await chamar({ since });
+    assert.equal(r.statusCode, 400, since);
+  }
+});
+
+test('cursor antigo (só data, sem id) continua aceito', async () => {
+  cadastrados = [{ id: 1, ts: '2026-10-19T09:59:59.0000000', valor: 5000 }];
+  const r = await chamar({ since: '2026-10-19T09:59:58.123' });
+  assert.equal(r.statusCode, 200);
+  assert.deepEqual(r.body.vendas.map(v => v.id), ['1']);
+});
+
+const consultaVendas = () => fake.consultas.find(c => c.sql.includes('FROM cadastrados'));
+
+test('o WHERE compara data_cadastro puro com o cursor convertido para o tipo da coluna', async () => {
+  cadastrados = [{ id: 1, ts: '2026-10-19T09:59:59.0000000', valor: 5000 }];
+  await chamar({ since: '2026-10-19T09:59:58.1233333|7' });
+  const { sql } = consultaVendas();
+  const where = sql.slice(sql.indexOf('WHERE'), sql.indexOf('ORDER BY'));
+  assert.doesNotMatch(where, /CAST\(data_cadastro/, 'sem função sobre a coluna no WHERE');
+  assert.match(where, /data_cadastro > CAST\(CONVERT\(DATETIME2\(7\), @since, 126\) AS DATETIME\)/);
+  assert.match(where, /data_cadastro = CAST\(CONVERT\(DATETIME2\(7\), @since, 126\) AS DATETIME\) AND \[id\] > @sinceId/);
+
+  colunaData = { col: 'data_cadastro', tipo: 'datetime2', precisao: 3 };
+  vendasController.__internal.clearCache();
+  fake.limpar();
+  await chamar({ since: '2026-10-19T09:59:58.123' });
+  assert.match(consultaVendas().sql, /data_cadastro > CAST\(CONVERT\(DATETIME2\(7\), @since, 126\) AS DATETIME2\(3\)\)/);
+});
+
+test('primeira chamada (sem ?since=) devolve as vendas mais novas da janela e o cursor na mais recente', async () => {
+  cadastrados = Array.from({ length: 5 }, (_, i) => ({ id: 20 + i, ts: `2026-10-19T09:5${5 + i}:00.0000000`, valor: 1000 }));
+  const r = await chamar({ limit: '2' });
+  assert.deepEqual(r.body.vendas.map(v => v.id), ['23', '24'], 'as 2 mais novas, em ordem cronológica');
+  assert.equal(r.body.cursor, '2026-10-19T09:59:00.0000000|24');
+  assert.match(consultaVendas().sql, /data_cadastro > DATEADD\(MINUTE, -@janela, GETDATE\(\)\)/);
+
+  const r2 = await chamar({ limit: '2', since: r.body.cursor });
+  assert.deepEqual(r2.body.vendas, [], 'nada da janela inicial volta como venda nova');
+});
@@ -0,0 +1,46 @@
+// utils/auth.js — middleware de autenticação compartilhado pelas rotas de debug/admin
+// Exporta:
+//  - requireDebugAuth(req, res, next) -> exige DEBUG_TOKEN quando definido (sem token = modo dev livre)
+//  - requireAdminAuth(req, res, next) -> sempre exige ADMIN_TOKEN (ou DEBUG_TOKEN); sem nenhum = 503
+//
+// Debug: o token vem do header x-debug-token, de ?debug_token= ou de Authorization (com ou sem "Bearer ").
+// Admin: só de header (x-admin-token, x-debug-token ou Authorization) — query string fica em log de proxy.
+
+function tokenDaRequisicao(req) {
+  return req.headers['x-debug-token'] || (req.query && req.query.debug_token) || req.headers['authorization'] || null;
+}
+
+function tokenDoHeader(req) {
+  return req.headers['x-admin-token'] || req.headers['x-debug-token'] || req.headers['authorization'] || null;
+}
+
+function tokenConfere(token, esperado) {
+  return !!token && (token === esperado || token === `Bearer ${esperado}`);
+}
+
+/**
+ * Middleware opcional de autenticação para rotas de debug/admin.
+ * DEBUG_TOKEN é lido a cada requisição (pode mudar sem restart em testes/dev).
+ */
+function requireDebugAuth(req, res, next) {
+  const esperado = process.env.DEBUG_TOKEN || null;
+  if (!esperado) return next(); // sem token = modo dev livre
+  if (tokenConfere(tokenDaRequisicao(req), esperado)) return next();
+  return res.status(401).json({ error: 'Unauthorized (debug token inválido ou ausente)' });
+}
+
+/**
+ * Autenticação obrigatória para rotas que alteram credenciais (ex.: token do Argus).
+ * Sem ADMIN_TOKEN/DEBUG_TOKEN configurado a rota fica fechada (503), nunca livre.
+ */
+function requireAdminAuth(req, res, next) {
+  const esperado = process.env.ADMIN_TOKEN || process.env.DEBUG_TOKEN || null;
+  if (!esperado) return res.status(503).json({ error: 'Rota administrativa desativada (defina ADMIN_TOKEN)' });
+  if (tokenConfere(tokenDoHeader(req), esperado)) return next();
+  return res.status(401).json({ error: 'Unauthorized (admin token inválido ou ausente no header)' });
+}
+
+module.exports = {
+  requireDebugAuth,
+  requireAdminAuth
+};
@@ -0,0 +1,162 @@
+// utils/cron.js — expressões cron de 5 campos (minuto hora dia mês dia-da-semana) com fuso horário
+// Sintaxe: *  n  a-b  */n  a-b/n  e listas separadas por vírgula; dia-da-semana 0-7 (0 e 7 = domingo).
+// Como no cron clássico, se dia-do-mês e dia-da-semana forem ambos restritos, basta um deles casar.
+// Exporta:
+//  - parseCron(expr)                    -> { expr, minutos, horas, dias, meses, semana, ... } (lança em erro)
+//  - proximaExecucao(cron, de, tz)      -> Date da próxima ocorrência estritamente após `de`
+//  - execucaoAnterior(cron, de, tz, ms) -> Date da última ocorrência em (de - ms, de], ou null
+
+const CAMPOS = [
+  { nome: 'minuto', min: 0, max: 59 },
+  { nome: 'hora', min: 0, max: 23 },
+  { nome: 'dia', min: 1, max: 31 },
+  { nome: 'mês', min: 1, max: 12 },
+  { nome: 'dia da semana', min: 0, max: 7 }
+];
+
+// dias de busca de proximaExecucao: cobre expressões como "0 0 29 2 *" (só em ano bissexto)
+const MAX_DIAS_BUSCA = 366 * 8;
+
+function parseCampo(txt, { nome, min, max }) {
+  const valores = new Set();
+  for (const parte of String(txt).split(',')) {
+    const m = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(parte);
+    if (!m) throw new Error(`cron: ${nome} inválido '${parte}'`);
+    const passo = m[2] ? Number(m[2]) : 1;
+    let ini = min;
+    let fim = max;
+    if (m[1] !== '*') {
+      const [a, b] = m[1].split('-').map(Number);
+      ini = a;
+      fim = b === undefined ? (m[2] ? max : a) : b;
+    }
+    if (passo < 1 || ini < min || fim > max || ini > fim) throw new Error(`cron: ${nome} fora do intervalo '${parte}'`);
+    for (let v = ini; v <= fim; v += passo) valores.add(v);
+  }
+  return valores;
+}
+
+/**
+ * Valida e compila a expressão. Lança erro descritivo (falha cedo no registerJob).
+ */
+function parseCron(expr) {
+  const partes = String(expr || '').trim().split(/\s+/);
+  if (partes.length !== 5) throw new Error(`cron: esperado 5 campos (min hora dia mês semana), recebido '${expr}'`);
+  const [minutos, horas, dias, meses, semana] = partes.map((p, i) => parseCampo(p, CAMPOS[i]));
+  if (semana.has(7)) semana.add(0);
+  return {
+    expr: partes.join(' '),
+    minutos: Array.from(minutos).sort((a, b) => a - b),
+    horas: Array.from(horas).sort((a, b) => a - b),
+    dias,
+    meses,
+    semana,
+    diaRestrito: partes[2] !== '*',
+    semanaRestrita: partes[4] !== '*'
+  };
+}
+
+/* ---------------------- fuso horário ---------------------- */
+
+const formatters = new Map();
+function formatter(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(tz);
+}
+
+// relógio de parede no fuso: { ano, mes, dia, hora, minuto }
+function relogio(date, tz) {
+  const p = {};
+  for (const part of formatter(tz).formatToParts(date)) p[part.type] = Number(part.value);
+  return { ano: p.year, mes: p.month, dia: p.day, hora: p.hour, minuto: p.minute, segundo: p.second };
+}
+
+// diferença (ms) entre o relógio do fuso e UTC no instante `ts`
+function offsetMs(ts, tz) {
+  const r = relogio(new Date(ts), tz);
+  return Date.UTC(r.ano, r.mes - 1, r.dia, r.hora, r.minuto, r.segundo) - Math.floor(ts / 1000) * 1000;
+}
+
+// horário de parede no fuso -> instante UTC; horário inexistente (início do horário de verão)
+// cai logo depois do salto, como no cron clássico
+function paraInstante(ano, mes, dia, hora, minuto, tz) {
+  const local = Date.UTC(ano, mes - 1, dia, hora, minuto);
+  const t1 = local - offsetMs(local, tz);
+  const t2 = local - offsetMs(t1, tz);
+  const casa = ts => {
+    const r = relogio(new Date(ts), tz);
+    return r.hora === hora && r.minuto === minuto;
+  };
+  if (casa(t2)) return t2;
+  if (casa(t1)) return t1;
+  return Math.max(t1, t2);
+}
+
+function casaDia(cron, ano, mes, dia) {
+  if (!cron.meses.has(mes)) return false;
+  const dow = new Date(Date.UTC(ano, mes - 1, dia)).getUTCDay();
+  const okDia = cron.dias.has(dia);
+  const okSemana = cron.semana.has(dow);
+  if (cron.diaRestrito && cron.semanaRestrita) return okDia || okSemana;
+  return okDia && okSemana;
+}
+
+/**
+ * Próxima ocorrência estritamente depois de `de` (Date | ms), no fuso `tz`.
+ */
+function proximaExecucao(cron, de = new Date(), tz = 'UTC') {
+  const c = typeof cron === 'string' ? parseCron(cron) : cron;
+  const deMs = de instanceof Date ? de.getTime() : Number(de);
+  const r = relogio(new Date(deMs), tz);
+
+  for (let i = 0; i < MAX_DIAS_BUSCA; i++) {
+    const d = new Date(Date.UTC(r.ano, r.mes - 1, r.dia + i));
+    const ano = d.getUTCFullYear();
+    const mes = d.getUTCMonth() + 1;
+    const dia = d.getUTCDate();
+    if (!casaDia(c, ano, mes, dia)) continue;
+    for (const hora of c.horas) {
+      if (i === 0 && hora < r.hora) continue;
+      for (const minuto of c.minutos) {
+        const ts = paraInstante(ano, mes, dia, hora, minuto, tz);
+        if (ts > deMs) return new Date(ts);
+      }
+    }
+  }
+  throw new Error(`cron: nenhuma ocorrência de '${c.expr}' nos próximos ${MAX_DIAS_BUSCA} dias`);
+}
+
+/**
+ * Última ocorrência em (de - janelaMs, de], ou null. Usada para recuperar execução perdida
+ * (ex.: servidor reiniciado às 18:02 com job das 18:00).
+ */
+function execucaoAnterior(cron, de = new Date(), tz = 'UTC', janelaMs = 0) {
+  if (!(janelaMs > 0)) return null;
+  const c = typeof cron === 'string' ? parseCron(cron) : cron;
+  const deMs = de instanceof Date ? de.getTime() : Number(de);
+  let ultima = null;
+  let cursor = deMs - janelaMs;
+  for (;;) {
+    const prox = proximaExecucao(c, cursor, tz).getTime();
+    if (prox > deMs) return ultima;
+    ultima = new Date(prox);
+    cursor = prox;
+  }
+}
+
+module.exports = {
+  parseCron,
+  proximaExecucao,
+  execucaoAnterior
+};
@@ -0,0 +1,63 @@
+// utils/helpers.js — utilidades compartilhadas pelos controllers
+// Exporta:
+//  - computeEtag(valor, ignorar)             -> ETag forte (sha1 do JSON)
+//  - sendJsonWithEtag(req, res, payload, o)  -> responde 304 se If-None-Match bater, senão JSON + ETag
+
+const crypto = require('crypto');
+
+/* ---------------------- ETag ---------------------- */
+
+// remove campos voláteis (ex.: horario_atual) antes do hash para que
+// o mesmo conteúdo gere o mesmo ETag entre reconstruções do cache
+function semCampos(valor, ignorar) {
+  if (!ignorar || !ignorar.length || !valor || typeof valor !== 'object' || Array.isArray(valor)) return valor;
+  const copia = { ...valor };
+  for (const k of ignorar) delete copia[k];
+  return copia;
+}
+
+/**
+ * ETag forte a partir do conteúdo JSON.
+ * @param {*} valor payload serializável
+ * @param {string[]} [ignorar] chaves de primeiro nível fora do hash
+ */
+function computeEtag(valor, ignorar = []) {
+  const body = JSON.stringify(semCampos(valor, ignorar));
+  const hash = crypto.createHash('sha1').update(body || '').digest('base64').replace(/=+$/, '');
+  return `"${hash}"`;
+}
+
+// If-None-Match pode trazer lista ("a", W/"b") ou "*"; comparação fraca (RFC 9110 §13.1.2)
+function etagConfere(header, etag) {
+  if (!header || !etag) return false;
+  const alvo = etag.replace(/^W\//, '');
+  return String(header).split(',').some(tag => {
+    const t = tag.trim();
+    return t === '*' || t.replace(/^W\//, '') === alvo;
+  });
+}
+
+/**
+ * Envia payload JSON com ETag de conteúdo e resposta condicional.
+ * Diferente do `fresh` do Express, não ignora If-None-Match quando o cliente
+ * manda `Cache-Control: no-cache` (o DashboardSemaforo sempre manda).
+ * @param {object} [opts] { status = 200, ignorar = [] }
+ */
+function sendJsonWithEtag(req, res, payload, opts = {}) {
+  const status = opts.status || 200;
+  const etag = computeEtag(payload, opts.ignorar);
+
+  res.setHeader('ETag', etag);
+  // cache intermediário pode guardar, mas precisa revalidar a cada uso
+  res.setHeader('Cache-Control', 'no-cache');
+
+  if (status === 200 && etagConfere(req.headers['if-none-match'], etag)) {
+    return res.status(304).end();
+  }
+  return res.status(status).json(payload);
+}
+
+module.exports = {
+  computeEtag,
+  sendJsonWithEtag
+};
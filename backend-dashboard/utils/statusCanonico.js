@@ -0,0 +1,60 @@
+// utils/statusCanonico.js — status canônico do operador, independente do discador
+// Cada adaptador (services/discador*.js) traduz o status nativo para um destes valores;
+// o semáforo agrupa pelo canônico (atendimento / pausa / livre / outros).
+// Exporta:
+//  - STATUS_CANONICO                 -> enum { ATENDIMENTO, PAUSA, LIVRE, OFFLINE, DESCONHECIDO }
+//  - normTexto(s)                    -> minúsculas sem acento (comparação de descrições)
+//  - mapeadorPorPalavras(regras)     -> fn(descricao) -> canônico (primeira regra cuja palavra aparece)
+//  - grupoDoCanonico(canonico)       -> 'atendimento' | 'pausa' | 'livre' | 'outros'
+//  - validarCanonico(valor)          -> canônico (lança em valor desconhecido)
+
+const STATUS_CANONICO = Object.freeze({
+  ATENDIMENTO: 'ATENDIMENTO',
+  PAUSA: 'PAUSA',
+  LIVRE: 'LIVRE',
+  OFFLINE: 'OFFLINE',
+  DESCONHECIDO: 'DESCONHECIDO'
+});
+
+// logados = atendimento + pausa + livre; OFFLINE e DESCONHECIDO ficam em "outros"
+const GRUPOS = {
+  ATENDIMENTO: 'atendimento',
+  PAUSA: 'pausa',
+  LIVRE: 'livre'
+};
+
+const normTexto = (s) => String(s || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+function validarCanonico(valor) {
+  const v = String(valor || '').trim().toUpperCase();
+  if (!STATUS_CANONICO[v]) {
+    throw new Error(`status canônico inválido: '${valor}' (use ${Object.keys(STATUS_CANONICO).join(', ')})`);
+  }
+  return v;
+}
+
+/**
+ * regras: [{ canonico: 'PAUSA', palavras: ['pausa'] }, ...] — ordem importa
+ * ("pós-atendimento" casa com 'atendimento' antes de qualquer regra posterior).
+ */
+function mapeadorPorPalavras(regras) {
+  const compiladas = regras.map(r => ({ canonico: validarCanonico(r.canonico), palavras: r.palavras.map(normTexto) }));
+  return (descricao) => {
+    const txt = normTexto(descricao);
+    if (!txt) return STATUS_CANONICO.DESCONHECIDO;
+    const r = compiladas.find(rg => rg.palavras.some(p => txt.includes(p)));
+    return r ? r.canonico : STATUS_CANONICO.DESCONHECIDO;
+  };
+}
+
+function grupoDoCanonico(canonico) {
+  return GRUPOS[canonico] || 'outros';
+}
+
+module.exports = {
+  STATUS_CANONICO,
+  normTexto,
+  mapeadorPorPalavras,
+  grupoDoCanonico,
+  validarCanonico
+};
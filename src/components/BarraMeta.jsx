@@ -0,0 +1,58 @@
+import React from 'react';
+
+const formatCurrency = (value) => {
+  return new Intl.NumberFormat('pt-BR', {
+    style: 'currency',
+    currency: 'BRL',
+    minimumFractionDigits: 2
+  }).format(value || 0);
+};
+
+const TEMAS = {
+  escuro: { trilho: 'rgba(255, 255, 255, 0.15)', texto: '#ffffff' },
+  claro: { trilho: '#dfe4ec', texto: '#626262' },
+};
+
+// cor por faixa de atingimento (mesmos cortes do semáforo)
+const corDoPercentual = (p) => {
+  if (p >= 100) return '#1db219';
+  if (p >= 75) return '#84cc16';
+  if (p >= 50) return '#facc15';
+  if (p >= 25) return '#f97316';
+  return '#ef4444';
+};
+
+// Barra de progresso da meta do vendedor (campos meta/percentualMeta/faltante do /api/ranking).
+// Não renderiza nada quando o vendedor não tem meta.
+const BarraMeta = ({ vendedor, tema = 'escuro' }) => {
+  const meta = Number(vendedor && vendedor.meta) || 0;
+  if (meta <= 0) return null;
+
+  const cores = TEMAS[tema] || TEMAS.escuro;
+  const percentual = Number(vendedor.percentualMeta) || 0;
+  const faltante = Number(vendedor.faltante) || 0;
+  const largura = Math.min(100, Math.max(0, percentual));
+
+  return (
+    <div style={{ marginTop: 8, width: '100%' }}>
+      <div style={{ height: 10, borderRadius: 999, background: cores.trilho, overflow: 'hidden' }}>
+        <div
+          style={{
+            width: `${largura}%`,
+            height: '100%',
+            borderRadius: 999,
+            background: corDoPercentual(percentual),
+            transition: 'width .6s ease',
+          }}
+        />
+      </div>
+      <span style={{ display: 'block', marginTop: 4, fontSize: '0.95rem', fontWeight: 700, color: cores.texto }}>
+        {faltante > 0
+          ? `${percentual.toLocaleString('pt-BR')}% da meta · faltam ${formatCurrency(faltante)}`
+          : `Meta de ${formatCurrency(meta)} batida! (${percentual.toLocaleString('pt-BR')}%)`}
+      </span>
+    </div>
+  );
+};
+
+export default BarraMeta;
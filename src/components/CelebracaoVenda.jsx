@@ -0,0 +1,33 @@
+import React from "react";
+
+const userDefault = "/user-default.png";
+
+const formatCurrency = (value) => {
+  return new Intl.NumberFormat("pt-BR", {
+    style: "currency",
+    currency: "BRL",
+    minimumFractionDigits: 2,
+  }).format(value || 0);
+};
+
+// Cartão de tela cheia para uma nova venda (item do /api/vendas/recentes)
+export default function CelebracaoVenda({ venda }) {
+  if (!venda) return null;
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-gradient-to-br from-green-600 via-green-500 to-blue-600">
+      <div className="flex flex-col items-center text-center text-white px-8">
+        <span className="text-6xl font-extrabold tracking-wide drop-shadow mb-8 animate-bounce">🎉 NOVA VENDA! 🎉</span>
+        <img
+          src={venda.foto && venda.foto.trim() !== "" ? venda.foto : userDefault}
+          alt={venda.nome}
+          className="w-56 h-56 rounded-full object-cover border-8 border-white shadow-2xl bg-white mb-8"
+          onError={(e) => { e.currentTarget.src = userDefault; }}
+        />
+        <span className="text-7xl font-extrabold drop-shadow">{venda.nome}</span>
+        <span className="text-3xl font-bold opacity-90 mt-3">Equipe: {venda.equipe}</span>
+        <span className="text-8xl font-extrabold drop-shadow mt-10">{formatCurrency(venda.valor)}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import { apiUrl } from '../utils/api';
+
+const TEMPO_ATUALIZACAO = 30 * 1000;
+const MAX_EQUIPES = 8;
+
+const TITULOS = {
+  dia: 'Ranking de Equipes — Hoje',
+  semana: 'Ranking de Equipes — Semana',
+  mes: 'Ranking de Equipes — Mês',
+};
+
+const formatCurrency = (value) => {
+  return new Intl.NumberFormat('pt-BR', {
+    style: 'currency',
+    currency: 'BRL',
+    minimumFractionDigits: 2
+  }).format(value || 0);
+};
+
+const userDefault = "/user-default.png";
+
+const styles = {
+  page: {
+    background: 'linear-gradient(135deg, #0d0f17 0%, #141a28 100%)',
+    minHeight: '100vh',
+    width: '100%',
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    overflow: 'hidden',
+    fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+  },
+  logo: {
+    width: 220,
+    margin: '32px auto 8px',
+    display: 'block',
+  },
+  title: {
+    fontSize: '2.2rem',
+    fontWeight: 900,
+    color: '#ffffff',
+    letterSpacing: 0.3,
+    textShadow: '0 2px 6px rgba(0,0,0,0.5)',
+    textAlign: 'center',
+    marginBottom: 24,
+  },
+  list: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 14,
+    width: '100%',
+    maxWidth: 1140,
+    padding: '0 24px 48px',
+    boxSizing: 'border-box',
+  },
+  item: {
+    display: 'grid',
+    gridTemplateColumns: '64px 1fr 300px 240px',
+    alignItems: 'center',
+    background: 'rgba(30, 35, 50, 0.85)',
+    borderRadius: 18,
+    border: '1px solid rgba(255, 255, 255, 0.12)',
+    boxShadow: '0 8px 28px rgba(0,0,0,0.45)',
+    padding: '14px 16px',
+    color: '#ffffff',
+    fontFamily: 'Poppins, Arial, sans-serif',
+  },
+  lider: {
+    background: 'linear-gradient(90deg, #2a2a2a 0%, #0583ea 100%)',
+    border: '3px solid #0583ea',
+  },
+  posicao: {
+    fontSize: 34,
+    fontWeight: 900,
+    color: '#0583ea',
+    textAlign: 'center',
+  },
+  equipe: {
+    fontSize: '1.5rem',
+    fontWeight: 900,
+    lineHeight: 1.15,
+  },
+  detalhe: {
+    fontSize: '1rem',
+    fontWeight: 700,
+    opacity: 0.85,
+  },
+  top: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 10,
+    minWidth: 0,
+  },
+  topFoto: {
+    width: 52,
+    height: 52,
+    borderRadius: '50%',
+    objectFit: 'cover',
+    border: '3px solid #0583ea',
+    background: '#fff',
+    flexShrink: 0,
+  },
+  topNome: {
+    fontSize: '1.05rem',
+    fontWeight: 800,
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  total: {
+    fontSize: '1.7rem',
+    fontWeight: 900,
+    textAlign: 'right',
+    whiteSpace: 'nowrap',
+  },
+  loadingText: {
+    fontSize: 22,
+    color: '#aaa',
+    textAlign: 'center',
+    marginTop: 48,
+  },
+};
+
+// periodo: 'dia' (padrão) | 'semana' | 'mes'
+const DashboardEquipes = ({ periodo = 'dia' } = {}) => {
+  const [equipes, setEquipes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const res = await fetch(apiUrl(`/api/ranking/equipes?empresa=VIEIRACRED&periodo=${periodo}`));
+        if (!res.ok) throw new Error(`Erro HTTP: ${res.status}`);
+        const data = await res.json();
+        setEquipes(Array.isArray(data) ? data : (Array.isArray(data.equipes) ? data.equipes : []));
+        setError(null);
+      } catch (err) {
+        console.error("Erro ao buscar ranking de equipes:", err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+    const interval = setInterval(fetchData, TEMPO_ATUALIZACAO);
+    return () => clearInterval(interval);
+  }, [periodo]);
+
+  return (
+    <div style={styles.page}>
+      <img src="/vieiracred-branco.png" alt="Vieiracred" style={styles.logo} />
+      <h1 style={styles.title}>{TITULOS[periodo] || TITULOS.dia}</h1>
+
+      {loading ? (
+        <span style={styles.loadingText}>Carregando equipes...</span>
+      ) : error && !equipes.length ? (
+        <span style={styles.loadingText}>Erro: {error}</span>
+      ) : !equipes.length ? (
+        <span style={styles.loadingText}>Nenhum dado disponível</span>
+      ) : (
+        <div style={styles.list}>
+          {equipes.slice(0, MAX_EQUIPES).map((eq, idx) => (
+            <div key={eq.equipe} style={idx === 0 ? { ...styles.item, ...styles.lider } : styles.item}>
+              <span style={styles.posicao}>{eq.posicao || idx + 1}</span>
+              <div>
+                <div style={styles.equipe}>{eq.equipe}</div>
+                <div style={styles.detalhe}>
+                  {eq.vendedores} vendedores · média {formatCurrency(eq.mediaPorVendedor)}
+                </div>
+              </div>
+              {eq.topVendedor ? (
+                <div style={styles.top}>
+                  <img
+                    src={eq.topVendedor.foto && eq.topVendedor.foto.trim() !== "" ? eq.topVendedor.foto : userDefault}
+                    alt={eq.topVendedor.nome}
+                    style={styles.topFoto}
+                    onError={(e) => { e.currentTarget.src = userDefault; }}
+                  />
+                  <div style={{ minWidth: 0 }}>
+                    <div style={styles.topNome}>{eq.topVendedor.nome}</div>
+                    <div style={styles.detalhe}>{formatCurrency(eq.topVendedor.valorVendido)}</div>
+                  </div>
+                </div>
+              ) : (
+                <span style={styles.detalhe}>Sem vendas</span>
+              )}
+              <span style={styles.total}>{formatCurrency(eq.totalVendido)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DashboardEquipes;
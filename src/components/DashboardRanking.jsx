@@ -1,18 +1,48 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { apiUrl } from '../utils/api';
+import { FiArrowUp, FiArrowDown } from 'react-icons/fi';
+import BarraMeta from './BarraMeta';
+
+// Subida/descida desde a atualização anterior (campo variacao do /api/ranking)
+const Variacao = ({ variacao }) => {
+  const v = Number(variacao) || 0;
+  if (!v) return null;
+  const sobe = v > 0;
+  return (
+    <span
+      title={sobe ? `Subiu ${v} posição(ões)` : `Caiu ${-v} posição(ões)`}
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        fontSize: 16,
+        fontWeight: 900,
+        color: sobe ? '#1db219' : '#ef4444',
+      }}
+    >
+      {sobe ? <FiArrowUp /> : <FiArrowDown />}
+      {sobe ? `+${v}` : v}
+    </span>
+  );
+};
 
 // Posição SEM emojis (número grande e consistente)
-const renderPosicao = (idx) => {
+const renderPosicao = (idx, variacao) => {
   const style = {
     width: 64,
     display: 'flex',
+    flexDirection: 'column',
     alignItems: 'center',
     justifyContent: 'center',
     fontSize: 38,
     fontWeight: 900,
     color: '#0583ea'
   };
-  return <div style={style}>{idx + 1}</div>;
+  return (
+    <div style={style}>
+      {idx + 1}
+      <Variacao variacao={variacao} />
+    </div>
+  );
 };
 
 const formatCurrency = (value) => {
@@ -23,6 +53,25 @@ const formatCurrency = (value) => {
   }).format(value);
 };
 
+// Critérios de classificação (?criterio= do /api/ranking): rótulo e valor exibido na coluna de valor
+const CRITERIOS_RANKING = {
+  valor: { rotulo: 'Total vendido', exibe: (v) => formatCurrency(v.valorVendido) },
+  quantidade: {
+    rotulo: 'Contratos',
+    exibe: (v) => `${Number(v.quantidade) || 0} ${Number(v.quantidade) === 1 ? 'contrato' : 'contratos'}`,
+  },
+  ticket_medio: { rotulo: 'Ticket médio', exibe: (v) => formatCurrency(Number(v.ticketMedio) || 0) },
+};
+const CRITERIO_PADRAO = process.env.REACT_APP_RANKING_CRITERIO || 'valor';
+
+// Filtro de campanha (?produto=&convenio= do /api/ranking), ex.: FGTS, INSS
+const PRODUTO_PADRAO = process.env.REACT_APP_RANKING_PRODUTO || '';
+const CONVENIO_PADRAO = process.env.REACT_APP_RANKING_CONVENIO || '';
+
+const filtroQuery = ({ produto, convenio }) =>
+  (produto ? `&produto=${encodeURIComponent(produto)}` : '') +
+  (convenio ? `&convenio=${encodeURIComponent(convenio)}` : '');
+
 const styles = {
   page: {
     background: 'linear-gradient(135deg, #0d0f17 0%, #141a28 100%)',
@@ -55,6 +104,124 @@ const styles = {
     letterSpacing: 0.3,
     textShadow: '0 2px 6px rgba(0,0,0,0.5)',
   },
+  badge: {
+    display: 'inline-block',
+    marginLeft: 14,
+    padding: '4px 16px',
+    borderRadius: 999,
+    background: '#0583ea',
+    color: '#ffffff',
+    fontSize: '1.1rem',
+    fontWeight: 800,
+    letterSpacing: 0.5,
+    verticalAlign: 'middle',
+    textShadow: 'none',
+  },
+  tabs: {
+    display: 'flex',
+    justifyContent: 'center',
+    gap: 12,
+    marginTop: 14,
+  },
+  tab: {
+    background: 'rgba(30, 35, 50, 0.85)',
+    color: '#aaa',
+    border: '1px solid rgba(255, 255, 255, 0.12)',
+    borderRadius: 999,
+    padding: '6px 22px',
+    fontSize: '1.05rem',
+    fontWeight: 700,
+    cursor: 'pointer',
+  },
+  tabAtiva: {
+    background: '#0583ea',
+    color: '#ffffff',
+    border: '1px solid #0583ea',
+  },
+  celebracao: {
+    position: 'fixed',
+    top: 24,
+    left: '50%',
+    transform: 'translateX(-50%)',
+    zIndex: 40,
+    display: 'flex',
+    alignItems: 'center',
+    gap: 18,
+    padding: '16px 32px',
+    borderRadius: 22,
+    background: 'linear-gradient(90deg, #1db219 0%, #0583ea 100%)',
+    boxShadow: '0 0 40px rgba(29, 178, 25, 0.6)',
+    color: '#ffffff',
+    fontFamily: 'Poppins, Arial, sans-serif',
+    animation: 'glow 1.5s ease-in-out infinite',
+  },
+  celebracaoFoto: {
+    width: 84,
+    height: 84,
+    borderRadius: '50%',
+    objectFit: 'cover',
+    border: '4px solid #ffffff',
+    background: '#fff',
+  },
+  celebracaoTitulo: {
+    fontSize: '1.6rem',
+    fontWeight: 900,
+  },
+  celebracaoNome: {
+    fontSize: '2rem',
+    fontWeight: 900,
+    textShadow: '0 2px 6px rgba(0,0,0,0.4)',
+  },
+  tabela: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 8,
+    width: '100%',
+  },
+  linha: {
+    display: 'grid',
+    gridTemplateColumns: '80px 1fr 260px 220px',
+    alignItems: 'center',
+    background: 'rgba(30, 35, 50, 0.85)',
+    borderRadius: 14,
+    border: '1px solid rgba(255, 255, 255, 0.12)',
+    padding: '10px 16px',
+    color: '#ffffff',
+    fontFamily: 'Poppins, Arial, sans-serif',
+  },
+  linhaPosicao: {
+    fontSize: '1.5rem',
+    fontWeight: 900,
+    color: '#0583ea',
+  },
+  linhaNome: {
+    display: 'block',
+    fontSize: '1.3rem',
+    fontWeight: 800,
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  linhaEquipe: {
+    fontSize: '1.05rem',
+    fontWeight: 700,
+    opacity: 0.85,
+  },
+  linhaValor: {
+    fontSize: '1.4rem',
+    fontWeight: 900,
+    textAlign: 'right',
+  },
+  cabecalho: {
+    display: 'grid',
+    gridTemplateColumns: '80px 1fr 260px 220px',
+    padding: '0 16px',
+    color: '#aaa',
+    fontSize: '0.95rem',
+    fontWeight: 800,
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
   contentContainer: {
     width: '100%',
     maxWidth: 1040,
@@ -157,6 +324,14 @@ const styles = {
     textShadow: '0 2px 6px rgba(0,0,0,0.6)',
     filter: 'drop-shadow(0 0 3px rgba(0,0,0,0.9))',
   },
+  valorRotulo: {
+    display: 'block',
+    fontSize: '0.9rem',
+    fontWeight: 700,
+    opacity: 0.8,
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
   loadingContainer: {
     flex: 1,
     display: 'flex',
@@ -174,7 +349,7 @@ const styles = {
 
 const userDefault = "/user-default.png";
 
-const RankingList = ({ data }) => (
+const RankingList = ({ data, criterio }) => (
   <div style={styles.list}>
     {data.slice(0, 5).map((vendedor, idx) => {
       const itemStyle = { ...styles.item, ...styles.top5Item };
@@ -185,7 +360,7 @@ const RankingList = ({ data }) => (
           key={vendedor.vendedor_id || vendedor.usuario_id || vendedor.id || idx}
           style={itemStyle}
         >
-          {renderPosicao(idx)}
+          {renderPosicao(idx, vendedor.variacao)}
           <div style={photoStyle}>
             <img
               src={vendedor.foto && vendedor.foto.trim() !== "" ? vendedor.foto : userDefault}
@@ -197,9 +372,11 @@ const RankingList = ({ data }) => (
           <div style={styles.infoCol}>
             <span style={styles.nome}>{vendedor.nome}</span>
             <span style={styles.equipe}><b>Equipe:</b> {vendedor.equipe}</span>
+            <BarraMeta vendedor={vendedor} />
           </div>
           <span style={styles.valor}>
-            <b>{formatCurrency(vendedor.valorVendido)}</b>
+            <span style={styles.valorRotulo}>{criterio.rotulo}</span>
+            <b>{criterio.exibe(vendedor)}</b>
           </span>
         </div>
       );
@@ -207,59 +384,267 @@ const RankingList = ({ data }) => (
   </div>
 );
 
-const Ranking = () => {
-  const [rankingData, setRankingData] = useState([]);
-  const [loading, setLoading] = useState(true);
+// Períodos exibidos em rotação (?periodo= do /api/ranking)
+const PERIODOS_RANKING = [
+  { id: 'dia', aba: 'Hoje', titulo: 'Ranking de Vendas Diário' },
+  { id: 'semana', aba: 'Semana', titulo: 'Ranking de Vendas Semanal' },
+  { id: 'mes', aba: 'Mês', titulo: 'Ranking de Vendas Mensal' },
+];
+const TEMPO_PERIODO = 10 * 1000;   // troca de período a cada 10 segundos
+const TEMPO_ATUALIZACAO = 30 * 1000;
+const TEMPO_CELEBRACAO = 8 * 1000;  // destaque do novo 1º lugar
+const POR_PAGINA = 10;              // linhas por página na classificação completa
+const TEMPO_PAGINA = 8 * 1000;      // troca de página a cada 8 segundos
+
+const normalizaRanking = (data) => {
+  const rankingArray = Array.isArray(data) ? data : (Array.isArray(data.ranking) ? data.ranking : []);
+  const formatted = rankingArray.map(item => ({
+    ...item,
+    valorVendido:
+      typeof item.valorVendido === 'string'
+        ? parseFloat(item.valorVendido.replace('R$', '').replace(/\./g, '').replace(',', '.')) || 0
+        : (item.valorVendido || 0)
+  }));
+  // a API já ordena pelo critério pedido; sem posição, cai para o valor vendido
+  formatted.sort((a, b) => (a.posicao && b.posicao ? a.posicao - b.posicao : b.valorVendido - a.valorVendido));
+  return formatted;
+};
+
+// Classificação completa: pagina por todos os vendedores com venda no período
+// (?limit=&offset=) e chama onFim ao passar da última página; filtro = trecho de query de filtroQuery()
+const ClassificacaoCompleta = ({ periodo, criterio, filtro = '', onFim }) => {
+  const [pagina, setPagina] = useState(0);
+  const [dados, setDados] = useState({ ranking: [], total: 0 });
+  const [carregando, setCarregando] = useState(true);
+  const onFimRef = useRef(onFim);
+  onFimRef.current = onFim;
+
+  const totalPaginas = Math.max(1, Math.ceil(dados.total / POR_PAGINA));
+
+  useEffect(() => {
+    let ativo = true;
+    const fetchPagina = async () => {
+      try {
+        const offset = pagina * POR_PAGINA;
+        const res = await fetch(apiUrl(`/api/ranking?empresa=VIEIRACRED&periodo=${periodo}&criterio=${criterio}${filtro}&limit=${POR_PAGINA}&offset=${offset}`));
+        if (!res.ok) throw new Error(`Erro HTTP: ${res.status}`);
+        const data = await res.json();
+        if (!ativo) return;
+        setDados({ ranking: normalizaRanking(data), total: Number(data.total) || 0 });
+      } catch (err) {
+        console.error("Erro ao buscar classificação:", err);
+      } finally {
+        if (ativo) setCarregando(false);
+      }
+    };
+    fetchPagina();
+    return () => { ativo = false; };
+  }, [periodo, criterio, filtro, pagina]);
+
+  useEffect(() => {
+    if (carregando) return undefined;
+    const timer = setTimeout(() => {
+      if (pagina + 1 < totalPaginas) {
+        setPagina(pagina + 1);
+      } else {
+        setPagina(0);
+        if (onFimRef.current) onFimRef.current();
+      }
+    }, TEMPO_PAGINA);
+    return () => clearTimeout(timer);
+  }, [pagina, totalPaginas, carregando]);
+
+  if (carregando) {
+    return (
+      <div style={styles.loadingContainer}>
+        <span style={styles.loadingText}>Carregando classificação...</span>
+      </div>
+    );
+  }
+  if (!dados.ranking.length) {
+    return (
+      <div style={styles.loadingContainer}>
+        <span style={styles.loadingText}>Nenhum dado disponível</span>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.list}>
+      <div style={styles.tabela}>
+        <div style={styles.cabecalho}>
+          <span>Posição</span>
+          <span>Vendedor</span>
+          <span>Equipe</span>
+          <span style={{ textAlign: 'right' }}>{CRITERIOS_RANKING[criterio].rotulo}</span>
+        </div>
+        {dados.ranking.map((vendedor, idx) => (
+          <div key={vendedor.id || idx} style={styles.linha}>
+            <span style={styles.linhaPosicao}>
+              {vendedor.posicao || pagina * POR_PAGINA + idx + 1}º <Variacao variacao={vendedor.variacao} />
+            </span>
+            <div style={{ minWidth: 0, paddingRight: 16 }}>
+              <span style={styles.linhaNome}>{vendedor.nome}</span>
+              <BarraMeta vendedor={vendedor} />
+            </div>
+            <span style={styles.linhaEquipe}>{vendedor.equipe}</span>
+            <span style={styles.linhaValor}>{CRITERIOS_RANKING[criterio].exibe(vendedor)}</span>
+          </div>
+        ))}
+      </div>
+      <span style={styles.loadingText}>
+        Página {pagina + 1} de {totalPaginas} · {dados.total} vendedores
+      </span>
+    </div>
+  );
+};
+
+// periodo (opcional): fixa um período e desliga a rotação
+// modo (opcional): 'auto' (padrão: top 5 e em seguida a classificação completa de cada período),
+//   'top' (só top 5) ou 'completo' (só a classificação completa paginada)
+// criterio (opcional): 'valor' (padrão, ou REACT_APP_RANKING_CRITERIO), 'quantidade' ou 'ticket_medio'
+// produto/convenio (opcionais): ranking de campanha, exibidos como selo no título
+const Ranking = ({
+  periodo: periodoFixo,
+  modo: modoInicial = 'auto',
+  criterio: criterioProp = CRITERIO_PADRAO,
+  produto = PRODUTO_PADRAO,
+  convenio = CONVENIO_PADRAO,
+} = {}) => {
+  const criterio = CRITERIOS_RANKING[criterioProp] ? criterioProp : 'valor';
+  const filtro = filtroQuery({ produto, convenio });
+  const selo = [produto, convenio].filter(Boolean).join(' · ');
+  const periodos = periodoFixo
+    ? PERIODOS_RANKING.filter(p => p.id === periodoFixo)
+    : PERIODOS_RANKING;
+  const [periodoIdx, setPeriodoIdx] = useState(0);
+  const [dadosPorPeriodo, setDadosPorPeriodo] = useState({});
   const [error, setError] = useState(null);
+  const [modo, setModo] = useState(modoInicial);
+  const [etapa, setEtapa] = useState('top'); // no modo 'auto': 'top' -> 'completo' -> próximo período
+  const [celebracao, setCelebracao] = useState(null);
+  const liderRef = useRef({}); // periodo -> id do 1º lugar visto por último
+
+  const periodoAtual = periodos[periodoIdx] || PERIODOS_RANKING[0];
+  const rankingData = dadosPorPeriodo[periodoAtual.id];
+  const loading = rankingData === undefined && !error;
+
+  const exibicao = modo === 'auto' ? etapa : modo;
+
+  const proximoPeriodo = () => setPeriodoIdx(prev => (prev + 1) % periodos.length);
+  const fimClassificacao = () => {
+    if (modo === 'auto') setEtapa('top');
+    if (periodos.length > 1) proximoPeriodo();
+  };
+
+  // rotação: o top 5 fica TEMPO_PERIODO na tela e dá lugar à classificação completa (modo 'auto')
+  // ou ao próximo período; na classificação completa quem avança é a última página
+  useEffect(() => {
+    if (exibicao === 'completo' || (modo !== 'auto' && periodos.length < 2)) return undefined;
+    const timer = setTimeout(() => {
+      if (modo === 'auto') setEtapa('completo');
+      else setPeriodoIdx(prev => (prev + 1) % periodos.length);
+    }, TEMPO_PERIODO);
+    return () => clearTimeout(timer);
+  }, [periodoIdx, periodos.length, modo, exibicao]);
 
   useEffect(() => {
+    if (exibicao === 'completo') return undefined;
+    const periodo = periodoAtual.id;
     const fetchData = async () => {
       try {
-        const res = await fetch(apiUrl("/api/ranking?empresa=VIEIRACRED"));
+        const res = await fetch(apiUrl(`/api/ranking?empresa=VIEIRACRED&periodo=${periodo}&criterio=${criterio}${filtro}`));
         if (!res.ok) throw new Error(`Erro HTTP: ${res.status}`);
         const data = await res.json();
-        const rankingArray = Array.isArray(data) ? data : (Array.isArray(data.ranking) ? data.ranking : []);
-        const formatted = rankingArray.map(item => ({
-          ...item,
-          valorVendido:
-            typeof item.valorVendido === 'string'
-              ? parseFloat(item.valorVendido.replace('R$', '').replace(/\./g, '').replace(',', '.')) || 0
-              : (item.valorVendido || 0)
-        }));
-        formatted.sort((a, b) => b.valorVendido - a.valorVendido);
-        setRankingData(formatted);
+        const lista = normalizaRanking(data);
+        const lider = lista[0];
+        const liderAnterior = liderRef.current[periodo];
+        if (lider && liderAnterior && liderAnterior !== lider.id) {
+          setCelebracao({ nome: lider.nome, foto: lider.foto, periodo });
+        }
+        if (lider) liderRef.current[periodo] = lider.id;
+        setDadosPorPeriodo(prev => ({ ...prev, [periodo]: lista }));
+        setError(null);
       } catch (err) {
         console.error("Erro ao buscar ranking:", err);
         setError(err.message);
-        setRankingData([]);
-      } finally {
-        setLoading(false);
+        setDadosPorPeriodo(prev => ({ ...prev, [periodo]: prev[periodo] || [] }));
       }
     };
 
     fetchData();
-    const interval = setInterval(fetchData, 30000);
+    const interval = setInterval(fetchData, TEMPO_ATUALIZACAO);
     return () => clearInterval(interval);
-  }, []);
+  }, [periodoAtual.id, exibicao, criterio, filtro]);
+
+  useEffect(() => {
+    if (!celebracao) return undefined;
+    const timer = setTimeout(() => setCelebracao(null), TEMPO_CELEBRACAO);
+    return () => clearTimeout(timer);
+  }, [celebracao]);
 
   return (
     <div style={styles.page}>
+      {celebracao && (
+        <div style={styles.celebracao}>
+          <img
+            src={celebracao.foto && celebracao.foto.trim() !== "" ? celebracao.foto : userDefault}
+            alt={celebracao.nome}
+            style={styles.celebracaoFoto}
+            onError={(e) => { e.currentTarget.src = userDefault; }}
+          />
+          <div>
+            <div style={styles.celebracaoTitulo}>🏆 Novo 1º lugar!</div>
+            <div style={styles.celebracaoNome}>{celebracao.nome}</div>
+          </div>
+        </div>
+      )}
       <img src="/vieiracred-branco.png" alt="Vieiracred" style={styles.logo} />
       <div style={styles.titleWrap}>
-        <h1 style={styles.title}>Ranking de Vendas Diário</h1>
+        <h1 style={styles.title}>
+          {periodoAtual.titulo}
+          {selo && <span style={styles.badge}>{selo}</span>}
+        </h1>
+        <div style={styles.tabs}>
+          {periodos.length > 1 && periodos.map((p, idx) => (
+            <button
+              key={p.id}
+              type="button"
+              onClick={() => setPeriodoIdx(idx)}
+              style={idx === periodoIdx ? { ...styles.tab, ...styles.tabAtiva } : styles.tab}
+            >
+              {p.aba}
+            </button>
+          ))}
+          <button
+            type="button"
+            onClick={() => setModo(exibicao === 'completo' ? 'top' : 'completo')}
+            style={styles.tab}
+          >
+            {exibicao === 'completo' ? 'Top 5' : 'Classificação completa'}
+          </button>
+        </div>
       </div>
 
       <div style={styles.contentContainer}>
-        {loading ? (
+        {exibicao === 'completo' ? (
+          <ClassificacaoCompleta
+            key={`${periodoAtual.id}|${criterio}|${selo}`}
+            periodo={periodoAtual.id}
+            criterio={criterio}
+            filtro={filtro}
+            onFim={modo === 'auto' || periodos.length > 1 ? fimClassificacao : undefined}
+          />
+        ) : loading ? (
           <div style={styles.loadingContainer}>
             <span style={styles.loadingText}>Carregando ranking...</span>
           </div>
-        ) : error ? (
+        ) : error && !(rankingData && rankingData.length) ? (
           <div style={styles.loadingContainer}>
             <span style={styles.loadingText}>Erro: {error}</span>
           </div>
         ) : rankingData.length > 0 ? (
-          <RankingList data={rankingData} />
+          <RankingList data={rankingData} criterio={CRITERIOS_RANKING[criterio]} />
         ) : (
           <div style={styles.loadingContainer}>
             <span style={styles.loadingText}>Nenhum dado disponível</span>
@@ -1,10 +1,11 @@
 import React, { useEffect, useRef, useState } from "react";
 import { apiUrl } from "../utils/api";
-import { FiPhone, FiPause, FiCheck, FiUsers, FiZap, FiCheckCircle } from "react-icons/fi";
+import { FiPhone, FiPause, FiCheck, FiUsers, FiZap, FiCheckCircle, FiMoon } from "react-icons/fi";
 
 const STATUS_CONFIG = [
   {
     label: "Em Atendimento",
+    canonico: "ATENDIMENTO",
     match: (txt) =>
       txt.includes("atendimento") ||
       txt.includes("chamada") ||
@@ -17,12 +18,14 @@ const STATUS_CONFIG = [
   },
   {
     label: "Em Pausa",
+    canonico: "PAUSA",
     match: (txt) => txt.includes("pausa"),
     color: "bg-yellow-400",
     icon: <FiPause className="text-white text-2xl" />,
   },
   {
     label: "Livre",
+    canonico: "LIVRE",
     match: (txt) => txt.includes("livre") || txt.includes("disponivel") || txt.includes("disponível"),
     color: "bg-green-500",
     icon: <FiCheck className="text-white text-2xl" />,
@@ -45,7 +48,32 @@ const norm = (s) =>
     .normalize("NFD")
     .replace(/[\u0300-\u036f]/g, "");
 
-export default function DashboardSemaforo() {
+// status canônico vem do backend (adaptador do discador); sem ele, cai nas palavras-chave
+const estaNoGrupo = (op, conf) =>
+  op.statusCanonico ? op.statusCanonico === conf.canonico : conf.match(norm(op.descricaoStatus));
+
+// Filtros da API: props têm prioridade; sem elas, usa ?empresa=&equipe= da URL da TV
+function statusQuery(empresa, equipe) {
+  const url = new URLSearchParams(typeof window !== "undefined" ? window.location.search : "");
+  const qs = new URLSearchParams();
+  const emp = empresa || url.get("empresa");
+  const eq = equipe || url.get("equipe");
+  if (emp) qs.set("empresa", emp);
+  if (eq) qs.set("equipe", eq);
+  const str = qs.toString();
+  return str ? `?${str}` : "";
+}
+
+// flags de expediente do backend (GET e eventos do stream)
+function expedienteDoPayload(data) {
+  return {
+    fora_do_expediente: !!data.fora_do_expediente,
+    expediente: data.expediente || null,
+  };
+}
+
+export default function DashboardSemaforo({ empresa, equipe } = {}) {
+  const query = statusQuery(empresa, equipe);
   const [operadores, setOperadores] = useState([]);
   const [loading, setLoading] = useState(true);
   const [dadosStatus, setDadosStatus] = useState({
@@ -58,8 +86,12 @@ export default function DashboardSemaforo() {
     meta_clt: 0,
     logados_estagio: 0,
     meta_estagio: 0,
+    logados_outros: 0,
+    meta_outros: 0,
     totalActive: 0,
     filtro: "CLT+Estágio",
+    fora_do_expediente: false,
+    expediente: null,
   });
 
   // Polling refs
@@ -69,10 +101,17 @@ export default function DashboardSemaforo() {
   const abortRef = useRef(null);
   const mountedRef = useRef(true);
 
+  // Stream (SSE) refs
+  const streamRef = useRef(null);
+  const streamAtivoRef = useRef(false); // true = stream aberto, polling suspenso
+  const streamRetryRef = useRef(null);
+  const ramaisRef = useRef(new Set()); // ramais presentes no último payload completo
+
   // config
   const BASE_INTERVAL = 30000; // 30s padrão
   const MAX_BACKOFF_STEPS = 5; // backoff até 2^5 = 32x
   const FETCH_TIMEOUT_MS = 10000; // timeout de 10s
+  const STREAM_RETRY_MS = 60000; // nova tentativa de stream após falha definitiva
 
   useEffect(() => {
     mountedRef.current = true;
@@ -92,7 +131,7 @@ export default function DashboardSemaforo() {
       if (etagRef.current && !force) headers["If-None-Match"] = etagRef.current;
 
       try {
-        const res = await fetch(apiUrl("/api/status-operadores"), {
+        const res = await fetch(apiUrl(`/api/status-operadores${query}`), {
           method: "GET",
           headers,
           signal: controller.signal,
@@ -118,7 +157,9 @@ export default function DashboardSemaforo() {
         const data = await res.json();
         if (!mountedRef.current) return;
 
-        setOperadores(Array.isArray(data.operadores) ? data.operadores : []);
+        const lista = Array.isArray(data.operadores) ? data.operadores : [];
+        ramaisRef.current = new Set(lista.map((op) => String(op.ramal)));
+        setOperadores(lista);
         setDadosStatus({
           logados: Number(data.logados) || 0,
           meta: Number(data.meta) || 0,
@@ -129,8 +170,11 @@ export default function DashboardSemaforo() {
           meta_clt: Number(data.meta_clt) || 0,
           logados_estagio: Number(data.logados_estagio) || 0,
           meta_estagio: Number(data.meta_estagio) || 0,
+          logados_outros: Number(data.logados_outros) || 0,
+          meta_outros: Number(data.meta_outros) || 0,
           totalActive: Number(data.totalActive) || 0,
           filtro: data.filtro || "CLT+Estágio",
+          ...expedienteDoPayload(data),
         });
         backoffRef.current = 0;
         setLoading(false);
@@ -149,6 +193,7 @@ export default function DashboardSemaforo() {
 
     function scheduleNext(withBackoff = false) {
       clearTimeout(timerRef.current);
+      if (streamAtivoRef.current) return; // stream aberto: sem polling
       const base = BASE_INTERVAL;
       const backoff = backoffRef.current || 0;
       const multiplier = withBackoff ? Math.pow(2, backoff) : 1;
@@ -156,7 +201,69 @@ export default function DashboardSemaforo() {
       timerRef.current = setTimeout(() => fetchData(false), nextMs);
     }
 
+    // Aplica o diff enviado pelo backend a cada rodada do updater
+    function applyStreamEvent(evt) {
+      let diff;
+      try {
+        diff = JSON.parse(evt.data);
+      } catch (e) {
+        return;
+      }
+      if (!mountedRef.current) return;
+      const mudancas = Array.isArray(diff.mudancas) ? diff.mudancas : [];
+      const tempos = diff.tempos || {};
+
+      // operador que ainda não está na tela: precisamos de nome/equipe -> payload completo
+      if (mudancas.some((m) => !ramaisRef.current.has(String(m.ramal)))) {
+        fetchData(false);
+        return;
+      }
+
+      const porRamal = new Map(mudancas.map((m) => [String(m.ramal), m]));
+      setOperadores((prev) =>
+        prev.map((op) => {
+          const key = String(op.ramal);
+          const m = porRamal.get(key);
+          if (m) return { ...op, descricaoStatus: m.para, statusCanonico: m.canonicoPara || null, tempoStatus: Number(m.tempoStatus) || 0 };
+          if (tempos[key] != null) return { ...op, tempoStatus: Number(tempos[key]) || 0 };
+          return op;
+        })
+      );
+      // com o stream aberto não há polling: horário e aviso de expediente vêm no próprio evento
+      setDadosStatus((prev) => ({
+        ...prev,
+        horario_atual: Number(diff.ts) || prev.horario_atual,
+        ...("fora_do_expediente" in diff ? expedienteDoPayload(diff) : {}),
+      }));
+    }
+
+    function openStream() {
+      if (typeof window === "undefined" || typeof window.EventSource === "undefined") return;
+      clearTimeout(streamRetryRef.current);
+
+      const es = new window.EventSource(apiUrl(`/api/status-operadores/stream${query}`));
+      streamRef.current = es;
+
+      es.onopen = () => {
+        streamAtivoRef.current = true;
+        clearTimeout(timerRef.current);
+        fetchData(false); // sincroniza a base antes de aplicar diffs
+      };
+      es.addEventListener("status", applyStreamEvent);
+      es.onerror = () => {
+        if (!mountedRef.current) return;
+        const eraAtivo = streamAtivoRef.current;
+        streamAtivoRef.current = false;
+        if (eraAtivo) scheduleNext(); // stream caiu: volta ao polling até reconectar
+        if (es.readyState === window.EventSource.CLOSED) {
+          streamRef.current = null;
+          streamRetryRef.current = setTimeout(openStream, STREAM_RETRY_MS);
+        }
+      };
+    }
+
     fetchData(true);
+    openStream();
 
     function handleVisibility() {
       if (document.visibilityState === "visible") {
@@ -172,6 +279,12 @@ export default function DashboardSemaforo() {
     return () => {
       mountedRef.current = false;
       clearTimeout(timerRef.current);
+      clearTimeout(streamRetryRef.current);
+      if (streamRef.current) {
+        streamRef.current.close();
+        streamRef.current = null;
+      }
+      streamAtivoRef.current = false;
       document.removeEventListener("visibilitychange", handleVisibility);
       window.removeEventListener("focus", handleFocus);
       if (abortRef.current) {
@@ -179,19 +292,19 @@ export default function DashboardSemaforo() {
       }
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [query]);
 
   // --- CÁLCULO LOCAL DOS GRUPOS ---
   const opsAtendimento = operadores
-    .filter((op) => STATUS_CONFIG[0].match(norm(op.descricaoStatus)))
+    .filter((op) => estaNoGrupo(op, STATUS_CONFIG[0]))
     .sort((a, b) => (b.tempoStatus || 0) - (a.tempoStatus || 0));
 
   const opsPausa = operadores
-    .filter((op) => STATUS_CONFIG[1].match(norm(op.descricaoStatus)))
+    .filter((op) => estaNoGrupo(op, STATUS_CONFIG[1]))
     .sort((a, b) => (b.tempoStatus || 0) - (a.tempoStatus || 0));
 
   const opsLivre = operadores
-    .filter((op) => STATUS_CONFIG[2].match(norm(op.descricaoStatus)))
+    .filter((op) => estaNoGrupo(op, STATUS_CONFIG[2]))
     .sort((a, b) => (b.tempoStatus || 0) - (a.tempoStatus || 0));
 
   // Logados = atendimento + pausa + livre (regra exigida)
@@ -200,9 +313,25 @@ export default function DashboardSemaforo() {
   // Se por algum motivo a soma local for 0 (ex.: mudança de rótulos), cai no valor da API
   const logadosBase = logadosCalc > 0 ? logadosCalc : (dadosStatus.logados_total || dadosStatus.logados || 0);
 
-  // == AQUI: porcentagem calculada sobre totalActive (colaboradores ativos) ==
-  const totalActiveNum = Number(dadosStatus.totalActive) || 0;
-  const percent = totalActiveNum ? Math.min(100, Math.round((logadosBase / totalActiveNum) * 100)) : 0;
+  // CLT x Estágio: conta localmente (acompanha o stream); sem `contrato` nos operadores, usa a API
+  const opsLogados = [...opsAtendimento, ...opsPausa, ...opsLivre];
+  const temContrato = operadores.some((op) => op.contrato === "clt" || op.contrato === "estagio");
+  const logadosClt = temContrato ? opsLogados.filter((op) => op.contrato === "clt").length : dadosStatus.logados_clt;
+  const logadosEstagio = temContrato
+    ? opsLogados.filter((op) => op.contrato === "estagio").length
+    : dadosStatus.logados_estagio;
+  const logadosOutros = temContrato
+    ? opsLogados.filter((op) => op.contrato === "outros").length
+    : dadosStatus.logados_outros;
+  // meta_clt/meta_estagio/meta_outros são a meta da faixa (ou o quadro de ativos) dividida por contrato
+  const mostraContratos = dadosStatus.meta_clt > 0 || dadosStatus.meta_estagio > 0;
+  const mostraOutros = dadosStatus.meta_outros > 0 || logadosOutros > 0;
+
+  // == AQUI: porcentagem calculada sobre a meta da faixa horária (meta_logados);
+  //    sem meta cadastrada para o horário, cai para totalActive (colaboradores ativos) ==
+  const metaFaixa = Number(dadosStatus.meta) || 0;
+  const baseMeta = metaFaixa > 0 ? metaFaixa : Number(dadosStatus.totalActive) || 0;
+  const percent = baseMeta ? Math.min(100, Math.round((logadosBase / baseMeta) * 100)) : 0;
 
   let linhasLogados = ["bg-gray-50", "bg-gray-50", "bg-gray-50", "bg-gray-50"];
   if (percent <= 24) {
@@ -236,12 +365,25 @@ export default function DashboardSemaforo() {
     "Livre": opsLivre,
   };
 
+  // fora do expediente (flag do /api/status-operadores) o alerta de nível crítico não faz sentido
+  const foraDoExpediente = !!dadosStatus.fora_do_expediente;
+  const alertaCritico = percent <= 24 && !foraDoExpediente;
+
   if (loading) {
     return <div className="py-20 text-center text-lg font-bold">Carregando operadores...</div>;
   }
 
   return (
     <div className="min-h-screen bg-gray-800 flex flex-col items-center py-12 px-2">
+      {foraDoExpediente && (
+        <div className="w-full max-w-7xl mb-10 flex items-center justify-center gap-4 rounded-2xl bg-gray-700 border-2 border-gray-500 py-4 px-6 shadow-lg">
+          <FiMoon className="text-yellow-300 text-4xl" />
+          <span className="text-3xl font-extrabold text-white tracking-wide">
+            {dadosStatus.expediente && dadosStatus.expediente.motivo === "feriado" ? "Feriado" : "Fora do expediente"}
+          </span>
+          <span className="text-lg font-semibold text-gray-300">atualizações em ritmo reduzido</span>
+        </div>
+      )}
       <div className="w-full max-w-7xl grid grid-cols-1 md:grid-cols-4 gap-7">
         {STATUS_CONFIG.map((statusConf) => {
           const opsAll = bucketMap[statusConf.label] || [];
@@ -298,7 +440,7 @@ export default function DashboardSemaforo() {
         <div
           className={`
             rounded-2xl shadow-lg pb-6 flex flex-col items-center relative overflow-visible
-            ${percent <= 24 ? "border-4 border-red-400 animate-glow-border" : ""}
+            ${alertaCritico ? "border-4 border-red-400 animate-glow-border" : ""}
             ${percent === 100 ? "border-4 border-green-400 shadow-green-200 animate-glow" : ""}
           `}
           style={{ marginTop: "44px", background: "#066eea" }}
@@ -313,8 +455,14 @@ export default function DashboardSemaforo() {
             <span className="text-5xl font-extrabold text-white leading-tight my-2 drop-shadow">{percent}%</span>
 
             <span className="text-base font-semibold text-white drop-shadow mb-1">
-              Operadores: {logadosBase}/{dadosStatus.totalActive || 0} ({dadosStatus.filtro || "CLT+Estágio"})
+              Operadores: {logadosBase}/{baseMeta} ({metaFaixa > 0 ? "meta da faixa" : dadosStatus.filtro || "CLT+Estágio"})
             </span>
+            {mostraContratos && (
+              <span className="text-sm font-semibold text-white drop-shadow mb-1">
+                CLT: {logadosClt}/{dadosStatus.meta_clt} · Estágio: {logadosEstagio}/{dadosStatus.meta_estagio}
+                {mostraOutros && ` · Outros: ${logadosOutros}/${dadosStatus.meta_outros}`}
+              </span>
+            )}
           </div>
 
           <div className="w-full flex-1 flex flex-col overflow-hidden p-0 rounded-b-2xl" style={{ background: "#066eea" }}>
@@ -332,8 +480,8 @@ export default function DashboardSemaforo() {
                   background: percent <= 24 ? "rgb(249 250 251)" : undefined,
                 }}
               >
-                {percent <= 24 && idx === 1 && <FiZap className="text-yellow-400 text-7xl animate-bounce z-10" />}
-                {percent <= 24 && idx === 2 && (
+                {alertaCritico && idx === 1 && <FiZap className="text-yellow-400 text-7xl animate-bounce z-10" />}
+                {alertaCritico && idx === 2 && (
                   <span className="text-red-600 font-bold text-3xl text-center animate-pulse w-full">Atenção: Nível crítico de logados!</span>
                 )}
                 {percent === 100 && idx === 1 && (
@@ -1,21 +1,43 @@
-﻿import React, { useEffect, useState, useCallback } from "react";
+﻿import React, { useEffect, useState, useCallback, useRef } from "react";
 import DashboardSemaforo from "./DashboardSemaforo";
 import DashboardRanking from "./DashboardRanking";
+import DashboardEquipes from "./DashboardEquipes";
+import CelebracaoVenda from "./CelebracaoVenda";
 import { apiUrl } from "../utils/api";
 import { FiMaximize2, FiMinimize2 } from "react-icons/fi";
 
 const TEMPO_SEMAFORO = 30 * 1000;    // 30 segundos
 const TEMPO_RANKING = 30 * 1000;     // 30 segundos
+const TEMPO_EQUIPES = 30 * 1000;     // 30 segundos
+const TEMPOS_PAINEL = [TEMPO_SEMAFORO, TEMPO_RANKING, TEMPO_EQUIPES];
 
-export default function PainelRotativo() {
-  const [painelAtivo, setPainelAtivo] = useState(0); // 0 = semÃ¡foro, 1 = ranking
+// Celebração de nova venda: só vendas a partir deste valor interrompem a rotação
+const VENDA_CELEBRACAO_MIN = Number(process.env.REACT_APP_VENDA_CELEBRACAO_MIN || 1000);
+const TEMPO_CELEBRACAO_VENDA = 6 * 1000; // 6 segundos por venda
+const POLL_VENDAS_MS = 15 * 1000;        // 15 segundos
+const VENDAS_VISTAS_MAX = 500;           // ids lembrados para não celebrar a mesma venda duas vezes
+
+// Empresa: prop tem prioridade; sem ela, usa ?empresa= da URL da TV (como o DashboardSemaforo)
+function empresaDoPainel(empresa) {
+  const url = new URLSearchParams(typeof window !== "undefined" ? window.location.search : "");
+  return empresa || url.get("empresa") || null;
+}
+
+export default function PainelRotativo({ empresa: empresaProp } = {}) {
+  const empresa = empresaDoPainel(empresaProp);
+  const [painelAtivo, setPainelAtivo] = useState(0); // 0 = semÃ¡foro, 1 = ranking, 2 = equipes
   const [rankingData, setRankingData] = useState([]);
   const [isFullscreen, setIsFullscreen] = useState(false);
+  const [filaVendas, setFilaVendas] = useState([]);
+  const [vendaAtual, setVendaAtual] = useState(null);
+  const cursorVendasRef = useRef(null);
+  const vendasVistasRef = useRef(new Set());
 
   // FunÃ§Ã£o para buscar dados do ranking
   const fetchRanking = useCallback(async () => {
     try {
-  const res = await fetch(apiUrl("/api/ranking?empresa=VIEIRACRED"));
+      const qs = empresa ? `?${new URLSearchParams({ empresa }).toString()}` : "";
+      const res = await fetch(apiUrl(`/api/ranking${qs}`));
       
       if (!res.ok) {
         throw new Error(`Erro HTTP: ${res.status}`);
@@ -26,16 +48,71 @@ export default function PainelRotativo() {
     } catch (err) {
       console.error("Erro ao buscar ranking:", err);
     }
-  }, []);
+  }, [empresa]);
 
   // Controle da rotaÃ§Ã£o de painÃ©is
   useEffect(() => {
+    if (vendaAtual) return undefined; // celebração em tela pausa a rotação
     const timer = setInterval(() => {
-      setPainelAtivo(prev => (prev === 0 ? 1 : 0));
-    }, painelAtivo === 0 ? TEMPO_SEMAFORO : TEMPO_RANKING);
+      setPainelAtivo(prev => (prev + 1) % TEMPOS_PAINEL.length);
+    }, TEMPOS_PAINEL[painelAtivo]);
 
     return () => clearInterval(timer);
-  }, [painelAtivo]);
+  }, [painelAtivo, vendaAtual]);
+
+  // Feed de novas vendas: a primeira chamada só posiciona o cursor (não celebra vendas antigas)
+  useEffect(() => {
+    let ativo = true;
+    const fetchVendas = async () => {
+      try {
+        const params = new URLSearchParams({ min: String(VENDA_CELEBRACAO_MIN) });
+        if (empresa) params.set("empresa", empresa);
+        const primeira = !cursorVendasRef.current;
+        // sem cursor a API devolve as vendas mais novas da janela; basta a última para posicionar
+        if (primeira) params.set("limit", "1");
+        else params.set("since", cursorVendasRef.current);
+        const res = await fetch(apiUrl(`/api/vendas/recentes?${params.toString()}`));
+        if (!res.ok) throw new Error(`Erro HTTP: ${res.status}`);
+        const data = await res.json();
+        if (!ativo) return;
+        if (data.cursor) cursorVendasRef.current = data.cursor;
+        // dedupe por id: a mesma venda nunca entra duas vezes na fila
+        const vistas = vendasVistasRef.current;
+        const vendas = (Array.isArray(data.vendas) ? data.vendas : []).filter(v => {
+          if (!v || v.id == null || vistas.has(v.id)) return false;
+          vistas.add(v.id);
+          return true;
+        });
+        while (vistas.size > VENDAS_VISTAS_MAX) vistas.delete(vistas.values().next().value);
+        if (!primeira && vendas.length) setFilaVendas(prev => [...prev, ...vendas]);
+      } catch (err) {
+        console.error("Erro ao buscar vendas recentes:", err);
+      }
+    };
+
+    // troca de empresa recomeça o feed (cursor e ids vistos são por empresa)
+    cursorVendasRef.current = null;
+    vendasVistasRef.current = new Set();
+    fetchVendas();
+    const interval = setInterval(fetchVendas, POLL_VENDAS_MS);
+    return () => {
+      ativo = false;
+      clearInterval(interval);
+    };
+  }, [empresa]);
+
+  // Mostra uma venda por vez
+  useEffect(() => {
+    if (vendaAtual || !filaVendas.length) return;
+    setVendaAtual(filaVendas[0]);
+    setFilaVendas(prev => prev.slice(1));
+  }, [vendaAtual, filaVendas]);
+
+  useEffect(() => {
+    if (!vendaAtual) return undefined;
+    const timer = setTimeout(() => setVendaAtual(null), TEMPO_CELEBRACAO_VENDA);
+    return () => clearTimeout(timer);
+  }, [vendaAtual]);
 
   // Busca inicial e configuraÃ§Ã£o de intervalo para atualizaÃ§Ã£o
   useEffect(() => {
@@ -78,12 +155,18 @@ export default function PainelRotativo() {
 
       {/* PainÃ©is */}
       <div className={`${painelAtivo === 0 ? 'block' : 'hidden'}`}>
-        <DashboardSemaforo />
+        <DashboardSemaforo empresa={empresa || undefined} />
       </div>
       
       <div className={`${painelAtivo === 1 ? 'block' : 'hidden'}`}>
         <DashboardRanking rankingData={rankingData} />
       </div>
+
+      <div className={`${painelAtivo === 2 ? 'block' : 'hidden'}`}>
+        <DashboardEquipes />
+      </div>
+
+      <CelebracaoVenda venda={vendaAtual} />
     </div>
   );
 }
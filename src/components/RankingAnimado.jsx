@@ -1,4 +1,5 @@
 import React, { useEffect, useState } from "react";
+import BarraMeta from "./BarraMeta";
 
 const userDefault = "/user-default.png"; // Ajuste o path conforme seu projeto
 
@@ -183,6 +184,7 @@ const RankingAnimado = ({
                 <div style={styles.infoCol}>
                   <span style={styles.nome}>{vendedor.nome}</span>
                   <span style={styles.equipe}><b>Equipe:</b> {vendedor.equipe}</span>
+                  <BarraMeta vendedor={vendedor} tema="claro" />
                 </div>
                 <span style={styles.valor}>
                   <b>